@@ -0,0 +1,340 @@
+// admin/api.js
+//
+// Admin REST API on the bot's Express app (mounted at /api/admin), for internal tools that would
+// otherwise query Mongo directly. Requests carry "Authorization: Bearer tka_…" (admin/apiTokens.js) and
+// get the same role checks as Telegram and the web console (admin/permissions.js).
+//
+//   GET  /<resource>?<filters>&page=&limit=     list, newest first: { data, page, limit, total }
+//   GET  /<resource>/:id                        one record: { data }
+//   POST /users/:id/ban | /users/:id/unban
+//   POST /payment-intents/:id/refund            { reason, amount? }
+//   POST /payouts/:id/retry | /payouts/:id/cancel-retry
+//
+// Resources: tasks, users, doer-works, payment-intents, payouts, escalations, banlist (see RESOURCES).
+// Contact and account numbers are masked unless ?reveal=1 is sent with users.reveal / payouts.reveal.
+// Actions go through the same functions as the Telegram buttons (passed in by index.js) and, like
+// reveals and refused requests, are logged as AdminAction rows with via "api".
+// Errors are { error: "<code>", message }.
+
+const express = require("express");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const PaymentIntent = require("../models/PaymentIntent");
+const { TASK_STATUSES } = require("../tasks/taskStatus");
+const { normalizeEtPhone } = require("../payments/payoutDestinations");
+const { maskValue, maskEmail } = require("../security/fieldEncryption");
+const { rolesForAdminRow, rolesAllow, recordAdminAction } = require("./permissions");
+const { verifyApiToken } = require("./apiTokens");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// result.error of a shared function → HTTP status (anything else is 409)
+const ERROR_STATUS = { not_found: 404, bad_amount: 400, stars_full_refund_only: 400, bot_unavailable: 503 };
+
+class ApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function isObjectId(value) {
+  return /^[a-f0-9]{24}$/i.test(String(value || ""));
+}
+
+// ─── Query filters: each turns ?<name>=<value> into a Mongo condition (or throws a 400) ───
+
+function objectIdFilter(field) {
+  return (value, name) => {
+    if (!isObjectId(value)) throw new ApiError(400, "bad_filter", `${name} must be a 24-character id`);
+    return { [field]: value };
+  };
+}
+
+function oneOfFilter(field, values) {
+  return (value, name) => {
+    if (!values.includes(value)) throw new ApiError(400, "bad_filter", `${name} must be one of: ${values.join(", ")}`);
+    return { [field]: value };
+  };
+}
+
+function numberFilter(field) {
+  return (value, name) => {
+    if (!/^\d{1,15}$/.test(value)) throw new ApiError(400, "bad_filter", `${name} must be a number`);
+    return { [field]: Number(value) };
+  };
+}
+
+function booleanFilter(field) {
+  return (value, name) => {
+    if (!["true", "false"].includes(value)) throw new ApiError(400, "bad_filter", `${name} must be true or false`);
+    return value === "true" ? { [field]: true } : { [field]: { $ne: true } };
+  };
+}
+
+function dateBound(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(+date)) throw new ApiError(400, "bad_filter", `${name} must be an ISO date`);
+  return date;
+}
+
+// ─── Masking ───
+
+function maskUser(user) {
+  return {
+    ...user,
+    phone: maskValue(user.phone),
+    email: maskEmail(user.email),
+    bankDetails: (user.bankDetails || []).map(b => ({ ...b, accountNumber: maskValue(b.accountNumber) })),
+  };
+}
+
+function maskPayout(payout) {
+  return { ...payout, accountNumber: maskValue(payout.accountNumber), accountName: maskValue(payout.accountName) };
+}
+
+/**
+ * @param {object} deps  index.js models and functions the Telegram handlers use:
+ *   DoerWork, TaskPayout, Escalation, Banlist, buildUserStatusSummary(userId),
+ *   banUser(user), unbanUser(user), refundPayment(intentId, { reason, amount }),
+ *   retryPayout(payoutId), cancelPayoutRetry(payoutId)
+ *   (the action functions resolve to { ok, error? })
+ * @returns {express.Router}
+ */
+function createAdminApi(deps) {
+  const { DoerWork, TaskPayout, Escalation, Banlist } = deps;
+  const router = express.Router();
+
+  // path → model, permission to read it, the date field for ?from= / ?to=, filters, and how a row is shown
+  const RESOURCES = {
+    "tasks": {
+      model: Task, permission: "tasks.timeline", dateField: "postedAt",
+      filters: {
+        status: oneOfFilter("status", TASK_STATUSES),
+        creator: objectIdFilter("creator"),
+        doer: objectIdFilter("acceptedDoer"),
+        skillLevel: oneOfFilter("skillLevel", ["Beginner", "Intermediate", "Professional"]),
+        exchangeStrategy: oneOfFilter("exchangeStrategy", ["100%", "30:40:30", "50:50"]),
+      },
+    },
+    "users": {
+      model: User, permission: "users.status", dateField: "createdAt",
+      reveal: "users.reveal", mask: maskUser,
+      filters: {
+        telegramId: numberFilter("telegramId"),
+        username: (value) => ({ username: new RegExp(`^${value.replace(/^@/, "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i") }),
+        phone: (value, name) => {
+          const phone = normalizeEtPhone(value);
+          if (!phone) throw new ApiError(400, "bad_filter", `${name} must be an Ethiopian phone number`);
+          return { phone };
+        },
+        onboardingStep: oneOfFilter("onboardingStep", User.schema.path("onboardingStep").enumValues),
+        banned: async (value, name) => {
+          if (!["true", "false"].includes(value)) throw new ApiError(400, "bad_filter", `${name} must be true or false`);
+          const ids = await Banlist.distinct("user", { user: { $ne: null } });
+          return { _id: value === "true" ? { $in: ids } : { $nin: ids } };
+        },
+      },
+    },
+    "doer-works": {
+      model: DoerWork, permission: "tasks.timeline", dateField: "startedAt",
+      filters: {
+        task: objectIdFilter("task"),
+        doer: objectIdFilter("doer"),
+        status: oneOfFilter("status", ["active", "completed"]),
+      },
+    },
+    "payment-intents": {
+      model: PaymentIntent, permission: "queues.view", dateField: "createdAt",
+      filters: {
+        user: objectIdFilter("user"),
+        task: objectIdFilter("task"),
+        type: oneOfFilter("type", ["escrow", "punishment"]),
+        status: oneOfFilter("status", ["pending", "paid", "failed", "voided"]),
+        refundStatus: oneOfFilter("refundStatus", ["none", "requested", "queued", "pending", "succeeded", "failed"]),
+        provider: (value) => ({ provider: String(value) }),
+      },
+    },
+    "payouts": {
+      model: TaskPayout, permission: "queues.view", dateField: "createdAt",
+      reveal: "payouts.reveal", mask: maskPayout,
+      filters: {
+        task: objectIdFilter("task"),
+        doer: objectIdFilter("doer"),
+        creator: objectIdFilter("creator"),
+        kind: oneOfFilter("kind", ["task", "withdrawal"]),
+        status: oneOfFilter("status", ["held", "queued", "requested", "pending", "succeeded"]),
+        retryCanceled: booleanFilter("retryCanceled"),
+      },
+    },
+    "escalations": {
+      model: Escalation, permission: "disputes.view", dateField: "createdAt",
+      filters: {
+        task: objectIdFilter("task"),
+        by: objectIdFilter("by"),
+        role: oneOfFilter("role", ["creator", "doer"]),
+      },
+    },
+    "banlist": {
+      model: Banlist, permission: "users.status", dateField: "bannedAt",
+      filters: {
+        user: objectIdFilter("user"),
+        telegramId: numberFilter("telegramId"),
+      },
+    },
+  };
+
+  // ─── Authentication ───
+
+  router.use(async (req, res, next) => {
+    res.set("Cache-Control", "no-store");
+    const auth = await verifyApiToken(req.get("authorization"), req.ip);
+    const roles = rolesForAdminRow(auth?.account);
+    if (!auth || !roles.length) {
+      res.set("WWW-Authenticate", 'Bearer realm="taskifay-admin"');
+      return res.status(401).json({ error: "unauthorized", message: "A valid admin API token is required." });
+    }
+    req.admin = { account: auth.account, token: auth.token, roles };
+    next();
+  });
+
+  function audit(req, { permission, action, allowed = true, target = null, data = {} }) {
+    return recordAdminAction({
+      admin: req.admin.account.telegramId ?? null,
+      adminUser: req.admin.account._id,
+      via: "api",
+      roles: req.admin.roles,
+      permission, action, allowed, target,
+      data: { ...data, tokenId: req.admin.token.tokenId },
+    });
+  }
+
+  // Refused requests are logged; allowed reads aren't (the same as the console)
+  async function requirePermission(req, permission, action, target = null) {
+    if (rolesAllow(req.admin.roles, permission)) return;
+    await audit(req, { permission, action, allowed: false, target });
+    throw new ApiError(403, "forbidden", `Your admin role doesn't include ${permission}.`);
+  }
+
+  // ?reveal=1: plain contact / account details, if the role may see them (logged)
+  async function wantsReveal(req, spec, action, target) {
+    if (!spec.reveal || !["1", "true"].includes(String(req.query.reveal || ""))) return false;
+    await requirePermission(req, spec.reveal, action, target);
+    await audit(req, { permission: spec.reveal, action, target, data: { path: req.path } });
+    return true;
+  }
+
+  async function buildFilter(spec, query) {
+    const filter = {};
+    for (const [name, raw] of Object.entries(query)) {
+      if (["page", "limit", "reveal", "from", "to"].includes(name)) continue;
+      const toCondition = spec.filters[name];
+      if (!toCondition) throw new ApiError(400, "bad_filter", `Unknown filter "${name}". Filters: ${Object.keys(spec.filters).join(", ")}, from, to`);
+      if (typeof raw !== "string" || raw === "") throw new ApiError(400, "bad_filter", `${name} needs a single value`);
+      Object.assign(filter, await toCondition(raw, name));
+    }
+    if (query.from || query.to) {
+      filter[spec.dateField] = {
+        ...(query.from ? { $gte: dateBound(query.from, "from") } : {}),
+        ...(query.to ? { $lt: dateBound(query.to, "to") } : {}),
+      };
+    }
+    return filter;
+  }
+
+  function pagination(query) {
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+    return { page, limit };
+  }
+
+  // ─── Reads ───
+
+  for (const [path, spec] of Object.entries(RESOURCES)) {
+    router.get(`/${path}`, async (req, res) => {
+      await requirePermission(req, spec.permission, `api.list_${path}`);
+      const filter = await buildFilter(spec, req.query);
+      const { page, limit } = pagination(req.query);
+      const reveal = await wantsReveal(req, spec, `api.reveal_${path}`, null);
+
+      const [total, rows] = await Promise.all([
+        spec.model.countDocuments(filter),
+        spec.model.find(filter).sort({ [spec.dateField]: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      ]);
+      res.json({ data: spec.mask && !reveal ? rows.map(spec.mask) : rows, page, limit, total });
+    });
+
+    router.get(`/${path}/:id`, async (req, res) => {
+      const target = req.params.id;
+      await requirePermission(req, spec.permission, `api.get_${path}`, target);
+      if (!isObjectId(target)) throw new ApiError(404, "not_found", "No record with this id.");
+      const row = await spec.model.findById(target).lean();
+      if (!row) throw new ApiError(404, "not_found", "No record with this id.");
+      const reveal = await wantsReveal(req, spec, `api.reveal_${path}`, target);
+
+      const data = spec.mask && !reveal ? spec.mask(row) : row;
+      if (path === "users") {
+        const [stats, banned] = await Promise.all([
+          deps.buildUserStatusSummary(row._id),
+          Banlist.exists({ $or: [{ user: row._id }, { telegramId: row.telegramId }] }),
+        ]);
+        const { user: _user, ...counts } = stats || {};
+        return res.json({ data: { ...data, banned: !!banned, status: counts } });
+      }
+      res.json({ data });
+    });
+  }
+
+  // ─── Actions ───
+
+  // Runs one action: permission check, AdminAction row, then the shared function
+  function apiAction(path, { permission, action, run }) {
+    router.post(path, async (req, res) => {
+      const target = req.params.id;
+      const allowed = rolesAllow(req.admin.roles, permission);
+      await audit(req, { permission, action, allowed, target, data: req.body && Object.keys(req.body).length ? { body: req.body } : {} });
+      if (!allowed) throw new ApiError(403, "forbidden", `Your admin role doesn't include ${permission}.`);
+      if (!isObjectId(target)) throw new ApiError(404, "not_found", "No record with this id.");
+
+      const result = await run(target, req.body || {});
+      if (!result.ok) throw new ApiError(ERROR_STATUS[result.error] || 409, result.error, `Not done (${result.error}).`);
+      res.json(result);
+    });
+  }
+
+  const withUser = (fn) => async (id) => {
+    const user = await User.findById(id);
+    return user ? fn(user) : { ok: false, error: "not_found" };
+  };
+
+  apiAction("/users/:id/ban", { permission: "users.ban", action: "api.ban", run: withUser(deps.banUser) });
+  apiAction("/users/:id/unban", { permission: "users.ban", action: "api.unban", run: withUser(deps.unbanUser) });
+
+  apiAction("/payment-intents/:id/refund", {
+    permission: "refunds.manual",
+    action: "api.refund",
+    run: (id, body) => {
+      const reason = String(body.reason || "").trim().slice(0, 200);
+      if (!reason) throw new ApiError(400, "reason_required", "Send a reason for the refund.");
+      if (body.amount != null && !(Number(body.amount) > 0)) throw new ApiError(400, "bad_amount", "amount must be a positive number.");
+      return deps.refundPayment(id, { reason: `Admin API: ${reason}`, amount: body.amount != null ? Number(body.amount) : null });
+    },
+  });
+
+  apiAction("/payouts/:id/retry", { permission: "payouts.retry", action: "api.payout_retry", run: (id) => deps.retryPayout(id) });
+  apiAction("/payouts/:id/cancel-retry", { permission: "payouts.retry", action: "api.payout_cancel_retry", run: (id) => deps.cancelPayoutRetry(id) });
+
+  router.use((_req, _res, next) => next(new ApiError(404, "not_found", "No such endpoint.")));
+
+  router.use((err, _req, res, _next) => {
+    if (err instanceof ApiError) return res.status(err.status).json({ error: err.code, message: err.message });
+    console.error("Admin API request failed:", err);
+    res.status(500).json({ error: "internal", message: "Something went wrong, please check the logs." });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminApi };
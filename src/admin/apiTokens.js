@@ -0,0 +1,97 @@
+// admin/apiTokens.js
+//
+// Tokens for the admin REST API (admin/api.js). A token is "tka_<tokenId>.<secret>": the id is stored
+// as is and shown in lists / the admin log, the secret only as a sha256 hash (it is 32 random bytes,
+// so a plain hash is enough). /api_token issues one for an admin (Telegram id or console username) and
+// shows it once; /api_token_revoke ends it. A token carries no roles of its own: revoking the admin's
+// roles takes its permissions away too.
+
+const crypto = require("crypto");
+const AdminUser = require("../models/AdminUser");
+const AdminApiToken = require("../models/AdminApiToken");
+const { adminFilter, isRootAdmin, rolesForAdminRow } = require("./permissions");
+
+const TOKEN_RE = /^tka_([a-f0-9]{12})\.([A-Za-z0-9_-]{43})$/;
+const LAST_USED_EVERY_MS = 60 * 1000;   // lastUsedAt is refreshed at most once a minute per token
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("base64url");
+}
+
+/**
+ * Issue a token for an admin. The root admin gets a row on first use; anyone else needs a role first.
+ * @returns {Promise<{ok: true, token: string, row: object, account: object} | {ok: false, error: "unknown_admin" | "no_roles"}>}
+ */
+async function createApiToken({ admin, label = null, by }) {
+  const filter = adminFilter(admin);
+  let account = await AdminUser.findOne(filter).lean();
+  if (!account && filter.telegramId != null && isRootAdmin(filter.telegramId)) {
+    account = (await AdminUser.create({ telegramId: filter.telegramId, grantedBy: by, grantedAt: new Date() })).toObject();
+  }
+  if (!account) return { ok: false, error: "unknown_admin" };
+  if (!rolesForAdminRow(account).length) return { ok: false, error: "no_roles" };
+
+  const tokenId = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const row = await AdminApiToken.create({
+    tokenId,
+    secretHash: hashSecret(secret),
+    adminUser: account._id,
+    label: label ? String(label).slice(0, 80) : null,
+    createdBy: by,
+  });
+  return { ok: true, token: `tka_${tokenId}.${secret}`, row, account };
+}
+
+/**
+ * @returns {Promise<{ok: true} | {ok: false, error: "not_found" | "already"}>}
+ */
+async function revokeApiToken({ tokenId, by }) {
+  const row = await AdminApiToken.findOne({ tokenId: String(tokenId || "").replace(/^tka_/, "") });
+  if (!row) return { ok: false, error: "not_found" };
+  if (row.revokedAt) return { ok: false, error: "already" };
+
+  row.revokedAt = new Date();
+  row.revokedBy = by;
+  await row.save();
+  return { ok: true };
+}
+
+// Tokens not yet revoked, oldest first, with their admin
+async function listApiTokens() {
+  return AdminApiToken.find({ revokedAt: null })
+    .sort({ createdAt: 1 })
+    .populate("adminUser", "telegramId username name roles")
+    .lean();
+}
+
+/**
+ * The admin behind an "Authorization: Bearer tka_…" header, or null (malformed, unknown, revoked).
+ * @returns {Promise<{token: object, account: object} | null>}
+ */
+async function verifyApiToken(header, ip = null) {
+  const match = TOKEN_RE.exec(String(header || "").replace(/^Bearer\s+/i, "").trim());
+  if (!match) return null;
+  const [, tokenId, secret] = match;
+
+  const token = await AdminApiToken.findOne({ tokenId, revokedAt: null }).lean();
+  const expected = Buffer.from(token?.secretHash || hashSecret(""));
+  const actual = Buffer.from(hashSecret(secret));
+  if (!token || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  const account = await AdminUser.findById(token.adminUser).lean();
+  if (!account) return null;
+
+  if (!token.lastUsedAt || Date.now() - token.lastUsedAt >= LAST_USED_EVERY_MS) {
+    AdminApiToken.updateOne({ _id: token._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } })
+      .catch(e => console.error("AdminApiToken lastUsedAt update failed:", e.message));
+  }
+  return { token, account };
+}
+
+module.exports = {
+  createApiToken,
+  revokeApiToken,
+  listApiTokens,
+  verifyApiToken,
+};
@@ -0,0 +1,555 @@
+// admin/console.js
+//
+// Admin web console on the bot's Express app (mounted at /admin). Staff log in with a console account
+// (admin/consoleAuth.js) and get the same role checks as in Telegram (admin/permissions.js):
+//   /admin/tasks    search by id, status, creator or doer; a task page with payments, payouts and timeline
+//   /admin/users    lookup by id, Telegram id, username or phone; buildUserStatusSummary() + ban / unban
+//   /admin/queues   pending payment intents, unfinished payouts (retry / cancel retry) and refunds
+// Actions go through the same functions as the Telegram buttons (passed in by index.js) and are logged
+// as AdminAction rows with via "console". Pages are plain server-rendered HTML; there is no client script.
+
+const express = require("express");
+const Task = require("../models/Task");
+const User = require("../models/User");
+const PaymentIntent = require("../models/PaymentIntent");
+const { TASK_STATUSES } = require("../tasks/taskStatus");
+const { formatMoney } = require("../payments/currency");
+const { normalizeEtPhone, describeDestination } = require("../payments/payoutDestinations");
+const { maskValue, maskEmail } = require("../security/fieldEncryption");
+const { rolesForAdminRow, rolesAllow, recordAdminAction } = require("./permissions");
+const {
+  SESSION_COOKIE, MIN_PASSWORD_LENGTH, consoleAuthEnabled, consoleLogin, changeConsolePassword, issueSession,
+  readSession, csrfToken, checkCsrf, parseCookies, sessionCookie, clearedSessionCookie
+} = require("./consoleAuth");
+
+const PAGE_SIZE = 50;
+
+// buildUserStatusSummary() keys → labels (same wording as the ADMIN_STATUS_ message)
+const STATUS_LABELS = [
+  ["applicationsCount", "Applications sent"],
+  ["winnerDoerCount", "Times chosen as doer"],
+  ["createdCount", "Tasks created"],
+  ["missedInitialDeadlineCount", "Missed the time to complete"],
+  ["missedPenaltyWindowCount", "Missed the penalty window"],
+  ["reportedByDoersCount", "Reported by doers"],
+  ["creatorNoEarlyFeedbackCount", "No early feedback as creator"],
+  ["doerNoFeedbackSecondHalfCount", "No response to a fix notice"],
+  ["fixNoticeBeforeHalfCount", "Fix notices before half the revision time"],
+  ["rejectedByCreatorsCount", "Rejected by creators"],
+  ["oneStarCount", "One-star ratings"],
+  ["creatorNoFinalDecisionCount", "No final decision as creator"],
+  ["payoutCount", "Payouts reached"],
+];
+
+function esc(value) {
+  return String(value ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+function isObjectId(value) {
+  return /^[a-f0-9]{24}$/i.test(String(value || ""));
+}
+
+function query(params) {
+  const qs = new URLSearchParams(Object.entries(params).filter(([, v]) => v !== "" && v != null)).toString();
+  return qs ? `?${qs}` : "";
+}
+
+const STYLE = `
+  body { font: 14px/1.45 system-ui, sans-serif; margin: 0; color: #1d2329; background: #f5f6f8; }
+  header { background: #1d2329; color: #fff; padding: 10px 20px; display: flex; gap: 18px; align-items: center; }
+  header a { color: #fff; text-decoration: none; }
+  header .who { margin-left: auto; opacity: .8; }
+  main { padding: 20px; max-width: 1200px; }
+  table { border-collapse: collapse; width: 100%; background: #fff; margin: 8px 0 20px; }
+  th, td { border-bottom: 1px solid #e3e6ea; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #eef0f3; font-weight: 600; }
+  form.inline { display: inline; }
+  input, select, button { font: inherit; padding: 4px 8px; }
+  button.danger { color: #a4161a; }
+  .flash { background: #fff3bf; padding: 8px 12px; margin-bottom: 12px; }
+  .muted { color: #6b7580; }
+  pre { background: #fff; padding: 12px; white-space: pre-wrap; }
+  .card { background: #fff; padding: 12px 16px; margin-bottom: 16px; }
+`;
+
+/**
+ * @param {object} deps  index.js models and functions the Telegram handlers use:
+ *   TaskPayout, DoerWork, Banlist, buildUserStatusSummary(userId), renderTaskTimeline(taskId), formatDate(date),
+ *   banUser(user), unbanUser(user), retryPayout(payoutId), cancelPayoutRetry(payoutId)
+ *   (the action functions resolve to { ok, error? })
+ * @returns {express.Router}
+ */
+function createAdminConsole(deps) {
+  const { TaskPayout, DoerWork, Banlist, formatDate } = deps;
+  const router = express.Router();
+  const when = (d) => (d ? formatDate(d) : "-");
+
+  // ─── Rendering ───
+
+  function page(req, title, body) {
+    const admin = req.admin;
+    const nav = admin && !admin.account.mustChangePassword
+      ? `<a href="/admin">Dashboard</a><a href="/admin/tasks">Tasks</a><a href="/admin/users">Users</a><a href="/admin/queues">Queues</a>`
+      : "";
+    const who = admin
+      ? `<span class="who">${esc(admin.account.username)} (${esc(admin.roles.join(", "))})
+           <a href="/admin/password">password</a>
+           <form class="inline" method="post" action="/admin/logout">${csrf(req)}<button>Log out</button></form></span>`
+      : "";
+    const flash = req.query?.msg ? `<div class="flash">${esc(String(req.query.msg).slice(0, 300))}</div>` : "";
+    return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width">
+<meta name="robots" content="noindex"><title>${esc(title)} · Taskifay admin</title><style>${STYLE}</style></head>
+<body><header><strong>Taskifay admin</strong>${nav}${who}</header><main><h2>${esc(title)}</h2>${flash}${body}</main></body></html>`;
+  }
+
+  function csrf(req) {
+    return `<input type="hidden" name="_csrf" value="${esc(csrfToken(req.admin?.cookie || ""))}">`;
+  }
+
+  function table(headers, rows) {
+    if (!rows.length) return `<p class="muted">Nothing here.</p>`;
+    return `<table><tr>${headers.map(h => `<th>${esc(h)}</th>`).join("")}</tr>${
+      rows.map(cells => `<tr>${cells.map(c => `<td>${c}</td>`).join("")}</tr>`).join("")
+    }</table>`;
+  }
+
+  function actionButton(req, path, label, { danger = false, confirm = null } = {}) {
+    // No script: a "confirm" checkbox stands in for a dialog on destructive actions
+    const back = req.originalUrl.replace(/([?&])msg=[^&]*/, "$1").replace(/[?&]+$/, "");
+    return `<form class="inline" method="post" action="${esc(path)}">${csrf(req)}<input type="hidden" name="back" value="${esc(back)}">${
+      confirm ? `<label class="muted"><input type="checkbox" name="confirm" value="yes" required> ${esc(confirm)}</label> ` : ""
+    }<button${danger ? ' class="danger"' : ""}>${esc(label)}</button></form>`;
+  }
+
+  function userLink(user) {
+    if (!user) return "-";
+    const name = user.fullName || (user.username ? `@${user.username}` : String(user.telegramId || user._id));
+    return `<a href="/admin/users/${esc(user._id)}">${esc(name)}</a>`;
+  }
+
+  function pager(req, count) {
+    const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const pages = Math.max(1, Math.ceil(count / PAGE_SIZE));
+    const link = (n, label) => `<a href="${esc(req.baseUrl + req.path + query({ ...req.query, msg: "", page: n }))}">${label}</a>`;
+    return `<p class="muted">${count} result(s) · page ${pageNum} of ${pages} ${
+      pageNum > 1 ? link(pageNum - 1, "← previous") : ""} ${pageNum < pages ? link(pageNum + 1, "next →") : ""}</p>`;
+  }
+
+  function denied(req, res, permission) {
+    return res.status(403).send(page(req, "Not allowed", `<p>Your admin role doesn't include <code>${esc(permission)}</code>.</p>`));
+  }
+
+  // Users matching an id, Telegram id, @username or phone number
+  async function findUsers(ref, select = "_id") {
+    const value = String(ref || "").trim();
+    if (!value) return [];
+    if (isObjectId(value)) return User.find({ _id: value }).select(select).lean();
+    if (/^\d{5,15}$/.test(value)) {
+      const byTg = await User.find({ telegramId: Number(value) }).select(select).lean();
+      if (byTg.length) return byTg;
+    }
+    const phone = normalizeEtPhone(value);
+    if (phone && /^[+\d\s-]+$/.test(value)) return User.find({ phone }).select(select).lean();
+    const name = value.replace(/^@/, "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return User.find({ username: new RegExp(`^${name}$`, "i") }).select(select).limit(PAGE_SIZE).lean();
+  }
+
+  // ─── Session handling ───
+
+  router.use((req, res, next) => {
+    if (!consoleAuthEnabled()) return res.sendStatus(404);
+    res.set("Cache-Control", "no-store");
+    res.set("X-Frame-Options", "DENY");
+    next();
+  });
+
+  router.use(async (req, _res, next) => {
+    const cookie = parseCookies(req.get("cookie"))[SESSION_COOKIE];
+    const account = await readSession(cookie);
+    const roles = rolesForAdminRow(account);
+    // An account whose roles were all revoked is logged out
+    req.admin = account && roles.length ? { account, roles, cookie } : null;
+    next();
+  });
+
+  function audit(req, { permission, action, allowed = true, target = null, data = {} }) {
+    return recordAdminAction({
+      admin: req.admin?.account.telegramId ?? null,
+      adminUser: req.admin?.account._id ?? null,
+      via: "console",
+      roles: req.admin?.roles || [],
+      permission, action, allowed, target, data,
+    });
+  }
+
+  // Form posts need the CSRF token of the current session (login has no session yet)
+  router.use((req, res, next) => {
+    if (req.method !== "POST" || req.path === "/login") return next();
+    if (!req.admin || !checkCsrf(req.admin.cookie, req.body?._csrf)) {
+      return res.status(403).send(page(req, "Expired form", `<p>The form expired. <a href="/admin">Start again</a>.</p>`));
+    }
+    next();
+  });
+
+  router.get("/login", (req, res) => {
+    if (req.admin) return res.redirect("/admin");
+    const error = req.query.error === "throttled"
+      ? "Too many failed attempts. Try again in 15 minutes."
+      : req.query.error ? "Wrong username or password." : "";
+    res.send(page(req, "Log in", `
+      ${error ? `<div class="flash">${esc(error)}</div>` : ""}
+      <form method="post" action="/admin/login" class="card">
+        <p><label>Username<br><input name="username" autocomplete="username" required autofocus></label></p>
+        <p><label>Password<br><input name="password" type="password" autocomplete="current-password" required></label></p>
+        <button>Log in</button>
+      </form>
+      <p class="muted">Accounts are created by a super admin with /console_account in the bot.</p>`));
+  });
+
+  router.post("/login", async (req, res) => {
+    const result = await consoleLogin({ username: req.body?.username, password: req.body?.password, ip: req.ip });
+    if (!result.ok) return res.redirect(`/admin/login?error=${result.error}`);
+
+    const roles = rolesForAdminRow(result.account);
+    await recordAdminAction({
+      admin: result.account.telegramId ?? null, adminUser: result.account._id, via: "console", roles,
+      permission: "console.login", action: "console.login", allowed: roles.length > 0, data: { ip: req.ip },
+    });
+    if (!roles.length) return res.redirect("/admin/login?error=invalid");
+
+    const session = issueSession(result.account);
+    res.set("Set-Cookie", sessionCookie(session.value, session.expires, req.secure || req.get("x-forwarded-proto") === "https"));
+    res.redirect(result.account.mustChangePassword ? "/admin/password" : "/admin");
+  });
+
+  router.post("/logout", (_req, res) => {
+    res.set("Set-Cookie", clearedSessionCookie());
+    res.redirect("/admin/login");
+  });
+
+  // Everything below needs a session; a generated password has to be replaced first
+  router.use((req, res, next) => {
+    if (!req.admin) return req.method === "GET" ? res.redirect("/admin/login") : res.sendStatus(401);
+    if (req.admin.account.mustChangePassword && req.path !== "/password") return res.redirect("/admin/password");
+    next();
+  });
+
+  router.get("/password", (req, res) => {
+    const errors = {
+      wrong_password: "The current password is wrong.",
+      weak_password: `The new password needs at least ${MIN_PASSWORD_LENGTH} characters.`,
+      same_password: "Choose a password different from the current one.",
+      mismatch: "The two new passwords differ.",
+    };
+    res.send(page(req, "Change password", `
+      ${req.admin.account.mustChangePassword ? `<div class="flash">Replace the generated password before continuing.</div>` : ""}
+      ${errors[req.query.error] ? `<div class="flash">${esc(errors[req.query.error])}</div>` : ""}
+      <form method="post" action="/admin/password" class="card">${csrf(req)}
+        <p><label>Current password<br><input name="current" type="password" autocomplete="current-password" required></label></p>
+        <p><label>New password<br><input name="next" type="password" autocomplete="new-password" minlength="${MIN_PASSWORD_LENGTH}" required></label></p>
+        <p><label>New password again<br><input name="again" type="password" autocomplete="new-password" required></label></p>
+        <button>Change password</button>
+      </form>`));
+  });
+
+  router.post("/password", async (req, res) => {
+    if (req.body?.next !== req.body?.again) return res.redirect("/admin/password?error=mismatch");
+    const result = await changeConsolePassword(req.admin.account, req.body?.current, req.body?.next);
+    if (!result.ok) return res.redirect(`/admin/password?error=${result.error}`);
+
+    await audit(req, { permission: "console.login", action: "console.password_changed" });
+    // The old session's signature no longer matches: log in again with the new password
+    res.set("Set-Cookie", clearedSessionCookie());
+    res.redirect("/admin/login");
+  });
+
+  // ─── Dashboard ───
+
+  router.get("/", async (req, res) => {
+    const [byStatus, payouts, refunds, pendingIntents] = await Promise.all([
+      Task.aggregate([{ $group: { _id: "$status", n: { $sum: 1 } } }]),
+      TaskPayout.aggregate([{ $match: { status: { $ne: "succeeded" } } }, { $group: { _id: "$status", n: { $sum: 1 } } }]),
+      PaymentIntent.aggregate([
+        { $match: { refundStatus: { $in: ["requested", "queued", "pending", "failed"] } } },
+        { $group: { _id: "$refundStatus", n: { $sum: 1 } } },
+      ]),
+      PaymentIntent.countDocuments({ status: "pending" }),
+    ]);
+    const counts = (rows) => rows.map(r => `${esc(r._id)}: <strong>${r.n}</strong>`).join(" · ") || "none";
+
+    res.send(page(req, "Dashboard", `
+      <div class="card">Tasks by status: ${byStatus.map(r =>
+        `<a href="/admin/tasks${query({ status: r._id })}">${esc(r._id)}</a>: <strong>${r.n}</strong>`).join(" · ")}</div>
+      <div class="card">Unfinished payouts: ${counts(payouts)}</div>
+      <div class="card">Refunds in progress: ${counts(refunds)}</div>
+      <div class="card">Payment intents waiting for payment: <strong>${pendingIntents}</strong></div>
+      <p><a href="/admin/queues">Open the queues →</a></p>`));
+  });
+
+  // ─── Tasks ───
+
+  router.get("/tasks", async (req, res) => {
+    if (!rolesAllow(req.admin.roles, "tasks.timeline")) return denied(req, res, "tasks.timeline");
+    const { id = "", status = "", creator = "", doer = "" } = req.query;
+    const pageNum = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    if (isObjectId(id)) return res.redirect(`/admin/tasks/${id}`);
+
+    const filter = {};
+    if (TASK_STATUSES.includes(status)) filter.status = status;
+    if (creator) filter.creator = { $in: (await findUsers(creator)).map(u => u._id) };
+    if (doer) {
+      const doerIds = (await findUsers(doer)).map(u => u._id);
+      const workTasks = await DoerWork.find({ doer: { $in: doerIds } }).distinct("task");
+      filter.$or = [{ acceptedDoer: { $in: doerIds } }, { _id: { $in: workTasks } }];
+    }
+
+    const [count, tasks] = await Promise.all([
+      Task.countDocuments(filter),
+      Task.find(filter).sort({ postedAt: -1 }).skip((pageNum - 1) * PAGE_SIZE).limit(PAGE_SIZE)
+        .populate("creator", "fullName username telegramId").populate("acceptedDoer", "fullName username telegramId").lean(),
+    ]);
+
+    res.send(page(req, "Tasks", `
+      <form method="get" action="/admin/tasks" class="card">
+        <input name="id" placeholder="Task id" value="${esc(id)}">
+        <select name="status"><option value="">any status</option>${TASK_STATUSES.map(s =>
+          `<option${s === status ? " selected" : ""}>${esc(s)}</option>`).join("")}</select>
+        <input name="creator" placeholder="Creator (id, Telegram id, @username, phone)" value="${esc(creator)}" size="34">
+        <input name="doer" placeholder="Doer (id, Telegram id, @username, phone)" value="${esc(doer)}" size="34">
+        <button>Search</button>
+      </form>
+      ${id && !isObjectId(id) ? `<div class="flash">A task id has 24 hex characters.</div>` : ""}
+      ${pager(req, count)}
+      ${table(["Task", "Status", "Fee", "Creator", "Doer", "Posted", "Expiry"], tasks.map(t => [
+        `<a href="/admin/tasks/${esc(t._id)}">${esc(t._id)}</a><br><span class="muted">${esc(String(t.description || "").slice(0, 80))}</span>`,
+        esc(t.status),
+        esc(formatMoney(t.paymentFee, t.currency)),
+        userLink(t.creator),
+        userLink(t.acceptedDoer),
+        esc(when(t.postedAt)),
+        esc(when(t.expiry)),
+      ]))}`));
+  });
+
+  router.get("/tasks/:id", async (req, res) => {
+    if (!rolesAllow(req.admin.roles, "tasks.timeline")) return denied(req, res, "tasks.timeline");
+    if (!isObjectId(req.params.id)) return res.status(404).send(page(req, "Task not found", ""));
+
+    const task = await Task.findById(req.params.id)
+      .populate("creator", "fullName username telegramId").populate("acceptedDoer", "fullName username telegramId").lean();
+    if (!task) return res.status(404).send(page(req, "Task not found", ""));
+
+    const [intents, payouts, work, timeline] = await Promise.all([
+      PaymentIntent.find({ task: task._id }).sort({ createdAt: 1 }).lean(),
+      TaskPayout.find({ task: task._id }).sort({ createdAt: 1 }),
+      DoerWork.findOne({ task: task._id }).populate("doer", "fullName username telegramId").lean(),
+      deps.renderTaskTimeline(task._id),
+    ]);
+    const canRetry = rolesAllow(req.admin.roles, "payouts.retry");
+
+    res.send(page(req, `Task ${task._id}`, `
+      <div class="card">
+        <p>${esc(task.description)}</p>
+        <p>Status <strong>${esc(task.status)}</strong> · ${esc(formatMoney(task.paymentFee, task.currency))} · ${esc(task.skillLevel)}
+          · ${esc(task.exchangeStrategy)} · fee rules v${esc(task.feeRuleVersion ?? 1)}</p>
+        <p>Creator ${userLink(task.creator)} · Doer ${userLink(task.acceptedDoer || work?.doer)}
+          · ${task.applicants?.length || 0} applicant(s)</p>
+        <p class="muted">Posted ${esc(when(task.postedAt))} · expires ${esc(when(task.expiry))}
+          · ${esc(task.timeToComplete)} h to complete · ${esc(task.revisionTime)} h revision · penalty ${esc(task.latePenalty)}/h</p>
+        ${work ? `<p class="muted">Work: ${esc(work.status)}${work.completedAt ? `, sent ${esc(when(work.completedAt))}` : ""}
+          ${work.punishmentStartedAt ? ` · punishment started ${esc(when(work.punishmentStartedAt))}` : ""}</p>` : ""}
+      </div>
+      <h3>Payments</h3>
+      ${intentTable(intents)}
+      <h3>Payouts</h3>
+      ${payoutTable(req, payouts, canRetry)}
+      <h3>Timeline</h3>
+      <pre>${esc(timeline)}</pre>`));
+  });
+
+  // ─── Users ───
+
+  router.get("/users", async (req, res) => {
+    if (!rolesAllow(req.admin.roles, "users.status")) return denied(req, res, "users.status");
+    const q = String(req.query.q || "").trim();
+    const users = q ? await findUsers(q, "fullName username telegramId createdAt onboardingStep") : [];
+    if (users.length === 1) return res.redirect(`/admin/users/${users[0]._id}`);
+
+    res.send(page(req, "Users", `
+      <form method="get" action="/admin/users" class="card">
+        <input name="q" placeholder="User id, Telegram id, @username or phone" value="${esc(q)}" size="40" autofocus>
+        <button>Find</button>
+      </form>
+      ${q ? table(["User", "Telegram id", "Onboarding", "Joined"], users.map(u => [
+        userLink(u), esc(u.telegramId), esc(u.onboardingStep), esc(when(u.createdAt)),
+      ])) : ""}`));
+  });
+
+  router.get("/users/:id", async (req, res) => {
+    if (!rolesAllow(req.admin.roles, "users.status")) return denied(req, res, "users.status");
+    if (!isObjectId(req.params.id)) return res.status(404).send(page(req, "User not found", ""));
+
+    const stats = await deps.buildUserStatusSummary(req.params.id);
+    if (!stats?.user) return res.status(404).send(page(req, "User not found", ""));
+    const { user } = stats;
+
+    const [banned, created, doing] = await Promise.all([
+      Banlist.exists({ $or: [{ user: user._id }, { telegramId: user.telegramId }] }),
+      Task.find({ creator: user._id }).sort({ postedAt: -1 }).limit(10).select("status paymentFee currency postedAt").lean(),
+      DoerWork.find({ doer: user._id }).sort({ _id: -1 }).limit(10).select("task status completedAt").lean(),
+    ]);
+    const canBan = rolesAllow(req.admin.roles, "users.ban");
+
+    res.send(page(req, user.fullName || user.username || String(user.telegramId), `
+      <div class="card">
+        <p>User id ${esc(user._id)} · Telegram id ${esc(user.telegramId)} · ${user.username ? `@${esc(user.username)}` : "no username"}
+          · language ${esc(user.language)}</p>
+        <p>Phone ${esc(maskValue(user.phone) || "-")} · Email ${esc(maskEmail(user.email) || "-")}</p>
+        <p>Payout accounts: ${esc((user.bankDetails || []).map(b =>
+          describeDestination({ ...b.toObject?.() ?? b, accountNumber: maskValue(b.accountNumber) })).join(" | ") || "-")}</p>
+        <p>Onboarding ${esc(user.onboardingStep)} · joined ${esc(when(user.createdAt))}
+          · earned ${esc(user.stats?.totalEarned ?? 0)} · spent ${esc(user.stats?.totalSpent ?? 0)}</p>
+        <p>${banned ? "<strong>🚫 Banned</strong>" : "Not banned"}
+          ${canBan ? (banned
+            ? actionButton(req, `/admin/users/${user._id}/unban`, "Unban", { confirm: "also cancels their active tasks" })
+            : actionButton(req, `/admin/users/${user._id}/ban`, "Ban", { danger: true, confirm: "ban from the bot and group" })) : ""}</p>
+      </div>
+      <h3>Status</h3>
+      ${table(["", "Count"], STATUS_LABELS.map(([key, label]) => [esc(label), esc(stats[key] ?? 0)]))}
+      <h3>Latest tasks created</h3>
+      ${table(["Task", "Status", "Fee", "Posted"], created.map(t => [
+        `<a href="/admin/tasks/${esc(t._id)}">${esc(t._id)}</a>`, esc(t.status), esc(formatMoney(t.paymentFee, t.currency)), esc(when(t.postedAt)),
+      ]))}
+      <h3>Latest work as doer</h3>
+      ${table(["Task", "Work status", "Sent"], doing.map(w => [
+        `<a href="/admin/tasks/${esc(w.task)}">${esc(w.task)}</a>`, esc(w.status), esc(when(w.completedAt)),
+      ]))}`));
+  });
+
+  // ─── Queues ───
+
+  function intentTable(intents) {
+    return table(["Intent", "Type", "Amount", "Provider", "Status", "Refund", "Created"], intents.map(i => [
+      `${esc(i._id)}<br><span class="muted">${esc(i.reference || i.chapaTxRef || "")}</span>`,
+      esc(i.type),
+      esc(formatMoney(i.refundAmount ?? i.amount, i.currency)),
+      esc(i.provider),
+      esc(i.status),
+      `${esc(i.refundStatus || "none")}${i.lastRefundError ? `<br><span class="muted">${esc(String(i.lastRefundError).slice(0, 160))}</span>` : ""}`,
+      esc(when(i.createdAt)),
+    ]));
+  }
+
+  function payoutTable(req, payouts, canRetry) {
+    return table(["Payout", "Kind", "Amount", "To", "Status", "Last error", "Actions"], payouts.map(p => [
+      `${esc(p._id)}<br><span class="muted">${esc(p.reference)}</span>`,
+      `${esc(p.kind)}${p.stageNum ? ` (stage ${esc(p.stageNum)})` : ""}${p.task ? `<br><a href="/admin/tasks/${esc(p.task)}">task</a>` : ""}`,
+      esc(formatMoney(p.amount, p.currency)),
+      `${esc(p.bankName || p.destination)} ${esc(maskValue(p.accountNumber) || "")}${p.accountCheck?.status ? `<br><span class="muted">name check: ${esc(p.accountCheck.status)}</span>` : ""}`,
+      `${esc(p.status)}${p.retryCanceled ? "<br><strong>retry off</strong>" : ""}`,
+      `${esc(String(p.lastError || "").slice(0, 160))}<br><span class="muted">${esc(when(p.lastAttemptAt))}</span>`,
+      canRetry && p.status !== "succeeded" ? [
+        ["queued", "requested"].includes(p.status) || p.retryCanceled
+          ? actionButton(req, `/admin/payouts/${p._id}/retry`, p.retryCanceled ? "Retry again" : "Retry now") : "",
+        !p.retryCanceled ? actionButton(req, `/admin/payouts/${p._id}/cancel-retry`, "Cancel retry", { danger: true, confirm: "stop retrying" }) : "",
+      ].join(" ") : "",
+    ]));
+  }
+
+  router.get("/queues", async (req, res) => {
+    if (!rolesAllow(req.admin.roles, "queues.view")) return denied(req, res, "queues.view");
+
+    const [intents, payouts, refunds] = await Promise.all([
+      PaymentIntent.find({ status: "pending" }).sort({ createdAt: -1 }).limit(PAGE_SIZE).lean(),
+      TaskPayout.find({ status: { $ne: "succeeded" } }).sort({ createdAt: 1 }).limit(PAGE_SIZE * 2),
+      PaymentIntent.find({ refundStatus: { $in: ["requested", "queued", "pending", "failed"] } })
+        .sort({ lastRefundAttemptAt: -1 }).limit(PAGE_SIZE).lean(),
+    ]);
+    const canRetry = rolesAllow(req.admin.roles, "payouts.retry");
+
+    res.send(page(req, "Queues", `
+      <h3>Payouts not yet succeeded (${payouts.length})</h3>
+      <p class="muted">Held payouts are approved or rejected from the payout audit channel (name check).
+        Retried payouts go out with the next payout run (every 10 minutes).</p>
+      ${payoutTable(req, payouts, canRetry)}
+      <h3>Refunds in progress (${refunds.length})</h3>
+      ${intentTable(refunds)}
+      <h3>Payment intents waiting for payment (${intents.length})</h3>
+      ${intentTable(intents)}`));
+  });
+
+  // ─── Actions ───
+
+  // Back to the page the form was on (only console pages), with a message
+  function backTo(req, fallback) {
+    const back = String(req.body?.back || "");
+    const url = /^\/admin\/[\w\-/?=&%.@+]*$/.test(back) ? back : fallback;
+    return (msg) => `${url}${url.includes("?") ? "&" : "?"}msg=${encodeURIComponent(msg)}`;
+  }
+
+  // Runs one console action: permission check, AdminAction row, then the shared function
+  function consoleAction(path, { permission, action, run, messages }) {
+    router.post(path, async (req, res) => {
+      const target = req.params.id;
+      const back = backTo(req, "/admin/queues");
+      const allowed = rolesAllow(req.admin.roles, permission);
+      await audit(req, { permission, action, allowed, target });
+      if (!allowed) return denied(req, res, permission);
+      if (!isObjectId(target)) return res.redirect(back("Unknown id."));
+
+      try {
+        const result = await run(target);
+        res.redirect(back(result.ok ? messages.ok : (messages[result.error] || `Not done (${result.error}).`)));
+      } catch (e) {
+        console.error(`Admin console ${action} failed:`, e);
+        res.redirect(back("Something went wrong, please check the logs."));
+      }
+    });
+  }
+
+  consoleAction("/payouts/:id/retry", {
+    permission: "payouts.retry",
+    action: "console.payout_retry",
+    run: (id) => deps.retryPayout(id),
+    messages: {
+      ok: "Payout queued again; it goes out with the next payout run.",
+      not_found: "Payout not found.",
+      succeeded: "This payout already succeeded.",
+      held: "This payout is held for a name check; approve it from the payout audit channel.",
+      in_flight: "The provider already accepted this payout; wait for its result.",
+      reversed: "This withdrawal was returned to the user's wallet and can't be retried.",
+    },
+  });
+
+  consoleAction("/payouts/:id/cancel-retry", {
+    permission: "payouts.retry",
+    action: "console.payout_cancel_retry",
+    run: (id) => deps.cancelPayoutRetry(id),
+    messages: { ok: "Automatic retry cancelled for this payout.", not_found: "Payout not found.", already: "Retry was already cancelled." },
+  });
+
+  consoleAction("/users/:id/ban", {
+    permission: "users.ban",
+    action: "console.ban",
+    run: async (id) => {
+      const user = await User.findById(id);
+      return user ? deps.banUser(user) : { ok: false, error: "not_found" };
+    },
+    messages: { ok: "User banned from the bot and the group.", not_found: "User not found.", bot_unavailable: "The bot isn't running yet; try again shortly." },
+  });
+
+  consoleAction("/users/:id/unban", {
+    permission: "users.ban",
+    action: "console.unban",
+    run: async (id) => {
+      const user = await User.findById(id);
+      return user ? deps.unbanUser(user) : { ok: false, error: "not_found" };
+    },
+    messages: { ok: "User unbanned; their active tasks were cancelled so they start fresh.", not_found: "User not found.", bot_unavailable: "The bot isn't running yet; try again shortly." },
+  });
+
+  return router;
+}
+
+module.exports = { createAdminConsole };
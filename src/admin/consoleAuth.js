@@ -0,0 +1,201 @@
+// admin/consoleAuth.js
+//
+// Logins for the admin web console (admin/console.js). Accounts are AdminUser rows with a username and
+// a scrypt password hash. /console_account creates one (or resets its password) and shows a one-time
+// password that has to be changed at the first login. Roles come from the same row (admin/permissions.js).
+//
+// Sessions are stateless signed cookies, <adminUserId>.<expiresAt>.<hmac>, keyed with ADMIN_CONSOLE_SECRET.
+// The time the password was set is part of the signature, so a password change ends every session of the account.
+// Form posts carry a CSRF token derived from the session cookie.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const AdminUser = require("../models/AdminUser");
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = "taskifay_admin";
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+const MIN_PASSWORD_LENGTH = 10;
+const USERNAME_RE = /^[a-z][a-z0-9_.-]{2,31}$/;
+
+let secret = null;
+const loginFailures = new Map();   // "<ip>|<username>" → { count, first }
+
+function configureConsoleAuth({ sessionSecret }) {
+  secret = sessionSecret ? String(sessionSecret) : null;
+  return !!secret;
+}
+
+function consoleAuthEnabled() {
+  return !!secret;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt:${salt.toString("base64")}:${hash.toString("base64")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltB64, hashB64] = String(stored || "").split(":");
+  if (scheme !== "scrypt" || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, "base64");
+  const actual = await scrypt(String(password), Buffer.from(saltB64, "base64"), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked against when the username doesn't exist, so both cases take the same time
+const DUMMY_HASH = `scrypt:${Buffer.alloc(16).toString("base64")}:${Buffer.alloc(64).toString("base64")}`;
+
+/**
+ * Create a console login, or reset its password. With a Telegram id the login is attached to that
+ * admin's row, so it shares their roles.
+ * @returns {Promise<{ok: true, created: boolean, password: string, account: object} | {ok: false, error: string}>}
+ *   error: "bad_username" | "username_taken"
+ */
+async function createConsoleAccount({ username, telegramId = null, by }) {
+  const name = String(username || "").trim().toLowerCase();
+  if (!USERNAME_RE.test(name)) return { ok: false, error: "bad_username" };
+
+  const byName = await AdminUser.findOne({ username: name });
+  const byTg = telegramId != null ? await AdminUser.findOne({ telegramId: Number(telegramId) }) : null;
+  if (byName && byTg && !byName._id.equals(byTg._id)) return { ok: false, error: "username_taken" };
+  if (byName && telegramId != null && byName.telegramId != null && byName.telegramId !== Number(telegramId)) {
+    return { ok: false, error: "username_taken" };
+  }
+
+  const password = crypto.randomBytes(12).toString("base64url");
+  const account = byName || byTg || new AdminUser({ grantedBy: by, grantedAt: new Date() });
+  account.username = name;
+  if (telegramId != null) account.telegramId = Number(telegramId);
+  account.passwordHash = await hashPassword(password);
+  account.passwordSetAt = new Date();
+  account.mustChangePassword = true;
+  await account.save();
+  return { ok: true, created: !byName && !byTg, password, account };
+}
+
+/**
+ * Check a username / password. Five failures for one IP + username lock it out for 15 minutes.
+ * @returns {Promise<{ok: true, account: object} | {ok: false, error: "throttled" | "invalid"}>}
+ */
+async function consoleLogin({ username, password, ip }) {
+  const name = String(username || "").trim().toLowerCase();
+  const key = `${ip}|${name}`;
+  const failures = loginFailures.get(key);
+  if (failures && Date.now() - failures.first < LOGIN_WINDOW_MS && failures.count >= LOGIN_MAX_FAILURES) {
+    return { ok: false, error: "throttled" };
+  }
+
+  const account = USERNAME_RE.test(name) ? await AdminUser.findOne({ username: name }) : null;
+  const valid = await verifyPassword(password, account?.passwordHash || DUMMY_HASH);
+  if (!account?.passwordHash || !valid) {
+    const fresh = !failures || Date.now() - failures.first >= LOGIN_WINDOW_MS;
+    loginFailures.set(key, fresh ? { count: 1, first: Date.now() } : { ...failures, count: failures.count + 1 });
+    return { ok: false, error: "invalid" };
+  }
+
+  loginFailures.delete(key);
+  await AdminUser.updateOne({ _id: account._id }, { $set: { lastLoginAt: new Date() } });
+  return { ok: true, account };
+}
+
+/**
+ * @returns {Promise<{ok: true} | {ok: false, error: "wrong_password" | "weak_password" | "same_password"}>}
+ */
+async function changeConsolePassword(account, current, next) {
+  if (!(await verifyPassword(current, account.passwordHash))) return { ok: false, error: "wrong_password" };
+  if (String(next || "").length < MIN_PASSWORD_LENGTH) return { ok: false, error: "weak_password" };
+  if (next === current) return { ok: false, error: "same_password" };
+
+  await AdminUser.updateOne(
+    { _id: account._id },
+    { $set: { passwordHash: await hashPassword(next), passwordSetAt: new Date(), mustChangePassword: false } }
+  );
+  return { ok: true };
+}
+
+// ─── Sessions ───
+
+function sign(payload) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function issueSession(account) {
+  const expires = Date.now() + SESSION_TTL_MS;
+  const base = `${account._id}.${expires}`;
+  return { value: `${base}.${sign(`${base}.${+account.passwordSetAt || 0}`)}`, expires: new Date(expires) };
+}
+
+// The AdminUser behind a session cookie, or null (expired, forged, password changed since)
+async function readSession(value) {
+  if (!secret || !value) return null;
+  const [id, expires, sig] = String(value).split(".");
+  if (!/^[a-f0-9]{24}$/.test(id || "") || !(Number(expires) > Date.now())) return null;
+
+  const account = await AdminUser.findById(id).lean();
+  if (!account?.passwordHash) return null;
+  return safeEqual(sig, sign(`${id}.${expires}.${+account.passwordSetAt || 0}`)) ? account : null;
+}
+
+function csrfToken(sessionValue) {
+  return sign(`csrf.${sessionValue}`);
+}
+
+function checkCsrf(sessionValue, token) {
+  return !!sessionValue && safeEqual(token, csrfToken(sessionValue));
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq < 0) continue;
+    try {
+      out[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch (_) { }
+  }
+  return out;
+}
+
+function sessionCookie(value, expires, secure) {
+  return [
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+    "Path=/admin",
+    "HttpOnly",
+    "SameSite=Strict",
+    `Expires=${expires.toUTCString()}`,
+    ...(secure ? ["Secure"] : []),
+  ].join("; ");
+}
+
+function clearedSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/admin; HttpOnly; SameSite=Strict; Expires=${new Date(0).toUTCString()}`;
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  MIN_PASSWORD_LENGTH,
+  USERNAME_RE,
+  configureConsoleAuth,
+  consoleAuthEnabled,
+  createConsoleAccount,
+  consoleLogin,
+  changeConsolePassword,
+  issueSession,
+  readSession,
+  csrfToken,
+  checkCsrf,
+  parseCookies,
+  sessionCookie,
+  clearedSessionCookie,
+};
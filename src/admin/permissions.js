@@ -0,0 +1,178 @@
+// admin/permissions.js
+//
+// Admin roles and what each may do. AdminUser rows hold the roles; every admin button / command
+// asks can(telegramId, permission) and the attempt (allowed or denied) is logged as an AdminAction.
+// Web console accounts (admin/consoleAuth.js) are AdminUser rows too, found by username; admin API
+// tokens (admin/apiTokens.js) act with the roles of the row they belong to.
+//
+//   super_admin  everything, including fee rules and granting / revoking roles
+//   finance      payouts, refunds, dispute verdicts, ledger reports, webhook replays
+//   moderator    bans, manual punishments, account status, dispute evidence
+//   support      account status, revealing contact details, dispute evidence, timelines
+//
+// The config's SUPER_ADMIN_TG_ID is always super_admin (it can't be revoked, so the bot can't be
+// locked out). Roles are cached per admin for ROLE_CACHE_MS; grant / revoke clear the cache.
+
+const AdminUser = require("../models/AdminUser");
+const AdminAction = require("../models/AdminAction");
+const { ADMIN_ROLES } = AdminUser;
+
+// permission → roles that have it besides super_admin
+const PERMISSIONS = {
+  "users.ban":        ["moderator"],                          // ADMIN_BAN_ / ADMIN_UNBAN_
+  "users.punish":     ["moderator"],                          // ADMIN_PUNISH_
+  "users.status":     ["moderator", "support", "finance"],    // ADMIN_STATUS_, console user pages, API users / banlist
+  "users.reveal":     ["support"],                            // ADMIN_REVEAL_
+  "disputes.view":    ["moderator", "support", "finance"],    // DP_OPEN_, DP_SEND_CORRECTIONS_, API escalations
+  "disputes.resolve": ["finance"],                            // DP_VERDICT_ / DP_SPLIT_ / DP_CONFIRM_, /settle
+  "refunds.manual":   ["finance"],                            // NOTORIOUS_REFUND_, API refund
+  "payouts.approve":  ["finance"],                            // PAYOUT_APPROVE_ / PAYOUT_REJECT_
+  "payouts.retry":    ["finance"],                            // PAYOUT_CANCEL_RETRY_, console retry / cancel retry
+  "payouts.reveal":   ["finance"],                            // PAYOUT_REVEAL_
+  "finance.reports":  ["finance"],                            // /trialbalance, /reconcile
+  "tasks.timeline":   ["moderator", "support", "finance"],    // /timeline, console task search, API tasks / doer works
+  "queues.view":      ["finance"],                            // console queues, API payment intents / payouts
+  "webhooks.manage":  ["finance"],                            // /webhooks, /webhook_replay
+  "fees.manage":      [],                                     // /feerules
+  "admins.manage":    [],                                     // /admins, /grant, /revoke, /console_account, /api_token
+  "partners.manage":  [],                                     // /partner_key, /partner_keys, /partner_key_revoke
+};
+
+const ROLE_CACHE_MS = 30 * 1000;
+const roleCache = new Map();   // telegramId → { roles, at }
+let rootAdminTgId = null;
+
+function configureAdminRoles({ superAdminTgId }) {
+  rootAdminTgId = Number(superAdminTgId) || null;
+  roleCache.clear();
+}
+
+function isRootAdmin(telegramId) {
+  return rootAdminTgId != null && telegramId != null && Number(telegramId) === rootAdminTgId;
+}
+
+// An admin named by Telegram id (number or digits) or by console username
+function adminFilter(ref) {
+  if (typeof ref === "number" || /^\d+$/.test(String(ref))) return { telegramId: Number(ref) };
+  return { username: String(ref).trim().toLowerCase() };
+}
+
+// Roles of an AdminUser row (e.g. a console account), including the root admin's super_admin
+function rolesForAdminRow(row) {
+  if (!row) return [];
+  return [...new Set([...(isRootAdmin(row.telegramId) ? ["super_admin"] : []), ...(row.roles || [])])];
+}
+
+/**
+ * Roles of a Telegram user ([] for non-admins).
+ * @returns {Promise<string[]>}
+ */
+async function adminRolesFor(telegramId) {
+  const id = Number(telegramId);
+  if (!Number.isFinite(id)) return [];
+
+  const cached = roleCache.get(id);
+  if (cached && Date.now() - cached.at < ROLE_CACHE_MS) return cached.roles;
+
+  const row = await AdminUser.findOne({ telegramId: id }).lean();
+  const roles = rolesForAdminRow(row || { telegramId: id });
+  roleCache.set(id, { roles, at: Date.now() });
+  return roles;
+}
+
+function rolesAllow(roles, permission) {
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown admin permission "${permission}"`);
+  return roles.includes("super_admin") || roles.some(r => PERMISSIONS[permission].includes(r));
+}
+
+async function can(telegramId, permission) {
+  return rolesAllow(await adminRolesFor(telegramId), permission);
+}
+
+/**
+ * Give a role to an admin (Telegram id or console username). A Telegram id gets a row on first grant;
+ * a console username must already exist (admin/consoleAuth.js createConsoleAccount).
+ * Returns { ok, already } or { ok: false, error: "unknown_role" | "unknown_admin" }.
+ */
+async function grantRole({ admin, role, by, name = null }) {
+  if (!ADMIN_ROLES.includes(role)) return { ok: false, error: "unknown_role" };
+  const filter = adminFilter(admin);
+
+  const before = await AdminUser.findOne(filter).lean();
+  if (!before && filter.username) return { ok: false, error: "unknown_admin" };
+  if (before?.roles?.includes(role)) return { ok: true, already: true };
+
+  await AdminUser.updateOne(
+    filter,
+    {
+      $addToSet: { roles: role },
+      $set: { grantedBy: by, grantedAt: new Date(), ...(name ? { name } : {}) },
+    },
+    { upsert: true }
+  );
+  roleCache.clear();
+  return { ok: true, already: false };
+}
+
+/**
+ * Take a role away ("all" removes every role). The root admin's super_admin can't be revoked.
+ * Returns { ok, removed: [...] } or { ok: false, error: "unknown_role" | "root_admin" }.
+ */
+async function revokeRole({ admin, role, by }) {
+  if (role !== "all" && !ADMIN_ROLES.includes(role)) return { ok: false, error: "unknown_role" };
+  const filter = adminFilter(admin);
+
+  const row = await AdminUser.findOne(filter).lean();
+  if (isRootAdmin(filter.telegramId ?? row?.telegramId) && (role === "all" || role === "super_admin")) {
+    return { ok: false, error: "root_admin" };
+  }
+  const removed = (row?.roles || []).filter(r => role === "all" || r === role);
+  if (!removed.length) return { ok: true, removed: [] };
+
+  await AdminUser.updateOne(
+    filter,
+    { $pull: { roles: { $in: removed } }, $set: { revokedBy: by, revokedAt: new Date() } }
+  );
+  roleCache.clear();
+  return { ok: true, removed };
+}
+
+// Everyone with at least one role, plus the root admin
+async function listAdmins() {
+  const rows = await AdminUser.find({ roles: { $ne: [] } }).sort({ grantedAt: 1 }).lean();
+  if (rootAdminTgId != null && !rows.some(r => r.telegramId === rootAdminTgId)) {
+    rows.unshift({ telegramId: rootAdminTgId, name: null, roles: [] });
+  }
+  return rows.map(r => ({ ...r, roles: rolesForAdminRow(r), root: isRootAdmin(r.telegramId) }));
+}
+
+// Logging must never break the action it describes
+async function recordAdminAction({
+  admin = null, adminUser = null, via = "telegram", roles = [], permission, action, allowed, target = null, data = {}
+}) {
+  try {
+    await AdminAction.create({
+      admin, adminUser, via, roles, permission, action, allowed,
+      target: target == null ? null : String(target),
+      data,
+    });
+  } catch (e) {
+    console.error("AdminAction log failed:", action, e.message);
+  }
+}
+
+module.exports = {
+  ADMIN_ROLES,
+  PERMISSIONS,
+  configureAdminRoles,
+  isRootAdmin,
+  adminFilter,
+  rolesForAdminRow,
+  adminRolesFor,
+  rolesAllow,
+  can,
+  grantRole,
+  revokeRole,
+  listAdmins,
+  recordAdminAction,
+};
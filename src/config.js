@@ -0,0 +1,133 @@
+// src/config.js
+//
+// Central, validated configuration (channel/admin IDs, commission, …).
+// Sources, lowest → highest priority:
+//   1) built-in defaults of the active profile (PROFILES below)
+//   2) an optional JSON file: CONFIG_FILE, or config/<profile>.json when it exists
+//      (copy config/staging.example.json → config/staging.json for the staging bot)
+//   3) environment variables with the same names
+// APP_PROFILE selects the profile: "production" (default) or "staging".
+// Staging has NO channel defaults on purpose, so a staging bot can never post into production channels.
+// Entries marked optional may be left unset everywhere; optionalIn lists the profiles that may leave them unset.
+
+const fs = require("fs");
+const path = require("path");
+
+// name → type ("chatId" = Telegram chat/user id, stored as a Number;
+//               "keyring" = "<id>:<base64 32-byte key>,…", newest first;
+//               "secret" = a non-empty string, never logged)
+const SCHEMA = {
+  CHANNEL_ID:               { type: "chatId",  desc: "public channel where tasks are posted" },
+  RATING_CHANNEL_ID:        { type: "chatId",  desc: "channel for rating summaries" },
+  REFUND_AUDIT_CHANNEL_ID:  { type: "chatId",  desc: "refund/payout audit channel" },
+  DISPUTE_CHANNEL_ID:       { type: "chatId",  desc: "dispute package channel" },
+  AUDIT_CHANNEL_ID:         { type: "chatId",  desc: "private audit channel" },
+  ESCALATION_CHANNEL_ID:    { type: "chatId",  desc: "channel for escalation summaries" },
+  ADMIN_PROFILE_CHANNEL_ID: { type: "chatId",  desc: "channel with admin copies of user profiles" },
+  TASK_ACTIVITY_CHANNEL_ID: { type: "chatId",  desc: "channel logging applications / winners" },
+  BAN_GROUP_ID:             { type: "chatId",  desc: "group where banned users are muted" },
+  SUPER_ADMIN_TG_ID:        { type: "chatId",  desc: "Telegram id of the super admin" },
+  PLATFORM_COMMISSION_RATE: { type: "rate",    desc: "initial platform commission (0–1); seeds fee rule version 1, later changes go through /feerules" },
+  FIELD_ENCRYPTION_KEYS:    { type: "keyring", optional: true, desc: "keys for encrypting contact and bank details at rest (security/fieldEncryption.js)" },
+  CHAPA_WEBHOOK_SECRET:     { type: "secret",  optionalIn: ["staging"], desc: "Chapa dashboard webhook secret; signed Chapa webhooks are refused without it" },
+};
+
+const PROFILES = {
+  production: {
+    CHANNEL_ID:               -1002557660183,
+    RATING_CHANNEL_ID:        -1002289847417,
+    REFUND_AUDIT_CHANNEL_ID:  -1002616271109,
+    DISPUTE_CHANNEL_ID:       -1002432632907,
+    AUDIT_CHANNEL_ID:         -1002616271109,
+    ESCALATION_CHANNEL_ID:    -1002432632907,
+    ADMIN_PROFILE_CHANNEL_ID: -1002310380363,
+    TASK_ACTIVITY_CHANNEL_ID: -1003092603337,
+    BAN_GROUP_ID:             -1002239730204,
+    SUPER_ADMIN_TG_ID:        806525520,
+    PLATFORM_COMMISSION_RATE: 0.05,
+  },
+  staging: {
+    PLATFORM_COMMISSION_RATE: 0.05,
+  },
+};
+
+function readConfigFile(profile) {
+  const explicit = process.env.CONFIG_FILE;
+  const file = explicit
+    ? path.resolve(explicit)
+    : path.join(__dirname, "..", "config", `${profile}.json`);
+
+  if (!fs.existsSync(file)) {
+    if (explicit) throw new Error(`CONFIG_FILE not found: ${file}`);
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function coerce(name, type, raw) {
+  if (type === "chatId") {
+    const n = typeof raw === "number" ? raw : (/^-?\d+$/.test(String(raw).trim()) ? Number(String(raw).trim()) : NaN);
+    if (!Number.isSafeInteger(n) || n === 0) throw new Error(`${name} must be a Telegram chat id (integer), got "${raw}"`);
+    return n;
+  }
+  if (type === "rate") {
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0 || n >= 1) throw new Error(`${name} must be a number between 0 and 1, got "${raw}"`);
+    return n;
+  }
+  if (type === "keyring") {
+    const keys = String(raw).split(",").map(s => s.trim()).filter(Boolean).map(entry => {
+      const [id, b64] = entry.split(":");
+      const key = Buffer.from(b64 || "", "base64");
+      if (!/^[A-Za-z0-9_-]{1,16}$/.test(id || "") || key.length !== 32) {
+        throw new Error(`${name} entries must look like "<id>:<base64 of 32 random bytes>", got "${(id || "")}:…"`);
+      }
+      return Object.freeze({ id, key });
+    });
+    if (!keys.length) throw new Error(`${name} must list at least one key`);
+    if (new Set(keys.map(k => k.id)).size !== keys.length) throw new Error(`${name} has duplicate key ids`);
+    return Object.freeze({ keys: Object.freeze(keys) });
+  }
+  if (type === "secret") {
+    if (typeof raw !== "string" || !raw.trim()) throw new Error(`${name} must be a non-empty string`);
+    return raw.trim();
+  }
+  throw new Error(`${name}: unknown config type "${type}"`);
+}
+
+function loadConfig() {
+  const profile = String(process.env.APP_PROFILE || "production").toLowerCase();
+  if (!PROFILES[profile]) {
+    throw new Error(`Unknown APP_PROFILE "${profile}" (expected: ${Object.keys(PROFILES).join(", ")})`);
+  }
+
+  const fromFile = readConfigFile(profile);
+  const errors = [];
+  const out = { profile };
+
+  for (const [name, { type, desc, optional, optionalIn = [] }] of Object.entries(SCHEMA)) {
+    const env = process.env[name];
+    const raw = (env !== undefined && env !== "") ? env
+      : (fromFile[name] !== undefined ? fromFile[name] : PROFILES[profile][name]);
+
+    if (raw === undefined || raw === null || raw === "") {
+      if (optional || optionalIn.includes(profile)) continue;
+      errors.push(`${name} is required for profile "${profile}" (${desc})`);
+      continue;
+    }
+    try {
+      out[name] = coerce(name, type, raw);
+    } catch (e) {
+      errors.push(e.message);
+    }
+  }
+
+  if (errors.length) {
+    const err = new Error(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+    err.configErrors = errors;
+    throw err;
+  }
+  return Object.freeze(out);
+}
+
+module.exports = { loadConfig, SCHEMA, PROFILES };
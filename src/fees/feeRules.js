@@ -0,0 +1,291 @@
+// fees/feeRules.js
+//
+// Versioned fee rules: commission, fee limits per currency, late-penalty cap and promotional
+// commission windows. Every published set is an immutable FeeRuleSet version; a task keeps the
+// version it was posted under (Task.feeRuleVersion), so its payout can always be recomputed with
+// the same numbers even after the rules change.
+//
+// Rules shape:
+//   {
+//     commission: { defaultRate: 0.05,
+//                   bySkillLevel: { Professional: 0.07 },        // optional
+//                   byField: { "Graphic Design": 0.04 },          // optional, wins over skill level
+//                   byCurrency: { USD: 0.08 } },                  // optional, replaces defaultRate
+//     fees:       { ETB: { min: 50, max: null, telegramInvoiceMin: 135 },
+//                   USD: { min: 5, max: null, telegramInvoiceMin: 1 } },
+//     penalty:    { maxDeductionRate: 0.65 },                     // fee never drops below 35%
+//     stars:      { perUnit: { ETB: 0.6, USD: 77 } },             // optional, Telegram Stars per 1 unit
+//     promotions: [{ name: "launch week", from: "2025-01-01", to: "2025-01-08",
+//                    commissionRate: 0, fields?: [...], skillLevels?: [...] }]
+//   }
+// Creators can price a task in any currency listed under `fees` (payments/currency.js).
+// A currency listed under stars.perUnit can also be escrowed with Telegram Stars (XTR invoices);
+// the Stars price is the fee × rate, rounded up to a whole Star.
+// Promotions are matched against the task's postedAt, not the payout time.
+
+const FeeRuleSet = require("../models/FeeRuleSet");
+
+const SKILL_LEVELS = ["Beginner", "Intermediate", "Professional"];
+const ACTIVE_CACHE_MS = 60 * 1000;
+
+let seedDefaults = buildDefaultFeeRules({});
+let activeCache = null;           // { at, set }
+const versionCache = new Map();   // version → plain FeeRuleSet (versions never change)
+
+// The rules that were hard-coded before versioning; seeded as version 1
+function buildDefaultFeeRules({ commissionRate = 0.05 } = {}) {
+  return {
+    commission: { defaultRate: commissionRate, bySkillLevel: {}, byField: {}, byCurrency: {} },
+    fees: {
+      // Telegram shows ~132.53 ETB as its invoice minimum; 135 avoids edge failures
+      ETB: { min: 50, max: null, telegramInvoiceMin: 135 },
+      USD: { min: 5, max: null, telegramInvoiceMin: 1 },
+    },
+    penalty: { maxDeductionRate: 0.65 },
+    // Roughly Telegram's Star price (~$0.013); tune per market by publishing a new version
+    stars: { perUnit: { ETB: 0.6, USD: 77 } },
+    promotions: [],
+  };
+}
+
+// Called once by index.js with the configured commission, before the first lookup
+function initFeeRules({ commissionRate } = {}) {
+  seedDefaults = buildDefaultFeeRules({ commissionRate });
+}
+
+function isRate(x) {
+  return typeof x === "number" && Number.isFinite(x) && x >= 0 && x < 1;
+}
+
+function isDate(x) {
+  return x != null && !Number.isNaN(new Date(x).getTime());
+}
+
+/**
+ * Validate a rules object. Throws one Error listing every problem (err.ruleErrors has them
+ * one by one), otherwise returns a normalized copy.
+ */
+function validateFeeRules(input) {
+  const errors = [];
+  const r = input && typeof input === "object" ? input : {};
+
+  const commission = r.commission || {};
+  if (!isRate(commission.defaultRate)) errors.push("commission.defaultRate must be a number between 0 and 1");
+  for (const [level, rate] of Object.entries(commission.bySkillLevel || {})) {
+    if (!SKILL_LEVELS.includes(level)) errors.push(`commission.bySkillLevel: unknown skill level "${level}"`);
+    if (!isRate(rate)) errors.push(`commission.bySkillLevel.${level} must be a number between 0 and 1`);
+  }
+  for (const [field, rate] of Object.entries(commission.byField || {})) {
+    if (!isRate(rate)) errors.push(`commission.byField["${field}"] must be a number between 0 and 1`);
+  }
+  for (const [currency, rate] of Object.entries(commission.byCurrency || {})) {
+    if (!(currency in (r.fees || {}))) errors.push(`commission.byCurrency: "${currency}" has no fees entry`);
+    if (!isRate(rate)) errors.push(`commission.byCurrency.${currency} must be a number between 0 and 1`);
+  }
+
+  const fees = r.fees || {};
+  if (!Object.keys(fees).length) errors.push("fees needs at least one currency");
+  for (const [currency, lim] of Object.entries(fees)) {
+    if (!/^[A-Z]{3}$/.test(currency)) errors.push(`fees: "${currency}" is not an ISO currency code`);
+    const { min, max = null, telegramInvoiceMin = null } = lim || {};
+    if (!(Number.isFinite(min) && min > 0)) errors.push(`fees.${currency}.min must be a positive number`);
+    if (max !== null && !(Number.isFinite(max) && max >= min)) errors.push(`fees.${currency}.max must be null or ≥ min`);
+    if (telegramInvoiceMin !== null && !(Number.isFinite(telegramInvoiceMin) && telegramInvoiceMin > 0)) {
+      errors.push(`fees.${currency}.telegramInvoiceMin must be null or a positive number`);
+    }
+  }
+
+  const penalty = r.penalty || {};
+  if (!isRate(penalty.maxDeductionRate)) errors.push("penalty.maxDeductionRate must be a number between 0 and 1");
+
+  const stars = r.stars || {};
+  for (const [currency, rate] of Object.entries(stars.perUnit || {})) {
+    if (!(currency in fees)) errors.push(`stars.perUnit: "${currency}" has no fees entry`);
+    if (!(Number.isFinite(rate) && rate > 0)) errors.push(`stars.perUnit.${currency} must be a positive number`);
+  }
+
+  const promotions = Array.isArray(r.promotions) ? r.promotions : (r.promotions == null ? [] : null);
+  if (!promotions) errors.push("promotions must be an array");
+  (promotions || []).forEach((p, i) => {
+    const at = `promotions[${i}]`;
+    if (!p?.name) errors.push(`${at}.name is required`);
+    if (!isDate(p?.from) || !isDate(p?.to) || new Date(p.from) >= new Date(p.to)) {
+      errors.push(`${at} needs valid from < to dates`);
+    }
+    if (!isRate(p?.commissionRate)) errors.push(`${at}.commissionRate must be a number between 0 and 1`);
+    if (p?.skillLevels && !(Array.isArray(p.skillLevels) && p.skillLevels.every(l => SKILL_LEVELS.includes(l)))) {
+      errors.push(`${at}.skillLevels must list known skill levels`);
+    }
+    if (p?.fields && !Array.isArray(p.fields)) errors.push(`${at}.fields must be an array`);
+  });
+
+  if (errors.length) {
+    const err = new Error(`Invalid fee rules:\n  - ${errors.join("\n  - ")}`);
+    err.ruleErrors = errors;
+    throw err;
+  }
+
+  return {
+    commission: {
+      defaultRate: commission.defaultRate,
+      bySkillLevel: { ...(commission.bySkillLevel || {}) },
+      byField: { ...(commission.byField || {}) },
+      byCurrency: { ...(commission.byCurrency || {}) },
+    },
+    fees: Object.fromEntries(Object.entries(fees).map(([c, lim]) => [c, {
+      min: lim.min,
+      max: lim.max ?? null,
+      telegramInvoiceMin: lim.telegramInvoiceMin ?? null,
+    }])),
+    penalty: { maxDeductionRate: penalty.maxDeductionRate },
+    stars: { perUnit: { ...(stars.perUnit || {}) } },
+    promotions: (promotions || []).map(p => ({
+      name: String(p.name),
+      from: new Date(p.from).toISOString(),
+      to: new Date(p.to).toISOString(),
+      commissionRate: p.commissionRate,
+      ...(p.skillLevels ? { skillLevels: p.skillLevels } : {}),
+      ...(p.fields ? { fields: p.fields } : {}),
+    })),
+  };
+}
+
+function remember(set) {
+  if (set) versionCache.set(set.version, set);
+  return set;
+}
+
+async function seedFirstVersion() {
+  try {
+    await FeeRuleSet.create({ version: 1, rules: validateFeeRules(seedDefaults), note: "Initial rules (seeded)" });
+  } catch (e) {
+    if (e?.code !== 11000) throw e;   // another process seeded it first
+  }
+}
+
+/**
+ * Publish a new version (effective immediately unless effectiveFrom is given).
+ * @returns {Promise<object>} the stored FeeRuleSet (plain object)
+ */
+async function publishFeeRules(rules, { createdBy = "system", note = "", effectiveFrom = new Date() } = {}) {
+  const normalized = validateFeeRules(rules);
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const last = await FeeRuleSet.findOne().sort({ version: -1 }).select("version").lean();
+    try {
+      const doc = await FeeRuleSet.create({
+        version: (last?.version || 0) + 1,
+        rules: normalized,
+        effectiveFrom,
+        createdBy: String(createdBy),
+        note,
+      });
+      activeCache = null;
+      return remember(doc.toObject());
+    } catch (e) {
+      if (e?.code !== 11000) throw e;   // raced another publish: take the next number
+    }
+  }
+  throw new Error("Could not allocate a fee rule version, please retry");
+}
+
+// The newest version already in effect (seeds version 1 on an empty database)
+async function getActiveFeeRules() {
+  if (activeCache && Date.now() - activeCache.at < ACTIVE_CACHE_MS) return activeCache.set;
+
+  let set = await FeeRuleSet.findOne({ effectiveFrom: { $lte: new Date() } }).sort({ version: -1 }).lean();
+  if (!set) {
+    await seedFirstVersion();
+    set = await FeeRuleSet.findOne({ version: 1 }).lean();
+  }
+  activeCache = { at: Date.now(), set: remember(set) };
+  return set;
+}
+
+async function getFeeRules(version) {
+  if (versionCache.has(version)) return versionCache.get(version);
+  const set = await FeeRuleSet.findOne({ version }).lean();
+  if (set) return remember(set);
+  if (version === 1) {
+    await seedFirstVersion();
+    return remember(await FeeRuleSet.findOne({ version: 1 }).lean());
+  }
+  throw new Error(`Fee rule version ${version} not found`);
+}
+
+// Tasks posted before versioning (feeRuleVersion null) ran on the original rules = version 1
+function feeRulesForTask(task) {
+  return getFeeRules(Number(task?.feeRuleVersion) || 1);
+}
+
+function activePromotion(set, task) {
+  const at = task?.postedAt ? new Date(task.postedAt) : new Date();
+  const fields = Array.isArray(task?.fields) ? task.fields : [];
+  return (set.rules.promotions || []).find(p =>
+    new Date(p.from) <= at && at < new Date(p.to) &&
+    (!p.skillLevels || p.skillLevels.includes(task?.skillLevel)) &&
+    (!p.fields || p.fields.some(f => fields.includes(f)))
+  ) || null;
+}
+
+// Commission rate for a task:
+// promotion → field (lowest if several match) → skill level → task currency → default
+function commissionRateFor(set, task) {
+  const promo = activePromotion(set, task);
+  if (promo) return promo.commissionRate;
+
+  const c = set.rules.commission;
+  const fieldRates = (Array.isArray(task?.fields) ? task.fields : [])
+    .map(f => c.byField?.[f])
+    .filter(r => typeof r === "number");
+  if (fieldRates.length) return Math.min(...fieldRates);
+
+  const levelRate = c.bySkillLevel?.[task?.skillLevel];
+  if (typeof levelRate === "number") return levelRate;
+
+  const currencyRate = c.byCurrency?.[String(task?.currency || "ETB").toUpperCase()];
+  return typeof currencyRate === "number" ? currencyRate : c.defaultRate;
+}
+
+function feeLimitsFor(set, currency = "ETB") {
+  return set.rules.fees[String(currency).toUpperCase()] || null;
+}
+
+// Currencies a new task can be priced in under this rule set (ETB first when present)
+function pricingCurrencies(set) {
+  return Object.keys(set.rules.fees).sort((a, b) => (b === "ETB") - (a === "ETB"));
+}
+
+// Whole Telegram Stars needed to escrow `fee`, or null when Stars aren't offered for the currency
+function starsFor(set, fee, currency = "ETB") {
+  const rate = set.rules.stars?.perUnit?.[String(currency).toUpperCase()];
+  if (!(rate > 0) || !(Number(fee) > 0)) return null;
+  return Math.max(1, Math.ceil(Number(fee) * rate));
+}
+
+// Largest late-penalty deduction allowed on `fee`
+function penaltyCapFor(set, fee) {
+  return Math.max(0, Number(fee || 0) * set.rules.penalty.maxDeductionRate);
+}
+
+// What is left of the fee at the cap, as a whole percentage (35 with the default 0.65 cap)
+function feeFloorPercent(set) {
+  return Math.round((1 - set.rules.penalty.maxDeductionRate) * 100);
+}
+
+module.exports = {
+  SKILL_LEVELS,
+  buildDefaultFeeRules,
+  initFeeRules,
+  validateFeeRules,
+  publishFeeRules,
+  getActiveFeeRules,
+  getFeeRules,
+  feeRulesForTask,
+  activePromotion,
+  commissionRateFor,
+  feeLimitsFor,
+  pricingCurrencies,
+  starsFor,
+  penaltyCapFor,
+  feeFloorPercent,
+};
@@ -12,10 +12,6 @@
  */
 
 require('dotenv').config();
-// --- Telegram currency minimums (rounded up a bit to be safe) ---
-const TG_MIN_BY_CURRENCY = {
-  ETB: 135,  // Telegram shows ~132.53 ETB min; we enforce 135 to avoid edge fails
-};
 const USE_CHAPA_HOSTED_FOR_ESCROW = process.env.USE_CHAPA_HOSTED_FOR_ESCROW === "true";
 
 
@@ -24,6 +20,7 @@ const mongoose = require("mongoose");
 const { Schema } = mongoose;
 const Task = require("./models/Task");
 const User = require("./models/User");
+const { transitionTask, isTaskMaybeFinished, migrateLegacyTaskStatuses, taskStatusEvents, TASK_STATUSES, TERMINAL_TASK_STATUSES } = require("./tasks/taskStatus");
 
 // Ensure environment variables are set
 if (!process.env.BOT_TOKEN) {
@@ -35,6 +32,35 @@ if (!process.env.MONGODB_URI) {
   process.exit(1);
 }
 
+// Channel/admin IDs + commission come from the validated config (env / config file / profile)
+let CONFIG;
+try {
+  CONFIG = require("./config").loadConfig();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+console.log(`Config profile: ${CONFIG.profile}`);
+
+// Phone numbers, emails and account numbers are encrypted at rest (security/fieldEncryption.js)
+const {
+  configureFieldEncryption, currentKeyId, encryptPaths, reencryptModel, maskValue, maskEmail
+} = require("./security/fieldEncryption");
+if (!configureFieldEncryption(CONFIG.FIELD_ENCRYPTION_KEYS)) {
+  console.warn("⚠️ FIELD_ENCRYPTION_KEYS is not set: contact and bank details are stored in plaintext");
+}
+
+// Escrow, punishment and payout flows only talk to this (see payments/PaymentProvider.js)
+const { getPaymentProvider } = require("./payments");
+const paymentProvider = getPaymentProvider({
+  webhookSecret: CONFIG.CHAPA_WEBHOOK_SECRET || "",
+  approvalSecret: process.env.CHAPA_APPROVAL_SECRET || CONFIG.CHAPA_WEBHOOK_SECRET || "",
+  defaultCallbackUrl: `${process.env.PUBLIC_BASE_URL || process.env.RENDER_EXTERNAL_URL || "https://taskifii-bot.onrender.com"}/chapa/ipn`
+});
+if (process.env.CHAPA_BASE_URL) {
+  console.warn(`⚠️ Chapa calls go to ${process.env.CHAPA_BASE_URL} (CHAPA_BASE_URL), not api.chapa.co`);
+}
+
 
 
 // ------------------------------------
@@ -52,6 +78,42 @@ if (!process.env.MONGODB_URI) {
 
 const TaskDraft = require("./models/TaskDraft");
 const PaymentIntent = require("./models/PaymentIntent");  // NEW
+const BotSession = require("./models/BotSession");
+const ScheduledJob = require("./models/ScheduledJob");
+const TaskEvent = require("./models/TaskEvent");
+const ReconciliationRun = require("./models/ReconciliationRun");
+const WebhookEvent = require("./models/WebhookEvent");
+const AdminUser = require("./models/AdminUser");
+const AdminAction = require("./models/AdminAction");
+const {
+  ADMIN_ROLES, configureAdminRoles, adminRolesFor, rolesForAdminRow, rolesAllow, grantRole, revokeRole, listAdmins,
+  recordAdminAction
+} = require("./admin/permissions");
+const { configureConsoleAuth, createConsoleAccount } = require("./admin/consoleAuth");
+const { createAdminConsole } = require("./admin/console");
+const { createApiToken, revokeApiToken, listApiTokens } = require("./admin/apiTokens");
+const { createAdminApi } = require("./admin/api");
+const {
+  MAX_FIELDS, checkDescription, checkPaymentFee, checkTimeToComplete, checkRevisionTime, checkPenaltyPerHour,
+  checkExpiryHours
+} = require("./tasks/draftRules");
+const { createPartnerKey, revokePartnerKey, listPartnerKeys } = require("./partners/apiKeys");
+const { createPartnerApi } = require("./partners/api");
+const {
+  initFeeRules, validateFeeRules, publishFeeRules, getActiveFeeRules, feeRulesForTask, activePromotion,
+  commissionRateFor, feeLimitsFor, pricingCurrencies, starsFor, penaltyCapFor, feeFloorPercent
+} = require("./fees/feeRules");
+const {
+  ACCOUNTS, postEscrowFunded, postPenaltyReceived, postPayoutReleased, postPayoutSettled, postRefund,
+  refundSourceAccount, ledgerCurrencies, trialBalance
+} = require("./ledger/ledger");
+const { normalizeCurrency, currencyUnit, formatMoney } = require("./payments/currency");
+const {
+  normalizeEtPhone, destinationTypeForBank, validateAccountForType, parseDestinationText,
+  providerAccountNumber, describeDestination, matchProviderBank, findProviderBank, compareAccountHolder
+} = require("./payments/payoutDestinations");
+const { getWallet, creditWallet, debitWallet, settlePendingWalletTransactions, setRefundsToWallet, walletHistory } = require("./wallet/wallet");
+const WalletTransaction = require("./models/WalletTransaction");
 // Helper: track if the creator’s rating prompt was sent early.
 global.sentRatingPromptToCreator = global.sentRatingPromptToCreator || {};
 
@@ -76,10 +138,13 @@ const EngagementLock = mongoose.models.EngagementLock
 // ---------------------------
 // Ratings / Finalization / Credits
 // ---------------------------
-const RATING_CHANNEL_ID = "-1002289847417";
-const REFUND_AUDIT_CHANNEL_ID = "-1002616271109";
-const DISPUTE_CHANNEL_ID = "-1002432632907";
-const AUDIT_CHANNEL_ID = "-1002616271109";      // private audit channel
+const RATING_CHANNEL_ID = CONFIG.RATING_CHANNEL_ID;
+const REFUND_AUDIT_CHANNEL_ID = CONFIG.REFUND_AUDIT_CHANNEL_ID;
+const DISPUTE_CHANNEL_ID = CONFIG.DISPUTE_CHANNEL_ID;
+const AUDIT_CHANNEL_ID = CONFIG.AUDIT_CHANNEL_ID;      // private audit channel
+// Platform commission taken from every payout (0.05 = 5%)
+const PLATFORM_COMMISSION_RATE = CONFIG.PLATFORM_COMMISSION_RATE;   // seeds fee rule version 1 (fees/feeRules.js)
+initFeeRules({ commissionRate: PLATFORM_COMMISSION_RATE });
 // ------------------------------------
 //  Escalation & Banlist (no schema churn to Task/User)
 // ------------------------------------
@@ -102,6 +167,16 @@ const DisputePackageSchema = new mongoose.Schema({
   lastChunkMessageId: { type: Number },         // message that has the buttons
   channelId: { type: String, default: String(DISPUTE_CHANNEL_ID) },
 
+  // Admin verdict on the escrow (DP_VERDICT_ / /settle); decidedAt set = money already moved
+  resolution: {
+    doerPercent:  { type: Number, default: null },   // 0 = full refund to creator, 100 = full payout to doer
+    refundAmount: { type: Number, default: null },
+    payoutAmount: { type: Number, default: null },   // doer's share after commission
+    commission:   { type: Number, default: null },
+    decidedBy:    { type: Number, default: null },   // admin Telegram id
+    decidedAt:    { type: Date, default: null },
+  },
+
   // Audit & resiliency
   createdAt: { type: Date, default: Date.now }
 }, { versionKey: false });
@@ -194,6 +269,7 @@ async function sendRefundAudit(bot, {
     `Creator Name: ${creatorName}`,
   ];
 
+  if (intent?.refundAmount != null) messageLines.push(`Refund Amount (ETB): ${intent.refundAmount} (partial)`);
   if (extra.reason)         messageLines.push(`Reason: ${extra.reason}`);
   if (extra.chapaReference) messageLines.push(`Chapa Reference: ${extra.chapaReference}`);
   if (extra.refundId)       messageLines.push(`Refund ID: ${extra.refundId}`);
@@ -209,13 +285,18 @@ async function sendRefundAudit(bot, {
 // ------------------------------------
 // Payout audit helper + TaskPayout model
 // ------------------------------------
+// A saved destination with its account number masked, for audit messages
+function maskedDestination(dest) {
+  return { type: dest?.type, bankName: dest?.bankName, accountNumber: maskValue(dest?.accountNumber) };
+}
+
 async function sendPayoutAudit(bot, {
   tag,             // e.g. "#payout successful" or "#payoutfailed_first_try"
   task,
   creator,
   doer,
   payout,
-  extra = {}       // { reason, chapaReference, error, showCancelRetryButton }
+  extra = {}       // { reason, chapaReference, error, showCancelRetryButton, showApprovalButtons }
 }) {
   const creatorName = creator?.fullName || creator?.username || String(creator?.telegramId || "");
   const creatorUserId = creator?._id ? String(creator._id) : "-";
@@ -241,10 +322,14 @@ async function sendPayoutAudit(bot, {
     `Doer Name: ${doerName}`,
   ];
 
+  if (payout?.stageNum != null) messageLines.push(`Stage: ${payout.stageNum} (${task?.exchangeStrategy || "-"})`);
   if (payout?.amount != null) messageLines.push(`Payout Amount (ETB): ${payout.amount}`);
   if (payout?.bankCode)       messageLines.push(`Bank Code: ${payout.bankCode}`);
   if (payout?.bankName)       messageLines.push(`Bank Name: ${payout.bankName}`);
-  if (payout?.accountNumber)  messageLines.push(`Account Number: ${payout.accountNumber}`);
+  if (payout?.accountNumber)  messageLines.push(`Account Number: ${maskValue(payout.accountNumber)}`);
+  if (payout?.accountCheck?.status) {
+    messageLines.push(`Account Check: ${payout.accountCheck.status}${payout.accountCheck.accountName ? ` (holder: ${payout.accountCheck.accountName})` : ""}`);
+  }
   if (extra.reason)           messageLines.push(`Reason: ${extra.reason}`);
   if (extra.chapaReference)   messageLines.push(`Chapa Reference: ${extra.chapaReference}`);
   if (extra.error)            messageLines.push(`Error: ${extra.error}`);
@@ -255,16 +340,29 @@ async function sendPayoutAudit(bot, {
       disable_web_page_preview: true,
     };
 
+    const rows = [];
+
     // When requested, attach a "Cancel retry" button under the audit message
     if (extra.showCancelRetryButton && payout?._id) {
       const callbackData = `PAYOUT_CANCEL_RETRY_${payout._id}`;
-      options.reply_markup = {
-        inline_keyboard: [
-          [{ text: "🚫 Cancel retry", callback_data: callbackData }]
-        ]
-      };
+      rows.push([{ text: "🚫 Cancel retry", callback_data: callbackData }]);
+    }
+
+    // Held payout (account holder mismatch): a finance admin releases or rejects it from here
+    if (extra.showApprovalButtons && payout?._id) {
+      rows.push([
+        { text: "✅ Approve payout", callback_data: `PAYOUT_APPROVE_${payout._id}` },
+        { text: "❌ Reject account", callback_data: `PAYOUT_REJECT_${payout._id}` }
+      ]);
     }
 
+    // The account number above is masked; the full one is shown to finance admins on request (and logged)
+    if (payout?._id && payout?.accountNumber) {
+      rows.push([{ text: "🔓 Reveal account", callback_data: `PAYOUT_REVEAL_${payout._id}` }]);
+    }
+
+    if (rows.length) options.reply_markup = { inline_keyboard: rows };
+
     await bot.telegram.sendMessage(REFUND_AUDIT_CHANNEL_ID, text, options);
   } catch (e) {
     console.error("Failed to send payout audit message:", e);
@@ -312,8 +410,8 @@ async function sendLatePenaltySubmissionAudit(bot, {
       `Creator Telegram ID: ${creatorTelegramId}`,
       `Creator Name: ${creatorName}`,
       `Creator Username: ${creator?.username ? `@${creator.username}` : "-"}`,
-      `Creator Phone: ${creator?.phone || "-"}`,
-      `Creator Email: ${creator?.email || "-"}`,
+      `Creator Phone: ${maskValue(creator?.phone) || "-"}`,
+      `Creator Email: ${maskEmail(creator?.email) || "-"}`,
       `Creator Language: ${creator?.language || "-"}`,
       `Creator Onboarding Step: ${creator?.onboardingStep || "-"}`,
       `Creator Created At: ${creator?.createdAt ? new Date(creator.createdAt).toISOString() : "-"}`,
@@ -324,7 +422,7 @@ async function sendLatePenaltySubmissionAudit(bot, {
       }`,
       `Creator Bank Details: ${
         Array.isArray(creator?.bankDetails) && creator.bankDetails.length
-          ? creator.bankDetails.map(b => `${b.bankName || "-"}:${b.accountNumber || "-"}`).join(" | ")
+          ? creator.bankDetails.map(b => describeDestination(maskedDestination(b))).join(" | ")
           : "-"
       }`,
       ``,
@@ -344,20 +442,36 @@ async function sendLatePenaltySubmissionAudit(bot, {
 
 // Model to track payouts and retries safely (no double payout)
 const TaskPayoutSchema = new mongoose.Schema({
-  task:            { type: Schema.Types.ObjectId, ref: 'Task', unique: true, required: true },
-  creator:         { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  kind:            { type: String, enum: ["task", "withdrawal"], default: "task" },   // withdrawal = wallet balance → bank
+  destination:     { type: String, enum: ["bank", "wallet"], default: "bank" },       // wallet = credited in-bot, no transfer
+  task:            { type: Schema.Types.ObjectId, ref: 'Task', required: function () { return this.kind !== "withdrawal"; } },
+  stageNum:        { type: Number, default: null },   // NEW: set for staged (30:40:30 / 50:50) payouts, null for the final one
+  creator:         { type: Schema.Types.ObjectId, ref: 'User', required: function () { return this.kind !== "withdrawal"; } },
   doer:            { type: Schema.Types.ObjectId, ref: 'User', required: true },
   doerTelegramId:  { type: Number },
   amount:          { type: Number, required: true },
+  gross:           { type: Number, default: null },   // the stage / final share of the escrow before commission and penalty
+  currency:        { type: String, default: "ETB" },  // the task's currency; the transfer is made in it
+  commission:      { type: Number, default: 0 },      // platform commission kept from this release
+  latePenalty:     { type: Number, default: 0 },      // late-delivery deduction kept from this release
+  feeRuleVersion:  { type: Number, default: null },   // fee rules used for commission / penalty cap
 
   bankCode:        { type: String },
   bankName:        { type: String },   // NEW: store bank name as well
   accountNumber:   { type: String },
   accountName:     { type: String },
+  // Holder-name check before the transfer: "mismatch" payouts stay "held" until an admin approves them
+  accountCheck: {
+    status:      { type: String, enum: ["verified", "mismatch", "unverified"] },
+    accountName: { type: String },          // what the provider says
+    confirmedAt: { type: Date },            // the user confirmed an unverified / mismatched account
+  },
+  approvedBy:      { type: Number, default: null },   // Telegram id of the admin who released a held payout
+  approvedAt:      { type: Date },
 
   reference:       { type: String, required: true, unique: true },
 
-  status:          { type: String, enum: ["queued", "requested", "pending", "succeeded"], default: "queued", index: true },
+  status:          { type: String, enum: ["held", "queued", "requested", "pending", "succeeded"], default: "queued", index: true },
   lastError:       { type: String },
   lastAttemptAt:   { type: Date },
 
@@ -368,6 +482,13 @@ const TaskPayoutSchema = new mongoose.Schema({
   delayedAuditSentAt:     { type: Date },  // NEW: 48h “still not successful” audit
 }, { versionKey: false, timestamps: true });
 
+// One payout per stage (stageNum null = the final/only payout of a task); withdrawals have no task
+TaskPayoutSchema.index(
+  { task: 1, stageNum: 1 },
+  { unique: true, partialFilterExpression: { task: { $type: "objectId" } } }
+);
+
+encryptPaths(TaskPayoutSchema, ["accountNumber", "accountName"]);
 
 const TaskPayout = mongoose.models.TaskPayout
   || mongoose.model('TaskPayout', TaskPayoutSchema);
@@ -710,26 +831,25 @@ async function hasRealActiveEngagementAfterCleanup(userId) {
     const lockTasks = uniqueLockTaskIds.length
       ? await Task.find(
           { _id: { $in: uniqueLockTaskIds } },
-          { _id: 1, status: 1 }
+          { _id: 1, status: 1, expiry: 1 }
         ).lean()
       : [];
 
-    const lockTaskMap = new Map(lockTasks.map(t => [String(t._id), t.status]));
-    const terminalTaskStatuses = new Set(["Completed", "Canceled", "Expired"]);
+    const lockTaskMap = new Map(lockTasks.map(t => [String(t._id), t]));
 
     const staleLockIds = [];
     for (const l of activeLocks) {
-      const taskStatus = l.task ? lockTaskMap.get(String(l.task)) : null;
+      const lockTask = l.task ? lockTaskMap.get(String(l.task)) : null;
 
       // Missing task -> stale lock for sure
-      if (!taskStatus) {
+      if (!lockTask) {
         staleLockIds.push(l._id);
         continue;
       }
 
       // If task looks terminal, double-check whether there is still unresolved doer-work lifecycle.
       // This prevents accidental unlocks during edge states / late-penalty / revision-related flows.
-      if (terminalTaskStatuses.has(taskStatus)) {
+      if (isTaskMaybeFinished(lockTask)) {
         let keepLock = false;
         try {
           const linkedWork = await DoerWork.findOne({ task: l.task })
@@ -783,26 +903,25 @@ async function hasRealActiveEngagementAfterCleanup(userId) {
     const workTasks = uniqueWorkTaskIds.length
       ? await Task.find(
           { _id: { $in: uniqueWorkTaskIds } },
-          { _id: 1, status: 1 }
+          { _id: 1, status: 1, expiry: 1 }
         ).lean()
       : [];
 
-    const workTaskMap = new Map(workTasks.map(t => [String(t._id), t.status]));
-    const terminalTaskStatuses = new Set(["Completed", "Canceled", "Expired"]);
+    const workTaskMap = new Map(workTasks.map(t => [String(t._id), t]));
 
     const staleWorkIds = [];
     for (const w of activeWorks) {
-      const taskStatus = w.task ? workTaskMap.get(String(w.task)) : null;
+      const workTask = w.task ? workTaskMap.get(String(w.task)) : null;
 
       // Missing task -> stale for sure
-      if (!taskStatus) {
+      if (!workTask) {
         staleWorkIds.push(w._id);
         continue;
       }
 
       // If task is terminal, double-check whether this work still represents
       // an unresolved engagement (late-penalty / revision / punishment pipeline).
-      if (terminalTaskStatuses.has(taskStatus)) {
+      if (isTaskMaybeFinished(workTask)) {
         let keepWork = false;
         try {
           const linkedWork = await DoerWork.findById(w._id)
@@ -838,10 +957,10 @@ async function hasRealActiveEngagementAfterCleanup(userId) {
   const remainingLocks = await EngagementLock.find({ user: userId, active: true }).lean();
 
   for (const remainingLock of remainingLocks) {
-    const t = await Task.findById(remainingLock.task).select("_id status").lean();
+    const t = await Task.findById(remainingLock.task).select("_id status expiry").lean();
 
     // Non-terminal task => definitely still engaged
-    if (t && !["Completed", "Canceled", "Expired"].includes(t.status)) {
+    if (t && !isTaskMaybeFinished(t)) {
       return true;
     }
 
@@ -872,9 +991,9 @@ async function hasRealActiveEngagementAfterCleanup(userId) {
   // 4) Final truth check for doer work (terminal task may still be truly active for lock purposes)
   const remainingWork = await DoerWork.findOne({ doer: userId, status: "active" }).lean();
   if (remainingWork) {
-    const wt = await Task.findById(remainingWork.task).select("_id status").lean();
+    const wt = await Task.findById(remainingWork.task).select("_id status expiry").lean();
 
-    if (wt && !["Completed", "Canceled", "Expired"].includes(wt.status)) {
+    if (wt && !isTaskMaybeFinished(wt)) {
       return true;
     }
 
@@ -963,16 +1082,81 @@ const TEXT = {
   },
 
   askBankDetails: {
-    en: "Give us your online banking details (Maximum 10) in this format: `BankName,AccountNumber`. You may also include Telebirr by writing `Telebirr,YourPhoneNumber`.",
-    am: "የባንክ ዝርዝሮችዎን (እስከ 10) በዚህ ቅጥ ያስገቡ። `BankName,AccountNumber`. Telebirr እንደ `Telebirr,YourPhoneNumber` መጨመር ይችላሉ።"
+    en: "Give us your payout details (Maximum 10) in this format: `BankName,AccountNumber`. You may also add mobile money: `telebirr,09XXXXXXXX` or `M-Pesa,07XXXXXXXX`.",
+    am: "የክፍያ መቀበያ ዝርዝሮችዎን (እስከ 10) በዚህ ቅጥ ያስገቡ። `BankName,AccountNumber`. ሞባይል ገንዘብ እንደ `telebirr,09XXXXXXXX` ወይም `M-Pesa,07XXXXXXXX` መጨመር ይችላሉ።"
   },
   bankAddedPrompt: {
     en: "Bank added. You can click ‘Add’ to add another, ‘Replace’ to change the last one, or ‘Done’ when finished.",
     am: "ባንክ ታክሏል። ሌላ ለመጨመር ‘Add’ ይጫኑ፣ የመጨመሪያውን ለመቀየር ‘Replace’ ይጫኑ፣ ወይም ‘Done’ ከተጠናቋሉ በኋላ ተጠናቀቀ።"
   },
   bankErrorFormat: {
-    en: "Please give us valid banking details in `BankName,AccountNumber` format!",
-    am: "ትክክለኛ የባንክ ዝርዝር በ `BankName,AccountNumber` ቅጥ ያስገቡ!"
+    en: "Please give us valid banking details in `BankName,AccountNumber` format (or `telebirr,09XXXXXXXX` / `M-Pesa,07XXXXXXXX`)!",
+    am: "ትክክለኛ የባንክ ዝርዝር በ `BankName,AccountNumber` ቅጥ (ወይም `telebirr,09XXXXXXXX` / `M-Pesa,07XXXXXXXX`) ያስገቡ!"
+  },
+  accountCheckResult: {
+    en: (check) => ({
+      verified: `✅ Account holder: ${check.accountName}. It matches your registered name.`,
+      mismatch: `⚠️ This account is registered to "${check.accountName}", which doesn't match your registered name. Payouts to it will need your confirmation and an admin's approval.`,
+      unverified: "ℹ️ We couldn't confirm the account holder's name right now. You'll be asked to confirm before money is sent to it.",
+      not_found: "❌ The bank says this account doesn't exist. Please check the number and send it again."
+    })[check.status],
+    am: (check) => ({
+      verified: `✅ የሂሳቡ ባለቤት: ${check.accountName}። ከተመዘገበው ስምዎ ጋር ይመሳሰላል።`,
+      mismatch: `⚠️ ይህ ሂሳብ የ"${check.accountName}" ነው፤ ከተመዘገበው ስምዎ ጋር አይመሳሰልም። ወደዚህ ሂሳብ የሚላክ ክፍያ የእርስዎን ማረጋገጫ እና የአስተዳዳሪ ፈቃድ ይፈልጋል።`,
+      unverified: "ℹ️ የሂሳቡን ባለቤት ስም አሁን ማረጋገጥ አልቻልንም። ገንዘብ ከመላኩ በፊት እንዲያረጋግጡ ይጠየቃሉ።",
+      not_found: "❌ ባንኩ ይህ ሂሳብ የለም ብሏል። እባክዎ ቁጥሩን አረጋግጠው እንደገና ይላኩ።"
+    })[check.status]
+  },
+  payoutAccountConfirm: {
+    en: (check, account, canRetype = true) => (check.status === "mismatch"
+      ? `⚠️ ${account} is registered to "${check.accountName}", not to you. If you still want the money sent there, confirm below and an admin will review it before it goes out.`
+      : `ℹ️ We couldn't confirm who holds ${account}. Please double-check the number. Send the money there?`)
+      + (canRetype ? " Or type another account number." : ""),
+    am: (check, account, canRetype = true) => (check.status === "mismatch"
+      ? `⚠️ ${account} የተመዘገበው በ"${check.accountName}" ስም ነው እንጂ በእርስዎ አይደለም። አሁንም ገንዘቡ ወደዚያ እንዲላክ ከፈለጉ ከታች ያረጋግጡ፤ ከመላኩ በፊት አስተዳዳሪ ይገመግመዋል።`
+      : `ℹ️ የ${account} ባለቤትን ማረጋገጥ አልቻልንም። እባክዎ ቁጥሩን ደግመው ያረጋግጡ። ገንዘቡ ወደዚያ ይላክ?`)
+      + (canRetype ? " ወይም ሌላ የሂሳብ ቁጥር ይጻፉ።" : "")
+  },
+  payoutAccountConfirmBtn: {
+    en: "✅ Yes, send it to this account",
+    am: "✅ አዎ፣ ወደዚህ ሂሳብ ይላክ"
+  },
+  payoutHeldForReview: {
+    en: "🕵️ Because the account name didn't match, the transfer waits for a quick admin review. We'll let you know once it's sent.",
+    am: "🕵️ የሂሳቡ ስም ስላልተመሳሰለ ዝውውሩ አስተዳዳሪ እስኪገመግመው ይቆያል። ሲላክ እናሳውቅዎታለን።"
+  },
+  payoutStoppedRefunded: {
+    en: "❌ This task was closed and its payment refunded to the creator, so there is nothing left to pay out.",
+    am: "❌ ይህ ስራ ተዘግቶ ክፍያው ለፈጣሪው ተመልሷል፤ ስለዚህ የሚከፈል ቀሪ ገንዘብ የለም።"
+  },
+  payoutStageCovered: {
+    en: "ℹ️ This stage is paid together with your final payout, so there is nothing separate to claim for it.",
+    am: "ℹ️ የዚህ ደረጃ ክፍያ ከመጨረሻው ክፍያዎ ጋር አብሮ ይከፈላል፤ ስለዚህ ለብቻው የሚጠየቅ ክፍያ የለም።"
+  },
+  payoutApprovedNotice: {
+    en: (amount) => `✅ Your held payout of ${amount} was approved and is on its way.`,
+    am: (amount) => `✅ የተያዘው የ${amount} ክፍያዎ ጸድቆ እየተላከ ነው።`
+  },
+  payoutRejectedNotice: {
+    en: (amount) => `❌ We couldn't send your payout of ${amount} to that account because it isn't in your name. Please choose a bank and enter an account that is yours.`,
+    am: (amount) => `❌ የ${amount} ክፍያዎን ወደዚያ ሂሳብ መላክ አልቻልንም፤ ሂሳቡ በስምዎ አይደለም። እባክዎ ባንክ መርጠው በስምዎ ያለ ሂሳብ ያስገቡ።`
+  },
+  walletWithdrawRejected: {
+    en: (amount) => `❌ Your withdrawal of ${amount} birr was not sent because the account isn't in your name. The money is back in your wallet.`,
+    am: (amount) => `❌ ያወጡት ${amount} ብር ሂሳቡ በስምዎ ስላልሆነ አልተላከም። ገንዘቡ ወደ ዋሌትዎ ተመልሷል።`
+  },
+  // Per-type validation errors from payments/payoutDestinations.js ("format" falls back to bankErrorFormat)
+  payoutDestinationError: {
+    en: (error) => ({
+      bank_account: "❌ That account number doesn't look right. Please use 5 to 30 letters, numbers, spaces or dashes.",
+      telebirr_phone: "❌ A telebirr wallet is an Ethio Telecom number like 09XXXXXXXX. Please check the number.",
+      mpesa_phone: "❌ An M-Pesa wallet is a Safaricom number like 07XXXXXXXX. Please check the number."
+    })[error] || TEXT.bankErrorFormat.en,
+    am: (error) => ({
+      bank_account: "❌ ያስገቡት የሂሳብ ቁጥር ትክክል አይመስልም። እባክዎ ከ5 እስከ 30 የሚደርሱ ፊደላት፣ ቁጥሮች፣ ክፍት ቦታ ወይም ሰረዝ ይጠቀሙ።",
+      telebirr_phone: "❌ የቴሌብር ዋሌት የኢትዮ ቴሌኮም ቁጥር (09XXXXXXXX) ነው። እባክዎ ቁጥሩን ያረጋግጡ።",
+      mpesa_phone: "❌ የኤም-ፔሳ ዋሌት የሳፋሪኮም ቁጥር (07XXXXXXXX) ነው። እባክዎ ቁጥሩን ያረጋግጡ።"
+    })[error] || TEXT.bankErrorFormat.am
   },
   bankReachedTen: {
     en: "You have reached 10 bank entries. Moving on to Terms & Conditions...",
@@ -1662,17 +1846,29 @@ If a deletion request conflicts with dispute handling, fraud prevention, legal o
     en: "Professional",
     am: "ሙያተኛ"
   },
+  askTaskCurrency: {
+    en: "Which currency do you want to pay the task fee in?",
+    am: "የስራውን ክፍያ በየትኛው ገንዘብ መክፈል ይፈልጋሉ?"
+  },
+  currencyNotOffered: {
+    en: "That currency is no longer offered. Please choose another one.",
+    am: "ይህ ገንዘብ ከአሁን በኋላ አይቀርብም። እባክዎ ሌላ ይምረጡ።"
+  },
   askPaymentFee: {
-    en: "How much is the payment fee amount (in birr)? (must be ≥50)",
-    am: "የክፍያው መጠን (በብር) ያስገቡ (ከ50 ብር አይነስ):"
+    en: (min = 50, currency = "ETB") => `How much is the payment fee amount (in ${currencyUnit(currency, "en")})? (must be ≥${min})`,
+    am: (min = 50, currency = "ETB") => `የክፍያው መጠን (በ${currencyUnit(currency, "am")}) ያስገቡ (ከ${formatMoney(min, currency, "am")} አይነስ):`
   },
   paymentFeeErrorDigits: {
     en: "Please enter digits only.",
     am: "እባክዎ ቁጥሮች ብቻ ያስገቡ።"
   },
   paymentFeeErrorMin: {
-    en: "Amount cannot be less than 50 birr.",
-    am: "መጠኑ ከ50 ብር በታች መሆን አይችልም።"
+    en: (min = 50, currency = "ETB") => `Amount cannot be less than ${formatMoney(min, currency, "en")}.`,
+    am: (min = 50, currency = "ETB") => `መጠኑ ከ${formatMoney(min, currency, "am")} በታች መሆን አይችልም።`
+  },
+  paymentFeeErrorMax: {
+    en: (max, currency = "ETB") => `Amount cannot be more than ${formatMoney(max, currency, "en")}.`,
+    am: (max, currency = "ETB") => `መጠኑ ከ${formatMoney(max, currency, "am")} በላይ መሆን አይችልም።`
   },
   paymentFeeErrorRelativePenalty: {
     en: "Payment fee must be at least 5× the penalty per hour you set. Please increase the payment amount (or reduce the penalty) and try again.",
@@ -1706,16 +1902,16 @@ If a deletion request conflicts with dispute handling, fraud prevention, legal o
   },
 
   askPenaltyPerHour: {
-    en: "Give the birr amount you want to be deducted from the task fee every hour if the completed task is sent late (it must be less than or equal to 20% of the task fee).",
-    am: "ሥራው ከተቀመጠለት የጊዜ ገደብ ዘግይቶ ቢቀርብ፣ በየሰዓቱ ከጠቅላላ ክፍያው ላይ እንዲቀነስ የሚፈልጉትን የብር መጠን ይጥቀሱ። (የሚቀነሰው መጠን ከሥራው ጠቅላላ ክፍያ 20% መብለጥ የለበትም።)"
+    en: (currency = "ETB") => `Give the amount (in ${currencyUnit(currency, "en")}) you want to be deducted from the task fee every hour if the completed task is sent late (it must be less than or equal to 20% of the task fee).`,
+    am: (currency = "ETB") => `ሥራው ከተቀመጠለት የጊዜ ገደብ ዘግይቶ ቢቀርብ፣ በየሰዓቱ ከጠቅላላ ክፍያው ላይ እንዲቀነስ የሚፈልጉትን የ${currencyUnit(currency, "am")} መጠን ይጥቀሱ። (የሚቀነሰው መጠን ከሥራው ጠቅላላ ክፍያ 20% መብለጥ የለበትም።)`
   },
   penaltyPerHourError: {
     en: "Cannot exceed 20% of payment fee.",
     am: "ከሥራው ጠቅላላ ክፍያ 20% መብለጥ አይችልም።"
   },
   penaltyPerHourMinError: {
-    en: "Penalty per hour cannot be less than 1 birr. Please enter 1 or higher.",
-    am: "የሰዓት ቅጣቱ ከ1 ብር ማነስ የለበትም። እባክዎ 1 ወይም ከዚያ በላይ ያስገቡ።"
+    en: (currency = "ETB") => `Penalty per hour cannot be less than ${formatMoney(1, currency, "en")}. Please enter 1 or higher.`,
+    am: (currency = "ETB") => `የሰዓት ቅጣቱ ከ${formatMoney(1, currency, "am")} ማነስ የለበትም። እባክዎ 1 ወይም ከዚያ በላይ ያስገቡ።`
   },
 
   askExpiryHours: {
@@ -1993,6 +2189,18 @@ If a deletion request conflicts with dispute handling, fraud prevention, legal o
     en: "Completed task sent",
     am: "ያለቀ ስራ ተልክዋል"
   },
+  stageDeliveredBtn: {
+    en: (n, pct) => `📦 Stage ${n} (${pct}%) sent`,
+    am: (n, pct) => `📦 ደረጃ ${n} (${pct}%) ተልኳል`
+  },
+  stageApproveBtn: {
+    en: "Approve stage",
+    am: "ደረጃውን አጽድቅ"
+  },
+  stageRejectBtn: {
+    en: "Reject stage",
+    am: "ደረጃውን አትቀበል"
+  },
   validBtn: {
     en: "Valid",
     am: "ትክክል ነው"
@@ -2027,7 +2235,7 @@ If a deletion request conflicts with dispute handling, fraud prevention, legal o
 
   // Replace the whole doerTimeUp entry inside TEXT = { ... }
   doerTimeUp: {
-    en: (penaltyPerHour, penaltyEndAt) => {
+    en: (penaltyPerHour, penaltyEndAt, floorPct = 35, currency = "ETB") => {
       const now = new Date();
       const leftMs = Math.max(0, new Date(penaltyEndAt).getTime() - now.getTime());
       const h = Math.floor(leftMs / 3600000);
@@ -2036,16 +2244,16 @@ If a deletion request conflicts with dispute handling, fraud prevention, legal o
       return [
         "⏰ Time’s up.",
         penaltyPerHour > 0
-          ? `From now on, ${penaltyPerHour} birr will be deducted every hour until you submit the completed task.`
+          ? `From now on, ${formatMoney(penaltyPerHour, currency, "en")} will be deducted every hour until you submit the completed task.`
           : "From now on, late submission may affect your fee (penalty per hour was not set).",
         penaltyPerHour > 0
-          ? `Exact time until your fee would drop to 35%: ${h} hour(s) and ${m} minute(s).`
+          ? `Exact time until your fee would drop to ${floorPct}%: ${h} hour(s) and ${m} minute(s).`
           : null,
-        "If you don’t send a valid completed task and tap “Completed task sent” before the fee hits 35%, your Taskifay access will be banned until you pay a punishment fee (50% of the task fee).",
+        `If you don’t send a valid completed task and tap “Completed task sent” before the fee hits ${floorPct}%, your Taskifay access will be banned until you pay a punishment fee (50% of the task fee).`,
         "Please submit to the bot, to @taskifayarchive, and to the task creator as soon as possible."
       ].filter(Boolean).join("\n");
     },
-    am: (penaltyPerHour, penaltyEndAt) => {
+    am: (penaltyPerHour, penaltyEndAt, floorPct = 35, currency = "ETB") => {
       const now = new Date();
       const leftMs = Math.max(0, new Date(penaltyEndAt).getTime() - now.getTime());
       const h = Math.floor(leftMs / 3600000);
@@ -2054,12 +2262,12 @@ If a deletion request conflicts with dispute handling, fraud prevention, legal o
       return [
         "⏰ ጊዜው አልቋል!!",
         penaltyPerHour > 0
-          ? `ስራውን አጠናቀው እስኪያስረክቡ ድረስ፣ ከዚህ ሰዓት ጀምሮ በየሰዓቱ ${penaltyPerHour} ብር ይቀነሳል።`
+          ? `ስራውን አጠናቀው እስኪያስረክቡ ድረስ፣ ከዚህ ሰዓት ጀምሮ በየሰዓቱ ${formatMoney(penaltyPerHour, currency, "am")} ይቀነሳል።`
           : "ከዚህ ሰዓት ጀምሮ ስራውን አዘግይቶ ማስረከብ ክፍያዎ ላይ ተጽእኖ ሊኖረው ይችላል (በየሰዓቱ የሚቀነሰው የቅጣት መጠን አልተወሰነም)።",
         penaltyPerHour > 0
-          ? `አገልግሎት ክፍያዎ ወደ 35% ዝቅ ለማለት የቀረው ትክክለኛ ጊዜ፡ ${h} ሰዓት ከ ${m} ደቂቃ።`
+          ? `አገልግሎት ክፍያዎ ወደ ${floorPct}% ዝቅ ለማለት የቀረው ትክክለኛ ጊዜ፡ ${h} ሰዓት ከ ${m} ደቂቃ።`
           : null,
-        "ክፍያው 35% ከመድረሱ በፊት ትክክለኛና የተጠናቀቀ ስራ ልከው “ያለቀ ስራ ተልክዋል” የሚለውን ቁልፍ ካልተጫኑ፣ የታስኪፌይ (Taskifay) አገልግሎትዎ ይታገዳል። እገዳውን ለማንሳትም የቅጣት ክፍያ (የስራው ዋጋ 50%) መክፈል ይኖርብዎታል። እባክዎ የተጠናቀቀውን ስራ ለቦቱ፣ ለ @taskifayarchive እና ለስራው ፈጣሪ በተቻለ ፍጥነት ያቅርቡ።"
+        `ክፍያው ${floorPct}% ከመድረሱ በፊት ትክክለኛና የተጠናቀቀ ስራ ልከው “ያለቀ ስራ ተልክዋል” የሚለውን ቁልፍ ካልተጫኑ፣ የታስኪፌይ (Taskifay) አገልግሎትዎ ይታገዳል። እገዳውን ለማንሳትም የቅጣት ክፍያ (የስራው ዋጋ 50%) መክፈል ይኖርብዎታል። እባክዎ የተጠናቀቀውን ስራ ለቦቱ፣ ለ @taskifayarchive እና ለስራው ፈጣሪ በተቻለ ፍጥነት ያቅርቡ።`
       ].filter(Boolean).join("\n");
     }
   },
@@ -2082,17 +2290,17 @@ If a deletion request conflicts with dispute handling, fraud prevention, legal o
   
 
   creatorTimeUp: {
-    en: (penaltyPerHour) => [
+    en: (penaltyPerHour, floorPct = 35, currency = "ETB") => [
       "⚠️ The doer has not submitted within the allotted time.",
       penaltyPerHour > 0
-        ? `A penalty of ${penaltyPerHour} birr per hour now applies until submission (before the fee reaches 35%).`
+        ? `A penalty of ${formatMoney(penaltyPerHour, currency, "en")} per hour now applies until submission (before the fee reaches ${floorPct}%).`
         : "A late penalty window is now in effect.",
       "We’re extremely sorry for this inconvenience."
     ].join("\n"),
-    am: (penaltyPerHour) => [
+    am: (penaltyPerHour, floorPct = 35, currency = "ETB") => [
       "⚠️ ባለሙያው በተሰጠው የጊዜ ገደብ ውስጥ አላስረከበም።",
       penaltyPerHour > 0
-        ? `ስራው እስከሚቀርብ ድረስ በየሰዓቱ የ${penaltyPerHour} ብር ቅጣት ይታሰባል። (ይህም ቅጣት ከጠቅላላ ክፍያው 35% ከመድረሱ በፊት መሆን አለበት።)`
+        ? `ስራው እስከሚቀርብ ድረስ በየሰዓቱ የ${formatMoney(penaltyPerHour, currency, "am")} ቅጣት ይታሰባል። (ይህም ቅጣት ከጠቅላላ ክፍያው ${floorPct}% ከመድረሱ በፊት መሆን አለበት።)`
         : "የዘግይቶ ማቅረቢያ የቅጣት ጊዜ ተጀምሯል።",
       "ለተፈጠረው መስተጓጎል ከልብ ይቅርታ እንጠይቃለን።"
     ].join("\n")
@@ -2150,6 +2358,126 @@ If a deletion request conflicts with dispute handling, fraud prevention, legal o
     en: "📤 Send corrected version",
     am: "📤 የተስተካከለው ስራ ይላክ"
   },
+  walletSummary: {
+    en: (balance, refundsOn) => [
+      `💼 *Your Taskifay wallet*`,
+      `Balance: *${balance} birr*`,
+      `Refunds go to: ${refundsOn ? "this wallet" : "your original payment method"}`
+    ].join("\n"),
+    am: (balance, refundsOn) => [
+      `💼 *የታስኪፌይ ዋሌትዎ*`,
+      `ቀሪ ሂሳብ: *${balance} ብር*`,
+      `ተመላሽ ገንዘብ የሚገባው: ${refundsOn ? "ወደዚህ ዋሌት" : "ወደከፈሉበት የክፍያ መንገድ"}`
+    ].join("\n")
+  },
+  walletHistoryTitle: {
+    en: "Recent activity:",
+    am: "የቅርብ ጊዜ እንቅስቃሴ:"
+  },
+  walletNoHistory: {
+    en: "No wallet activity yet.",
+    am: "እስካሁን በዋሌቱ ምንም እንቅስቃሴ የለም።"
+  },
+  walletTxKinds: {
+    en: { refund: "Refund", earning: "Earning", escrow_funding: "Task payment", withdrawal: "Withdrawal", withdrawal_reversal: "Withdrawal returned" },
+    am: { refund: "ተመላሽ", earning: "ገቢ", escrow_funding: "የስራ ክፍያ", withdrawal: "ወጪ (ወደ ባንክ)", withdrawal_reversal: "የተመለሰ ወጪ" }
+  },
+  walletRefundsToggleBtn: {
+    en: (on) => on ? "↩️ Send refunds to my payment method" : "💼 Send refunds to my wallet",
+    am: (on) => on ? "↩️ ተመላሽ ወደከፈልኩበት መንገድ ይግባ" : "💼 ተመላሽ ወደ ዋሌቴ ይግባ"
+  },
+  walletWithdrawBtn: {
+    en: "🏦 Withdraw to bank",
+    am: "🏦 ወደ ባንክ አውጣ"
+  },
+  walletEmpty: {
+    en: "Your wallet is empty, there is nothing to withdraw.",
+    am: "ዋሌትዎ ባዶ ነው፤ የሚወጣ ገንዘብ የለም።"
+  },
+  walletNoBanks: {
+    en: "You have no saved bank details. Add one from your profile first.",
+    am: "የተቀመጠ የባንክ መረጃ የለዎትም። መጀመሪያ ከፕሮፋይልዎ ይጨምሩ።"
+  },
+  walletPickBank: {
+    en: (balance) => `Withdraw ${balance} birr to which account?`,
+    am: (balance) => `${balance} ብር ወደ የትኛው አካውንት ይውጣ?`
+  },
+  walletPickProviderBank: {
+    en: (bank) => `More than one bank matches "${bank}". Which one is your account with?`,
+    am: (bank) => `"${bank}" ከአንድ በላይ ባንክ ጋር ይመሳሰላል። አካውንትዎ በየትኛው ባንክ ነው?`
+  },
+  walletBankNotSupported: {
+    en: (bank) => `"${bank}" is not available for transfers right now. Please pick another account.`,
+    am: (bank) => `"${bank}" በአሁኑ ጊዜ ለዝውውር አይገኝም። እባክዎ ሌላ አካውንት ይምረጡ።`
+  },
+  walletWithdrawQueued: {
+    en: (amount, bank, account) => `🏦 Withdrawal of ${amount} birr to ${bank} (${account}) is on its way. We'll let you know once the bank confirms.`,
+    am: (amount, bank, account) => `🏦 ${amount} ብር ወደ ${bank} (${account}) እየተላከ ነው። ባንኩ ሲያረጋግጥ እናሳውቅዎታለን።`
+  },
+  walletWithdrawDone: {
+    en: (amount) => `✅ Your withdrawal of ${amount} birr has arrived in your bank account.`,
+    am: (amount) => `✅ ያወጡት ${amount} ብር ባንክ አካውንትዎ ገብቷል።`
+  },
+  walletWithdrawReversed: {
+    en: (amount) => `↩️ Your withdrawal of ${amount} birr could not be completed and was returned to your wallet.`,
+    am: (amount) => `↩️ ያወጡት ${amount} ብር ሊላክ ስላልቻለ ወደ ዋሌትዎ ተመልሷል።`
+  },
+  walletRefundCredited: {
+    en: (amount, balance) => `💼 ${amount} birr was refunded to your Taskifay wallet (balance: ${balance} birr). See /wallet.`,
+    am: (amount, balance) => `💼 ${amount} ብር ወደ ታስኪፌይ ዋሌትዎ ተመልሷል (ቀሪ: ${balance} ብር)። /wallet ይመልከቱ።`
+  },
+  walletEarningCredited: {
+    en: (amount, balance) => `💼 ${amount} birr was added to your Taskifay wallet (balance: ${balance} birr). You can withdraw it any time with /wallet.`,
+    am: (amount, balance) => `💼 ${amount} ብር ወደ ታስኪፌይ ዋሌትዎ ገብቷል (ቀሪ: ${balance} ብር)። በማንኛውም ጊዜ በ /wallet ማውጣት ይችላሉ።`
+  },
+  payoutToWalletBtn: {
+    en: "💼 Send to my Taskifay wallet",
+    am: "💼 ወደ ታስኪፌይ ዋሌቴ ይግባ"
+  },
+  walletPayEscrowOffer: {
+    en: (balance, amount) => `💼 You have ${balance} birr in your Taskifay wallet. You can pay this task's ${amount} birr from it instead of checking out.`,
+    am: (balance, amount) => `💼 በታስኪፌይ ዋሌትዎ ${balance} ብር አለዎት። የዚህን ስራ ${amount} ብር ክፍያ ከዋሌቱ መክፈል ይችላሉ።`
+  },
+  walletPayEscrowBtn: {
+    en: (amount) => `💼 Pay ${amount} birr from wallet`,
+    am: (amount) => `💼 ${amount} ብር ከዋሌት ክፈል`
+  },
+  walletInsufficient: {
+    en: "Your wallet balance is not enough for this payment.",
+    am: "የዋሌትዎ ቀሪ ሂሳብ ለዚህ ክፍያ በቂ አይደለም።"
+  },
+  walletBirrOnly: {
+    en: "The wallet holds birr, so it can only pay for tasks priced in birr.",
+    am: "ዋሌቱ የሚይዘው ብር ስለሆነ በብር ዋጋ የተተመኑ ስራዎችን ብቻ መክፈል ይችላል።"
+  },
+  starsPayEscrowOffer: {
+    en: (amount, stars) => `⭐ No Ethiopian bank or Telebirr? You can also fund this task's ${amount} escrow with ${stars} Telegram Stars. If the task is canceled or expires, the Stars go back to you in full.`,
+    am: (amount, stars) => `⭐ የኢትዮጵያ ባንክ ወይም ቴሌብር የለዎትም? የዚህን ስራ ${amount} ክፍያ በ${stars} ቴሌግራም ስታርስ መክፈል ይችላሉ። ስራው ከተሰረዘ ወይም ጊዜው ካለፈ ስታርሶቹ ሙሉ በሙሉ ይመለሱልዎታል።`
+  },
+  starsPayEscrowBtn: {
+    en: (stars) => `⭐ Pay ${stars} Stars`,
+    am: (stars) => `⭐ ${stars} ስታርስ ክፈል`
+  },
+  starsInvoiceExpired: {
+    en: "This payment session is no longer valid. Please tap Post Task again.",
+    am: "ይህ የክፍያ ሂደት ከአሁን በኋላ አያገለግልም። እባክዎ ስራው ይለጠፍ የሚለውን እንደገና ይጫኑ።"
+  },
+  disputeVerdictToCreator: {
+    en: (pct, amount, currency = "ETB") => amount > 0
+      ? `⚖️ Taskifay has reviewed the dispute and decided to refund you ${pct}% of the remaining task fee (${formatMoney(amount, currency, "en")}). The refund is on its way.`
+      : "⚖️ Taskifay has reviewed the dispute and decided that the task fee goes to the task doer. No refund will be made.",
+    am: (pct, amount, currency = "ETB") => amount > 0
+      ? `⚖️ ታስኪፌይ (Taskifay) ጉዳዩን መርምሮ ከቀረው የስራ ክፍያ ${pct}% (${formatMoney(amount, currency, "am")}) ተመላሽ እንዲደረግልዎ ወስኗል። ተመላሹ በሂደት ላይ ነው።`
+      : "⚖️ ታስኪፌይ (Taskifay) ጉዳዩን መርምሮ የስራ ክፍያው ለስራ ሰሪው እንዲሰጥ ወስኗል። ምንም ተመላሽ አይደረግም።"
+  },
+  disputeVerdictToDoer: {
+    en: (pct, amount, currency = "ETB") => amount > 0
+      ? `⚖️ Taskifay has reviewed the dispute and decided you receive ${pct}% of the remaining task fee: ${formatMoney(amount, currency, "en")} after commission. Please choose where to receive it:`
+      : "⚖️ Taskifay has reviewed the dispute and decided that the task fee is refunded to the task creator.",
+    am: (pct, amount, currency = "ETB") => amount > 0
+      ? `⚖️ ታስኪፌይ (Taskifay) ጉዳዩን መርምሮ ከቀረው የስራ ክፍያ ${pct}% እንዲደርስዎ ወስኗል፤ ኮሚሽን ተቀንሶ ${formatMoney(amount, currency, "am")}። እባክዎ የሚቀበሉበትን ይምረጡ፦`
+      : "⚖️ ታስኪፌይ (Taskifay) ጉዳዩን መርምሮ የስራ ክፍያው ለስራ ሰጪው ተመላሽ እንዲደረግ ወስኗል።"
+  },
 
 
 
@@ -2259,7 +2587,7 @@ const ALL_FIELDS = [
 ];
 const FIELDS_PER_PAGE = 10;
 // --- Report/Escalation constants ---
-const BAN_GROUP_ID = -1002239730204;        // group to ban/unban users in
+const BAN_GROUP_ID = CONFIG.BAN_GROUP_ID;        // group to ban/unban users in
 // --- Group "mute" permissions (keeps user in group, but they can't send anything) ---
 const GROUP_MUTE_PERMS = {
   can_send_messages: false,
@@ -2299,10 +2627,32 @@ function muteUntilFarFutureUnix() {
   return Math.floor(Date.now() / 1000) + (60 * 60 * 24 * 365 * 10); // ~10 years
 }
 
-// Admin who decides manual punishment amounts
-const SUPER_ADMIN_TG_ID = 806525520;
+// Root admin: always super_admin, whatever the AdminUser rows say (see admin/permissions.js)
+const SUPER_ADMIN_TG_ID = CONFIG.SUPER_ADMIN_TG_ID;
+configureAdminRoles({ superAdminTgId: SUPER_ADMIN_TG_ID });
+
+/**
+ * Permission check for admin buttons and commands. Every attempt is logged as an AdminAction with
+ * the acting admin; a non-admin typing an admin command is ignored without a log row.
+ * A denied button press gets `denied` as an alert.
+ * @returns {Promise<boolean>}
+ */
+async function authorizeAdmin(ctx, permission, { action, target = null, data = {}, denied = "⛔ Your admin role doesn't allow this." } = {}) {
+  const adminId = ctx.from?.id;
+  if (!adminId) return false;
+
+  const roles = await adminRolesFor(adminId);
+  const allowed = rolesAllow(roles, permission);
+  if (allowed || roles.length || ctx.callbackQuery) {
+    await recordAdminAction({ admin: adminId, roles, permission, action, allowed, target, data });
+  }
+  if (!allowed && ctx.callbackQuery) {
+    await ctx.answerCbQuery(denied, { show_alert: true }).catch(() => {});
+  }
+  return allowed;
+}
 
-const ESCALATION_CHANNEL_ID = -1002432632907; // channel for giant escalation message
+const ESCALATION_CHANNEL_ID = CONFIG.ESCALATION_CHANNEL_ID; // channel for giant escalation message
 
 function buildPreviewText(draft, user) {
   const lang = user?.language || "en";
@@ -2340,8 +2690,8 @@ function buildPreviewText(draft, user) {
   // Payment Fee
   if (draft.paymentFee != null) {
     lines.push(lang === "am" 
-      ? `*የክፍያ መጠን:* ${draft.paymentFee} ብር` 
-      : `*Payment Fee:* ${draft.paymentFee} birr`);
+      ? `*የክፍያ መጠን:* ${formatMoney(draft.paymentFee, draft.currency, "am")}` 
+      : `*Payment Fee:* ${formatMoney(draft.paymentFee, draft.currency, "en")}`);
     lines.push("");
   }
 
@@ -2372,8 +2722,8 @@ function buildPreviewText(draft, user) {
   // Penalty per Hour
   if (draft.penaltyPerHour != null) {
     lines.push(lang === "am" 
-      ? `*በተዘገየ ሰዓት የሚቀነስው የቅጣት መጠን:* ${draft.penaltyPerHour} ብር` 
-      : `*Penalty(in birr) per Hour (if late):* ${draft.penaltyPerHour} birr`);
+      ? `*በተዘገየ ሰዓት የሚቀነስው የቅጣት መጠን:* ${formatMoney(draft.penaltyPerHour, draft.currency, "am")}` 
+      : `*Penalty(in ${currencyUnit(draft.currency, "en")}) per Hour (if late):* ${formatMoney(draft.penaltyPerHour, draft.currency, "en")}`);
     lines.push("");
   }
 
@@ -2443,7 +2793,7 @@ function buildChannelPostText(draft, user) {
 
   // Payment Fee
   if (draft.paymentFee != null) {
-    lines.push(`*Payment Fee:* ${draft.paymentFee} birr`);
+    lines.push(`*Payment Fee:* ${formatMoney(draft.paymentFee, draft.currency)}`);
     lines.push("");
   }
 
@@ -2467,7 +2817,7 @@ function buildChannelPostText(draft, user) {
 
   // Penalty per Hour
   if (draft.penaltyPerHour != null) {
-    lines.push(`*Penalty per Hour (late):* ${draft.penaltyPerHour} birr`);
+    lines.push(`*Penalty per Hour (late):* ${formatMoney(draft.penaltyPerHour, draft.currency)}`);
     lines.push("");
   }
 
@@ -2507,18 +2857,29 @@ function buildChannelPostText(draft, user) {
 //  Task Management Utility Functions
 // ------------------------------------
 
-async function checkTaskExpiries(bot) {
+// Run by each task's "taskExpiry" job at its expiry; a retry finds the task already
+// Expired and redoes the refund / unlock / notification steps, which are idempotent.
+async function checkTaskExpiries(bot, { taskId }) {
+  let failure = null;
   try {
     const now = new Date();
     const tasks = await Task.find({
-      status: "Open",
+      _id: taskId,
+      status: { $in: ["Open", "Expired"] },
       expiry: { $lte: now }
     }).populate("creator").populate("applicants.user");
     
     for (const task of tasks) {
-      // FIRST - Update task status to Expired and save immediately
-      task.status = "Expired";
-      await task.save();
+      // FIRST - move the task to Expired (skip if another path already moved it on)
+      const expiredNow = task.status === "Open";
+      if (expiredNow) {
+        const expired = await transitionTask(task._id, "Expired", {
+          filter: { expiry: { $lte: now } },
+          reason: "expiry sweep"
+        });
+        if (!expired) continue;
+        task.status = "Expired";
+      }
       // --- AUTO-REFUND ON EXPIRY (THIS FUNCTION ACTUALLY RUNS) -----------------
       try {
         const intent = await PaymentIntent.findOne({ task: task._id, status: "paid" });
@@ -2585,9 +2946,10 @@ async function checkTaskExpiries(bot) {
         }
       } catch (refundErr) {
         console.error("Auto-refund-on-expiry error in checkTaskExpiries:", refundErr);
+        failure = failure || refundErr;
       }
-      // Disable application buttons for pending applications
-      const pendingApps = task.applicants.filter(app => app.status === "Pending");
+      // Disable application buttons for pending applications (first run only)
+      const pendingApps = expiredNow ? task.applicants.filter(app => app.status === "Pending") : [];
       for (const app of pendingApps) {
         if (app.messageId && task.creator) {
           try {
@@ -2615,7 +2977,7 @@ async function checkTaskExpiries(bot) {
 
       // Handle accepted applications
       const acceptedApps = task.applicants.filter(app => app.status === "Accepted");
-      for (const app of acceptedApps) {
+      for (const app of expiredNow ? acceptedApps : []) {
         if (app.user && app.messageId) {
           try {
             const user = app.user;
@@ -2652,6 +3014,7 @@ async function checkTaskExpiries(bot) {
           await releaseLocksForTask(task._id);
         } catch (e) {
           console.error("Failed to release locks on expiry:", e);
+          failure = failure || e;
         }
       }
 
@@ -2715,10 +3078,9 @@ async function checkTaskExpiries(bot) {
     }
   } catch (err) {
     console.error("Error in checkTaskExpiries:", err);
+    throw err;
   }
-  
-  // Check again in 1 minute
-  setTimeout(() => checkTaskExpiries(bot), 60000);
+  if (failure) throw failure;
 }
 // ─── Utility: Release Payment & Finalize Task ─────────────────────────
 // ── Updated releasePaymentAndFinalize Function ──
@@ -2740,8 +3102,14 @@ async function releasePaymentAndFinalize(taskId, reason) {
     const totalAmountRaw = intent ? intent.amount : (task.paymentFee || 0);
     const totalAmount = Number(totalAmountRaw) || 0;
 
-    // Platform commission: 5% of the task fee.
-    const commission = round2(totalAmount * 0.05);
+    // Staged escrow (30:40:30 / 50:50): stages already paid out one by one are not paid again here;
+    // every other stage (approved ones whose payout the doer hasn't claimed too) is paid by this payout
+    const stages = await coverUnreleasedStages(task._id, doer.telegramId);
+    const remainingAmount = round2(Math.max(0, totalAmount - await releasedStageGross(task._id, stages, totalAmount)));
+
+    // Platform commission of the (remaining) task fee, from the fee rules the task was posted under
+    const feeRules = await feeRulesForTask(task);
+    const commission = round2(remainingAmount * commissionRateFor(feeRules, task));
 
     // ---- NEW: compute late penalty already deducted during the "time-up" penalty window ----
     // We use DoerWork.penaltyStartAt (when penalty started) and DoerWork.completedAt (when doer clicked "Completed task sent").
@@ -2763,8 +3131,8 @@ async function releasePaymentAndFinalize(taskId, reason) {
           // Per-hour deduction (counts partial hours as a full hour, matching your use of Math.ceil in timers)
           const hoursLate = Math.ceil((end.getTime() - start.getTime()) / 3600000);
 
-          // Cap so fee never goes below 35% (i.e., max deduction is 65% of original)
-          const maxDeduct = Math.max(0, totalAmount * 0.65);
+          // Cap so the fee never goes below its floor (35% by default, i.e. max deduction 65% of original)
+          const maxDeduct = penaltyCapFor(feeRules, totalAmount);
 
           latePenaltyDeduction = Math.min(maxDeduct, hoursLate * penaltyPerHour);
           latePenaltyDeduction = round2(latePenaltyDeduction);
@@ -2776,7 +3144,7 @@ async function releasePaymentAndFinalize(taskId, reason) {
     }
 
     // Amount to send to the doer: task fee - platform commission - late penalty already accumulated
-    const payoutAmount = round2(Math.max(0, totalAmount - commission - latePenaltyDeduction));
+    const payoutAmount = round2(Math.max(0, remainingAmount - commission - latePenaltyDeduction));
 
     // ----- END: commission + payout calculation (UPDATED) -----
 
@@ -2784,25 +3152,9 @@ async function releasePaymentAndFinalize(taskId, reason) {
 
 
 
-    // Fetch supported banks from Chapa
-    let banksList = [];
-    try {
-      const resBanks = await fetch("https://api.chapa.co/v1/banks", {
-        method: "GET",
-        headers: {
-          Authorization: `Bearer ${process.env.CHAPA_SECRET_KEY}`
-        }
-      });
-      const dataBanks = await resBanks.json().catch(() => null);
-      if (!resBanks.ok || !dataBanks?.data) {
-        console.error("Failed to fetch bank list from Chapa:", dataBanks || resBanks.statusText);
-      } else {
-        // Filter banks to ETB currency (if needed)
-        banksList = dataBanks.data.filter(b => b.currency === "ETB");
-      }
-    } catch (err) {
-      console.error("Error fetching bank list:", err);
-    }
+    // Fetch supported banks from Chapa (the payout is made in the task's currency)
+    const currency = normalizeCurrency(task.currency);
+    const banksList = await fetchPayoutBanks(currency);
     
     if (!banksList.length) {
       // If we could not retrieve banks, log and finalize without payout
@@ -2815,12 +3167,15 @@ async function releasePaymentAndFinalize(taskId, reason) {
     }
 
     // Store payout context for this user (to be used in callbacks)
-    global.pendingPayouts = global.pendingPayouts || {};
-    global.pendingPayouts[doer.telegramId] = {
+    await rememberPendingPayout(doer.telegramId, {
       taskId: String(task._id),
       doerId: doer._id,
       creatorId: creator._id,
       payoutAmount: payoutAmount.toFixed(2),
+      grossAmount: remainingAmount,
+      currency,
+      commission,
+      feeRuleVersion: feeRules.version,
       reference: `task_payout_${task._id}`,
       banks: banksList,
       selectedBankId: null,
@@ -2828,8 +3183,7 @@ async function releasePaymentAndFinalize(taskId, reason) {
       // NEW: persist the user's language for localization in later steps
       language: doer.language || "en",
       latePenaltyBirr: latePenaltyDeduction, // number (already rounded to 2dp above)
-
-    };
+    });
 
     // Prompt the doer to choose a bank from the fetched list
     const lang = doer.language || "en";
@@ -2837,8 +3191,8 @@ async function releasePaymentAndFinalize(taskId, reason) {
     const penaltyLine =
       (latePenaltyDeduction && latePenaltyDeduction > 0)
         ? (lang === "am"
-            ? `\n\n⚠️ ስራውን አርፍደው ስላስረከቡ፤ ከታስኪፌይ እና ከቻፓ ኮሚሽን በተጨማሪ ${latePenaltyDeduction} ብር ቅጣት ከክፍያዎ ላይ ተቀናሽ ይደረጋል።`
-            : `\n\n⚠️ Because you submitted late, in addition to Taskifay + Chapa commission, a total penalty of *${latePenaltyDeduction} birr* will be deducted from your task fee.`)
+            ? `\n\n⚠️ ስራውን አርፍደው ስላስረከቡ፤ ከታስኪፌይ እና ከቻፓ ኮሚሽን በተጨማሪ ${formatMoney(latePenaltyDeduction, currency, "am")} ቅጣት ከክፍያዎ ላይ ተቀናሽ ይደረጋል።`
+            : `\n\n⚠️ Because you submitted late, in addition to Taskifay + Chapa commission, a total penalty of *${formatMoney(latePenaltyDeduction, currency, "en")}* will be deducted from your task fee.`)
         : "";
 
     const chooseBankText =
@@ -2847,11 +3201,12 @@ async function releasePaymentAndFinalize(taskId, reason) {
         : `Please choose your bank for payout:${penaltyLine}`;
 
     const firstPageButtons = buildBankKeyboard(
-      String(task._id),
+      `task_payout_${task._id}`,
       banksList,
       0,
       null,
-      lang
+      lang,
+      currency
     );
 
     
@@ -2867,9 +3222,203 @@ async function releasePaymentAndFinalize(taskId, reason) {
     console.error("Error in releasePaymentAndFinalize:", err);
   }
 }
-// Helper to build inline keyboard for a given page of banks (10 per page)
-// Helper to build inline keyboard for a given page of banks (10 per page)
-function buildBankKeyboard(taskId, banks, page, selectedBankId, lang = "en") {
+// Fetch the ETB banks the payment provider can pay out to ([] on any failure)
+async function fetchPayoutBanks(currency = "ETB") {
+  return paymentProvider.listBanks({ currency: normalizeCurrency(currency) });
+}
+
+// Ask the provider who holds `accountNumber` at `bank` and compare it with the user's registered name.
+// Never throws: any lookup problem is "unverified".
+// @returns {Promise<{status: "verified"|"mismatch"|"unverified"|"not_found", accountName: string|null, checkedAt: Date}>}
+async function checkPayoutAccount({ bank, accountNumber, fullName }) {
+  const checkedAt = new Date();
+  if (!bank || !paymentProvider.isConfigured()) return { status: "unverified", accountName: null, checkedAt };
+  try {
+    const res = await paymentProvider.resolveAccount({
+      bankCode: bank.id,
+      accountNumber: providerAccountNumber(destinationTypeForBank(bank), accountNumber)
+    });
+    if (!res.found) return { status: "not_found", accountName: null, checkedAt };
+    if (!res.ok) return { status: "unverified", accountName: null, checkedAt };
+    return { status: compareAccountHolder(fullName, res.accountName), accountName: res.accountName, checkedAt };
+  } catch (e) {
+    console.error("Account holder lookup failed:", e);
+    return { status: "unverified", accountName: null, checkedAt };
+  }
+}
+
+// Same check for a saved destination (User.bankDetails entry)
+async function checkSavedDestination(user, dest) {
+  const bank = findProviderBank(await fetchPayoutBanks(), dest);
+  return checkPayoutAccount({ bank, accountNumber: dest.accountNumber, fullName: user.fullName });
+}
+
+// ─── Staged escrow (30:40:30 / 50:50) ─────────────────────────
+const STAGE_PERCENTS_BY_STRATEGY = {
+  "30:40:30": [30, 40, 30],
+  "50:50": [50, 50],
+};
+
+// Stages saved on the Task when it is posted ("100%" has none → single final payout)
+function buildStagesForStrategy(strategy) {
+  const percents = STAGE_PERCENTS_BY_STRATEGY[String(strategy || "").trim()] || [];
+  return percents.map((percent, i) => ({ stageNum: i + 1, percent, status: "pending" }));
+}
+
+// Index in DoerWork.messages where the next delivery starts (earlier ones were already sent per stage)
+function stageMessageOffset(task) {
+  return (task?.stages || []).reduce((max, s) => Math.max(max, Number(s.messagesTo || 0)), 0);
+}
+
+// Doer control buttons: next intermediate stage (if any) + the usual "Completed task sent".
+// The last stage is always delivered through "Completed task sent".
+function buildDoerControlKeyboard(task, lang = "en") {
+  const rows = [];
+  const stages = Array.isArray(task?.stages) ? task.stages : [];
+  const next = stages.slice(0, -1).find(s => !["approved", "paid"].includes(s.status));
+
+  if (next) {
+    const label = TEXT.stageDeliveredBtn[lang](next.stageNum, next.percent);
+    rows.push([
+      next.status === "delivered"
+        ? Markup.button.callback(`✔ ${label}`, "_DISABLED_STAGE_DELIVERED")
+        : Markup.button.callback(label, `STAGE_DELIVERED_${task._id}_${next.stageNum}`)
+    ]);
+  }
+
+  rows.push([Markup.button.callback(TEXT.completedSentBtn[lang], `COMPLETED_SENT_${task._id}`)]);
+  return Markup.inlineKeyboard(rows);
+}
+
+// Re-render the doer's control message after a stage changes state
+async function refreshDoerControlKeyboard(telegram, taskId) {
+  try {
+    const task = await Task.findById(taskId);
+    const work = await DoerWork.findOne({ task: taskId });
+    if (!task || !work?.doerControlMessageId || work.status !== "active") return;
+
+    const doer = await User.findById(work.doer);
+    await telegram.editMessageReplyMarkup(
+      work.doerTelegramId,
+      work.doerControlMessageId,
+      undefined,
+      buildDoerControlKeyboard(task, doer?.language || "en").reply_markup
+    );
+  } catch (e) {
+    console.error("refreshDoerControlKeyboard failed:", e);
+  }
+}
+
+// A stage's share goes out exactly once: either the doer claims the stage payout (releasedAt) or the
+// final payout / a dispute verdict takes the stage over (coveredAt). Each side only marks stages the
+// other hasn't, so whichever comes first owns the share.
+
+// The doer picked where a stage payout goes: claim its stage (true = go ahead)
+async function claimStagePayout(pending) {
+  if (await TaskPayout.exists({ reference: pending.reference })) return true;   // claimed by this payout before
+  if (await TaskPayout.exists({ task: pending.taskId, stageNum: null })) return false;
+  const res = await Task.updateOne(
+    { _id: pending.taskId, stages: { $elemMatch: { stageNum: pending.stageNum, releasedAt: null, coveredAt: null } } },
+    { $set: { "stages.$.releasedAt": new Date() } }
+  );
+  return res.modifiedCount === 1;
+}
+
+// Take over every stage not claimed yet and drop the doer's waiting payouts for them; returns the stages as stored now
+async function coverUnreleasedStages(taskId, doerTelegramId) {
+  await Task.updateOne(
+    { _id: taskId },
+    { $set: { "stages.$[s].coveredAt": new Date() } },
+    { arrayFilters: [{ "s.releasedAt": null, "s.coveredAt": null }] }
+  );
+  const stages = (await Task.findById(taskId).select("stages").lean())?.stages || [];
+  if (doerTelegramId) {
+    for (const s of stages.filter(s => !s.releasedAt)) {
+      await dropPendingPayout(doerTelegramId, `task_payout_${taskId}_s${s.stageNum}`);
+    }
+  }
+  return stages;
+}
+
+// Escrow already paid out by claimed stages: each one's TaskPayout.gross, or its share of the escrow
+// while that row isn't written yet. What's left is total − this, so per-stage rounding leaves no cents behind.
+async function releasedStageGross(taskId, stages, totalAmount) {
+  const released = stages.filter(s => s.releasedAt);
+  if (!released.length) return 0;
+  const payouts = await TaskPayout.find({ task: taskId, stageNum: { $in: released.map(s => s.stageNum) } })
+    .select("stageNum gross").lean();
+  const grossOf = new Map(payouts.filter(p => p.gross != null).map(p => [p.stageNum, Number(p.gross)]));
+  return round2(released.reduce(
+    (sum, s) => sum + (grossOf.get(s.stageNum) ?? round2(totalAmount * Number(s.percent || 0) / 100)), 0));
+}
+
+// Pay out one approved stage: same bank → account number → TaskPayout flow as the final payout.
+// The stage is claimed (claimStagePayout) only once the doer picks a bank or the wallet; until then the
+// final payout may still take it over.
+async function releaseStagePayment(taskId, stageNum) {
+  try {
+    const task = await Task.findById(taskId).populate("creator").populate("applicants.user");
+    if (!task) return;
+    const doerApp = task.applicants.find(a => a.confirmedAt);
+    if (!doerApp) return;
+    const doer = doerApp.user;
+    const creator = task.creator;
+
+    const stage = (task.stages || []).find(s => s.stageNum === Number(stageNum));
+    if (!stage || stage.releasedAt || stage.coveredAt || stage.status !== "approved") return;
+    if (await escrowRefundedForTask(task)) return;
+
+    const intent = await PaymentIntent.findOne({ task: task._id, status: "paid" });
+    const totalAmount = Number(intent ? intent.amount : (task.paymentFee || 0)) || 0;
+
+    const stageAmount = round2(totalAmount * Number(stage.percent || 0) / 100);
+    const feeRules = await feeRulesForTask(task);
+    const commission = round2(stageAmount * commissionRateFor(feeRules, task));
+    const payoutAmount = round2(Math.max(0, stageAmount - commission));
+
+    const currency = normalizeCurrency(task.currency);
+    const banksList = await fetchPayoutBanks(currency);
+    if (!banksList.length) {
+      console.error("No bank list available – stage payout deferred to the final payout.", String(task._id), stage.stageNum);
+      return;
+    }
+
+    await rememberPendingPayout(doer.telegramId, {
+      taskId: String(task._id),
+      doerId: doer._id,
+      creatorId: creator._id,
+      payoutAmount: payoutAmount.toFixed(2),
+      grossAmount: stageAmount,
+      currency,
+      commission,
+      feeRuleVersion: feeRules.version,
+      reference: `task_payout_${task._id}_s${stage.stageNum}`,
+      stageNum: stage.stageNum,
+      banks: banksList,
+      selectedBankId: null,
+      accountPromptMessageId: null,
+      language: doer.language || "en",
+      latePenaltyBirr: 0,
+    });
+
+    const lang = doer.language || "en";
+    const chooseBankText = (lang === "am")
+      ? `✅ ደረጃ ${stage.stageNum} (${stage.percent}%) ጸድቋል። የዚህ ደረጃ ክፍያ (${formatMoney(payoutAmount, currency, "am")}) የሚቀበሉበትን ባንክ ይምረጡ።`
+      : `✅ Stage ${stage.stageNum} (${stage.percent}%) was approved. Please choose your bank for this stage's payout (${formatMoney(payoutAmount, currency, "en")}):`;
+
+    await globalThis.TaskifiiBot.telegram.sendMessage(
+      doer.telegramId,
+      chooseBankText,
+      { reply_markup: buildBankKeyboard(`task_payout_${task._id}_s${stage.stageNum}`, banksList, 0, null, lang, currency).reply_markup }
+    );
+  } catch (err) {
+    console.error("Error in releaseStagePayment:", err);
+  }
+}
+
+// Helper to build inline keyboard for a given page of banks (10 per page).
+// Buttons carry the payout reference, so a doer with several payouts waiting picks for the right one.
+function buildBankKeyboard(reference, banks, page, selectedBankId, lang = "en", currency = "ETB") {
   const FIELDS_PER_PAGE = 10;
   const start = page * FIELDS_PER_PAGE;
   const end = Math.min(start + FIELDS_PER_PAGE, banks.length);
@@ -2881,7 +3430,7 @@ function buildBankKeyboard(taskId, banks, page, selectedBankId, lang = "en") {
     const isSelected = selectedBankId && selectedBankId === bank.id;
     const label = isSelected ? `✔ ${bank.name}` : bank.name;
     keyboard.push([
-      Markup.button.callback(label, `PAYOUT_SELECT_${taskId}_${bank.id}`)
+      Markup.button.callback(label, `PAYOUT_SELECT_${reference}_${bank.id}`)
     ]);
   }
 
@@ -2892,14 +3441,14 @@ function buildBankKeyboard(taskId, banks, page, selectedBankId, lang = "en") {
   if (page > 0) {
     const prevLabel = isAmharic ? "⬅️ ወደኋላ" : "⬅️ Prev";
     navButtons.push(
-      Markup.button.callback(prevLabel, `PAYOUT_PAGE_${taskId}_${page-1}`)
+      Markup.button.callback(prevLabel, `PAYOUT_PAGE_${reference}_${page-1}`)
     );
   }
 
   if (end < banks.length) {
     const nextLabel = isAmharic ? "ቀጣይ ➡️" : "Next ➡️";
     navButtons.push(
-      Markup.button.callback(nextLabel, `PAYOUT_PAGE_${taskId}_${page+1}`)
+      Markup.button.callback(nextLabel, `PAYOUT_PAGE_${reference}_${page+1}`)
     );
   }
 
@@ -2907,6 +3456,13 @@ function buildBankKeyboard(taskId, banks, page, selectedBankId, lang = "en") {
     keyboard.push(navButtons);
   }
 
+  // Alternative to a bank transfer: keep the earnings in the in-bot wallet (which holds birr only)
+  if (normalizeCurrency(currency) === "ETB") {
+    keyboard.push([
+      Markup.button.callback(TEXT.payoutToWalletBtn[isAmharic ? "am" : "en"], `PAYOUT_TO_WALLET_${reference}`)
+    ]);
+  }
+
   return Markup.inlineKeyboard(keyboard);
 }
 
@@ -2915,6 +3471,7 @@ async function checkPendingRefunds() {
     const pendings = await PaymentIntent.find({
       status: "paid",
       refundStatus: "pending",
+      provider: { $ne: "telegram_stars" },   // Stars refunds complete synchronously
     }).limit(50);
 
     for (const intent of pendings) {
@@ -2926,15 +3483,15 @@ async function checkPendingRefunds() {
         // Re-verify using your smart verifier (live/test auto-pick)
         // Many providers reflect refund state on the same verify payload;
         // if Chapa exposes a dedicated refund-status endpoint, wire it here similarly.
-        const v = await verifyChapaTxRefSmart(ref);
+        const v = await verifyPayment(ref);
 
         // Heuristic: consider it settled when provider no longer reports it as
         // refundable and/or returns a refund object with success/completed.
         const settled =
-          v.ok && v.data && v.data.data && (
-            v.data.data.refund_status === "success" ||
-            v.data.data.refund_status === "completed" ||
-            v.data.data.status === "refunded"
+          v.ok && v.raw && v.raw.data && (
+            v.raw.data.refund_status === "success" ||
+            v.raw.data.refund_status === "completed" ||
+            v.raw.data.status === "refunded"
           );
 
         if (settled) {
@@ -2951,6 +3508,7 @@ async function checkPendingRefunds() {
     }
   } catch (e) {
     console.error("checkPendingRefunds error:", e);
+    throw e;
   }
 }
 function round2(x) {
@@ -2959,26 +3517,261 @@ function round2(x) {
   return Math.round(n * 100) / 100;
 }
 
-// Normalizes ET mobile numbers to +2519xxxxxxxx / +2517xxxxxxxx; returns null if unknown.
-function normalizeEtPhone(raw) {
-  if (!raw) return null;
-  const str = String(raw).trim();
+// ─── Payment reconciliation ─────────────────────────
+// Daily cross-check of our money records against the provider (job "reconcilePayments", or /reconcile).
+// Every mismatch carries a stable key, so the report can tell new problems from ones still open.
+const RECONCILE_LOOKBACK_DAYS = Number(process.env.RECONCILE_LOOKBACK_DAYS) || 14;
+const RECONCILE_MAX_RECORDS = 300;              // per category, keeps one run's provider calls bounded
+const RECONCILE_GRACE_MS = 60 * 60 * 1000;      // younger records may still be mid-flow (IPN, posting)
+const RECONCILE_SETTLE_MS = 48 * 60 * 60 * 1000; // refunds / payouts / finalization given this long to settle
+// A run makes up to 4 × RECONCILE_MAX_RECORDS provider lookups one after another; its job keeps the
+// lock this long so a slow run isn't taken for a crashed one and started a second time
+const RECONCILE_LOCK_TIMEOUT_MS = 6 * 60 * 60 * 1000;
+
+const RECONCILE_KIND_LABELS = {
+  paid_not_at_provider: "Paid here, not at provider",
+  provider_paid_not_recorded: "Paid at provider, still pending here",
+  paid_no_task: "Escrow paid but no task",
+  refund_not_at_provider: "Refund not found at provider",
+  refunded_twice: "Refunded twice",
+  refunded_and_paid_out: "Refunded AND paid out",
+  payout_not_at_provider: "Payout succeeded here, not at provider",
+  payout_webhook_missed: "Payout done at provider, not recorded here",
+  payout_missing: "Payout missing",
+};
+
+// Reference the provider knows this intent by (Telegram-invoice escrow, card or Stars, has none we can look up)
+function intentProviderRef(intent) {
+  if (intent.chapaTxRef) return intent.chapaTxRef;
+  if (intent.type === "punishment" && intent.reference) return intent.reference;
+  return null;
+}
+
+function providerRefundSeen(v) {
+  const data = v?.raw?.data || {};
+  return ["success", "completed"].includes(String(data.refund_status || "").toLowerCase())
+    || String(data.status || "").toLowerCase() === "refunded";
+}
+
+async function runReconciliation({ trigger = "schedule", report = true } = {}) {
+  const run = new ReconciliationRun({ trigger, startedAt: new Date() });
+  const now = Date.now();
+  const since = new Date(now - RECONCILE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const graceCutoff = new Date(now - RECONCILE_GRACE_MS);
+  const settleCutoff = new Date(now - RECONCILE_SETTLE_MS);
+  const found = new Map();   // key → discrepancy (one entry per key per run)
+  const add = (d) => { if (!found.has(d.key)) found.set(d.key, d); };
+
+  // Paid + refund checks share tx_refs; look each one up once
+  const chargeLookups = new Map();
+  function lookupCharge(ref) {
+    if (!chargeLookups.has(ref)) {
+      chargeLookups.set(ref, paymentProvider.verify(ref).then(v => {
+        if (!v?.providerError) return v;
+        run.providerErrors += 1;
+        console.error("Reconciliation verify failed:", ref, `HTTP ${v.providerError}`);
+        return null;
+      }, e => {
+        run.providerErrors += 1;
+        console.error("Reconciliation verify failed:", ref, e);
+        return null;
+      }));
+    }
+    return chargeLookups.get(ref);
+  }
+  async function lookupTransfer(reference) {
+    try {
+      return await paymentProvider.verifyTransfer(reference);
+    } catch (e) {
+      run.providerErrors += 1;
+      console.error("Reconciliation transfer verify failed:", reference, e);
+      return null;
+    }
+  }
+
+  // 1) Payments we consider paid
+  const paidIntents = await PaymentIntent.find({ status: "paid", paidAt: { $gte: since } })
+    .sort({ paidAt: -1 }).limit(RECONCILE_MAX_RECORDS);
+  for (const intent of paidIntents) {
+    // Paid from the in-bot wallet: nothing to look up at the provider
+    const ref = intent.provider === "wallet" ? null : intentProviderRef(intent);
+    // A refunded charge no longer reads as paid at the provider; section 3 checks those
+    if (ref && intent.refundStatus !== "succeeded") {
+      const v = await lookupCharge(ref);
+      if (v && !v.ok) {
+        add({
+          key: `paid_not_at_provider:${intent._id}`, kind: "paid_not_at_provider", reference: ref,
+          intent: intent._id, task: intent.task || null, amount: intent.amount, currency: intent.currency,
+          ourStatus: "paid", providerStatus: v.status || "not found", detail: `${intent.type} payment`
+        });
+      }
+    }
+    if (intent.type === "escrow" && !intent.task && intent.refundStatus === "none" && intent.paidAt <= graceCutoff) {
+      const draftExists = intent.draft ? await TaskDraft.exists({ _id: intent.draft }) : null;
+      add({
+        key: `paid_no_task:${intent._id}`, kind: "paid_no_task", reference: ref,
+        intent: intent._id, amount: intent.amount, currency: intent.currency, ourStatus: "paid",
+        detail: draftExists ? "draft still open" : "draft deleted, nothing refunded"
+      });
+    }
+  }
+
+  // 2) Checkouts still pending here that the provider already charged (missed IPN)
+  const pendingIntents = await PaymentIntent.find({
+    status: "pending", createdAt: { $gte: since, $lte: graceCutoff }
+  }).sort({ createdAt: -1 }).limit(RECONCILE_MAX_RECORDS);
+  for (const intent of pendingIntents) {
+    const ref = intentProviderRef(intent);
+    if (!ref) continue;
+    const v = await lookupCharge(ref);
+    if (v?.ok) {
+      add({
+        key: `provider_paid_not_recorded:${intent._id}`, kind: "provider_paid_not_recorded", reference: ref,
+        intent: intent._id, task: intent.task || null, amount: intent.amount, currency: intent.currency,
+        ourStatus: "pending", providerStatus: v.status, detail: `${intent.type} payment`
+      });
+    }
+  }
+  run.checked.intents = paidIntents.length + pendingIntents.length;
+
+  // 3) Refunds
+  const refunded = await PaymentIntent.find({
+    refundStatus: { $in: ["pending", "succeeded"] }, refundedAt: { $gte: since }
+  }).sort({ refundedAt: -1 }).limit(RECONCILE_MAX_RECORDS);
+  run.checked.refunds = refunded.length;
+  for (const intent of refunded) {
+    if (intent.refundedTo === "wallet") continue;   // credited in-bot, no provider refund
+    const ref = intentProviderRef(intent);
+    const mustBeVisible = intent.refundStatus === "succeeded" || intent.refundedAt <= settleCutoff;
+    if (!ref || !mustBeVisible) continue;
+    const v = await lookupCharge(ref);
+    if (v && !providerRefundSeen(v)) {
+      add({
+        key: `refund_not_at_provider:${intent._id}`, kind: "refund_not_at_provider", reference: ref,
+        intent: intent._id, task: intent.task || null, amount: intent.amount, currency: intent.currency,
+        ourStatus: `refund ${intent.refundStatus}`, providerStatus: v.raw?.data?.refund_status || v.status || "not found"
+      });
+    }
+  }
 
-  // Already E.164
-  if (/^\+251[79]\d{8}$/.test(str)) return str;
+  const refundedTaskIds = [...new Set(refunded.filter(i => i.type === "escrow" && i.task).map(i => String(i.task)))];
+  for (const taskId of refundedTaskIds) {
+    const refunds = await PaymentIntent.find({
+      task: taskId, type: "escrow", refundStatus: { $in: ["requested", "queued", "pending", "succeeded"] }
+    }).select("_id amount refundAmount currency").lean();
+    if (refunds.length > 1) {
+      add({
+        key: `refunded_twice:${taskId}`, kind: "refunded_twice", task: taskId,
+        amount: round2(refunds.reduce((s, i) => s + Number(i.amount || 0), 0)), currency: refunds[0]?.currency,
+        detail: `${refunds.length} escrow refunds: ${refunds.map(i => i._id).join(", ")}`
+      });
+    }
+    // A partial refund (dispute split) is meant to go together with a payout
+    const split = refunds.some(i => i.refundAmount != null && i.refundAmount < i.amount);
+    const paidOut = split ? null : await TaskPayout.findOne({ task: taskId, status: { $in: ["requested", "pending", "succeeded"] } })
+      .select("_id reference status amount currency").lean();
+    if (paidOut) {
+      add({
+        key: `refunded_and_paid_out:${taskId}`, kind: "refunded_and_paid_out", task: taskId,
+        payout: paidOut._id, reference: paidOut.reference, amount: paidOut.amount, currency: paidOut.currency,
+        ourStatus: `payout ${paidOut.status}`, detail: "creator refunded and doer paid for the same task"
+      });
+    }
+  }
 
-  // Strip non-digits
-  const digits = str.replace(/\D/g, "");
+  // 4) Payouts the provider has accepted (queued ones are still in retryQueuedPayouts' hands)
+  const payouts = await TaskPayout.find({
+    status: { $in: ["requested", "pending", "succeeded"] }, updatedAt: { $gte: since }
+  }).sort({ updatedAt: -1 }).limit(RECONCILE_MAX_RECORDS);
+  run.checked.payouts = payouts.length;
+  for (const payout of payouts) {
+    if (payout.destination === "wallet") continue;   // credited in-bot, no transfer
+    if (payout.status !== "succeeded" && payout.updatedAt > graceCutoff) continue;
+    const t = await lookupTransfer(payout.reference);
+    if (!t) continue;
+    const base = { reference: payout.reference, payout: payout._id, task: payout.task, amount: payout.amount, currency: payout.currency, ourStatus: payout.status };
+    if (payout.status === "succeeded" && !t.ok) {
+      add({ ...base, key: `payout_not_at_provider:${payout.reference}`, kind: "payout_not_at_provider", providerStatus: t.status || "not found" });
+    } else if (payout.status !== "succeeded" && t.ok) {
+      add({ ...base, key: `payout_webhook_missed:${payout.reference}`, kind: "payout_webhook_missed", providerStatus: t.status });
+    } else if (payout.status !== "succeeded" && !t.found) {
+      add({ ...base, key: `payout_missing:${payout.reference}`, kind: "payout_missing", providerStatus: "not found",
+        detail: "provider has no transfer for this reference" });
+    }
+  }
+
+  // 5) Finished tasks whose escrow never produced a payout
+  const concluded = await FinalizationState.find({ concludedAt: { $gte: since, $lte: settleCutoff } })
+    .select("task").limit(RECONCILE_MAX_RECORDS).lean();
+  run.checked.tasks = concluded.length;
+  for (const st of concluded) {
+    const task = await Task.findById(st.task).select("status").lean();
+    if (task?.status !== "Completed") continue;
+    const escrow = await PaymentIntent.findOne({ task: st.task, type: "escrow", status: "paid", refundStatus: "none" })
+      .select("_id amount currency").lean();
+    if (!escrow) continue;
+    if (!(await TaskPayout.exists({ task: st.task }))) {
+      add({
+        key: `payout_missing:${st.task}`, kind: "payout_missing", task: st.task, intent: escrow._id,
+        amount: escrow.amount, currency: escrow.currency, ourStatus: "Completed", detail: "task completed 48h+ ago, doer never got a payout queued"
+      });
+    }
+  }
 
-  // 09xxxxxxxx or 9xxxxxxxx or 07xxxxxxxx or 7xxxxxxxx
-  if (/^0?[79]\d{8}$/.test(digits)) return `+251${digits.slice(-9)}`;
+  // Carry firstSeenAt over from the previous run so follow-up can see how long each one has been open
+  const previous = await ReconciliationRun.findOne({ finishedAt: { $ne: null } }).sort({ startedAt: -1 }).lean();
+  const seenBefore = new Map((previous?.discrepancies || []).map(d => [d.key, d.firstSeenAt]));
+  run.discrepancies = [...found.values()].map(d => ({ ...d, firstSeenAt: seenBefore.get(d.key) || run.startedAt }));
+  run.finishedAt = new Date();
+  await run.save();
 
-  // 2519xxxxxxxx or 2517xxxxxxxx
-  if (/^251[79]\d{8}$/.test(digits)) return `+${digits}`;
+  if (report) {
+    try {
+      const tg = globalThis.TaskifiiBot?.telegram;
+      if (tg) {
+        for (const chunk of splitIntoChunks(formatReconciliationReport(run))) {
+          await tg.sendMessage(AUDIT_CHANNEL_ID, chunk, { disable_web_page_preview: true });
+        }
+        await ReconciliationRun.updateOne({ _id: run._id }, { $set: { reportSentAt: new Date() } });
+      }
+    } catch (e) {
+      console.error("Failed to send reconciliation report:", e);
+    }
+  }
+  return run;
+}
 
-  // Unknown format → don’t send
-  return null;
+function formatReconciliationReport(run) {
+  const c = run.checked || {};
+  const list = run.discrepancies || [];
+  const fresh = list.filter(d => +new Date(d.firstSeenAt) >= +new Date(run.startedAt)).length;
+  const lines = [
+    `#reconciliation ${formatGmt3(run.startedAt)}${run.trigger === "admin" ? " (manual)" : ""}`,
+    `Checked: ${c.intents || 0} payments • ${c.refunds || 0} refunds • ${c.payouts || 0} payouts • ${c.tasks || 0} finished tasks`,
+    run.providerErrors ? `⚠️ ${run.providerErrors} provider lookup(s) failed — those records were skipped` : null,
+    "",
+    list.length
+      ? `⚠️ ${list.length} discrepanc${list.length === 1 ? "y" : "ies"} (${fresh} new)`
+      : "✅ No discrepancies.",
+    ...list.map(d => {
+      const isNew = +new Date(d.firstSeenAt) >= +new Date(run.startedAt);
+      const ids = [
+        d.task ? `task ${d.task}` : null,
+        d.intent ? `intent ${d.intent}` : null,
+        d.payout ? `payout ${d.payout}` : null,
+        d.reference ? `ref ${d.reference}` : null
+      ].filter(Boolean).join(", ");
+      const statuses = [d.ourStatus ? `ours: ${d.ourStatus}` : null, d.providerStatus ? `provider: ${d.providerStatus}` : null]
+        .filter(Boolean).join(" / ");
+      return `• ${isNew ? "🆕 " : ""}${RECONCILE_KIND_LABELS[d.kind] || d.kind}` +
+        `${d.amount != null ? ` — ${formatMoney(d.amount, d.currency)}` : ""}\n  ${ids}` +
+        `${statuses ? `\n  ${statuses}` : ""}${d.detail ? `\n  ${d.detail}` : ""}` +
+        `${isNew ? "" : `\n  open since ${formatGmt3(d.firstSeenAt)}`}`;
+    })
+  ].filter(l => l !== null);
+  return lines.join("\n");
 }
+
 // Email validator for onboarding (Chapa-safe)
 function isValidEmail(email) {
   if (typeof email !== "string") return false;
@@ -3011,7 +3804,70 @@ function formatGmt3(date) {
   }
 }
 
-function buildDisputeChunks({ task, creatorUser, doerUser, winnerApp }) {
+// ─── Task timeline (TaskEvent) ─────────────────────────
+const TASK_EVENT_LABELS = {
+  posted: "Posted",
+  applied: "Applied",
+  accepted: "Applicant accepted",
+  confirmed: "Doer confirmed (Do the task)",
+  delivered: "Delivered",
+  fix_requested: "Fix requested",
+  corrected: "Corrected version sent",
+  approved: "Approved",
+  escalated: "Escalated",
+  dispute_resolved: "Dispute resolved",
+  paid_out: "Paid out",
+  refunded: "Refunded",
+  rated: "Rated",
+  status_changed: "Status",
+};
+
+// Append one lifecycle step; never throws (a lost timeline row must not break the flow)
+async function recordTaskEvent(taskId, type, { actor = null, data = {} } = {}) {
+  if (!taskId) return;
+  try {
+    await TaskEvent.create({ task: taskId, type, actor: actor?._id || actor || null, data });
+  } catch (e) {
+    console.error("recordTaskEvent failed:", type, String(taskId), e);
+  }
+}
+
+taskStatusEvents.on("transition", ({ taskId, from, to, reason }) => {
+  recordTaskEvent(taskId, "status_changed", { data: { from, to, reason } });
+});
+
+function describeTaskEvent(ev) {
+  const d = ev.data || {};
+  switch (ev.type) {
+    case "status_changed": return `${d.from} → ${d.to}${d.reason ? ` (${d.reason})` : ""}`;
+    case "delivered":
+    case "approved":       return d.stageNum ? `stage ${d.stageNum}` : "";
+    case "paid_out":       return [d.amount != null ? formatMoney(d.amount, d.currency) : "", d.stageNum ? `stage ${d.stageNum}` : ""].filter(Boolean).join(", ");
+    case "refunded":       return [d.amount != null ? formatMoney(d.amount, d.currency) : "", d.reason || ""].filter(Boolean).join(", ");
+    case "rated":          return `${d.role === "creatorRatesDoer" ? "creator → doer" : "doer → creator"}: ${d.score}★`;
+    case "escalated":      return d.by ? `by ${d.by}` : "";
+    case "dispute_resolved": return `doer ${d.doerPercent}% (${formatMoney(d.payout, d.currency)}) / creator refund ${formatMoney(d.refund, d.currency)}`;
+    case "fix_requested":  return d.count ? `${d.count} item(s)` : "";
+    default:               return "";
+  }
+}
+
+// Chronological plain-text timeline for admins (/timeline) and dispute packages
+async function renderTaskTimeline(taskId) {
+  const events = await TaskEvent.find({ task: taskId })
+    .sort({ at: 1, _id: 1 })
+    .populate("actor", "fullName telegramId")
+    .lean();
+  if (!events.length) return "• (No timeline events recorded)";
+
+  return events.map(ev => {
+    const who = ev.actor ? ` — ${ev.actor.fullName || ev.actor.telegramId}` : "";
+    const detail = describeTaskEvent(ev);
+    return `• ${formatGmt3(ev.at)} ${TASK_EVENT_LABELS[ev.type] || ev.type}${detail ? `: ${detail}` : ""}${who}`;
+  }).join("\n");
+}
+
+function buildDisputeChunks({ task, creatorUser, doerUser, winnerApp, timeline = null }) {
   // 1) identities + task meta (NO description here)
   const meta = [
     "🚨 *DISPUTE ESCALATION*",
@@ -3019,28 +3875,28 @@ function buildDisputeChunks({ task, creatorUser, doerUser, winnerApp }) {
     "👤 *TASK CREATOR*",
     `• Full Name: ${creatorUser.fullName || 'N/A'}`,
     `• Telegram: @${creatorUser.username || 'N/A'}`,
-    `• Phone: ${creatorUser.phone || 'N/A'}`,
-    `• Email: ${creatorUser.email || 'N/A'}`,
+    `• Phone: ${maskValue(creatorUser.phone) || 'N/A'}`,
+    `• Email: ${maskEmail(creatorUser.email) || 'N/A'}`,
     `• Telegram ID: ${creatorUser.telegramId}`,
     `• User ID: ${creatorUser._id}`,
     "",
     "👥 *WINNER TASK DOER*",
     `• Full Name: ${doerUser.fullName || 'N/A'}`,
     `• Telegram: @${doerUser.username || 'N/A'}`,
-    `• Phone: ${doerUser.phone || 'N/A'}`,
-    `• Email: ${doerUser.email || 'N/A'}`,
+    `• Phone: ${maskValue(doerUser.phone) || 'N/A'}`,
+    `• Email: ${maskEmail(doerUser.email) || 'N/A'}`,
     `• Telegram ID: ${doerUser.telegramId}`,
     `• User ID: ${doerUser._id}`,
     "",
     "📝 *TASK DETAILS*",
     `• Task ID: ${task._id}`,
-    `• Payment Fee: ${task.paymentFee} birr`,
+    `• Payment Fee: ${formatMoney(task.paymentFee, task.currency)}`,
     `• Time to Complete: ${task.timeToComplete} hour(s)`,
     `• Skill Level: ${task.skillLevel}`,
     `• Fields: ${Array.isArray(task.fields) ? task.fields.join(', ') : (task.fields || 'N/A')}`,
     
     `• Revision Time: ${task.revisionTime} hour(s)`,
-    `• Penalty per Hour: ${task.latePenalty} birr`,
+    `• Penalty per Hour: ${formatMoney(task.latePenalty, task.currency)}`,
     `• Posted At: ${formatGmt3(task.postedAt)}`,
     `• Expires At: ${formatGmt3(task.expiry)}`
   ].join("\n");
@@ -3057,98 +3913,70 @@ function buildDisputeChunks({ task, creatorUser, doerUser, winnerApp }) {
     pitchText
   ].join("\n");
 
+  // 4) what happened so far (TaskEvent timeline)
+  const timelineBlock = timeline ? `🕒 *TASK TIMELINE*\n${timeline}` : null;
+
   // Split each block safely and preserve their order
   return [
     ...splitIntoChunks(meta),
     ...splitIntoChunks(description),
-    ...splitIntoChunks(pitchBlock)
+    ...splitIntoChunks(pitchBlock),
+    ...(timelineBlock ? splitIntoChunks(timelineBlock) : [])
   ];
 }
 
 
 
-// ── Chapa Hosted Checkout: Initialize & return checkout_url + tx_ref ─────────
-// ── Chapa Hosted Checkout: Initialize & return checkout_url + tx_ref ─────────
-// ── Chapa Hosted Checkout: Initialize & return checkout_url + tx_ref ─────────
-// ── Chapa Hosted Checkout: Initialize & return checkout_url + tx_ref ─────────
-async function chapaInitializeEscrow({ amountBirr, currency, txRef, user }) {
-  const secret = defaultChapaSecretForInit();
-  if (!secret) throw new Error("CHAPA secret missing");
-
-  // Allow safe test overrides while you test
-  const rawPhone  = user.phone || process.env.CHAPA_TEST_PHONE;
-  const rawEmail0 = user.email || process.env.CHAPA_TEST_EMAIL;
-
+// ── Hosted Checkout: Initialize & return checkout_url + tx_ref ─────────
+async function initializeEscrowCheckout({ amountBirr, currency, txRef, user }) {
   // Normalize phone: include only if valid Ethiopian format
   const normalizedPhone = normalizeEtPhone(user?.phone);
   const email = emailForChapa(user);      // ← existing helper
 
-  const payload = {
-    amount: String(amountBirr),
-    currency,
-    email,                                // ← always valid for Chapa now
-    first_name: user.fullName ? user.fullName.split(" ")[0] : "Taskifii",
-    last_name:  user.fullName ? (user.fullName.split(" ").slice(1).join(" ") || "User") : "User",
-    tx_ref: txRef,
-    callback_url: `${process.env.PUBLIC_BASE_URL || process.env.RENDER_EXTERNAL_URL || "https://taskifii-bot.onrender.com"}/chapa/ipn`,
-  };
+  // TEMP: log once so you can see exactly what's sent
+  console.log("[Checkout init] email:", email);
 
-  if (normalizedPhone) payload.phone_number = normalizedPhone;
+  const { checkoutUrl } = await paymentProvider.initialize({
+    amount: amountBirr,
+    currency,
+    txRef,
+    customer: {
+      email,
+      firstName: user.fullName ? user.fullName.split(" ")[0] : "Taskifii",
+      lastName:  user.fullName ? (user.fullName.split(" ").slice(1).join(" ") || "User") : "User",
+      phone: normalizedPhone || undefined
+    }
+  });
+  return { checkout_url: checkoutUrl };
+}
 
-  // TEMP: log once so you can see exactly what's sent
-  console.log("[Chapa init] email:", payload.email);
+// Pending escrow PaymentIntent + hosted checkout link for a draft (TASK_POST_CONFIRM with
+// USE_CHAPA_HOSTED_FOR_ESCROW, partner API). Paying it runs handleChapaIpn → postTaskFromPaidDraft.
+async function createHostedEscrowCheckout({ user, draft }) {
+  const amountBirr = Number(draft.paymentFee || 0);
+  const currency = normalizeCurrency(draft.currency);
+  const txRef = `escrow_${draft._id}_${Date.now()}`;
 
-  const resp = await fetch("https://api.chapa.co/v1/transaction/initialize", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${secret}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(payload),
+  // Create a pending PaymentIntent upfront (we refund by tx_ref later if needed)
+  const intent = await PaymentIntent.create({
+    user: user._id,
+    draft: draft._id,
+    amount: amountBirr,
+    currency,
+    status: "pending",
+    provider: "chapa_hosted",
+    payload: txRef,    // reuse payload as a unique link key
+    chapaTxRef: txRef
   });
 
-  const data = await resp.json().catch(() => null);
-  const checkout = data?.data?.checkout_url;
-  if (!resp.ok || !checkout) {
-    throw new Error(`Chapa init failed: ${resp.status} ${JSON.stringify(data)}`);
-  }
-  return { checkout_url: checkout };
+  const { checkout_url } = await initializeEscrowCheckout({ amountBirr, currency, txRef, user });
+  await PaymentIntent.updateOne({ _id: intent._id }, { $set: { checkoutUrl: checkout_url } });
+  return { intent, checkoutUrl: checkout_url };
 }
 
-// Choose the right Chapa secret by mode
-const CHAPA_SECRETS = {
-  live: process.env.CHAPA_LIVE_SECRET_KEY || process.env.CHAPA_SECRET_KEY || "",
-  test: process.env.CHAPA_TEST_SECRET_KEY || "",
-};
-
-// Internal: verify with a specific secret
-async function _verifyChapaWithSecret(txRef, secret) {
-  if (!secret) return { ok: false, data: null };
-  const resp = await fetch(
-    `https://api.chapa.co/v1/transaction/verify/${encodeURIComponent(txRef)}`,
-    { method: "GET", headers: { Authorization: `Bearer ${secret}` } }
-  );
-  const data = await resp.json().catch(() => null);
-  const txStatus = String(data?.data?.status || "").toLowerCase();
-  return { ok: resp.ok && txStatus === "success", data };
-}
-
-// Try live first (most likely), then test. Returns { ok, mode, data }
-async function verifyChapaTxRefSmart(txRef) {
-  if (CHAPA_SECRETS.live) {
-    const r = await _verifyChapaWithSecret(txRef, CHAPA_SECRETS.live);
-    if (r.ok) return { ok: true, mode: "live", data: r.data };
-  }
-  if (CHAPA_SECRETS.test) {
-    const r = await _verifyChapaWithSecret(txRef, CHAPA_SECRETS.test);
-    if (r.ok) return { ok: true, mode: "test", data: r.data };
-  }
-  return { ok: false, mode: null, data: null };
-}
-
-// Prefer live when configured; else test; else legacy
-function defaultChapaSecretForInit() {
-  return CHAPA_SECRETS.live || CHAPA_SECRETS.test || process.env.CHAPA_SECRET_KEY || "";
+// Try live first (most likely), then test. Returns { ok, mode, status, reference, raw }
+async function verifyPayment(txRef) {
+  return paymentProvider.verify(txRef);
 }
 
 // Always give Chapa an email it will accept.
@@ -3246,58 +4074,53 @@ function splitIntoChunks(text, maxLen = 3500) {
 
 
 // ── Refund helper (small, defensive) ─────────────────────────────────────────
-// ── FIXED: use the correct Chapa refund endpoint ──────────────────────────────
-
-// Chapa refund — verify first, then refund using Chapa's canonical reference if present
-// Chapa refund — verify first, then refund using the correct mode/secret
-async function refundEscrowWithChapa(intent, reason = "Task canceled by creator") {
+// Verify first, then refund using the provider's canonical reference and matching mode/secret.
+// Returns the provider's raw refund response (`final: true` when the refund is already done,
+// as with Telegram Stars, so there is nothing left for checkPendingRefunds to confirm).
+async function refundEscrowPayment(intent, reason = "Task canceled by creator") {
+  if (intent?.provider === "telegram_stars") {
+    return refundStarsPayment(intent);
+  }
   if (intent?.provider !== "chapa_hosted" || !intent?.chapaTxRef) {
     const err = new Error("Not a Chapa-hosted transaction (no chapaTxRef/provider mismatch).");
     err.code = "NOT_CHAPA_HOSTED";
     throw err;
   }
 
-  const originalTxRef = String(intent.chapaTxRef).trim();
+  const { raw } = await paymentProvider.refund({
+    txRef: intent.chapaTxRef,
+    amount: intent.refundAmount ?? intent.amount,   // partial after a dispute split
+    reason
+  });
+  return raw;
+}
 
-  // 1) Smart-verify (detects live/test)
-  const v = await verifyChapaTxRefSmart(originalTxRef);
-  if (!v.ok) {
-    const e = new Error(`Cannot refund: verify failed or not paid.`);
-    e.code = "VERIFY_FAILED";
-    e.details = { verifyData: v.data };
-    throw e;
+// Telegram only refunds a Stars charge in full, straight back to the payer's Stars balance
+async function refundStarsPayment(intent) {
+  if (intent.refundAmount != null && round2(intent.refundAmount) < round2(intent.amount)) {
+    const err = new Error("Telegram Stars payments can only be refunded in full.");
+    err.code = "STARS_PARTIAL_REFUND";
+    throw err;
+  }
+  if (!intent.telegramChargeId) {
+    const err = new Error("Stars payment has no telegram_payment_charge_id.");
+    err.code = "STARS_NO_CHARGE_ID";
+    throw err;
+  }
+  const payer = await User.findById(intent.user).select("telegramId").lean();
+  if (!payer?.telegramId) {
+    const err = new Error("Stars payer has no Telegram id.");
+    err.code = "STARS_NO_PAYER";
+    throw err;
   }
 
-  // Pick the matching secret for refund
-  const secret = v.mode === "test" ? CHAPA_SECRETS.test : CHAPA_SECRETS.live;
-  if (!secret) throw new Error(`Missing Chapa ${v.mode} secret key`);
-
-  // 2) Prefer Chapa canonical reference if provided
-  const chapaReference =
-    (v.data && v.data.data && (v.data.data.reference || v.data.data.tx_ref)) || originalTxRef;
-
-  // 3) Refund (amount omitted = full refund; include if you want partial)
-  const form = new URLSearchParams();
-  if (intent.amount) form.append("amount", String(intent.amount));
-  form.append("reason", reason);
-
-  const res = await fetch(`https://api.chapa.co/v1/refund/${encodeURIComponent(chapaReference)}`, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${secret}`,
-      "Content-Type": "application/x-www-form-urlencoded",
-    },
-    body: form.toString(),
+  await globalThis.TaskifiiBot.telegram.callApi("refundStarPayment", {
+    user_id: payer.telegramId,
+    telegram_payment_charge_id: intent.telegramChargeId
   });
-
-  const data = await res.json().catch(() => ({}));
-  if (!res.ok || (data?.status && String(data.status).toLowerCase() !== "success")) {
-    throw new Error(
-      `Refund API declined: ${res.status} ${JSON.stringify(data)} [mode=${v.mode} tx_ref=${chapaReference}]`
-    );
-  }
-  return data;
+  return { final: true, data: { reference: intent.telegramChargeId } };
 }
+
 async function refundStaleOrDuplicateEscrow({ intent, user, reason }) {
   try {
     if (!intent || !user) return { ok: false, code: "MISSING_INTENT_OR_USER" };
@@ -3349,6 +4172,51 @@ async function refundStaleOrDuplicateEscrow({ intent, user, reason }) {
     return { ok: false, code: "WRAPPER_ERROR", error: err };
   }
 }
+// Escrow refunds land in the payer's in-bot wallet instead of going back through the provider when
+// the escrow was paid from the wallet, or the payer switched "refunds to wallet" on (/wallet).
+// Returns true when the refund was handled here.
+async function refundIntentToWallet(intent, reason, actor = null) {
+  if (intent.type !== "escrow") return false;
+  if (normalizeCurrency(intent.currency) !== "ETB") return false;   // the wallet holds birr only
+  if (intent.provider === "telegram_stars") return false;   // Stars go back as Stars, never as withdrawable birr
+  if (intent.provider !== "wallet") {
+    const wallet = await getWallet(intent.user);
+    if (!wallet?.refundsToWallet) return false;
+  }
+
+  const amount = intent.refundAmount ?? intent.amount;
+  const from = await refundSourceAccount(intent);
+  const res = await creditWallet({
+    user: intent.user,
+    amount,
+    key: `refund:${intent._id}`,
+    kind: "refund",
+    from,
+    task: intent.task || null,
+    reference: String(intent._id),
+    memo: `Refund: ${reason}`
+  });
+
+  await PaymentIntent.updateOne(
+    { _id: intent._id },
+    { $set: { refundStatus: "succeeded", refundedAt: new Date(), refundedTo: "wallet", lastRefundError: null } }
+  );
+  if (res.duplicate) return true;
+
+  await recordTaskEvent(intent.task, "refunded", { actor, data: { amount, reason, to: "wallet" } });
+
+  try {
+    const bot = globalThis.TaskifiiBot;
+    const user = await User.findById(intent.user).select("telegramId language").lean();
+    if (bot && user?.telegramId) {
+      await bot.telegram.sendMessage(user.telegramId, TEXT.walletRefundCredited[user.language || "en"](amount, res.balance));
+    }
+  } catch (e) {
+    console.error("Failed to send wallet refund notice:", e);
+  }
+  return true;
+}
+
 // Unified full-refund trigger with:
 // - idempotent guard (prevents double-trigger)
 // - immediate attempt
@@ -3363,7 +4231,8 @@ async function triggerFullRefundWithRetry({
   refundUser = null, // creator for task-fee refunds, doer for duplicate punishment refunds
   reason = "Refund requested",
   auditTaskFallbackDescription = "[Refund]",
-  skipUserNotification = true
+  skipUserNotification = true,
+  amount = null // part of the payment only (dispute split); null = full refund
 }) {
   if (!intent) {
     return { ok: false, code: "NO_INTENT" };
@@ -3385,13 +4254,14 @@ async function triggerFullRefundWithRetry({
       _id: intent._id,
       refundStatus: { $nin: ["succeeded", "requested", "queued", "pending"] }
     },
-    { $set: { refundStatus: "requested" } }
+    { $set: { refundStatus: "requested", refundAmount: amount } }
   );
 
   // Another process already claimed it
   if (!claim.modifiedCount) {
     return { ok: true, code: "ALREADY_CLAIMED" };
   }
+  intent.refundAmount = amount;
 
   const effectiveTask = task || {
     description: auditTaskFallbackDescription,
@@ -3400,7 +4270,22 @@ async function triggerFullRefundWithRetry({
   };
 
   try {
-    const data = await refundEscrowWithChapa(intent, reason);
+    if (await refundIntentToWallet(intent, reason, refundUser)) {
+      try {
+        await sendRefundAudit(bot || globalThis.TaskifiiBot, {
+          tag: "#refund successful",
+          task: effectiveTask,
+          creator: refundUser,
+          intent,
+          extra: { reason: `${reason} (credited to the in-bot wallet)` }
+        });
+      } catch (auditErr) {
+        console.error("Refund audit send failed (wallet refund):", auditErr);
+      }
+      return { ok: true, code: "REFUNDED_TO_WALLET" };
+    }
+
+    const data = await refundEscrowPayment(intent, reason);
 
     const chapaReference =
       (data && data.data && (data.data.reference || data.data.tx_ref)) ||
@@ -3416,7 +4301,8 @@ async function triggerFullRefundWithRetry({
       { _id: intent._id },
       {
         $set: {
-          refundStatus: "pending", // provider accepted; final confirmation handled elsewhere
+          // provider accepted; final confirmation handled elsewhere (Stars refunds are immediate)
+          refundStatus: data?.final ? "succeeded" : "pending",
           refundedAt: new Date(),
           chapaReference,
           refundId
@@ -3424,6 +4310,9 @@ async function triggerFullRefundWithRetry({
       }
     );
 
+    await recordTaskEvent(intent.task, "refunded", { actor: refundUser, data: { amount: intent.refundAmount ?? intent.amount, currency: intent.currency, reason } });
+    await postRefund(intent, reason);
+
     // Immediate success audit (provider accepted refund request)
     try {
       await sendRefundAudit(bot || globalThis.TaskifiiBot, {
@@ -3590,8 +4479,8 @@ async function sendTermsInChunks(ctx, lang, withAgreeButtons = false) {
 
 
 // Backward-compatible boolean verifier used around the codebase
-async function verifyChapaTxRef(txRef) {
-  const r = await verifyChapaTxRefSmart(txRef);
+async function isPaymentVerified(txRef) {
+  const r = await verifyPayment(txRef);
   return r.ok;
 }
 
@@ -3652,6 +4541,7 @@ async function postTaskFromPaidDraft({ ctx, me, draft, intent }) {
     fields: draft.fields,
     skillLevel: draft.skillLevel,
     paymentFee: draft.paymentFee,
+    currency: normalizeCurrency(draft.currency),
     timeToComplete: draft.timeToComplete,
     revisionTime: draft.revisionTime,
     latePenalty: draft.penaltyPerHour,
@@ -3659,13 +4549,21 @@ async function postTaskFromPaidDraft({ ctx, me, draft, intent }) {
     exchangeStrategy: draft.exchangeStrategy || "100%",
     status: "Open",
     applicants: [],
-    stages: [],
+    stages: buildStagesForStrategy(draft.exchangeStrategy),
+    feeRuleVersion: (await getActiveFeeRules()).version,
     postedAt: now,
     reminderSent: false
   });
+  await recordTaskEvent(task._id, "posted", {
+    actor: task.creator,
+    data: {
+      paymentFee: task.paymentFee, currency: task.currency, exchangeStrategy: task.exchangeStrategy,
+      ...(draft.source === "partner_api" ? { source: "partner_api", partnerKeyId: draft.partnerKeyId } : {})
+    }
+  });
 
   // Post to channel
-  const channelId = process.env.CHANNEL_ID || "-1002557660183";
+  const channelId = CONFIG.CHANNEL_ID;
   const preview = buildChannelPostText(draft, me);
 
   const keyboard = Markup.inlineKeyboard([
@@ -3686,6 +4584,7 @@ async function postTaskFromPaidDraft({ ctx, me, draft, intent }) {
 
   task.channelMessageId = sent.message_id;
   await task.save();
+  await scheduleTaskTimers(task);
   await afterTaskPosted({ ctx, task, me, draft });
 
   // Lock the creator on this task so they can't act as a doer concurrently
@@ -3713,6 +4612,7 @@ async function postTaskFromPaidDraft({ ctx, me, draft, intent }) {
   } catch (e) {
     console.error("Failed to link PaymentIntent to task:", e);
   }
+  await postEscrowFunded({ task, intent });
 
   // Delete the draft now that the task is live
   try {
@@ -3957,7 +4857,7 @@ async function afterTaskPosted({ ctx, task, me, draft }) {
 
 async function sendWinnerTaskDoerToChannel(bot, task, doer, creator) {
   try {
-    const channelId = "-1003092603337";
+    const channelId = CONFIG.TASK_ACTIVITY_CHANNEL_ID;
     
     // Build the detailed message
     const messageLines = [
@@ -3965,27 +4865,27 @@ async function sendWinnerTaskDoerToChannel(bot, task, doer, creator) {
       "",
       "👤 *TASK CREATOR DETAILS:*",
       `• Full Name: ${creator.fullName || 'N/A'}`,
-      `• Phone: ${creator.phone || 'N/A'}`,
+      `• Phone: ${maskValue(creator.phone) || 'N/A'}`,
       `• Telegram: @${creator.username || 'N/A'}`,
-      `• Email: ${creator.email || 'N/A'}`,
+      `• Email: ${maskEmail(creator.email) || 'N/A'}`,
       `• Taskifay User ID: ${creator._id || "N/A"}`,
       "",
       "👥 *TASK DOER DETAILS:*",
       `• Full Name: ${doer.fullName || 'N/A'}`,
-      `• Phone: ${doer.phone || 'N/A'}`,
+      `• Phone: ${maskValue(doer.phone) || 'N/A'}`,
       `• Telegram: @${doer.username || 'N/A'}`,
-      `• Email: ${doer.email || 'N/A'}`,
+      `• Email: ${maskEmail(doer.email) || 'N/A'}`,
       `• Taskifay User ID: ${doer._id || "N/A"}`,
       "",
       "📝 *TASK DETAILS:*",
       `• Description: ${task.description}`,
-      `• Payment Fee: ${task.paymentFee} birr`,
+      `• Payment Fee: ${formatMoney(task.paymentFee, task.currency)}`,
       `• Time to Complete: ${task.timeToComplete} hour(s)`,
       `• Skill Level: ${task.skillLevel}`,
       `• Fields: ${task.fields.join(', ')}`,
       
       `• Revision Time: ${task.revisionTime} hour(s)`,
-      `• Penalty per Hour: ${task.latePenalty} birr`,
+      `• Penalty per Hour: ${formatMoney(task.latePenalty, task.currency)}`,
       `• Posted At: ${task.postedAt.toLocaleString("en-US", {
         timeZone: "Africa/Addis_Ababa",
         month: "short", day: "numeric", year: "numeric",
@@ -4016,7 +4916,7 @@ async function sendWinnerTaskDoerToChannel(bot, task, doer, creator) {
 
 async function sendAcceptedApplicationToChannel(bot, task, applicant, creator) {
   try {
-    const channelId = "-1003092603337";
+    const channelId = CONFIG.TASK_ACTIVITY_CHANNEL_ID;
     
     // Build the detailed message
     const messageLines = [
@@ -4024,27 +4924,27 @@ async function sendAcceptedApplicationToChannel(bot, task, applicant, creator) {
       "",
       "👤 *TASK CREATOR DETAILS:*",
       `• Full Name: ${creator.fullName || 'N/A'}`,
-      `• Phone: ${creator.phone || 'N/A'}`,
+      `• Phone: ${maskValue(creator.phone) || 'N/A'}`,
       `• Telegram: @${creator.username || 'N/A'}`,
-      `• Email: ${creator.email || 'N/A'}`,
+      `• Email: ${maskEmail(creator.email) || 'N/A'}`,
       `• Taskifay User ID: ${creator._id || "N/A"}`,
       "",
       "👥 *TASK DOER DETAILS:*",
       `• Full Name: ${applicant.fullName || 'N/A'}`,
-      `• Phone: ${applicant.phone || 'N/A'}`,
+      `• Phone: ${maskValue(applicant.phone) || 'N/A'}`,
       `• Telegram: @${applicant.username || 'N/A'}`,
-      `• Email: ${applicant.email || 'N/A'}`,
+      `• Email: ${maskEmail(applicant.email) || 'N/A'}`,
       `• Taskifay User ID: ${applicant._id || "N/A"}`,
       "",
       "📝 *TASK DETAILS:*",
       `• Description: ${task.description}`,
-      `• Payment Fee: ${task.paymentFee} birr`,
+      `• Payment Fee: ${formatMoney(task.paymentFee, task.currency)}`,
       `• Time to Complete: ${task.timeToComplete} hour(s)`,
       `• Skill Level: ${task.skillLevel}`,
       `• Fields: ${task.fields.join(', ')}`,
       
       `• Revision Time: ${task.revisionTime} hour(s)`,
-      `• Penalty per Hour: ${task.latePenalty} birr`,
+      `• Penalty per Hour: ${formatMoney(task.latePenalty, task.currency)}`,
       `• Posted At: ${task.postedAt.toLocaleString("en-US", {
         timeZone: "Africa/Addis_Ababa",
         month: "short", day: "numeric", year: "numeric",
@@ -4075,7 +4975,7 @@ async function sendAcceptedApplicationToChannel(bot, task, applicant, creator) {
 // NEW: send raw application pitch to the internal channel when user applies
 async function sendApplicationPitchToChannel(bot, task, applicant, pitchText) {
   try {
-    const channelId = "-1003092603337";
+    const channelId = CONFIG.TASK_ACTIVITY_CHANNEL_ID;
 
     const applicantName =
       applicant.fullName ||
@@ -4181,7 +5081,7 @@ function formatTaskDetailsForDoer(task, lang = "en") {
   if (lang === "am") {
     lines.push("📝 የስራው ዝርዝሮች:");
     lines.push(`• መግለጫ፡ ${task.description}`);
-    lines.push(`• የክፍያ መጠን፡ ${task.paymentFee} ብር`);
+    lines.push(`• የክፍያ መጠን፡ ${formatMoney(task.paymentFee, task.currency, "am")}`);
     lines.push(`• ለመጨረስ የተሰጠው ጊዜ፡ ${task.timeToComplete} ሰዓት`);
     lines.push(`• የክህሎት ደረጃ፡ ${task.skillLevel}`);
     lines.push(`• መስኮች፡ ${fieldsText}`);
@@ -4190,13 +5090,13 @@ function formatTaskDetailsForDoer(task, lang = "en") {
       lines.push(`• የማስተካከያ ጊዜ፡ ${task.revisionTime} ሰዓት`);
     }
     if (task.latePenalty != null) {
-      lines.push(`• የዘግይቶ ቅጣት በሰዓት፡ ${task.latePenalty} ብር`);
+      lines.push(`• የዘግይቶ ቅጣት በሰዓት፡ ${formatMoney(task.latePenalty, task.currency, "am")}`);
     }
     lines.push(`• ስራው የተለጠፈበት ጊዜ፡ ${postedAtStr}`);
   } else {
     lines.push("📝 TASK DETAILS:");
     lines.push(`• Description: ${task.description}`);
-    lines.push(`• Payment Fee: ${task.paymentFee} birr`);
+    lines.push(`• Payment Fee: ${formatMoney(task.paymentFee, task.currency)}`);
     lines.push(`• Time to Complete: ${task.timeToComplete} hour(s)`);
     lines.push(`• Skill Level: ${task.skillLevel}`);
     lines.push(`• Fields: ${fieldsText}`);
@@ -4205,41 +5105,19 @@ function formatTaskDetailsForDoer(task, lang = "en") {
       lines.push(`• Revision Time: ${task.revisionTime} hour(s)`);
     }
     if (task.latePenalty != null) {
-      lines.push(`• Penalty per Hour: ${task.latePenalty} birr`);
+      lines.push(`• Penalty per Hour: ${formatMoney(task.latePenalty, task.currency)}`);
     }
     lines.push(`• Posted At: ${postedAtStr}`);
   }
 
   return lines.join("\n");
 }
-// Fetch and summarize the banks Chapa supports for ETB payouts
-async function getChapaBanksSummary(lang = "en") {
-  let banksList = [];
-
-  try {
-    const res = await fetch("https://api.chapa.co/v1/banks", {
-      method: "GET",
-      headers: {
-        Authorization: `Bearer ${process.env.CHAPA_SECRET_KEY}`,
-      },
-    });
-
-    const data = await res.json().catch(() => null);
-
-    if (res.ok && Array.isArray(data?.data)) {
-      // Keep banks that support ETB (or have no currency field)
-      banksList = data.data.filter(
-        (b) => !b.currency || b.currency === "ETB"
-      );
-    } else {
-      console.error(
-        "Failed to fetch Chapa banks for summary:",
-        data || res.statusText
-      );
-    }
-  } catch (err) {
-    console.error("Error fetching Chapa banks for summary:", err);
-  }
+// Fetch and summarize the banks the payment provider supports for ETB payouts
+async function getPayoutBanksSummary(lang = "en") {
+  // Keep banks that support ETB (or have no currency field)
+  const banksList = (await paymentProvider.listBanks()).filter(
+    (b) => !b.currency || b.currency === "ETB"
+  );
 
   if (!banksList.length) {
     // Fallback text if API fails – does NOT break the bot
@@ -4278,12 +5156,30 @@ async function getChapaBanksSummary(lang = "en") {
   );
 }
 
+// Parse and check a typed "Name,Account" payout destination, telling the user what the bank said.
+// Returns the entry to save, or null once the user has been told why it can't be saved.
+async function readPayoutDestination(ctx, user, text) {
+  const lang = user.language === "am" ? "am" : "en";
+  const parsed = parseDestinationText(text);
+  if (!parsed.ok) {
+    await ctx.reply(TEXT.payoutDestinationError[lang](parsed.error));
+    return null;
+  }
+  const check = await checkSavedDestination(user, parsed.destination);
+  await ctx.reply(TEXT.accountCheckResult[lang](check));
+  if (check.status === "not_found") return null;
+  return {
+    ...parsed.destination,
+    verification: { status: check.status, accountName: check.accountName, checkedAt: check.checkedAt }
+  };
+}
+
 // Make a neat, structured list of a doer's bank options
 function renderBankDetails(user, lang = "en") {
   if (!user?.bankDetails?.length) {
     return lang === "am" ? "• ምንም ዓይነት የባንክ አገልግሎት አማራጮች አይገኙም" : "• No banking options provided";
   }
-  return user.bankDetails.map((b, i) => `• ${b.bankName || "Bank"} — ${b.accountNumber || "N/A"}`).join("\n");
+  return user.bankDetails.map((b) => `• ${describeDestination(b, lang)}`).join("\n");
 }
 // 👉 Add below renderBankDetails(...) and above buildWinnerCreatorMessage(...)
 function buildExchangeAndSkillSection(task, lang = "en") {
@@ -4318,7 +5214,7 @@ function buildExchangeAndSkillSection(task, lang = "en") {
 }
 
 
-function buildWinnerCreatorMessage({ task, doer, creatorLang, totalMinutes, revMinutes, penaltyHoursToZero }) {
+function buildWinnerCreatorMessage({ task, doer, creatorLang, totalMinutes, revMinutes, penaltyHoursToZero, penaltyCapRate }) {
   const doerName = doer.fullName || (doer.username ? `@${doer.username}` : "Task Doer");
   const timeToCompleteH = task.timeToComplete; // integer hours
   const penaltyPerHour = task.penaltyPerHour ?? task.latePenalty ?? 0; // be tolerant to schema naming
@@ -4350,7 +5246,7 @@ function buildWinnerCreatorMessage({ task, doer, creatorLang, totalMinutes, revM
       "",
       "",
       "",
-      `• ከላይ በተሰጠው ጊዜ ያለቀ ሰራ ባለማላኩ  በየሰዓቱ ከክፍያው *የሚቀነሰው የቅጣት መጠን*፡      *${penaltyPerHour}* ብር/ሰዓት።`,
+      `• ከላይ በተሰጠው ጊዜ ያለቀ ሰራ ባለማላኩ  በየሰዓቱ ከክፍያው *የሚቀነሰው የቅጣት መጠን*፡      *${formatMoney(penaltyPerHour, task.currency, "am")}*/ሰዓት።`,
       "",
       "",
       "",
@@ -4359,7 +5255,7 @@ function buildWinnerCreatorMessage({ task, doer, creatorLang, totalMinutes, revM
       "",
       "",
       "",
-      `• ያለቀውን ስራ በዚያ ጊዜ ውስጥ ካልተላከ  የብር ቅጣት ( *${penaltyPerHour}* ብር ) በየሰዓቱ ይቀነሳል ክፍያው (${paymentFee} ብር) የራሱ 35% እስከሚደርስ (ይሄም እስከሚሆን የሚፈጀው ሰዓት፡ *${penaltyPerHour > 0 ? formatHM(Math.ceil((paymentFee * 0.65) / penaltyPerHour) * 60, creatorLang) : " እርሶ በሰጡት የቅጣት መጠን ምሰረት ነው"}* )።`,
+      `• ያለቀውን ስራ በዚያ ጊዜ ውስጥ ካልተላከ  የብር ቅጣት ( *${formatMoney(penaltyPerHour, task.currency, "am")}* ) በየሰዓቱ ይቀነሳል ክፍያው (${formatMoney(paymentFee, task.currency, "am")}) የራሱ ${Math.round((1 - penaltyCapRate) * 100)}% እስከሚደርስ (ይሄም እስከሚሆን የሚፈጀው ሰዓት፡ *${penaltyPerHour > 0 ? formatHM(Math.ceil((paymentFee * penaltyCapRate) / penaltyPerHour) * 60, creatorLang) : " እርሶ በሰጡት የቅጣት መጠን ምሰረት ነው"}* )።`,
       "",
       "",
       "",
@@ -4389,7 +5285,7 @@ function buildWinnerCreatorMessage({ task, doer, creatorLang, totalMinutes, revM
     "",
     "",
     "",
-    `• *Penalty per hour*(which will start being deducted every hour as soon as the time given to complete and submit the completed task is up before the task doer sent the completed task to the bot):      *${penaltyPerHour} birr/hour*.`,
+    `• *Penalty per hour*(which will start being deducted every hour as soon as the time given to complete and submit the completed task is up before the task doer sent the completed task to the bot):      *${formatMoney(penaltyPerHour, task.currency)}/hour*.`,
     "",
     "",
     "",
@@ -4397,7 +5293,7 @@ function buildWinnerCreatorMessage({ task, doer, creatorLang, totalMinutes, revM
     "",
     "",
     "",
-    `• If the completed task isn’t submitted within that time, the fee (${paymentFee} birr) begins decreasing by ${penaltyPerHour} birr each hour until the task fee reaches 35% of the original fee (exact time until 35%: ${penaltyPerHour > 0 ? formatHM(Math.ceil((paymentFee * 0.65) / penaltyPerHour) * 60, creatorLang) : "based on your penalty settings"}).`,
+    `• If the completed task isn’t submitted within that time, the fee (${formatMoney(paymentFee, task.currency)}) begins decreasing by ${formatMoney(penaltyPerHour, task.currency)} each hour until the task fee reaches ${Math.round((1 - penaltyCapRate) * 100)}% of the original fee (exact time until ${Math.round((1 - penaltyCapRate) * 100)}%: ${penaltyPerHour > 0 ? formatHM(Math.ceil((paymentFee * penaltyCapRate) / penaltyPerHour) * 60, creatorLang) : "based on your penalty settings"}).`,
 ,
     "",
     "",
@@ -4414,7 +5310,7 @@ function buildWinnerCreatorMessage({ task, doer, creatorLang, totalMinutes, revM
 
   ].join("\n");
 }
-function buildWinnerDoerMessage({ task, creator, doerLang, totalMinutes, revMinutes, penaltyHoursToZero }) {
+function buildWinnerDoerMessage({ task, creator, doerLang, totalMinutes, revMinutes, penaltyHoursToZero, penaltyCapRate }) {
   const timeToCompleteH = task.timeToComplete || 0; // integer hours
   const penaltyPerHour = task.penaltyPerHour ?? task.latePenalty ?? 0; // tolerate older field names
   const totalNice = formatHM(totalMinutes, doerLang);
@@ -4454,7 +5350,7 @@ function buildWinnerDoerMessage({ task, creator, doerLang, totalMinutes, revMinu
       "",
       "",
       "",
-      `⚖️ ቅጣት: በ *${timeToCompleteH} ሰዓት* ውስጥ የለቀ ስራ ካልተላከ ከክፍያው (*${paymentFee}* ብር)  በየሰዓቱ *${penaltyPerHour} ብር* ይቀንሳል ክፍያው 35% እስከ ሚደርስ (ይሄም እስከሚሆን የሚፈጀው ሰዓት: *${penaltyPerHour > 0 ? formatHM(Math.ceil((paymentFee * 0.65) / penaltyPerHour) * 60, doerLang) : "እርሶ በሰቱት የቅጣት መጠን መሰረት"}*).`,
+      `⚖️ ቅጣት: በ *${timeToCompleteH} ሰዓት* ውስጥ የለቀ ስራ ካልተላከ ከክፍያው (*${formatMoney(paymentFee, task.currency, "am")}*)  በየሰዓቱ *${formatMoney(penaltyPerHour, task.currency, "am")}* ይቀንሳል ክፍያው ${Math.round((1 - penaltyCapRate) * 100)}% እስከ ሚደርስ (ይሄም እስከሚሆን የሚፈጀው ሰዓት: *${penaltyPerHour > 0 ? formatHM(Math.ceil((paymentFee * penaltyCapRate) / penaltyPerHour) * 60, doerLang) : "እርሶ በሰቱት የቅጣት መጠን መሰረት"}*).`,
       "",
       "",
       "",
@@ -4482,7 +5378,7 @@ function buildWinnerDoerMessage({ task, creator, doerLang, totalMinutes, revMinu
     "",
     "",
     "",
-    `⚖️ *Penalty*: if the completed task isn’t submitted within the allotted time, the fee(*${paymentFee} birr*) decreases by *${penaltyPerHour} birr/hour* until it reaches 35% of the original amount  (exact time it will take till that happens:*${penaltyPerHour > 0 ? formatHM(Math.ceil((paymentFee * 0.65) / penaltyPerHour) * 60, doerLang) : "Based on your penalty settings"}*).`,
+    `⚖️ *Penalty*: if the completed task isn’t submitted within the allotted time, the fee(*${formatMoney(paymentFee, task.currency)}*) decreases by *${formatMoney(penaltyPerHour, task.currency)}/hour* until it reaches ${Math.round((1 - penaltyCapRate) * 100)}% of the original amount  (exact time it will take till that happens:*${penaltyPerHour > 0 ? formatHM(Math.ceil((paymentFee * penaltyCapRate) / penaltyPerHour) * 60, doerLang) : "Based on your penalty settings"}*).`,
     "",
     "",
     creatorPhone ? `📞 If the task creator doesn’t reply on Telegram/Gmail, call them: ${creatorPhone}` : null,
@@ -4566,49 +5462,6 @@ async function hasUserApplied(taskId, userId) {
     return false;
   }
 }
-async function checkPendingReminders(bot) {
-  try {
-    const now = new Date();
-    const tasks = await Task.find({
-      status: "Open",
-      reminderSent: false,
-      expiry: { $gt: now }
-    }).populate("creator").populate("applicants.user");
-
-    for (const task of tasks) {
-      const totalTimeMs = task.expiry - task.postedAt;
-      const reminderTime = new Date(task.postedAt.getTime() + (totalTimeMs * 0.85));
-
-      // Skip if we haven't reached the 85% mark yet
-      if (now < reminderTime) continue;
-
-      // Check if any application has been accepted
-      const hasAcceptedApplicant = task.applicants.some(app => app.status === "Accepted");
-      
-      // Only send reminder if no applications have been accepted
-      if (!hasAcceptedApplicant) {
-        const lang = task.creator.language || "en";
-        const timeLeftMs = task.expiry - now;
-        const hoursLeft = Math.floor(timeLeftMs / (1000 * 60 * 60));
-        const minutesLeft = Math.floor((timeLeftMs % (1000 * 60 * 60)) / (1000 * 60));
-
-        const message = lang === "am" 
-          ? `⏰ ማሳሰቢያ፦ የሥራው ጊዜ እያበቃ ነው!\n\n` +
-            `ለሥራው የቀረው ጊዜ፦ ${hoursLeft} ሰዓት ከ ${minutesLeft} ደቂቃ\n\n` +
-            `አመልካቾችን ለመቀበል ያለዎት ጊዜ በጣም አጭር ነው። እባክዎ በተቻለ ፍጥነት አንዱን አመልካች(ቢያንስ አንድ ካለ) ይምረጡ።`
-          : `⏰ Reminder: Your task time is running out!\n\n` +
-            `Time remaining for your task: ${hoursLeft} hours and ${minutesLeft} minutes\n\n` +
-            `You have very little time left to accept applicants. Please select an applicant(if there are any) soon.`;
-
-        await bot.telegram.sendMessage(task.creator.telegramId, message);
-        task.reminderSent = true;
-        await task.save();
-      }
-    }
-  } catch (err) {
-    console.error("Error in checkPendingReminders:", err);
-  }
-}
 function computeTotalMinutes(task) {
   const timeToCompleteMins = (task.timeToComplete || 0) * 60;
   const revMinutes = Math.max(0, Math.round((task.revisionTime || 0) * 60));
@@ -4654,8 +5507,8 @@ function renderUserProfileSummary(u, lang = "en") {
   const lines = [];
   lines.push(`• Full Name: ${u.fullName || (lang === 'am' ? 'ያልተሰጠ' : 'N/A')}`);
   lines.push(`• Username: ${u.username ? '@'+u.username : (lang === 'am' ? 'ያልተሰጠ' : 'N/A')}`);
-  lines.push(`• Email: ${u.email || (lang === 'am' ? 'ያልተሰጠ' : 'N/A')}`);
-  lines.push(`• Phone: ${u.phone || (lang === 'am' ? 'ያልተሰጠ' : 'N/A')}`);
+  lines.push(`• Email: ${maskEmail(u.email) || (lang === 'am' ? 'ያልተሰጠ' : 'N/A')}`);
+  lines.push(`• Phone: ${maskValue(u.phone) || (lang === 'am' ? 'ያልተሰጠ' : 'N/A')}`);
   lines.push(`• Telegram ID: ${u.telegramId}`);
   lines.push(`• User ID: ${u._id.toString()}`);
   lines.push(`• Banks:\n${renderBankDetails(u, lang) || (lang==='am' ? '—' : '—')}`);
@@ -4672,10 +5525,10 @@ function renderTaskSummary(t, lang="en") {
   const lines = [];
   lines.push(`• Task ID: ${t._id}`);
   lines.push(`• Description: ${t.description || (lang==='am' ? 'የለም' : 'N/A')}`);
-  lines.push(`• Fee: ${t.paymentFee || 0} birr`);
+  lines.push(`• Fee: ${formatMoney(t.paymentFee || 0, t.currency)}`);
   lines.push(`• Time to complete: ${t.timeToComplete || 0} h`);
   lines.push(`• Revision window: ${revMins} min`);
-  lines.push(`• Penalty / hour: ${t.penaltyPerHour ?? t.latePenalty ?? 0} birr`);
+  lines.push(`• Penalty / hour: ${formatMoney(t.penaltyPerHour ?? t.latePenalty ?? 0, t.currency)}`);
   
   lines.push(`• Total window (including runway): ${totalNice}`);
   return lines.join("\n");
@@ -4731,6 +5584,8 @@ async function updateUserRating(toUserId, score) {
 async function creditIfNeeded(type, task, userId) {
   const amount = task.paymentFee || 0;
   if (!amount) return;
+  // Profile totals are shown in birr; tasks priced in another currency are not added to them
+  if (normalizeCurrency(task.currency) !== "ETB") return;
   // ensure one-time credit per task+type
   try {
     await CreditLog.create({ task: task._id, user: userId, type, amount });
@@ -4744,64 +5599,6 @@ async function creditIfNeeded(type, task, userId) {
   if (type === 'creatorSpent') u.stats.totalSpent = (u.stats.totalSpent  || 0) + amount;
   await u.save();
 }
-// ── Generic Chapa hosted-checkout initializer (wrapper) ─────────────────────
-// Returns { data: { checkout_url: "https://..." } } to match existing callers.
-async function createChapaCheckoutLink({
-  amount,
-  currency = "ETB",
-  email,
-  first_name = "Taskifay",
-  last_name = "User",
-  tx_ref,
-  callback_url,
-  return_url,
-  phone_number
-}) {
-  const secret =
-    (typeof defaultChapaSecretForInit === "function"
-      ? defaultChapaSecretForInit()
-      : (process.env.CHAPA_LIVE_SECRET_KEY ||
-         process.env.CHAPA_SECRET_KEY ||
-         process.env.CHAPA_TEST_SECRET_KEY ||
-         process.env.CHAPA_SECRET ||
-         "")); // last-ditch fallback
-
-  if (!secret) throw new Error("CHAPA secret missing");
-
-  // Build payload exactly as Chapa expects
-  const payload = {
-    amount: String(amount),
-    currency,
-    email,
-    first_name,
-    last_name,
-    tx_ref,
-    callback_url:
-      callback_url ||
-      `${process.env.PUBLIC_BASE_URL || process.env.RENDER_EXTERNAL_URL || "https://taskifii-bot.onrender.com"}/chapa/ipn`,
-    return_url
-  };
-
-  if (phone_number) payload.phone_number = phone_number;
-
-  const resp = await fetch("https://api.chapa.co/v1/transaction/initialize", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${secret}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify(payload)
-  });
-
-  const data = await resp.json().catch(() => null);
-  const checkout = data?.data?.checkout_url;
-  if (!resp.ok || !checkout) {
-    throw new Error(`Chapa init failed: ${resp.status} ${JSON.stringify(data)}`);
-  }
-
-  // Match the shape your callers use: checkout?.data?.checkout_url
-  return { data: { checkout_url: checkout } };
-}
 async function getAlreadyPostedTaskFromIntent(intentId) {
   try {
     if (!intentId) return null;
@@ -4838,6 +5635,7 @@ async function finalizeAndRequestRatings(reason, taskId, botOrTelegram) {
   if (!state.concludedAt) {
     state.concludedAt = new Date();
     await state.save();
+    await transitionTask(task._id, "Completed", { reason });
 
     // 1) Channel summary
     await sendGiantSummaryToChannel(botOrTelegram, task, creator, doer);
@@ -5137,6 +5935,7 @@ async function escalateDoerReport(ctx, taskId) {
       { $set: { task: taskId, by: doerUser._id, role: 'doer', createdAt: new Date() } },
       { upsert: true }
     );
+    await recordTaskEvent(taskId, "escalated", { actor: doerUser, data: { by: "doer" } });
 
     // ban both
     await banUserEverywhere(ctx, creatorUser);
@@ -5178,7 +5977,8 @@ async function escalateDoerReport(ctx, taskId) {
   );
 
   // Build chunks (9 task details + task id + both profiles + pitch pointer/content)
-  const chunks = buildDisputeChunks({ task, creatorUser, doerUser, winnerApp });
+  const timeline = await renderTaskTimeline(task._id);
+  const chunks = buildDisputeChunks({ task, creatorUser, doerUser, winnerApp, timeline });
 
   // 1) Create/ensure a DisputePackage (one per task)
   let pkg = await DisputePackage.findOne({ task: task._id });
@@ -5220,7 +6020,8 @@ async function escalateDoerReport(ctx, taskId) {
       Markup.button.callback("Send corrections", `DP_SEND_CORRECTIONS_${pkg._id}`),
       Markup.button.callback("Related file",     `DP_OPEN_${pkg._id}_related`),
       Markup.button.callback("Fix notice",       `DP_OPEN_${pkg._id}_fix`),
-    ]
+    ],
+    disputeVerdictRow(pkg._id)
   ]);
 
   await sendWithUnlimitedRetry(
@@ -5274,6 +6075,7 @@ async function escalateCreatorReject(ctx, taskId) {
       { $set: { task: taskId, by: creatorUser._id, role: 'creator', createdAt: new Date() } },
       { upsert: true }
     );
+    await recordTaskEvent(taskId, "escalated", { actor: creatorUser, data: { by: "creator" } });
 
     // Ban both users, same behavior as doer-report path
     await banUserEverywhere(ctx, creatorUser);
@@ -5315,7 +6117,8 @@ async function escalateCreatorReject(ctx, taskId) {
     task,
     creatorUser: creatorUser.toObject ? creatorUser.toObject() : creatorUser,
     doerUser:    doerUser.toObject ? doerUser.toObject() : doerUser,
-    winnerApp
+    winnerApp,
+    timeline: await renderTaskTimeline(task._id)
   });
 
   // Create/ensure DisputePackage (same as doer-report path)
@@ -5359,7 +6162,8 @@ async function escalateCreatorReject(ctx, taskId) {
       Markup.button.callback("Send corrections", `DP_SEND_CORRECTIONS_${pkg._id}`),
       Markup.button.callback("Related file",     `DP_OPEN_${pkg._id}_related`),
       Markup.button.callback("Fix notice",       `DP_OPEN_${pkg._id}_fix`),
-    ]
+    ],
+    disputeVerdictRow(pkg._id)
   ]);
 
   await sendWithUnlimitedRetry(
@@ -5393,6 +6197,224 @@ async function escalateCreatorReject(ctx, taskId) {
 
 
 
+// ─── Dispute verdicts: split the escrow between creator and doer ───
+// Resolution buttons under every dispute package (disputes.resolve; each one asks for confirmation)
+function disputeVerdictRow(pkgId) {
+  return [
+    Markup.button.callback("↩️ Refund creator", `DP_VERDICT_${pkgId}_0`),
+    Markup.button.callback("💰 Pay doer",       `DP_VERDICT_${pkgId}_100`),
+    Markup.button.callback("➗ Split…",          `DP_SPLIT_${pkgId}`),
+  ];
+}
+
+// What a verdict moves: the escrow not yet released to the doer by earlier stages (`held`). Stages the
+// creator approved but whose payout the doer hasn't claimed are owed to the doer and go to them in
+// full (`approvedOwed`); only the rest (`remaining`) is split by doerPercent. The doer's share pays
+// commission like any payout; no late penalty (the verdict replaces it).
+async function computeDisputeSplit(task, intent, doerPercent) {
+  const total = Number(intent?.amount ?? task.paymentFee) || 0;
+  const approvedPercent = (task.stages || [])
+    .filter(s => !s.releasedAt && s.status === "approved")
+    .reduce((sum, s) => sum + Number(s.percent || 0), 0);
+  const held = round2(Math.max(0, total - await releasedStageGross(task._id, task.stages || [], total)));
+  const approvedOwed = round2(total * approvedPercent / 100);
+  const remaining = round2(Math.max(0, held - approvedOwed));
+
+  const feeRules = await feeRulesForTask(task);
+  const splitToDoer = round2(remaining * doerPercent / 100);
+  const doerGross = round2(approvedOwed + splitToDoer);
+  const commission = round2(doerGross * commissionRateFor(feeRules, task));
+  return {
+    held,
+    approvedOwed,
+    remaining,
+    doerGross,
+    commission,
+    doerNet: round2(Math.max(0, doerGross - commission)),
+    creatorRefund: round2(remaining - splitToDoer),
+    feeRuleVersion: feeRules.version,
+    currency: normalizeCurrency(task.currency)
+  };
+}
+
+// Confirmation text for a verdict (or why it can't be given)
+async function disputeVerdictPreview(pkgId, doerPercent) {
+  const pkg = await DisputePackage.findById(pkgId).lean();
+  const blocker = await disputeSettleBlocker(pkg);
+  if (blocker) return { blocker };
+
+  const task = await Task.findById(pkg.task).lean();
+  const intent = await PaymentIntent.findOne({ task: task._id, type: "escrow", status: "paid" }).lean();
+  const split = await computeDisputeSplit(task, intent, doerPercent);
+  const starsBlocker = starsRefundBlocker(intent, split);
+  if (starsBlocker) return { blocker: starsBlocker };
+  const text = [
+    `⚖️ Verdict for TASK ${task._id}`,
+    `Escrow still held: ${formatMoney(split.held, split.currency)}`,
+    ...(split.approvedOwed > 0 ? [`• Approved stages not yet claimed (to the doer in full): ${formatMoney(split.approvedOwed, split.currency)}`] : []),
+    `• Creator refund (${100 - doerPercent}%): ${formatMoney(split.creatorRefund, split.currency)}`,
+    `• Doer payout (${doerPercent}%${split.approvedOwed > 0 ? " + approved stages" : ""}): ${formatMoney(split.doerGross, split.currency)} − ${split.commission} commission = ${formatMoney(split.doerNet, split.currency)}`,
+    "",
+    "Confirm? This moves money and closes the task."
+  ].join("\n");
+  return { text };
+}
+
+// Telegram refunds a Stars charge only in full, so a Stars-funded escrow can't give part back
+function starsRefundBlocker(intent, split) {
+  if (intent?.provider !== "telegram_stars") return null;
+  if (split.creatorRefund > 0 && split.creatorRefund < round2(intent.amount)) {
+    return "This escrow was paid in Telegram Stars, which can only be refunded in full. Pay the doer 100%, or refund the creator 100% if no stage has been released.";
+  }
+  return null;
+}
+
+// Why a dispute can't be settled (null = it can)
+async function disputeSettleBlocker(pkg) {
+  if (!pkg) return "Dispute package not found.";
+  if (pkg.resolution?.decidedAt) return `Already settled (doer ${pkg.resolution.doerPercent}%).`;
+  const task = await Task.findById(pkg.task).lean();
+  if (!task) return "Task not found.";
+  const intent = await PaymentIntent.findOne({ task: task._id, type: "escrow", status: "paid" }).lean();
+  if (!intent) return "No paid escrow found for this task.";
+  if (intent.refundStatus && intent.refundStatus !== "none") return `Escrow refund already ${intent.refundStatus}.`;
+  if (await TaskPayout.exists({ task: task._id, stageNum: null })) return "The final payout for this task already exists.";
+  if (await TaskPayout.exists({ task: task._id, stageNum: { $ne: null }, status: { $ne: "succeeded" } })) {
+    return "A stage payout for this task is still on its way. Settle once it has gone through.";
+  }
+  return null;
+}
+
+/**
+ * Settle a dispute: refund the creator's share, offer the doer's share as a normal payout
+ * (bank / wallet choice), close the task, release locks and record the verdict.
+ * @returns {Promise<{ok: boolean, reason?: string, split?: object}>}
+ */
+async function resolveDispute({ pkgId, doerPercent, decidedBy }) {
+  const pkg = await DisputePackage.findById(pkgId).lean();
+  const blocker = await disputeSettleBlocker(pkg);
+  if (blocker) return { ok: false, reason: blocker };
+
+  const task = await Task.findById(pkg.task);
+  const intent = await PaymentIntent.findOne({ task: task._id, type: "escrow", status: "paid" });
+  const starsBlocker = starsRefundBlocker(intent, await computeDisputeSplit(task, intent, doerPercent));
+  if (starsBlocker) return { ok: false, reason: starsBlocker };
+
+  // Take the unclaimed stages over (their own payouts can't be claimed any more), then split from what's left
+  const doerForStages = await User.findById(pkg.doer).select("telegramId").lean();
+  const stages = await coverUnreleasedStages(task._id, doerForStages?.telegramId);
+  const split = await computeDisputeSplit({ ...task.toObject(), stages }, intent, doerPercent);
+
+  // Claim the verdict so a second admin tap can't move the money twice
+  const claimed = await DisputePackage.findOneAndUpdate(
+    { _id: pkg._id, "resolution.decidedAt": null },
+    {
+      $set: {
+        resolution: {
+          doerPercent,
+          refundAmount: split.creatorRefund,
+          payoutAmount: split.doerNet,
+          commission: split.commission,
+          decidedBy,
+          decidedAt: new Date()
+        }
+      }
+    }
+  );
+  if (!claimed) return { ok: false, reason: "Already settled." };
+
+  const creator = await User.findById(pkg.creator);
+  const doer = await User.findById(pkg.doer);
+  const bot = globalThis.TaskifiiBot;
+
+  // 1) Creator's share back through the normal refund pipeline (retries / wallet opt-in included)
+  if (split.creatorRefund > 0) {
+    await triggerFullRefundWithRetry({
+      bot,
+      intent,
+      task,
+      refundUser: creator,
+      reason: `Dispute verdict: ${100 - doerPercent}% refunded to the creator`,
+      amount: split.creatorRefund < Number(intent.amount) ? split.creatorRefund : null
+    });
+  }
+
+  // 2) Doer's share as the task's final payout; the doer picks a bank (or wallet) like after approval
+  if (split.doerGross > 0 && doer?.telegramId) {
+    const currency = normalizeCurrency(task.currency);
+    const banksList = await fetchPayoutBanks(currency);
+    const lang = doer.language || "en";
+    await rememberPendingPayout(doer.telegramId, {
+      taskId: String(task._id),
+      doerId: doer._id,
+      creatorId: creator._id,
+      payoutAmount: split.doerNet.toFixed(2),
+      grossAmount: split.doerGross,
+      currency,
+      commission: split.commission,
+      feeRuleVersion: split.feeRuleVersion,
+      reference: `task_payout_${task._id}`,
+      banks: banksList,
+      selectedBankId: null,
+      accountPromptMessageId: null,
+      language: lang,
+      latePenaltyBirr: 0,
+    });
+
+    try {
+      await bot.telegram.sendMessage(
+        doer.telegramId,
+        TEXT.disputeVerdictToDoer[lang](doerPercent, split.doerNet, task.currency),
+        { reply_markup: buildBankKeyboard(`task_payout_${task._id}`, banksList, 0, null, lang, currency).reply_markup }
+      );
+    } catch (e) {
+      console.error("Failed to send dispute payout prompt:", e);
+    }
+  } else if (doer?.telegramId) {
+    try {
+      await bot.telegram.sendMessage(doer.telegramId, TEXT.disputeVerdictToDoer[doer.language || "en"](0, 0));
+    } catch (_) {}
+  }
+
+  if (creator?.telegramId) {
+    try {
+      await bot.telegram.sendMessage(creator.telegramId, TEXT.disputeVerdictToCreator[creator.language || "en"](100 - doerPercent, split.creatorRefund, task.currency));
+    } catch (e) {
+      console.error("Failed to notify creator of dispute verdict:", e);
+    }
+  }
+
+  // 3) Close the task and free both users from it
+  await transitionTask(task._id, split.doerGross > 0 ? "Completed" : "Canceled", { reason: "Dispute verdict" });
+  await concludeSettledTask(task._id);
+
+  await recordTaskEvent(task._id, "dispute_resolved", {
+    data: { doerPercent, refund: split.creatorRefund, payout: split.doerNet, commission: split.commission, currency: split.currency, decidedBy }
+  });
+
+  return { ok: true, split };
+}
+
+// Mark a task whose escrow was settled by hand (dispute verdict, admin refund) as concluded and free both users
+async function concludeSettledTask(taskId) {
+  const state = await FinalizationState.findOneAndUpdate(
+    { task: taskId },
+    { $setOnInsert: { task: taskId } },
+    { new: true, upsert: true }
+  );
+  if (!state.concludedAt) {
+    state.concludedAt = new Date();
+    await state.save();
+  }
+  try { await releaseLocksForTask(taskId); } catch (_) {}
+  try {
+    await EngagementLock.updateMany(
+      { task: taskId, active: true },
+      { $set: { active: false, releasedAt: new Date() } }
+    );
+  } catch (_) {}
+}
+
 async function banUserEverywhere(ctx, userDoc) {
   try { await Banlist.updateOne(
     { $or: [{ user: userDoc._id }, { telegramId: userDoc.telegramId }] },
@@ -5435,10 +6457,59 @@ async function unbanUserEverywhere(ctx, userDoc) {
   try { await EngagementLock.updateMany({ user: userDoc._id, active: true }, { $set: { active: false, releasedAt: new Date() } }); }
   catch (e) { console.error("release locks on unban failed", e); }
 }
+// Admin unban (ADMIN_UNBAN_ button, web console): unban everywhere, cancel the user's active tasks so they
+// start fresh, and void any punishment still waiting for payment. `ctx` only needs .telegram.
+async function adminUnbanUser(ctx, u) {
+  // Banlist + group
+  await unbanUserEverywhere(ctx, u);
+  // NEW: cancel any active tasks involving this user so they start fresh
+  await cancelActiveTasksForUserFreshStart(ctx, u);
+  // 4f additions:
+  // 1) Remove any Banlist rows tied to this user
+  try { await Banlist.deleteOne({ user: u._id }); } catch (_) {}
+  try { await Banlist.deleteOne({ telegramId: u.telegramId }); } catch (_) {}
+
+  // 2) Cancel any pending punishment PaymentIntents (prevents any old hosted links from accepting money)
+  try {
+    await PaymentIntent.updateMany(
+      { user: u._id, type: 'punishment', status: 'pending' },
+      { $set: { status: 'voided', voidedAt: new Date() } }
+    );
+  } catch (e) {
+    console.error("Failed voiding punishment intents on ADMIN_UNBAN:", e);
+  }
+
+  // 3) Make any on-screen "Punishment fee" button inert (NOT highlighted)
+  try {
+    const works = await DoerWork.find({
+      doer: u._id,
+      punishmentMessageId: { $exists: true }
+    }).lean();
+
+    for (const w of works) {
+      try {
+        await ctx.telegram.editMessageReplyMarkup(
+          u.telegramId,
+          w.punishmentMessageId,
+          undefined,
+          {
+            inline_keyboard: [[
+              // inert only (no checkmark)
+              Markup.button.callback(
+                (u.language === 'am' ? TEXT.punishBtn.am : TEXT.punishBtn.en),
+                "_DISABLED_PUNISH"
+              )
+            ]]
+          }
+        );
+      } catch (_) {}
+    }
+  } catch (_) {}
+}
 // NEW: When admin unbans a user, force-cancel any active tasks involving them
 // so they start fresh and engagement lock cannot remain.
 async function cancelActiveTasksForUserFreshStart(ctx, userDoc) {
-  const terminal = new Set(["Completed", "Canceled", "Expired"]);
+  const terminal = new Set(TERMINAL_TASK_STATUSES);
 
   // Collect task ids from multiple sources to be safe
   const taskIds = new Set();
@@ -5510,15 +6581,18 @@ async function cancelActiveTasksForUserFreshStart(ctx, userDoc) {
   } catch (_) {}
   const ids = Array.from(taskIds);
   if (!ids.length) return { canceledCount: 0 };
-  // NEW: cancel any in-process scheduled enforcements for these tasks
-  cancelScheduledEnforcementsForTasks(ids);
+  // NEW: cancel any scheduled enforcement jobs for these tasks
+  await cancelScheduledEnforcementsForTasks(ids);
 
   // 1) Cancel the tasks (only if not terminal already)
   try {
-    await Task.updateMany(
-      { _id: { $in: ids }, status: { $nin: Array.from(terminal) } },
-      { $set: { status: "Canceled", canceledAt: new Date(), cancelReason: "Admin unban fresh-start cleanup" } }
-    );
+    for (const id of ids) {
+      await transitionTask(id, "Canceled", {
+        from: TASK_STATUSES.filter(st => !terminal.has(st)),
+        set: { canceledAt: new Date() },
+        reason: "Admin unban fresh-start cleanup"
+      });
+    }
   } catch (e) {
     console.error("cancelActiveTasksForUserFreshStart: Task cancel failed:", e);
   }
@@ -5582,27 +6656,27 @@ async function sendEscalationSummaryToChannel(botOrTelegram, task, creator, doer
       "",
       "👤 *TASK CREATOR*",
       `• Full Name: ${creator.fullName || 'N/A'}`,
-      `• Phone: ${creator.phone || 'N/A'}`,
+      `• Phone: ${maskValue(creator.phone) || 'N/A'}`,
       `• Telegram: @${creator.username || 'N/A'}`,
-      `• Email: ${creator.email || 'N/A'}`,
+      `• Email: ${maskEmail(creator.email) || 'N/A'}`,
       `• User ID: ${creator._id}`,
       "",
       "👥 *WINNER TASK DOER*",
       `• Full Name: ${doer?.fullName || 'N/A'}`,
-      `• Phone: ${doer?.phone || 'N/A'}`,
+      `• Phone: ${maskValue(doer?.phone) || 'N/A'}`,
       `• Telegram: @${doer?.username || 'N/A'}`,
-      `• Email: ${doer?.email || 'N/A'}`,
+      `• Email: ${maskEmail(doer?.email) || 'N/A'}`,
       `• User ID: ${doer?._id || 'N/A'}`,
       "",
       "📝 *TASK DETAILS (10)*",
       `• Description: ${task.description}`,
-      `• Payment Fee: ${task.paymentFee} birr`,
+      `• Payment Fee: ${formatMoney(task.paymentFee, task.currency)}`,
       `• Time to Complete: ${task.timeToComplete} hour(s)`,
       `• Skill Level: ${task.skillLevel}`,
       `• Fields: ${Array.isArray(task.fields) ? task.fields.join(', ') : (task.fields || 'N/A')}`,
       
       `• Revision Time: ${task.revisionTime} hour(s)`,
-      `• Penalty per Hour: ${(task.penaltyPerHour ?? task.latePenalty) || 0} birr/hour`,
+      `• Penalty per Hour: ${formatMoney((task.penaltyPerHour ?? task.latePenalty) || 0, task.currency)}/hour`,
       `• Posted At: ${task.postedAt?.toLocaleString("en-US", { timeZone: "Africa/Addis_Ababa", month: "short", day: "numeric", year: "numeric", hour: "numeric", minute: "2-digit", hour12: true })} GMT+3`,
       `• Expires At: ${task.expiry?.toLocaleString("en-US", { timeZone: "Africa/Addis_Ababa", month: "short", day: "numeric", year: "numeric", hour: "numeric", minute: "2-digit", hour12: true })} GMT+3`,
       "",
@@ -5617,73 +6691,522 @@ async function sendEscalationSummaryToChannel(botOrTelegram, task, creator, doer
     console.error("Failed to send escalation summary:", e);
   }
 }
-// Schedules an in-process timeout for doer second-half enforcement
-// --- NEW: store timeout handles so admin-unban cleanup can cancel them safely ---
-globalThis.__TASKIFII_DOER_SECOND_HALF_TIMEOUTS__ =
-  globalThis.__TASKIFII_DOER_SECOND_HALF_TIMEOUTS__ || new Map();
-
-globalThis.__TASKIFII_CREATOR_FINAL_DECISION_TIMEOUTS__ =
-  globalThis.__TASKIFII_CREATOR_FINAL_DECISION_TIMEOUTS__ || new Map();
-
-// Schedules an in-process timeout for doer second-half enforcement
-function scheduleDoerSecondHalfEnforcement(taskId, delayMs) {
-  const map = globalThis.__TASKIFII_DOER_SECOND_HALF_TIMEOUTS__;
-
-  // If one already exists for this task, replace it
-  const prev = map.get(String(taskId));
-  if (prev) clearTimeout(prev);
-
-  const handle = setTimeout(async () => {
-    // remove handle first (prevents leaks if enforce throws)
-    map.delete(String(taskId));
-    try {
-      await enforceDoerSecondHalf(taskId);
-    } catch (e) {
-      console.error("enforceDoerSecondHalf error:", e);
-    }
-  }, delayMs);
-
-  map.set(String(taskId), handle);
+// ------------------------------------
+//  Durable job scheduler (Mongo)
+// ------------------------------------
+// Task and work timers (expiry, reminders, time-up, enforcement) and the recurring sweeps (reconciliation,
+// refund/payout retries) are jobs in the scheduledjobs collection instead of in-process timers, so a
+// restart/deploy no longer drops them. Handlers throw on failure so the job is retried with backoff.
+const JOB_WORKER_ID = `${require("os").hostname()}:${process.pid}`;
+const JOB_POLL_MS = 15 * 1000;
+const JOB_LOCK_TIMEOUT_MS = 10 * 60 * 1000; // a "running" job locked longer than this is treated as crashed
+const JOB_HISTORY_LIMIT = 50;
+const JOB_HANDLERS = {};
+const JOB_LOCK_TIMEOUTS = {};                // per-handler overrides for jobs that legitimately run longer
+
+function defineJob(name, handler, { lockTimeoutMs = null } = {}) {
+  JOB_HANDLERS[name] = handler;
+  if (lockTimeoutMs) JOB_LOCK_TIMEOUTS[name] = lockTimeoutMs;
 }
 
-function scheduleCreatorFinalDecisionEnforcement(taskId, delayMs) {
-  const map = globalThis.__TASKIFII_CREATOR_FINAL_DECISION_TIMEOUTS__;
-
-  const prev = map.get(String(taskId));
-  if (prev) clearTimeout(prev);
-
-  const handle = setTimeout(async () => {
-    map.delete(String(taskId));
-    try {
-      await enforceCreatorFinalDecision(taskId);
-    } catch (e) {
-      console.error("Creator final decision enforcement failed:", e);
-    }
-  }, delayMs);
-
-  map.set(String(taskId), handle);
+function jobHistoryPush(event, detail) {
+  return {
+    $each: [{ at: new Date(), event, detail: detail ? String(detail).slice(0, 500) : undefined }],
+    $slice: -JOB_HISTORY_LIMIT
+  };
 }
 
-// --- NEW: cancel timers for specific tasks only (used by admin-unban fresh start) ---
-function cancelScheduledEnforcementsForTasks(taskIds) {
-  const ids = (taskIds || []).map(String);
-
-  const doerMap = globalThis.__TASKIFII_DOER_SECOND_HALF_TIMEOUTS__;
-  if (doerMap) {
-    for (const id of ids) {
-      const h = doerMap.get(id);
-      if (h) clearTimeout(h);
-      doerMap.delete(id);
-    }
-  }
+// Schedule (or re-schedule) a job. The same key replaces the previous one (like clearTimeout + setTimeout).
+async function scheduleJob(name, { key, runAt, delayMs = 0, payload = {}, task = null, repeatEveryMs = null, maxAttempts = 5 } = {}) {
+  const when = runAt ? new Date(runAt) : new Date(Date.now() + Math.max(0, Number(delayMs) || 0));
+  const jobKey = key || `${name}:${task ? String(task) : "global"}`;
+  try {
+    return await ScheduledJob.findOneAndUpdate(
+      { key: jobKey },
+      {
+        $set: {
+          name, payload, task, runAt: when, repeatEveryMs, maxAttempts,
+          status: "scheduled", attempts: 0, lockedAt: null, lockedBy: null, lastError: null, completedAt: null
+        },
+        $push: { history: jobHistoryPush("scheduled", `runAt ${when.toISOString()}`) }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (e) {
+    console.error("scheduleJob failed:", jobKey, e);
+    return null;
+  }
+}
 
-  const creatorMap = globalThis.__TASKIFII_CREATOR_FINAL_DECISION_TIMEOUTS__;
-  if (creatorMap) {
-    for (const id of ids) {
-      const h = creatorMap.get(id);
-      if (h) clearTimeout(h);
-      creatorMap.delete(id);
+// Recurring sweep: created once and left alone across restarts (revived if it ended up failed/canceled)
+async function ensureRecurringJob(name, everyMs) {
+  const key = `recurring:${name}`;
+  try {
+    await ScheduledJob.updateOne(
+      { key },
+      {
+        $setOnInsert: { name, key, payload: {}, runAt: new Date(), status: "scheduled" },
+        $set: { repeatEveryMs: everyMs }
+      },
+      { upsert: true }
+    );
+    await ScheduledJob.updateOne(
+      { key, status: { $in: ["failed", "canceled", "completed"] } },
+      {
+        $set: { status: "scheduled", runAt: new Date(), attempts: 0, lockedAt: null, lockedBy: null },
+        $push: { history: jobHistoryPush("scheduled", "revived on startup") }
+      }
+    );
+  } catch (e) {
+    console.error("ensureRecurringJob failed:", name, e);
+  }
+}
+
+// Cancel pending jobs matching `filter` (running ones are left to finish)
+async function cancelJobs(filter, reason) {
+  try {
+    const res = await ScheduledJob.updateMany(
+      { ...filter, status: "scheduled" },
+      { $set: { status: "canceled" }, $push: { history: jobHistoryPush("canceled", reason) } }
+    );
+    return res.modifiedCount || 0;
+  } catch (e) {
+    console.error("cancelJobs failed:", e);
+    return 0;
+  }
+}
+
+// Atomically claim the oldest due job (or one whose worker died while holding the lock)
+async function claimNextJob() {
+  const now = new Date();
+  const lockedSince = (ms) => ({ status: "running", lockedAt: { $lte: new Date(now.getTime() - ms) } });
+  const longRunning = Object.keys(JOB_LOCK_TIMEOUTS);
+  return ScheduledJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: "scheduled", runAt: { $lte: now } },
+        { ...lockedSince(JOB_LOCK_TIMEOUT_MS), name: { $nin: longRunning } },
+        ...longRunning.map(name => ({ ...lockedSince(JOB_LOCK_TIMEOUTS[name]), name }))
+      ]
+    },
+    {
+      $set: { status: "running", lockedAt: now, lockedBy: JOB_WORKER_ID },
+      $inc: { attempts: 1 },
+      $push: { history: jobHistoryPush("claimed", JOB_WORKER_ID) }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+async function runJob(job) {
+  // only touch the row if we still own it (it may have been re-scheduled meanwhile)
+  const owned = { _id: job._id, status: "running", lockedBy: JOB_WORKER_ID };
+  const unlock = { lockedAt: null, lockedBy: null };
+
+  try {
+    const handler = JOB_HANDLERS[job.name];
+    if (!handler) throw new Error(`No handler registered for job "${job.name}"`);
+
+    await handler(job.payload || {}, job);
+
+    if (job.repeatEveryMs) {
+      await ScheduledJob.updateOne(owned, {
+        $set: { ...unlock, status: "scheduled", attempts: 0, lastError: null, runAt: new Date(Date.now() + job.repeatEveryMs) }
+      });
+    } else {
+      await ScheduledJob.updateOne(owned, {
+        $set: { ...unlock, status: "completed", completedAt: new Date(), lastError: null },
+        $push: { history: jobHistoryPush("completed") }
+      });
+    }
+  } catch (e) {
+    console.error(`Job ${job.key} failed (attempt ${job.attempts}):`, e);
+    const errText = e?.message || String(e);
+    const willRetry = !!job.repeatEveryMs || job.attempts < job.maxAttempts;
+    // recurring jobs just wait for their next tick; one-off jobs back off 30s, 1m, 2m, … (max 30m)
+    const backoffMs = job.repeatEveryMs || Math.min(30 * 60 * 1000, 30 * 1000 * 2 ** Math.max(0, job.attempts - 1));
+
+    await ScheduledJob.updateOne(owned, {
+      $set: {
+        ...unlock,
+        status: willRetry ? "scheduled" : "failed",
+        runAt: new Date(Date.now() + backoffMs),
+        lastError: errText
+      },
+      $push: { history: jobHistoryPush(willRetry ? "retry" : "failed", errText) }
+    }).catch(err => console.error("Failed to record job failure:", err));
+  }
+}
+
+let jobWorkerBusy = false;
+async function runDueJobs() {
+  if (jobWorkerBusy) return;
+  jobWorkerBusy = true;
+  try {
+    for (let i = 0; i < 25; i++) {
+      const job = await claimNextJob();
+      if (!job) break;
+      await runJob(job);
+    }
+  } catch (e) {
+    console.error("runDueJobs failed:", e);
+  } finally {
+    jobWorkerBusy = false;
+  }
+}
+
+// Sweeps that replaced the per-minute polling; their rows are dropped once the back-fill has run
+const RETIRED_SWEEP_KEYS = [
+  "recurring:checkTaskExpiries",
+  "recurring:sendReminders",
+  "recurring:runDoerWorkTimers",
+  "recurring:checkPendingReminders"
+];
+// Row left behind once the timer back-fill has run on this database (never claimed: it is "completed")
+const TIMER_BACKFILL_MARKER_KEY = "marker:timerJobsBackfilled";
+
+// The periodic sweeps that used to run on setTimeouts / setIntervals
+async function ensureRecurringSweeps() {
+  // Tasks and work from before the job queue (or from the retired sweeps) have no timer jobs yet
+  if (!(await ScheduledJob.exists({ key: TIMER_BACKFILL_MARKER_KEY }))) {
+    const n = await backfillTimerJobs();
+    console.log(`⏰ Back-filled ${n} task/work timer job(s)`);
+    await ScheduledJob.updateOne(
+      { key: TIMER_BACKFILL_MARKER_KEY },
+      { $setOnInsert: { name: "timerBackfill", key: TIMER_BACKFILL_MARKER_KEY, runAt: new Date(), status: "completed", completedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+  await ScheduledJob.deleteMany({ key: { $in: RETIRED_SWEEP_KEYS } });
+  await ensureRecurringJob("retryQueuedRefunds", 10 * 60 * 1000);
+  await ensureRecurringJob("checkPendingRefunds", 15 * 60 * 1000);
+  await ensureRecurringJob("retryQueuedPayouts", 10 * 60 * 1000);
+  await ensureRecurringJob("settleWalletTransactions", 15 * 60 * 1000);
+  await ensureRecurringJob("reconcilePayments", 24 * 60 * 60 * 1000);
+}
+
+function startJobWorker() {
+  runDueJobs();
+  setInterval(runDueJobs, JOB_POLL_MS);
+}
+
+defineJob("doerSecondHalfEnforcement", ({ taskId }) => enforceDoerSecondHalf(taskId));
+defineJob("creatorFinalDecisionEnforcement", ({ taskId }) => enforceCreatorFinalDecision(taskId));
+defineJob("creatorFirstHalfEnforcement", ({ taskId }) => enforceCreatorFirstHalfWindow(taskId));
+defineJob("creatorExpiryReminder", ({ taskId }) => sendCreatorExpiryReminder(taskId));
+defineJob("doerHalfwayReminder", ({ taskId }) => sendReminders(globalThis.TaskifiiBot, { taskId }));
+defineJob("taskExpiry", ({ taskId }) => checkTaskExpiries(globalThis.TaskifiiBot, { taskId }));
+defineJob("doerWork65Reminder", ({ workId }) => sendDoerWork65Reminder(globalThis.TaskifiiBot, workId));
+defineJob("doerWorkTimeUp", ({ workId }) => notifyDoerWorkTimeUp(globalThis.TaskifiiBot, workId));
+defineJob("doerPenaltyEnd", ({ workId }) => enforceDoerPenaltyEnd(globalThis.TaskifiiBot, workId));
+defineJob("retryQueuedRefunds", () => retryQueuedRefunds());
+defineJob("checkPendingRefunds", () => checkPendingRefunds());
+defineJob("retryQueuedPayouts", () => retryQueuedPayouts());
+defineJob("settleWalletTransactions", () => settlePendingWalletTransactions());
+defineJob("reconcilePayments", () => runReconciliation({ trigger: "schedule" }), { lockTimeoutMs: RECONCILE_LOCK_TIMEOUT_MS });
+
+// Per-task enforcement jobs (cancelled together by the admin-unban fresh start)
+const TASK_ENFORCEMENT_JOBS = [
+  "doerSecondHalfEnforcement",
+  "creatorFinalDecisionEnforcement",
+  "creatorFirstHalfEnforcement",
+  "doerPenaltyEnd"
+];
+
+// Schedules doer second-half enforcement (durable; replaces any earlier one for this task)
+function scheduleDoerSecondHalfEnforcement(taskId, delayMs) {
+  return scheduleJob("doerSecondHalfEnforcement", {
+    key: `doerSecondHalfEnforcement:${taskId}`,
+    task: taskId,
+    payload: { taskId: String(taskId) },
+    delayMs
+  });
+}
+
+function scheduleCreatorFinalDecisionEnforcement(taskId, delayMs) {
+  return scheduleJob("creatorFinalDecisionEnforcement", {
+    key: `creatorFinalDecisionEnforcement:${taskId}`,
+    task: taskId,
+    payload: { taskId: String(taskId) },
+    delayMs
+  });
+}
+
+// An open task's timers: creator 85% reminder, doer halfway reminder, expiry
+function taskTimerJobs(task) {
+  const postedAt = new Date(task.postedAt).getTime();
+  const total = new Date(task.expiry).getTime() - postedAt;
+  const job = (name, runAt) => [name, {
+    key: `${name}:${task._id}`, task: task._id, payload: { taskId: String(task._id) }, runAt
+  }];
+  return [
+    job("creatorExpiryReminder", new Date(postedAt + total * 0.85)),
+    job("doerHalfwayReminder", new Date(postedAt + total * 0.5)),
+    job("taskExpiry", new Date(task.expiry))
+  ];
+}
+
+// A started work's timers: 65% reminder, time-up (which schedules the penalty end)
+function doerWorkTimerJobs(work) {
+  const startedAt = new Date(work.startedAt).getTime();
+  const duration = new Date(work.deadlineAt).getTime() - startedAt;
+  const job = (name, runAt) => [name, {
+    key: `${name}:${work._id}`, task: work.task, payload: { workId: String(work._id) }, runAt
+  }];
+  const jobs = [
+    job("doerWork65Reminder", new Date(startedAt + duration * 0.65)),
+    job("doerWorkTimeUp", new Date(work.deadlineAt))
+  ];
+  if (work.penaltyEndAt) jobs.push(job("doerPenaltyEnd", new Date(work.penaltyEndAt)));
+  return jobs;
+}
+
+function scheduleTaskTimers(task) {
+  return Promise.all(taskTimerJobs(task).map(([name, opts]) => scheduleJob(name, opts)));
+}
+
+function scheduleDoerWorkTimers(work) {
+  return Promise.all(doerWorkTimerJobs(work).map(([name, opts]) => scheduleJob(name, opts)));
+}
+
+// Like scheduleJob, but leaves an existing job with the same key alone
+function scheduleJobIfMissing(name, { key, runAt, payload = {}, task = null, maxAttempts = 5 }) {
+  return ScheduledJob.updateOne(
+    { key },
+    {
+      $setOnInsert: {
+        name, key, payload, task, runAt: new Date(runAt), maxAttempts, status: "scheduled",
+        history: [{ at: new Date(), event: "scheduled", detail: "back-filled" }]
+      }
+    },
+    { upsert: true }
+  );
+}
+
+// Rows from before task/work timers were jobs of their own (the 60s sweeps found them by query)
+async function backfillTimerJobs() {
+  const jobs = [];
+  const tasks = await Task.find({ status: "Open" }).select("_id postedAt expiry").lean();
+  for (const task of tasks) if (task.postedAt && task.expiry) jobs.push(...taskTimerJobs(task));
+
+  const works = await DoerWork.find({ status: "active", completedAt: { $exists: false } })
+    .select("_id task startedAt deadlineAt penaltyEndAt").lean();
+  for (const work of works) jobs.push(...doerWorkTimerJobs(work));
+
+  const revisions = await DoerWork.find({
+    currentRevisionStatus: "awaiting_fix",
+    revisionDeadlineAt: { $exists: true },
+    secondHalfEnforcedAt: { $exists: false },
+    secondHalfCanceledAt: { $exists: false }
+  }).select("task revisionDeadlineAt").lean();
+  for (const work of revisions) {
+    jobs.push(["doerSecondHalfEnforcement", {
+      key: `doerSecondHalfEnforcement:${work.task}`, task: work.task,
+      payload: { taskId: String(work.task) }, runAt: work.revisionDeadlineAt
+    }]);
+  }
+
+  for (const [name, opts] of jobs) await scheduleJobIfMissing(name, opts);
+  return jobs.length;
+}
+
+// --- NEW: cancel enforcement jobs for specific tasks only (used by admin-unban fresh start) ---
+function cancelScheduledEnforcementsForTasks(taskIds) {
+  const ids = (taskIds || []).map(String);
+  if (!ids.length) return Promise.resolve(0);
+  return cancelJobs(
+    { task: { $in: ids }, name: { $in: TASK_ENFORCEMENT_JOBS } },
+    "admin unban fresh-start cleanup"
+  );
+}
+
+// Creator first-half enforcement: neither Valid nor Needs Fixing (or Needs Fixing without the
+// fix notice) by the middle of the revision window → inert buttons, ban, unlock, audit.
+async function enforceCreatorFirstHalfWindow(taskId) {
+  try {
+    const freshTask = await Task.findById(taskId).populate("creator").lean();
+    if (!freshTask) return;
+
+    // Bail out if someone already finalized/closed or we cancelled this half-window
+    const freshWork = await DoerWork.findOne({ task: taskId });
+    if (!freshWork) return;
+    if (freshWork.halfWindowEnforcedAt || freshWork.halfWindowCanceledAt) return;
+
+    // Condition A: creator never chose Valid nor Needs Fix
+    const creatorNeverDecided = !freshWork?.creatorDecisionMessageIdChosen; // we’ll set this when they click either button (see step 5)
+
+    // Condition B: creator clicked Needs Fix but never sent the fix notice (and clicked Send Fix Notice)
+    const needsFixClicked = !!freshWork?.needsFixChosenAt;
+    const fixNoticeSent   = !!freshWork?.fixNoticeSentAt;
+
+    const shouldBan = (creatorNeverDecided) || (needsFixClicked && !fixNoticeSent);
+
+    if (!shouldBan) return;
+
+    // 1) Make decision buttons inert (but still displayed)
+    try {
+      if (freshWork.creatorDecisionMessageId && freshTask.creator?.telegramId) {
+        await globalThis.TaskifiiBot.telegram.editMessageReplyMarkup(
+          freshTask.creator.telegramId,
+          freshWork.creatorDecisionMessageId,
+          undefined,
+          {
+            inline_keyboard: [[
+              Markup.button.callback(TEXT.validBtn[freshTask.creator.language || 'en'], `_DISABLED_VALID`),
+              Markup.button.callback(TEXT.needsFixBtn[freshTask.creator.language || 'en'], `_DISABLED_NEEDS_FIX`)
+            ]]
+          }
+        );
+      }
+    } catch (_) {}
+
+    // 1b) If there was a "Send Fix Notice" prompt shown, make that button inert too
+    try {
+      if (freshWork.fixPromptMessageId && freshTask.creator?.telegramId) {
+        await globalThis.TaskifiiBot.telegram.editMessageReplyMarkup(
+          freshTask.creator.telegramId,
+          freshWork.fixPromptMessageId,
+          undefined,
+          {
+            inline_keyboard: [[
+              Markup.button.callback(
+                (freshTask.creator.language === 'am' ? "🛠 የማስተካከያው ዝርዝሮች ይላኩ" : "🛠 Send Fix Notice"),
+                "_DISABLED_SEND_FIX_NOTICE"
+              )
+            ]]
+          }
+        );
+      }
+    } catch (_) {}
+
+    // 2) Ban the creator everywhere (bot + group)
+    const creatorUser = await User.findById(freshTask.creator._id);
+    await banUserEverywhere({ telegram: globalThis.TaskifiiBot.telegram }, creatorUser);
+
+    // 3) Close the task / stop revision life-cycle; unlock the winner doer
+    //    (marked enforced only after the unlock, so a failure here is retried by the job)
+    await DoerWork.updateOne({ _id: freshWork._id }, { $set: { status: 'completed' } });
+
+    await releaseLocksForTask(freshTask._id);
+    await EngagementLock.updateMany(
+      { task: freshTask._id },
+      { $set: { active: false, releasedAt: new Date() } }
+    );
+    await DoerWork.updateOne({ _id: freshWork._id }, { $set: { halfWindowEnforcedAt: new Date() } });
+
+   // 4) Notifications
+    try {
+      await globalThis.TaskifiiBot.telegram.sendMessage(
+        creatorUser.telegramId,
+        creatorUser.language === 'am'
+          ? "🚫 በክለሳ ጊዜው የመጀመሪያ አጋማሽ ላይ መስጠት የነበረብዎትን ግብረ-መልስ (ማለትም 'ትክክል ነው' ወይም 'መስተካከል ያስፈልገዋል' ብለው) ባለመስጠትዎ ምክንያት፤ ከTaskifay ለጊዜው ታግደዋል። እኛ Taskifay ጉዳዩን አጣርተን የመጨረሻ ውሳኔ እስከምንሰት ድረስ ይታገሱ ።"
+          : "🚫 You’ve been temporarily banned from Taskifay for not giving the required feedback (Valid vs Needs Fixing) within the first half of the revision period. Taskifay will investigate and make a final decision."
+      );
+    } catch (_) {}
+
+    try {
+      const doerApp = (freshTask.applicants || []).find(a => a.confirmedAt);
+      const doerUser = doerApp ? await User.findById(doerApp.user) : null;
+      if (doerUser) {
+        await globalThis.TaskifiiBot.telegram.sendMessage(
+          doerUser.telegramId,
+          doerUser.language === 'am'
+            ? "ℹ️ የስራው ፈጣሪ በተሰጠው ጊዜ ገደብ ውስጥ ግብረ-መልስ አልሰጠም። ስለሆነም Taskifay ጉዳዩን ገምግሞ በተቻለ ፍጥነት ውሳኔ ይሰጣል። እስከዚያው ድረስ Taskifayን እንደተለመደው መጠቀም መቀጠል ይችላሉ።"
+            : "ℹ️ The task creator didn’t provide feedback in time. Taskifay will review and decide as soon as possible. You can use Taskifay again in the meantime."
+        );
+      }
+    } catch (_) {}
+
+    // 5) Audit post with #NeitherApproveNorReject (+ repeat count + penalty total if applicable)
+    try {
+      const doerApp = (freshTask.applicants || []).find(a => a.confirmedAt);
+      const doerUser = doerApp ? await User.findById(doerApp.user) : null;
+
+      // increment creator repeat counter
+      let creatorRepeat = 1;
+      try {
+        const inc = await User.updateOne(
+          { _id: creatorUser._id },
+          { $inc: { noFeedbackCount: 1 } }
+        );
+        // fetch back value
+        const again = await User.findById(creatorUser._id).lean();
+        creatorRepeat = Math.max(again?.noFeedbackCount || 1, 1);
+      } catch (_) {}
+
+      const fee = Number(freshTask.paymentFee || 0);
+      const penaltyPerHour = Number((freshTask.penaltyPerHour ?? freshTask.latePenalty) || 0);
+
+      // compute total deducted penalty if doer submitted AFTER original deadline but BEFORE 35% limit
+      let deducted = 0;
+      try {
+        const completedAt   = freshWork.completedAt ? new Date(freshWork.completedAt) : null;
+        const deadlineAt    = freshWork.deadlineAt ? new Date(freshWork.deadlineAt) : null;
+        const penaltyStart  = freshWork.penaltyStartAt ? new Date(freshWork.penaltyStartAt) : null;
+        const penaltyEnd    = freshWork.penaltyEndAt ? new Date(freshWork.penaltyEndAt) : null;
+
+        if (completedAt && deadlineAt && penaltyStart && penaltyEnd && penaltyPerHour > 0) {
+          if (completedAt > deadlineAt && completedAt < penaltyEnd) {
+            const hours = Math.ceil((completedAt - penaltyStart) / 3600000);
+            deducted = Math.max(0, hours) * penaltyPerHour;
+          }
+        }
+      } catch (_) {}
+
+      const lines = [
+        "#NeitherValidateOrFix" + (creatorRepeat > 1 ? ` #${creatorRepeat}` : ""),
+        `Task: ${freshTask._id}`,
+        `Creator User ID: ${creatorUser?._id}`,
+        `Doer User ID: ${doerUser?._id || "-"}`,
+        `Task Fee: ${fee}`,
+      ];
+      if (deducted > 0) lines.push(`Penalty Deducted (so far): ${deducted}`);
+
+      await globalThis.TaskifiiBot.telegram.sendMessage(
+        AUDIT_CHANNEL_ID,
+        lines.join("\n"),
+        { disable_web_page_preview: true }
+      );
+    } catch (e) {
+      console.error("Audit send failed:", e);
     }
+
+  } catch (e) {
+    console.error("Half-window enforcement failed:", e);
+    throw e;
+  }
+}
+
+// 85% reminder to the creator when nobody has been accepted yet
+async function sendCreatorExpiryReminder(taskId) {
+  try {
+    const updatedTask = await Task.findById(taskId).populate("applicants.user");
+    if (!updatedTask || updatedTask.status !== "Open" || updatedTask.reminderSent) return;
+
+    const hasAcceptedApplicant = updatedTask.applicants.some(app => app.status === "Accepted");
+    if (hasAcceptedApplicant) return;
+
+    const creator = await User.findById(updatedTask.creator);
+    if (!creator) return;
+
+    const lang = creator.language || "en";
+    const timeLeftMs = updatedTask.expiry - new Date();
+    const hoursLeft = Math.floor(timeLeftMs / (1000 * 60 * 60));
+    const minutesLeft = Math.floor((timeLeftMs % (1000 * 60 * 60)) / (1000 * 60));
+
+    const message = lang === "am" 
+      ? `⏰ ማሳሰቢያ፡ የስራው ጊዜ ሊያልቅ ነው!\n\n` +
+        `ለስራው የቀረው ጊዜ፡ ${hoursLeft} ሰዓት ከ${minutesLeft} ደቂቃ\n\n`+ `አመልካቾችን ለመቀበል የቀረዎት ጊዜ በጣም አጭር ነው። እባክዎ (አመልካቾች ካሉ) በፍጥነት ይምረጡ።` 
+      : `⏰ Reminder: Your task time is running out!\n\n` +
+        `Time remaining for your task: ${hoursLeft} hours and ${minutesLeft} minutes\n\n` +
+        `You have very little time left to accept applicants. Please select an applicant soon(if there are any).`;
+
+    await globalThis.TaskifiiBot.telegram.sendMessage(creator.telegramId, message);
+    updatedTask.reminderSent = true;
+    await updatedTask.save();
+  } catch (err) {
+    console.error("Error sending reminder:", err);
+    throw err;
   }
 }
 
@@ -5723,12 +7246,6 @@ async function enforceCreatorFinalDecision(taskId) {
     const doerDoc = await User.findById(work.doer);
     if (!doerDoc) return;
 
-    // Mark that we enforced this path
-    await DoerWork.updateOne(
-      { _id: work._id },
-      { $set: { finalDecisionEnforcedAt: new Date() } }
-    );
-
     // 1) Make Approve/Reject buttons inert but still visible (difference A)
     if (work.creatorFinalDecisionMessageId && creatorDoc.telegramId) {
       const lang = creatorDoc.language === 'am' ? 'am' : 'en';
@@ -5762,13 +7279,17 @@ async function enforceCreatorFinalDecision(taskId) {
     }
 
     // 3) Release any locks on this task so the doer can use Taskifii again
-    try { await releaseLocksForTask(task._id); } catch (_) {}
-    try {
-      await EngagementLock.updateMany(
-        { task: task._id },
-        { $set: { active: false, releasedAt: new Date() } }
-      );
-    } catch (_) {}
+    await releaseLocksForTask(task._id);
+    await EngagementLock.updateMany(
+      { task: task._id },
+      { $set: { active: false, releasedAt: new Date() } }
+    );
+
+    // Mark that we enforced this path (after the unlock, so a failure above is retried by the job)
+    await DoerWork.updateOne(
+      { _id: work._id },
+      { $set: { finalDecisionEnforcedAt: new Date() } }
+    );
 
     // 4) Notify the task creator (difference B – creator message, bilingual)
     try {
@@ -5844,14 +7365,15 @@ async function enforceCreatorFinalDecision(taskId) {
         Markup.button.callback("Related file",     `DP_OPEN_${pkg._id}_related`),
         Markup.button.callback("Send corrections", `DP_SEND_CORRECTIONS_${pkg._id}`),
         Markup.button.callback("Fix notice",       `DP_OPEN_${pkg._id}_fix`),
-      ]
+      ],
+      disputeVerdictRow(pkg._id)
     ]);
 
     try {
       await sendWithUnlimitedRetry(
         REFUND_AUDIT_CHANNEL_ID,
         telegram.sendMessage.bind(telegram),
-        DISPUTE_CHANNEL_ID, // -1002432632907
+        DISPUTE_CHANNEL_ID,
         lines.join("\n"),
         {
           disable_web_page_preview: true,
@@ -5864,6 +7386,7 @@ async function enforceCreatorFinalDecision(taskId) {
 
   } catch (err) {
     console.error("enforceCreatorFinalDecision fatal:", err);
+    throw err;
   }
 }
 
@@ -5908,34 +7431,29 @@ async function enforceDoerSecondHalf(taskId) {
   const doerUser = await User.findById(work.doer);
   try { await banUserEverywhere({ telegram: globalThis.TaskifiiBot.telegram }, doerUser); } catch (_) {}
 
-  // Close the task and unlock creator
-  try {
-    await DoerWork.updateOne(
-      { _id: work._id },
-      { $set: { status: 'completed', secondHalfEnforcedAt: new Date() } }
-    );
-  } catch (_) {}
+  // Close the task and unlock creator (secondHalfEnforcedAt is only set once the package is out,
+  // so a failed run is retried by the job)
+  await DoerWork.updateOne({ _id: work._id }, { $set: { status: 'completed' } });
 
-  try { await releaseLocksForTask(task._id); } catch (_) {}
-  try {
-    await EngagementLock.updateMany(
-      { task: task._id },
-      { $set: { active: false, releasedAt: new Date() } }
-    );
-  } catch (_) {}
+  await releaseLocksForTask(task._id);
+  await EngagementLock.updateMany(
+    { task: task._id },
+    { $set: { active: false, releasedAt: new Date() } }
+  );
 
   // Send dispute package just like a "report", but tag it
   const creatorUser = await User.findById(task.creator);
   const winnerApp = (task.applicants || []).find(a => a.confirmedAt || a.status === "Accepted");
   const doerUserLean = doerUser?.toObject ? doerUser.toObject() : doerUser;
 
-  // Build standard package
+  // Build standard package; the doer's repeat counter goes up with it, once (not again on a retry)
   let pkg = await DisputePackage.findOne({ task: task._id });
   if (!pkg) {
     pkg = await DisputePackage.create({
       task: task._id, creator: creatorUser._id, doer: doerUser._id,
       channelId: String(DISPUTE_CHANNEL_ID)
     });
+    await User.updateOne({ _id: doerUser._id }, { $inc: { doerNoFeedbackCount: 1 } });
   }
 
   const header = await sendWithUnlimitedRetry(
@@ -5946,7 +7464,8 @@ async function enforceDoerSecondHalf(taskId) {
   );
   await DisputePackage.updateOne({ _id: pkg._id }, { $set: { headerMessageId: header.message_id } });
 
-  const chunks = buildDisputeChunks({ task, creatorUser, doerUser: doerUserLean, winnerApp });
+  const timeline = await renderTaskTimeline(task._id);
+  const chunks = buildDisputeChunks({ task, creatorUser, doerUser: doerUserLean, winnerApp, timeline });
   let lastChunkMsg = null;
   for (let i = 0; i < chunks.length; i++) {
     const numbered = `(${i+1}/${chunks.length})\n` + chunks[i];
@@ -5965,7 +7484,8 @@ async function enforceDoerSecondHalf(taskId) {
       Markup.button.callback("Send corrections", `DP_SEND_CORRECTIONS_${pkg._id}`),
       Markup.button.callback("Related file",     `DP_OPEN_${pkg._id}_related`),
       Markup.button.callback("Fix notice",       `DP_OPEN_${pkg._id}_fix`),
-    ]
+    ],
+    disputeVerdictRow(pkg._id)
   ]);
 
   const lastChunk = await sendWithUnlimitedRetry(
@@ -5991,19 +7511,15 @@ async function enforceDoerSecondHalf(taskId) {
     }
   } catch (_) {}
 
-  // increment doer repeat counter (like creator’s noFeedbackCount)
-  let doerRepeat = 1;
-  try {
-    await User.updateOne({ _id: doerUser._id }, { $inc: { doerNoFeedbackCount: 1 } });
-    const again = await User.findById(doerUser._id).lean();
-    doerRepeat = Math.max(again?.doerNoFeedbackCount || 1, 1);
-  } catch (_) {}
+  // doer repeat counter (like creator’s noFeedbackCount), incremented with the package above
+  const again = await User.findById(doerUser._id).lean();
+  const doerRepeat = Math.max(again?.doerNoFeedbackCount || 1, 1);
 
   // Tag post (NeitherReportNorSend + repeat + penalty info line)
   const tagLines = [
     "#NeitherReportNorSend",
     (doerRepeat > 1 ? `#${doerRepeat}` : ""),
-    (deducted > 0 ? `Total deducted penalty so far: ${Math.round(deducted)} birr` : "")
+    (deducted > 0 ? `Total deducted penalty so far: ${formatMoney(Math.round(deducted), task.currency)}` : "")
   ].filter(Boolean).join("\n");
 
   await sendWithUnlimitedRetry(
@@ -6021,6 +7537,7 @@ async function enforceDoerSecondHalf(taskId) {
     "—— END OF DISPUTE PACKAGE ——",
     { reply_to_message_id: header.message_id, allow_sending_without_reply: true }
   );
+  await DoerWork.updateOne({ _id: work._id }, { $set: { secondHalfEnforcedAt: new Date() } });
 
   // Notify users
   try {
@@ -6044,10 +7561,13 @@ async function enforceDoerSecondHalf(taskId) {
 }
 
 
-async function sendReminders(bot) {
+// Halfway reminder to accepted doers who haven't confirmed yet, run by the task's "doerHalfwayReminder" job
+async function sendReminders(bot, { taskId }) {
+  let failure = null;
   try {
     const now = new Date();
     const tasks = await Task.find({
+      _id: taskId,
       status: "Open",
       expiry: { $gt: now },
       "applicants.status": "Accepted"
@@ -6086,11 +7606,8 @@ async function sendReminders(bot) {
 
       const half = total * 0.5;
 
-      // ✅ Wide 60-second window around halfway so we don't miss it
-      // but we'll use an atomic DB lock so it's still only sent once.
-      const windowSize = 60 * 1000; // 60 seconds
-      const isAt50Percent = Math.abs(elapsed - half) <= windowSize;
-      if (!isAt50Percent) continue;
+      // The job is due at halfway; the atomic DB claim below still sends it only once.
+      if (elapsed < half) continue;
 
       for (const app of acceptedApps) {
         if (!app.user) continue;
@@ -6133,7 +7650,7 @@ async function sendReminders(bot) {
         try {
           hasOpenCreatorTask = !!(await Task.exists({
             creator: doer._id,
-            status: "Open",
+            status: { $in: ["Open", "InProgress", "PendingConfirmation"] },
             expiry: { $gt: now }
           }));
         } catch (creatorErr) {
@@ -6175,6 +7692,7 @@ async function sendReminders(bot) {
           );
         } catch (claimErr) {
           console.error("Error trying to claim reminder lock:", claimErr);
+          failure = failure || claimErr;
           continue;
         }
 
@@ -6204,399 +7722,271 @@ async function sendReminders(bot) {
     }
   } catch (err) {
     console.error("Error in sendReminders:", err);
+    throw err;
   }
-
-  // Check again in 1 minute (this keeps the timing precise)
-  setTimeout(() => sendReminders(bot), 60000);
+  if (failure) throw failure;
 }
 
 
 
 
-async function runDoerWorkTimers(bot) {
-  const now = new Date();
-
-  // 3.1 — 65% reminder to DOER and CREATOR (only once)
-  // active work, not completed, reminder not sent, and passed 65% of the window
-  const works65 = await DoerWork.aggregate([
-    { $match: { status: 'active', completedAt: { $exists: false }, reminder65SentAt: { $exists: false } } },
-    {
-      $lookup: {
-        from: 'tasks',
-        localField: 'task',
-        foreignField: '_id',
-        as: 'taskDoc'
-      }
-    },
-    { $unwind: '$taskDoc' }
-  ]);
-
-  for (const w of works65) {
-    const startedAt  = new Date(w.startedAt);
-    const deadlineAt = new Date(w.deadlineAt);
-    const durationMs = deadlineAt - startedAt;
-    if (durationMs <= 0) continue;
-
-    const thresholdMs = startedAt.getTime() + durationMs * 0.65;
-    if (now.getTime() >= thresholdMs && now.getTime() < deadlineAt.getTime()) {
-      // Skip if completed in the meantime
-      const fresh = await DoerWork.findById(w._id);
-      if (!fresh || fresh.completedAt) continue;
-      if (fresh.reminder65SentAt) continue; // idempotency
-
-      // Compute time left
-      const leftMs = Math.max(0, deadlineAt.getTime() - now.getTime());
-      const h = Math.floor(leftMs / 3600000);
-      const m = Math.floor((leftMs % 3600000) / 60000);
-
-      // Load users
-      const doer = await User.findById(fresh.doer);
-      const creator = await User.findById(w.taskDoc.creator);
-      // Hard gate: only proceed if THIS doer actually confirmed THIS task
-      const confirmed = await Task.exists({
-        _id: w.taskDoc._id,
-        applicants: {
-          $elemMatch: {
-            user: fresh.doer,
-            status: "Accepted",
-            confirmedAt: { $ne: null },
-            canceledAt: null
-          }
-        }
-      });
-      if (!confirmed) continue;
-
-      try {
-        // Doer message (once)
-        const doerLang = (doer?.language) || 'en';
-        const msgDoer = (TEXT.doer65Reminder?.[doerLang] || TEXT.doer65Reminder.en)(h, m);
-        await bot.telegram.sendMessage(doer.telegramId, msgDoer);
-
-        // Creator message (once)
-        const creatorLang = (creator?.language) || 'en';
-        const doerName = doer?.fullName || doer?.username || '';
-        const msgCreator = (TEXT.creator65Reminder?.[creatorLang] || TEXT.creator65Reminder.en)(doerName);
-        await bot.telegram.sendMessage(creator.telegramId, msgCreator);
-
-        fresh.reminder65SentAt = new Date();
-        await fresh.save();
-      } catch (e) {
-        console.error("65% reminder send failed:", e);
+// Doer work timers: each is a job keyed by the work (scheduled by scheduleDoerWorkTimers) and
+// returns early when the work was finished or the doer never confirmed the task.
+async function loadTimedWork(workId) {
+  const work = await DoerWork.findById(workId);
+  if (!work || work.status !== 'active' || work.completedAt) return null;
+  const task = await Task.findById(work.task).lean();
+  if (!task) return null;
+  // Hard gate: only proceed if THIS doer actually confirmed THIS task
+  const confirmed = await Task.exists({
+    _id: task._id,
+    applicants: {
+      $elemMatch: {
+        user: work.doer,
+        status: "Accepted",
+        confirmedAt: { $ne: null },
+        canceledAt: null
       }
     }
-  }
+  });
+  return { work, task, confirmed: !!confirmed };
+}
 
-  // 3.2 — Time up: notify both, start penalty window timer (only once)
-  const worksTimeUp = await DoerWork.aggregate([
-    { $match: { status: 'active', completedAt: { $exists: false }, timeUpNotifiedAt: { $exists: false } } },
-    {
-      $lookup: {
-        from: 'tasks',
-        localField: 'task',
-        foreignField: '_id',
-        as: 'taskDoc'
-      }
-    },
-    { $unwind: '$taskDoc' }
-  ]);
+// 65% reminder to DOER and CREATOR (only once)
+async function sendDoerWork65Reminder(bot, workId) {
+  const loaded = await loadTimedWork(workId);
+  if (!loaded || !loaded.confirmed) return;
+  const { work: fresh, task } = loaded;
+  if (fresh.reminder65SentAt) return; // idempotency
 
-  for (const w of worksTimeUp) {
-    const deadlineAt = new Date(w.deadlineAt);
-    if (now.getTime() < deadlineAt.getTime()) continue; // not reached yet
+  const now = new Date();
+  const deadlineAt = new Date(fresh.deadlineAt);
+  if (now.getTime() >= deadlineAt.getTime()) return; // time-up takes over
+
+  // Compute time left
+  const leftMs = Math.max(0, deadlineAt.getTime() - now.getTime());
+  const h = Math.floor(leftMs / 3600000);
+  const m = Math.floor((leftMs % 3600000) / 60000);
+
+  // Load users
+  const doer = await User.findById(fresh.doer);
+  const creator = await User.findById(task.creator);
+
+  // Doer message (once)
+  const doerLang = (doer?.language) || 'en';
+  const msgDoer = (TEXT.doer65Reminder?.[doerLang] || TEXT.doer65Reminder.en)(h, m);
+  await bot.telegram.sendMessage(doer.telegramId, msgDoer);
+
+  // Creator message (once)
+  const creatorLang = (creator?.language) || 'en';
+  const doerName = doer?.fullName || doer?.username || '';
+  const msgCreator = (TEXT.creator65Reminder?.[creatorLang] || TEXT.creator65Reminder.en)(doerName);
+  await bot.telegram.sendMessage(creator.telegramId, msgCreator);
+
+  fresh.reminder65SentAt = new Date();
+  await fresh.save();
+}
 
-    const fresh = await DoerWork.findById(w._id);
-    if (!fresh || fresh.completedAt) continue;
-    if (fresh.timeUpNotifiedAt) continue; // idempotency
-    // Only notify time-up if the doer actually confirmed this task
-    const confirmed = await Task.exists({
-      _id: w.taskDoc._id,
-      applicants: {
-        $elemMatch: {
-          user: fresh.doer,
-          status: "Accepted",
-          confirmedAt: { $ne: null },
-          canceledAt: null
-        }
-      }
-    });
-    if (!confirmed) continue;
+// Time up: notify both, start penalty window timer (only once)
+async function notifyDoerWorkTimeUp(bot, workId) {
+  const loaded = await loadTimedWork(workId);
+  if (!loaded || !loaded.confirmed) return;
+  const { work: fresh, task } = loaded;
+  if (fresh.timeUpNotifiedAt) return; // idempotency
 
-    // Pull fee/penalty from Task (handles both names you use)
-    const fee = Number(w.taskDoc.paymentFee || 0);
-    const penaltyPerHour = Number(
-      (w.taskDoc.penaltyPerHour ?? w.taskDoc.latePenalty) || 0
-    );
+  const now = new Date();
+  // Pull fee/penalty from Task (handles both names you use)
+  const fee = Number(task.paymentFee || 0);
+  const penaltyPerHour = Number(
+    (task.penaltyPerHour ?? task.latePenalty) || 0
+  );
 
-    // Hours until fee would reach 35% (i.e., a 65% deduction)
-    // If penaltyPerHour is 0, hoursTo35 = 0 (we still send a neutral message)
-    const amountToDeduct = Math.max(0, fee * 0.65);
-    const hoursTo35 = penaltyPerHour > 0
-      ? Math.ceil(amountToDeduct / penaltyPerHour)
-      : 0;
+  // Hours until the fee reaches its floor (35% with the default 65% penalty cap)
+  // If penaltyPerHour is 0, hoursTo35 = 0 (we still send a neutral message)
+  const feeRules = await feeRulesForTask(task);
+  const floorPct = feeFloorPercent(feeRules);
+  const amountToDeduct = penaltyCapFor(feeRules, fee);
+  const hoursTo35 = penaltyPerHour > 0
+    ? Math.ceil(amountToDeduct / penaltyPerHour)
+    : 0;
 
-    const penaltyStartAt = now;
-    const penaltyEndAt   = new Date(now.getTime() + hoursTo35 * 3600000);
+  const penaltyStartAt = now;
+  const penaltyEndAt   = new Date(now.getTime() + hoursTo35 * 3600000);
 
-    // Load users
-    const doer = await User.findById(fresh.doer);
-    const creator = await User.findById(w.taskDoc.creator);
+  // Load users
+  const doer = await User.findById(fresh.doer);
+  const creator = await User.findById(task.creator);
 
-    try {
-      // Replace the two lines that build and send the doer message in the "time-up" section:
+  const doerLang = (doer?.language) || 'en';
+  const msgDoer = (TEXT.doerTimeUp?.[doerLang] || TEXT.doerTimeUp.en)(penaltyPerHour, penaltyEndAt, floorPct, task.currency);
+  await bot.telegram.sendMessage(doer.telegramId, msgDoer);
 
-      const doerLang = (doer?.language) || 'en';
-      const msgDoer = (TEXT.doerTimeUp?.[doerLang] || TEXT.doerTimeUp.en)(penaltyPerHour, penaltyEndAt);
-      await bot.telegram.sendMessage(doer.telegramId, msgDoer);
+  // Creator message
+  const creatorLang = (creator?.language) || 'en';
+  const msgCreator = (TEXT.creatorTimeUp?.[creatorLang] || TEXT.creatorTimeUp.en)(penaltyPerHour, floorPct, task.currency);
+  await bot.telegram.sendMessage(creator.telegramId, msgCreator);
 
+  // Persist idempotency + penalty window
+  fresh.timeUpNotifiedAt = new Date();
+  fresh.penaltyStartAt = penaltyStartAt;
+  fresh.penaltyEndAt = penaltyEndAt;
+  await fresh.save();
 
-      // Creator message
-      const creatorLang = (creator?.language) || 'en';
-      const msgCreator = (TEXT.creatorTimeUp?.[creatorLang] || TEXT.creatorTimeUp.en)(penaltyPerHour);
-      await bot.telegram.sendMessage(creator.telegramId, msgCreator);
+  await scheduleJob("doerPenaltyEnd", {
+    key: `doerPenaltyEnd:${fresh._id}`,
+    task: task._id,
+    payload: { workId: String(fresh._id) },
+    runAt: penaltyEndAt
+  });
+}
 
-      // Persist idempotency + penalty window
-      fresh.timeUpNotifiedAt = new Date();
-      fresh.penaltyStartAt = penaltyStartAt;
-      fresh.penaltyEndAt = penaltyEndAt;
-      await fresh.save();
-    } catch (e) {
-      console.error("Time-up notify failed:", e);
-    }
+// Penalty-end enforcement (ban + punishment entry), one-shot
+async function enforceDoerPenaltyEnd(bot, workId) {
+  const loaded = await loadTimedWork(workId);
+  if (!loaded) return;
+  const { work: fresh, task, confirmed } = loaded;
+  // Skip if we've already processed punishment for this work
+  if (fresh.punishmentStartedAt || !fresh.penaltyEndAt) return;
+  const now = new Date();
+  if (now < new Date(fresh.penaltyEndAt)) return; // not reached yet
+
+  // Final safeguard before punishment: doer must have confirmed this exact task
+  if (!confirmed) {
+    // Defensive: prevent this stale row from ever triggering again
+    fresh.status = 'completed';
+    fresh.completedAt = new Date();
+    await fresh.save();
+    return;
   }
-  // Add BELOW your "time-up notify" block, inside runDoerWorkTimers(bot):
-
-  // 3.2 — Penalty-end enforcement (ban + punishment entry), one-shot
-  const overdueWorks = await DoerWork.aggregate([
-    { $match: { status: 'active', completedAt: { $exists: false }, penaltyEndAt: { $exists: true } } },
-    {
-      $lookup: {
-        from: 'tasks',
-        localField: 'task',
-        foreignField: '_id',
-        as: 'taskDoc'
-      }
-    },
-    { $unwind: '$taskDoc' }
-  ]);
 
-  for (const w of overdueWorks) {
-    const now = new Date();
-    if (now < new Date(w.penaltyEndAt)) continue; // not reached yet
-
-    // Idempotency check
-    const fresh = await DoerWork.findById(w._id);
-    if (!fresh || fresh.completedAt) continue;
-    // Skip if we've already processed punishment for this work
-    if (fresh.punishmentStartedAt) continue;
-    // Final safeguard before punishment: doer must have confirmed this exact task
-    const confirmed = await Task.exists({
-      _id: w.taskDoc._id,
-      applicants: {
-        $elemMatch: {
-          user: fresh.doer,
-          status: "Accepted",
-          confirmedAt: { $ne: null },
-          canceledAt: null
-        }
-      }
-    });
-    if (!confirmed) {
-      // Defensive: prevent this stale row from ever triggering again
-      try {
-        fresh.status = 'completed';
-        fresh.completedAt = new Date();
-        await fresh.save();
-      } catch (_) {}
-      continue;
-    }
-
-    // Store a "punishment started" timestamp to avoid repeats
-    fresh.punishmentStartedAt = now;
-    await fresh.save().catch(()=>{});
-
-    // 1) Make the "Completed task sent" button inert (but still displayed, not highlighted)
-    try {
-      if (fresh.doerControlMessageId) {
-        await bot.telegram.editMessageReplyMarkup(
-          fresh.doerTelegramId,
-          fresh.doerControlMessageId,
-          undefined,
-          {
-            inline_keyboard: [[
-              // keep the exact visible text you already use
-              Markup.button.callback(TEXT.completedSentBtn.en, "_DISABLED_COMPLETED_SENT")
-            ]]
-          }
-        );
-      }
-    } catch (e) {
-      console.error("Failed to inert completed button after penalty:", e);
-    }
-
-    // Fetch users
-    const doer = await User.findById(fresh.doer);
-    const creator = await User.findById(w.taskDoc.creator);
-    const doerLang = doer?.language || 'en';
-    const creatorLang = creator?.language || 'en';
+  // unlock any creator engagement lock for this task (idempotent, so done before the one-shot claim)
+  await releaseLocksForTask(task._id);
+  // Defensive unlock to guarantee creator access is restored
+  await EngagementLock.updateMany(
+    { user: task.creator, task: task._id },
+    { $set: { active: false, releasedAt: new Date() } }
+  );
 
-    // 2) Ban the doer (Banlist + kick from the group)
-    try {
-      await Banlist.updateOne(
-        { telegramId: fresh.doerTelegramId },
-        { $setOnInsert: { telegramId: fresh.doerTelegramId, user: doer?._id, reason: 'Penalty end reached without submission' } },
-        { upsert: true }
-      );
-    } catch (e) {
-      console.error("Adding to Banlist failed:", e);
-    }
+  // Store a "punishment started" timestamp to avoid repeats
+  const claim = await DoerWork.updateOne(
+    { _id: fresh._id, punishmentStartedAt: { $exists: false } },
+    { $set: { punishmentStartedAt: now } }
+  );
+  if (!claim.modifiedCount) return;
 
-    try {
-      // Kick from the group (ignore errors if not a member)
-      await bot.telegram.restrictChatMember(
-        BAN_GROUP_ID,
+  // 1) Make the "Completed task sent" button inert (but still displayed, not highlighted)
+  try {
+    if (fresh.doerControlMessageId) {
+      await bot.telegram.editMessageReplyMarkup(
         fresh.doerTelegramId,
-        GROUP_MUTE_PERMS,
-        { until_date: muteUntilFarFutureUnix() }
-      ).catch(()=>{});
-
-    } catch (e) {
-      console.error("Group ban failed:", e);
-    }
-
-    // 3) Send punishment message to the doer with a "Punishment fee" button
-    const punishBtn = Markup.inlineKeyboard([
-      [ Markup.button.callback(
-          doerLang === 'am' ? "የቅጣት ክፍያ" : "Punishment fee",
-          `PUNISH_PAY_${w.taskDoc._id}`
-        )]
-    ]);
-
-    const punishText = (doerLang === 'am')
-      ? [
-          "🚫 ከ Taskifay ታግደዋል።",
-          "ተቀባይነት ያለው የተጠናቀቀ ስራ አስረክበው፣ በተሰጠው የጊዜ ገደብ ውስጥ “ያለቀ ስራ ተልክዋል” የሚለውን አልተጫኑም።",
-          "እገዳውን ለማንሳት፤ ከታች “የቅጣት ክፍያ” የሚለውን በመጫን የስራውን ዋጋ 50% በቅጣት መልክ ይክፈሉ።"
-        ].join("\n")
-      : [
-          "🚫 You’ve been banned from Taskifay.",
-          "You didn’t submit valid completed work and press “Completed task sent” within the time limits.",
-          "To restore access, tap “Punishment fee” below and pay 50% of the task fee."
-        ].join("\n");
-
-    let punishMsg;
-    try {
-      punishMsg = await bot.telegram.sendMessage(fresh.doerTelegramId, punishText, punishBtn);
-    } catch (e) {
-      console.error("Failed to send punishment message:", e);
-    }
-
-    // persist the punishment message id (new fields, see schema patch below)
-    if (punishMsg?.message_id) {
-      await DoerWork.updateOne({ _id: fresh._id }, { $set: { punishmentMessageId: punishMsg.message_id } });
-    }
-
-    // 4) Inform the creator (and unlock creator features for this task)
-    try {
-      const creatorMsg = (creatorLang === 'am')
-        ? "😞 ሰሪው በተሰጠው የጊዜ ገደብ ውስጥ ስራውን አጠናቆ አላስረከበም። በመሆኑም ግለሰቡ ላይ የዲሲፕሊን እርምጃ ተወስዷል። በዚህ ምክንያት ለእርስዎ ተዘግተው የነበሩ አማራጮች አሁን ክፍት ተደርገዋል። ለተፈጠረው አለመመቸት ከልብ ይቅርታ እንጠይቃለን።"
-        : "😞 The  task doer did not submit within the set time. They’ve received a disciplinary action. Any features that were locked for you are now unlocked. We’re very sorry for the inconvenience.";
-      await bot.telegram.sendMessage(creator.telegramId, creatorMsg);
-    } catch (e) {
-      console.error("Notify creator failed:", e);
-    }
-
-    // unlock any creator engagement lock for this task
-    try { await releaseLocksForTask(w.taskDoc._id); } catch (_) {}
-    // Defensive unlock to guarantee creator access is restored
-    try {
-      await EngagementLock.updateMany(
-        { user: creator._id, task: w.taskDoc._id },
-        { $set: { active: false, releasedAt: new Date() } }
+        fresh.doerControlMessageId,
+        undefined,
+        {
+          inline_keyboard: [[
+            // keep the exact visible text you already use
+            Markup.button.callback(TEXT.completedSentBtn.en, "_DISABLED_COMPLETED_SENT")
+          ]]
+        }
       );
-    } catch (e) {
-      console.error("Force-unlock creator failed:", e);
-    }
-
-    // 5) Send audit notice to your private channel (-1002616271109)
-    try {
-      const original = Number(w.taskDoc.paymentFee || 0);
-      const half = Math.round(original * 0.5);
-      const audit = [
-        "#notoriousWTD",
-        `Task: ${w.taskDoc._id}`,
-        `Doer User ID: ${doer?._id}`,
-        `Original Fee: ${original}`,
-        `Punishment (50%): ${half}`
-      ].join("\n");
-      await bot.telegram.sendMessage("-1002616271109", audit, {
-        disable_web_page_preview: true,
-        reply_markup: Markup.inlineKeyboard([
-          [Markup.button.callback("Refund", `NOTORIOUS_REFUND_${fresh._id}`)]
-        ]).reply_markup
-      });
-    } catch (e) {
-      console.error("Failed to send #notoriousWTD audit:", e);
     }
+  } catch (e) {
+    console.error("Failed to inert completed button after penalty:", e);
   }
-  // 3.3 — Second-half revision enforcement (NeitherReportNorSend)
-  // If a Fix Notice was sent and the doer gave no feedback by the revision deadline,
-  // enforce the same logic as enforceDoerSecondHalf (ban + dispute package + tags).
+
+  // Fetch users
+  const doer = await User.findById(fresh.doer);
+  const creator = await User.findById(task.creator);
+  const doerLang = doer?.language || 'en';
+  const creatorLang = creator?.language || 'en';
+
+  // 2) Ban the doer (Banlist + kick from the group)
   try {
-    const revWorks = await DoerWork.aggregate([
-      {
-        $match: {
-          
-          currentRevisionStatus: 'awaiting_fix',
-          revisionDeadlineAt: { $exists: true },
-        }
-      },
-      {
-        $lookup: {
-          from: 'tasks',
-          localField: 'task',
-          foreignField: '_id',
-          as: 'taskDoc'
-        }
-      },
-      { $unwind: '$taskDoc' }
-    ]);
+    await Banlist.updateOne(
+      { telegramId: fresh.doerTelegramId },
+      { $setOnInsert: { telegramId: fresh.doerTelegramId, user: doer?._id, reason: 'Penalty end reached without submission' } },
+      { upsert: true }
+    );
+  } catch (e) {
+    console.error("Adding to Banlist failed:", e);
+  }
 
-    for (const w of revWorks) {
-      if (!w.revisionDeadlineAt) continue;
+  try {
+    // Kick from the group (ignore errors if not a member)
+    await bot.telegram.restrictChatMember(
+      BAN_GROUP_ID,
+      fresh.doerTelegramId,
+      GROUP_MUTE_PERMS,
+      { until_date: muteUntilFarFutureUnix() }
+    ).catch(()=>{});
 
-      const deadline = new Date(w.revisionDeadlineAt);
-      if (now.getTime() < deadline.getTime()) continue; // still inside revision window
+  } catch (e) {
+    console.error("Group ban failed:", e);
+  }
 
-      // Reload fresh copy to respect any updates/cancellations
-      const fresh = await DoerWork.findById(w._id);
-      if (!fresh) continue;
-      
-      if (fresh.secondHalfEnforcedAt || fresh.secondHalfCanceledAt) continue;
+  // 3) Send punishment message to the doer with a "Punishment fee" button
+  const punishBtn = Markup.inlineKeyboard([
+    [ Markup.button.callback(
+        doerLang === 'am' ? "የቅጣት ክፍያ" : "Punishment fee",
+        `PUNISH_PAY_${task._id}`
+      )]
+  ]);
 
-      // If a dispute already exists (doer reported), skip
-      const escalated = await Escalation.findOne({ task: w.task }).lean();
-      if (escalated) continue;
+  const punishText = (doerLang === 'am')
+    ? [
+        "🚫 ከ Taskifay ታግደዋል።",
+        "ተቀባይነት ያለው የተጠናቀቀ ስራ አስረክበው፣ በተሰጠው የጊዜ ገደብ ውስጥ “ያለቀ ስራ ተልክዋል” የሚለውን አልተጫኑም።",
+        "እገዳውን ለማንሳት፤ ከታች “የቅጣት ክፍያ” የሚለውን በመጫን የስራውን ዋጋ 50% በቅጣት መልክ ይክፈሉ።"
+      ].join("\n")
+    : [
+        "🚫 You’ve been banned from Taskifay.",
+        "You didn’t submit valid completed work and press “Completed task sent” within the time limits.",
+        "To restore access, tap “Punishment fee” below and pay 50% of the task fee."
+      ].join("\n");
 
+  let punishMsg;
+  try {
+    punishMsg = await bot.telegram.sendMessage(fresh.doerTelegramId, punishText, punishBtn);
+  } catch (e) {
+    console.error("Failed to send punishment message:", e);
+  }
 
-      // If doer clicked "Send corrected version", skip
-      if (fresh.doerCorrectedClickedAt) continue;
+  // persist the punishment message id (new fields, see schema patch below)
+  if (punishMsg?.message_id) {
+    await DoerWork.updateOne({ _id: fresh._id }, { $set: { punishmentMessageId: punishMsg.message_id } });
+  }
 
-      // Call the existing helper; it will:
-      // - inert the buttons
-      // - ban the doer + group
-      // - send dispute package with #NeitherReportNorSend and penalty total
-      // - close the task and unlock creator
-      await enforceDoerSecondHalf(String(w.task));
-    }
+  // 4) Inform the creator (and unlock creator features for this task)
+  try {
+    const creatorMsg = (creatorLang === 'am')
+      ? "😞 ሰሪው በተሰጠው የጊዜ ገደብ ውስጥ ስራውን አጠናቆ አላስረከበም። በመሆኑም ግለሰቡ ላይ የዲሲፕሊን እርምጃ ተወስዷል። በዚህ ምክንያት ለእርስዎ ተዘግተው የነበሩ አማራጮች አሁን ክፍት ተደርገዋል። ለተፈጠረው አለመመቸት ከልብ ይቅርታ እንጠይቃለን።"
+      : "😞 The  task doer did not submit within the set time. They’ve received a disciplinary action. Any features that were locked for you are now unlocked. We’re very sorry for the inconvenience.";
+    await bot.telegram.sendMessage(creator.telegramId, creatorMsg);
   } catch (e) {
-    console.error("Second-half revision enforcement sweep failed:", e);
+    console.error("Notify creator failed:", e);
   }
 
-  // sweep again in ~1 minute
-  setTimeout(() => runDoerWorkTimers(bot), 60_000);
+  // 5) Send audit notice to your private channel (AUDIT_CHANNEL_ID)
+  try {
+    const original = Number(task.paymentFee || 0);
+    const half = Math.round(original * 0.5);
+    const audit = [
+      "#notoriousWTD",
+      `Task: ${task._id}`,
+      `Doer User ID: ${doer?._id}`,
+      `Original Fee: ${original}`,
+      `Punishment (50%): ${half}`
+    ].join("\n");
+    await bot.telegram.sendMessage(AUDIT_CHANNEL_ID, audit, {
+      disable_web_page_preview: true,
+      reply_markup: Markup.inlineKeyboard([
+        [Markup.button.callback("Refund", `NOTORIOUS_REFUND_${fresh._id}`)]
+      ]).reply_markup
+    });
+  } catch (e) {
+    console.error("Failed to send #notoriousWTD audit:", e);
+  }
 }
 
-
   // Optionally include user stats (earned/spent/avg rating) if desired:
   // lines.push(`*Creator Earned:* ${user.stats.totalEarned} birr`);
  
@@ -6626,9 +8016,63 @@ app.get('/health', (_req, res) => {
 });
 // Health check endpoint
 app.get("/", (_req, res) => res.send("OK"));
-// Parse both JSON and classic HTML forms (Chapa uses form posts for IPN)
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+// Parse both JSON and classic HTML forms (Chapa uses form posts for IPN).
+// The exact bytes are kept as req.rawBody: webhook signatures are computed over them.
+const keepRawBody = (req, _res, buf) => { req.rawBody = buf; };
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+app.use(express.json({ verify: keepRawBody }));
+
+// ------------------------------------
+//  Telegram webhook mode (optional)
+// ------------------------------------
+// BOT_MODE=webhook receives updates on this same Express app (one process behind the reverse proxy).
+// Needs PUBLIC_BASE_URL; without it we fall back to long polling.
+const TELEGRAM_WEBHOOK_PATH = process.env.TELEGRAM_WEBHOOK_PATH || "/telegram/webhook";
+const TELEGRAM_WEBHOOK_SECRET =
+  process.env.TELEGRAM_WEBHOOK_SECRET ||
+  // stable across restarts, and only [A-Za-z0-9] as Telegram requires
+  require("crypto").createHash("sha256").update(String(process.env.BOT_TOKEN)).digest("hex");
+const TELEGRAM_WEBHOOK_ENABLED =
+  String(process.env.BOT_MODE || "").toLowerCase() === "webhook" && !!process.env.PUBLIC_BASE_URL;
+
+if (String(process.env.BOT_MODE || "").toLowerCase() === "webhook" && !process.env.PUBLIC_BASE_URL) {
+  console.warn("BOT_MODE=webhook but PUBLIC_BASE_URL is not set — falling back to long polling.");
+}
+
+function isValidTelegramSecret(header) {
+  const a = Buffer.from(String(header || ""));
+  const b = Buffer.from(TELEGRAM_WEBHOOK_SECRET);
+  return a.length === b.length && require("crypto").timingSafeEqual(a, b);
+}
+
+app.post(TELEGRAM_WEBHOOK_PATH, express.json(), (req, res) => {
+  if (!TELEGRAM_WEBHOOK_ENABLED) return res.sendStatus(404);
+
+  if (!isValidTelegramSecret(req.get("X-Telegram-Bot-Api-Secret-Token"))) {
+    console.warn("Telegram webhook: rejected update with a bad secret token");
+    return res.sendStatus(401);
+  }
+
+  const bot = globalThis.TaskifiiBot;
+  if (!bot) return res.sendStatus(503); // not ready yet → Telegram retries later
+
+  // Ack right away; our handlers can take longer than Telegram's webhook timeout
+  res.sendStatus(200);
+  bot.handleUpdate(req.body).catch(err => console.error("Telegram webhook handleUpdate failed:", err));
+});
+
+// Start receiving updates: setWebhook in webhook mode, otherwise deleteWebhook + long polling
+async function launchBot(bot) {
+  if (TELEGRAM_WEBHOOK_ENABLED) {
+    const url = `${process.env.PUBLIC_BASE_URL.replace(/\/+$/, "")}${TELEGRAM_WEBHOOK_PATH}`;
+    await bot.telegram.setWebhook(url, { secret_token: TELEGRAM_WEBHOOK_SECRET });
+    console.log(`Telegram webhook set: ${url}`);
+    return;
+  }
+
+  // Polling: launch() calls deleteWebhook first, so a webhook left by a previous deploy can't block getUpdates
+  await bot.launch();
+}
 
 
 // put near your other Express routes / app.use(...) lines
@@ -6642,14 +8086,35 @@ async function processTaskPayoutSuccess(referenceRaw) {
       return;
     }
 
-    const taskId = reference.slice(prefix.length);
+    // task_payout_<taskId> (final payout) or task_payout_<taskId>_s<n> (staged escrow)
+    const [taskId, stagePart] = reference.slice(prefix.length).split("_s");
     if (!taskId) {
       return;
     }
+    const stageNum = stagePart ? parseInt(stagePart, 10) : null;
+    const now = new Date();
 
-    // Mark the task as paid in the database
-    const update = { paidAt: new Date() };
-    const result = await Task.updateOne({ _id: taskId }, { $set: update });
+    let result;
+    if (stageNum) {
+      // Mark just this stage as paid
+      result = await Task.updateOne(
+        { _id: taskId, "stages.stageNum": stageNum },
+        { $set: { "stages.$.paid": true, "stages.$.paidAt": now, "stages.$.status": "paid" } }
+      );
+    } else {
+      // Mark the task as paid in the database (+ any stages the final payout covered)
+      const update = {
+        paidAt: now,
+        "stages.$[s].paid": true,
+        "stages.$[s].paidAt": now,
+        "stages.$[s].status": "paid"
+      };
+      result = await Task.updateOne(
+        { _id: taskId },
+        { $set: update },
+        { arrayFilters: [{ "s.paid": { $ne: true }, "s.releasedAt": null }] }
+      );
+    }
 
     if (result.matchedCount) {
       console.log(`Chapa payout webhook: marked Task ${taskId} as paid.`);
@@ -6671,6 +8136,12 @@ async function processTaskPayoutSuccess(referenceRaw) {
         payout.lastError = null;
         payout.successAuditSentAt = new Date();
         await payout.save();
+        // Wallet earnings never leave the provider account: the wallet credit already moved the payable
+        if (payout.destination !== "wallet") await postPayoutSettled(payout);
+        await recordTaskEvent(payout.task, "paid_out", {
+          actor: payout.doer,
+          data: { amount: payout.amount, currency: payout.currency, stageNum: payout.stageNum || null, reference }
+        });
 
         const bot = globalThis.TaskifiiBot;
         if (bot) {
@@ -6688,7 +8159,9 @@ async function processTaskPayoutSuccess(referenceRaw) {
               doer: doerUser,
               payout,
               extra: {
-                reason: "Chapa payout webhook: payout.success",
+                reason: payout.destination === "wallet"
+                  ? "Credited to the doer's in-bot wallet"
+                  : "Chapa payout webhook: payout.success",
                 chapaReference: reference
               }
             });
@@ -6711,13 +8184,58 @@ async function processTaskPayoutSuccess(referenceRaw) {
   }
 }
 
-// Accept BOTH form posts and JSON on the same route
-app.post("/chapa/ipn", [express.urlencoded({ extended: true }), express.json()], async (req, res) => {
+// Wallet withdrawal (wallet_withdraw_<userId>_<ts>) confirmed by the provider
+async function processWalletWithdrawalSuccess(referenceRaw) {
+  try {
+    const reference = String(referenceRaw || "");
+    const payout = await TaskPayout.findOneAndUpdate(
+      { reference, kind: "withdrawal", successAuditSentAt: null },
+      { $set: { status: "succeeded", lastError: null, successAuditSentAt: new Date() } },
+      { new: true }
+    ).populate("doer");
+    if (!payout) return;   // unknown reference or duplicate webhook
+
+    await postPayoutSettled(payout);
+
+    const bot = globalThis.TaskifiiBot;
+    if (bot) {
+      await sendPayoutAudit(bot, {
+        tag: "#payout successful",
+        task: { description: "[Wallet withdrawal]" },
+        creator: null,
+        doer: payout.doer,
+        payout,
+        extra: { reason: "Wallet withdrawal: payout.success", chapaReference: reference }
+      });
+      if (payout.doer?.telegramId) {
+        const lang = payout.doer.language || "en";
+        await bot.telegram.sendMessage(payout.doer.telegramId, TEXT.walletWithdrawDone[lang](payout.amount));
+      }
+    }
+  } catch (err) {
+    console.error("Error in processWalletWithdrawalSuccess:", err);
+  }
+}
+
+// Accept BOTH form posts and JSON on the same route (registered with the other Chapa routes below)
+async function handleChapaIpn(req, res) {
   try {
+    const hook = paymentProvider.parseWebhook(req);
+
+    // Payout events are trusted as sent, so only a signed webhook may carry one
+    if (hook.kind === "payout.success" && !req.chapaSigned) {
+      console.warn("IPN: unsigned payout.success ignored for", hook.reference);
+      return res.status(401).send("invalid signature");
+    }
+
     // Handle payout.success events here as well (some providers send them to the same IPN URL)
-    if (req.body?.event === "payout.success" && String(req.body?.reference || "").startsWith("task_payout_")) {
+    if (hook.kind === "payout.success" && String(hook.reference || "").startsWith("wallet_withdraw_")) {
+      await processWalletWithdrawalSuccess(hook.reference);
+      return res.status(200).send("ok");
+    }
+    if (hook.kind === "payout.success" && String(hook.reference || "").startsWith("task_payout_")) {
       try {
-        await processTaskPayoutSuccess(req.body.reference);
+        await processTaskPayoutSuccess(hook.reference);
       } catch (e) {
         console.error("Error handling payout.success inside /chapa/ipn:", e);
       }
@@ -6725,10 +8243,7 @@ app.post("/chapa/ipn", [express.urlencoded({ extended: true }), express.json()],
     }
 
 
-    // Chapa typically includes at least tx_ref (and sometimes reference/status) in the POST.
-    const txRef = String(
-      req.body?.tx_ref || req.body?.txRef || req.query?.tx_ref || req.body?.reference || ""
-    ).trim();
+    const txRef = hook.txRef;
 
     if (!txRef) {
       console.error("IPN missing tx_ref", req.body);
@@ -6736,7 +8251,7 @@ app.post("/chapa/ipn", [express.urlencoded({ extended: true }), express.json()],
     }
 
     // Double-check with Chapa (authoritative)
-    const ok = await verifyChapaTxRef(txRef);
+    const ok = await isPaymentVerified(txRef);
     if (!ok) {
       console.warn("IPN verify failed for tx_ref:", txRef, req.body);
       return res.status(400).send("verify_failed");
@@ -6793,6 +8308,7 @@ app.post("/chapa/ipn", [express.urlencoded({ extended: true }), express.json()],
       intent.status = "paid";
       intent.paidAt = new Date();
       await intent.save();
+      await postPenaltyReceived(intent);
 
       // Find the relevant work (task + user are stored on the intent created by PUNISH_PAY)
       const work = await DoerWork.findOne({ task: intent.task, doer: intent.user });
@@ -6811,7 +8327,7 @@ app.post("/chapa/ipn", [express.urlencoded({ extended: true }), express.json()],
         // Use global bot handle safely even inside Express
         const tg = (globalThis.TaskifiiBot && globalThis.TaskifiiBot.telegram) || (bot && bot.telegram);
         if (tg) {
-          try { await tg.unbanChatMember("-1002239730204", doer.telegramId); } catch (_) {}
+          try { await tg.unbanChatMember(BAN_GROUP_ID, doer.telegramId); } catch (_) {}
 
           // Flip the "Punishment fee" button to inert + highlighted if we still have the message
           if (work?.punishmentMessageId) {
@@ -6941,49 +8457,33 @@ app.post("/chapa/ipn", [express.urlencoded({ extended: true }), express.json()],
     console.error("IPN handler error:", e);
     return res.status(500).send("error");
   }
-});
+}
 
 
-// Transfer Approval Webhook (for Chapa server-side approval)
-app.post("/chapa/transfer_approval", [express.urlencoded({ extended: true }), express.json()], async (req, res) => {
+// Transfer Approval Webhook (for Chapa server-side approval).
+// The signature (over the body, with the approval secret) was checked by receiveChapaWebhook.
+async function handleChapaTransferApproval(req, res) {
   try {
-    // Chapa sends a signature in the headers and transfer details in the body
-    const providedSignature = req.get("Chapa-Signature") || req.get("chapa-signature");
-    if (!providedSignature) {
-      console.error("Transfer approval request missing signature");
-      return res.status(400).send("missing signature");
-    }
-    
-    const secret = process.env.CHAPA_APPROVAL_SECRET || "";
-    // Compute HMAC SHA256 of the secret
-    const expectedSignature = require("crypto")
-      .createHmac("sha256", secret)
-      .update(secret)
-      .digest("hex");
-      
-    if (providedSignature !== expectedSignature) {
-      console.warn("Invalid Chapa approval signature:", providedSignature);
-      return res.status(400).send("invalid signature");
-    }
-
     // Optionally, verify the transfer details here
     const { reference, amount, bank, account_number } = req.body;
-    console.log("✅ Transfer approval received for:", reference, amount, bank, account_number);
-    
+    console.log("✅ Transfer approval received for:", reference, amount, bank, maskValue(account_number));
+
     // Since the signature is valid, approve the transfer
     return res.status(200).send("OK");
   } catch (e) {
     console.error("Error in transfer approval webhook:", e);
     return res.status(500).send("error");
   }
-});
+}
 
 // NEW: Webhook endpoint for Chapa payout success events
-app.post("/chapa/payout", async (req, res) => {
+async function handleChapaPayout(req, res) {
   try {
-    const { event, reference } = req.body || {};
-    if (event === "payout.success" && typeof reference === "string") {
-      await processTaskPayoutSuccess(reference);
+    const hook = paymentProvider.parseWebhook(req);
+    if (hook.kind === "payout.success" && String(hook.reference || "").startsWith("wallet_withdraw_")) {
+      await processWalletWithdrawalSuccess(hook.reference);
+    } else if (hook.kind === "payout.success" && hook.reference) {
+      await processTaskPayoutSuccess(hook.reference);
     }
   } catch (err) {
     console.error("Error handling Chapa payout webhook:", err);
@@ -6991,20 +8491,371 @@ app.post("/chapa/payout", async (req, res) => {
 
   // Always ack so Chapa doesn't keep retrying the webhook
   res.sendStatus(200);
-});
+}
 
+// ------------------------------------
+//  Signed Chapa webhooks + raw event store
+// ------------------------------------
+// Every callback is stored as a WebhookEvent before it is handled. Bad signatures are stored as
+// "rejected" and never handled. The same body on the same route again (a replay) is acked
+// without running anything, unless the earlier attempt failed: then it runs again.
+// /chapa/ipn is also the checkout callback_url, which Chapa calls without a signature; such a call
+// (unsignedCallback) is handled with req.chapaSigned = false: handleChapaIpn only takes a payment
+// from it, confirmed with paymentProvider.verify().
+const CHAPA_WEBHOOK_ROUTES = {
+  "/chapa/ipn":               { handler: handleChapaIpn, unsignedCallback: true },
+  "/chapa/payout":            { handler: handleChapaPayout },
+  "/chapa/transfer_approval": { handler: handleChapaTransferApproval, purpose: "approval" },
+};
 
+function webhookEventFields(route, req) {
+  let hook = {};
+  try {
+    hook = paymentProvider.parseWebhook(req);
+  } catch (_) { }
+  return {
+    provider: paymentProvider.name,
+    route,
+    kind: hook.kind === "unknown" ? (hook.event || null) : (hook.kind || null),
+    reference: hook.txRef || hook.reference || null,
+    rawBody: req.rawBody ? req.rawBody.toString("utf8") : JSON.stringify(req.body || {}),
+    contentType: req.get("content-type") || null,
+  };
+}
 
+// A "processing" row this old belongs to a run that died with the process
+const WEBHOOK_STALE_MS = 10 * 60 * 1000;
 
+// Row for this callback, or null when it was already handled (or is being handled right now)
+async function claimWebhookEvent(fields, signature, signatureValid = true) {
+  const eventKey = require("crypto").createHash("sha256").update(`${fields.route}\n${fields.rawBody}`).digest("hex");
+  try {
+    return await WebhookEvent.create({ ...fields, eventKey, signature, signatureValid, status: "processing", attempts: 1 });
+  } catch (e) {
+    if (e?.code !== 11000) throw e;
+  }
+
+  const retry = await WebhookEvent.findOneAndUpdate(
+    {
+      eventKey,
+      $or: [
+        { status: "failed" },
+        { status: "processing", startedAt: { $lt: new Date(Date.now() - WEBHOOK_STALE_MS) } }
+      ]
+    },
+    { $set: { status: "processing", signature, startedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!retry) await WebhookEvent.updateOne({ eventKey }, { $inc: { duplicates: 1 } });
+  return retry;
+}
+
+// Run a route handler for a stored event and record how it went (2xx = processed, anything else = failed)
+async function runWebhookEvent(event, handler, req, res) {
+  let responseBody = null;
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    responseBody = body == null ? null : String(body).slice(0, 500);
+    return send(body);
+  };
+
+  let error = null;
+  try {
+    await handler(req, res);
+  } catch (e) {
+    error = e;
+    console.error(`Webhook ${event.route} handler threw:`, e);
+    if (!res.headersSent) res.status(500).send("error");
+  }
+
+  const ok = !error && res.statusCode >= 200 && res.statusCode < 300;
+  await WebhookEvent.updateOne({ _id: event._id }, {
+    $set: {
+      status: ok ? "processed" : "failed",
+      responseStatus: res.statusCode,
+      responseBody,
+      processedAt: ok ? new Date() : null,
+      lastError: ok ? null : (error ? String(error.message || error) : `HTTP ${res.statusCode}`),
+    }
+  }).catch(err => console.error("Failed to update WebhookEvent:", err));
+  return { ok, status: res.statusCode, body: responseBody };
+}
+
+async function receiveChapaWebhook(route, { handler, purpose = "event", unsignedCallback = false }, req, res) {
+  const fields = webhookEventFields(route, req);
+  const check = paymentProvider.verifyWebhook(req, { purpose });
+  const unsigned = unsignedCallback && !check.signature;
+
+  if (!check.ok && !unsigned) {
+    console.warn(`Chapa webhook ${route}: rejected (${check.reason})`);
+    await WebhookEvent.create({
+      ...fields, signature: check.signature, signatureValid: false, status: "rejected", lastError: check.reason
+    }).catch(err => console.error("Failed to store rejected WebhookEvent:", err));
+    // No secret configured is our problem, not the sender's: 503 so Chapa retries once it's set
+    return check.reason === "no_secret" ? res.status(503).send("webhook secret not configured") : res.status(401).send("invalid signature");
+  }
+
+  let event;
+  try {
+    event = await claimWebhookEvent(fields, check.signature, !unsigned);
+  } catch (e) {
+    console.error(`Chapa webhook ${route}: could not store event:`, e);
+    return res.status(500).send("error");
+  }
+  if (!event) return res.status(200).send("duplicate");
+
+  req.chapaSigned = !unsigned;
+
+  await runWebhookEvent(event, handler, req, res);
+}
+
+for (const [route, spec] of Object.entries(CHAPA_WEBHOOK_ROUTES)) {
+  app.post(route, (req, res) => receiveChapaWebhook(route, spec, req, res));
+}
+
+// Stop retrying a payout (PAYOUT_CANCEL_RETRY_ button, web console). A queued withdrawal never reaches
+// the bank, so its money goes back to the wallet. Returns { ok } or { ok: false, error: "not_found" | "already" }.
+async function cancelPayoutRetry(payoutId, telegram) {
+  const payout = await TaskPayout.findById(payoutId);
+  if (!payout) return { ok: false, error: "not_found" };
+  if (payout.retryCanceled) return { ok: false, error: "already" };
+
+  payout.retryCanceled = true;
+  await payout.save();
+
+  if (payout.kind === "withdrawal" && payout.status === "queued") {
+    const res = await creditWallet({
+      user: payout.doer,
+      amount: payout.amount,
+      key: `withdrawal_reversal:${payout.reference}`,
+      kind: "withdrawal_reversal",
+      from: ACCOUNTS.payable(payout.doer),
+      reference: payout.reference,
+      memo: "Withdrawal cancelled"
+    });
+    if (res.ok && !res.duplicate) {
+      const owner = await User.findById(payout.doer).select("telegramId language").lean();
+      if (owner?.telegramId && telegram) {
+        await telegram.sendMessage(owner.telegramId, TEXT.walletWithdrawReversed[owner.language || "en"](payout.amount))
+          .catch(() => {});
+      }
+    }
+  }
+  return { ok: true };
+}
+
+// Put a payout back in the queue (web console "Retry"): turns a cancelled retry back on.
+// retryQueuedPayouts() sends it on its next run. Returns { ok } or { ok: false, error }:
+//   not_found, succeeded, held (waits for the name-check approval), in_flight (the provider has it),
+//   reversed (a withdrawal whose money already went back to the wallet)
+async function requeuePayout(payoutId) {
+  const payout = await TaskPayout.findById(payoutId).lean();
+  if (!payout) return { ok: false, error: "not_found" };
+  if (payout.status === "succeeded") return { ok: false, error: "succeeded" };
+  if (payout.status === "held") return { ok: false, error: "held" };
+  if (payout.status === "pending") return { ok: false, error: "in_flight" };
+  if (payout.kind === "withdrawal" && await WalletTransaction.exists({ key: `withdrawal_reversal:${payout.reference}` })) {
+    return { ok: false, error: "reversed" };
+  }
+
+  const res = await TaskPayout.updateOne(
+    { _id: payout._id, status: { $in: ["queued", "requested"] } },
+    { $set: { status: "queued", retryCanceled: false } }
+  );
+  return res.matchedCount ? { ok: true } : { ok: false, error: "in_flight" };
+}
+
+// ------------------------------------
+//  Admin web console (admin/console.js)
+// ------------------------------------
+// Off (404) unless ADMIN_CONSOLE_SECRET is set; logins are created with /console_account.
+if (!configureConsoleAuth({ sessionSecret: process.env.ADMIN_CONSOLE_SECRET })) {
+  console.warn("ADMIN_CONSOLE_SECRET is not set: the admin web console (/admin) is disabled");
+}
+
+// Console actions run the bot's own ban / unban without a Telegram update: they only need bot.telegram
+function withBotTelegram(fn) {
+  return async (...args) => {
+    const bot = globalThis.TaskifiiBot;
+    if (!bot) return { ok: false, error: "bot_unavailable" };
+    await fn({ telegram: bot.telegram }, ...args);
+    return { ok: true };
+  };
+}
+
+app.use("/admin", createAdminConsole({
+  TaskPayout,
+  DoerWork,
+  Banlist,
+  buildUserStatusSummary,
+  renderTaskTimeline,
+  formatDate: formatGmt3,
+  banUser: withBotTelegram(banUserEverywhere),
+  unbanUser: withBotTelegram(adminUnbanUser),
+  retryPayout: requeuePayout,
+  cancelPayoutRetry: (payoutId) => cancelPayoutRetry(payoutId, globalThis.TaskifiiBot?.telegram),
+}));
+
+// Refund a paid payment from the admin API, through the same triggerFullRefundWithRetry() as the
+// NOTORIOUS_REFUND_ button and dispute verdicts (wallet or provider, audits, retry queue). The payer gets it.
+// A task's escrow is checked like a dispute verdict (disputeSettleBlocker) and gives back at most what
+// earlier stages haven't released (computeDisputeSplit); the task is then closed like a 0% verdict, so
+// no later payout is made from it. `amount` refunds part of that, except for Telegram Stars, which are
+// only refunded in full. Returns { ok: true, code, amount } with the trigger's code (QUEUED_FOR_RETRY:
+// the first attempt failed and retryQueuedRefunds() keeps trying), or { ok: false, error }.
+async function refundPaymentIntent(intentId, { reason, amount = null }) {
+  const intent = await PaymentIntent.findById(intentId);
+  if (!intent) return { ok: false, error: "not_found" };
+  if (intent.status !== "paid") return { ok: false, error: "not_paid" };
+  if (intent.refundStatus && intent.refundStatus !== "none") return { ok: false, error: "already_refunded" };
+
+  const task = intent.task ? await Task.findById(intent.task) : null;
+  const isTaskEscrow = !!task && intent.type === "escrow";
+  let refundable = round2(Number(intent.amount) || 0);
+  if (isTaskEscrow) {
+    // Completed: what is left belongs to the doer, whose final payout may still be waiting for a bank
+    if (task.status === "Completed") return { ok: false, error: "task_completed" };
+    if (await TaskPayout.exists({ task: task._id, stageNum: null })) return { ok: false, error: "final_payout_exists" };
+    const released = (task.stages || []).filter(s => s.releasedAt).map(s => s.stageNum);
+    if (await TaskPayout.exists({ task: task._id, stageNum: { $ne: null, $nin: released } })) {
+      return { ok: false, error: "stage_payout_in_progress" };
+    }
+    refundable = (await computeDisputeSplit(task, intent, 0)).held;
+  }
+  if (!(refundable > 0)) return { ok: false, error: "nothing_held" };
+  if (amount != null && !(amount > 0 && round2(amount) <= refundable)) return { ok: false, error: "bad_amount" };
+  const refundAmount = amount != null ? round2(amount) : refundable;
+  if (intent.provider === "telegram_stars" && refundAmount < round2(intent.amount)) {
+    return { ok: false, error: "stars_full_refund_only" };
+  }
+
+  if (isTaskEscrow) {
+    if (task.status !== "Canceled") {
+      const closed = await transitionTask(task._id, "Canceled", {
+        from: [task.status],
+        set: { canceledAt: new Date() },
+        reason: "Admin API refund"
+      });
+      if (!closed) return { ok: false, error: "task_changed" };
+    }
+    await concludeSettledTask(task._id);
+  }
+
+  const payer = await User.findById(intent.user);
+  const result = await triggerFullRefundWithRetry({
+    bot: globalThis.TaskifiiBot,
+    intent,
+    task,
+    refundUser: payer,
+    reason,
+    amount: refundAmount < Number(intent.amount) ? refundAmount : null
+  });
+  return { ok: true, code: result.code, amount: refundAmount };
+}
+
+// ------------------------------------
+//  Admin REST API (admin/api.js)
+// ------------------------------------
+// Bearer tokens from /api_token; the same role checks and shared functions as the console.
+app.use("/api/admin", createAdminApi({
+  DoerWork,
+  TaskPayout,
+  Escalation,
+  Banlist,
+  buildUserStatusSummary,
+  banUser: withBotTelegram(banUserEverywhere),
+  unbanUser: withBotTelegram(adminUnbanUser),
+  refundPayment: refundPaymentIntent,
+  retryPayout: requeuePayout,
+  cancelPayoutRetry: (payoutId) => cancelPayoutRetry(payoutId, globalThis.TaskifiiBot?.telegram),
+}));
+
+// ------------------------------------
+//  Partner task API (partners/api.js)
+// ------------------------------------
+// Creators post tasks with a key from /partner_key; drafts are paid through the hosted checkout.
+app.use("/api/partner", createPartnerApi({
+  allFields: ALL_FIELDS,
+  feeLimits: async () => {
+    const rules = await getActiveFeeRules();
+    return Object.fromEntries(pricingCurrencies(rules).map(c => [c, feeLimitsFor(rules, c)]));
+  },
+  isBanned: async (user) => !!(await Banlist.exists({ $or: [{ user: user._id }, { telegramId: user.telegramId }] })),
+  postingConflict: (user) => hasEscrowConsumeConflict({ userId: user._id }),
+  createCheckout: createHostedEscrowCheckout,
+}));
+
+// A stored event rebuilt as a request, and a response that just records what the handler answers
+function webhookReplayRequest(event) {
+  const rawBody = Buffer.from(event.rawBody || "", "utf8");
+  let body = {};
+  try {
+    body = /json/i.test(event.contentType || "")
+      ? JSON.parse(event.rawBody || "{}")
+      : Object.fromEntries(new URLSearchParams(event.rawBody || ""));
+  } catch (_) { }
+  const headers = { "content-type": event.contentType || "", "x-chapa-signature": event.signature || "" };
+  return { body, rawBody, query: {}, headers, get: (name) => headers[String(name).toLowerCase()], chapaSigned: event.signatureValid };
+}
+
+function webhookReplayResponse() {
+  return {
+    statusCode: 200,
+    headersSent: false,
+    status(code) { this.statusCode = code; return this; },
+    send(_body) { this.headersSent = true; return this; },
+    sendStatus(code) { this.statusCode = code; return this.send(String(code)); },
+    json(body) { return this.send(JSON.stringify(body)); },
+  };
+}
+
+// Run a stored (non-rejected) event through its route's handler again, e.g. after a bug fix
+async function reprocessWebhookEvent(eventId, adminTgId) {
+  const event = await WebhookEvent.findById(eventId);
+  if (!event) return { ok: false, error: "not_found" };
+  // Unsigned rows that weren't rejected are checkout callbacks, which verify the payment themselves
+  if (event.status === "rejected") return { ok: false, error: "rejected" };
+  const spec = CHAPA_WEBHOOK_ROUTES[event.route];
+  if (!spec) return { ok: false, error: "unknown_route" };
+
+  await WebhookEvent.updateOne(
+    { _id: event._id },
+    { $set: { status: "processing", reprocessedBy: adminTgId, startedAt: new Date() }, $inc: { attempts: 1 } }
+  );
+  return runWebhookEvent(event, spec.handler, webhookReplayRequest(event), webhookReplayResponse());
+}
+
+
+
+
+
+// Tasks confirmed before InProgress existed are still "Open" / "Expired" (see tasks/taskStatus.js)
+function migrateLegacyTasks() {
+  return migrateLegacyTaskStatuses({
+    completedAmong: async (ids) => {
+      const concluded = await FinalizationState.distinct("task", { task: { $in: ids }, concludedAt: { $ne: null } });
+      const paid = await TaskPayout.distinct("task", { task: { $in: ids }, stageNum: null });
+      return [...concluded, ...paid];
+    },
+    canceledAmong: (ids) => PaymentIntent.distinct("task", { task: { $in: ids }, type: "escrow", refundStatus: { $ne: "none" } }),
+    deliveredAmong: (ids) => DoerWork.distinct("task", { task: { $in: ids }, status: "completed" }),
+  });
+}
+
+// When required as a module (sim/updateSimulator.js) nothing below listens, connects or launches;
+// the caller wires Mongo and calls startBot({ launch: false }) itself.
+const RUN_AS_SERVER = require.main === module;
 
 // Listen on Render’s port (or default 3000 locally)
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+if (RUN_AS_SERVER) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
 
 // Then connect to Mongo and launch the bot
-mongoose
+if (RUN_AS_SERVER) mongoose
   .connect(process.env.MONGODB_URI, { autoIndex: true })
   .then(async () => {
 
@@ -7066,6 +8917,29 @@ mongoose
         }
       );
     }
+    // --- Staged escrow: TaskPayout is now unique per (task, stageNum), not per task ---
+    // --- Wallet withdrawals are TaskPayouts without a task: the unique index must skip them ---
+    async function migrateTaskPayoutIndexes() {
+      const col = mongoose.connection.collection("taskpayouts");
+      try { await col.dropIndex("task_1"); } catch (e) {}
+      const existing = (await col.indexes()).find(i => i.name === "task_1_stageNum_1");
+      if (existing && !existing.partialFilterExpression) {
+        await col.dropIndex("task_1_stageNum_1");
+      }
+      await col.createIndex(
+        { task: 1, stageNum: 1 },
+        { unique: true, partialFilterExpression: { task: { $type: "objectId" } } }
+      );
+    }
+    // --- Admin accounts may have no Telegram id (web console only): telegramId is unique only when set ---
+    async function migrateAdminUserIndexes() {
+      const col = mongoose.connection.collection("adminusers");
+      const existing = (await col.indexes().catch(() => [])).find(i => i.name === "telegramId_1");
+      if (existing && !existing.partialFilterExpression) {
+        await col.dropIndex("telegramId_1");
+      }
+      await AdminUser.syncIndexes();
+    }
     // Run it before the bot or timers create any new PaymentIntents
     await migratePaymentIntentIndexes().catch(err =>
       console.error('migratePaymentIntentIndexes failed:', err)
@@ -7073,6 +8947,23 @@ mongoose
     await migrateUserIndexes().catch(err =>
       console.error("migrateUserIndexes failed:", err)
     );
+    await migrateTaskPayoutIndexes().catch(err =>
+      console.error("migrateTaskPayoutIndexes failed:", err)
+    );
+    await migrateAdminUserIndexes().catch(err =>
+      console.error("migrateAdminUserIndexes failed:", err)
+    );
+    // --- Tasks confirmed before InProgress existed are still "Open" / "Expired": move them on once ---
+    await migrateLegacyTasks()
+      .then(n => { if (n) console.log(`🗂 Moved ${n} legacy task(s) onto the InProgress lifecycle`); })
+      .catch(err => console.error("migrateLegacyTaskStatuses failed:", err));
+    // --- Field encryption: encrypt plaintext rows and move old-key rows to the newest key ---
+    // Done before the bot starts so "phone already taken" lookups see every row under one key
+    for (const Model of [User, TaskPayout]) {
+      await reencryptModel(Model)
+        .then(n => { if (n) console.log(`🔐 Re-encrypted ${n} ${Model.modelName} document(s) with key "${currentKeyId()}"`); })
+        .catch(err => console.error(`reencryptModel(${Model.modelName}) failed:`, err));
+    }
 
     const bot = startBot(); // Make sure startBot() returns the bot instance
     
@@ -7080,20 +8971,25 @@ mongoose
     if (!globalThis.__TASKIFII_TIMERS_STARTED__) {
       globalThis.__TASKIFII_TIMERS_STARTED__ = true;
 
-      checkTaskExpiries(bot);
-      sendReminders(bot);
-      runDoerWorkTimers(bot);
-      checkPendingReminders(bot);
+      // recurring sweeps are durable jobs now (see "Durable job scheduler")
+      await ensureRecurringSweeps();
 
-      // periodic background passes
-      setInterval(() => checkPendingReminders(bot), 60 * 60 * 1000);
+      startJobWorker();
     }
+  })
+  .catch((err) => {
+    console.error("❌ MongoDB connection error:", err);
+    process.exit(1);
+  });
+
+// ------------------------------------
+//  Queued refund / payout retries
+// ------------------------------------
 async function retryQueuedPayouts() {
   try {
-    const secret = process.env.CHAPA_SECRET_KEY;
-    if (!secret) {
-      console.warn("CHAPA_SECRET_KEY is not set — cannot process queued payouts.");
-      // Even if we cannot call Chapa, we still exit here;
+    if (!paymentProvider.isConfigured()) {
+      console.warn(`Payment provider "${paymentProvider.name}" is not configured — cannot process queued payouts.`);
+      // Even if we cannot call the provider, we still exit here;
       // payouts will remain queued and the 48h audit will run next time once the key is set.
       return;
     }
@@ -7117,7 +9013,7 @@ async function retryQueuedPayouts() {
         const bot = globalThis.TaskifiiBot;
         if (bot) {
           for (const payout of stale) {
-            if (!payout.task || !payout.creator || !payout.doer) continue;
+            if (!payout.doer || (payout.kind !== "withdrawal" && (!payout.task || !payout.creator))) continue;
 
             try {
               await sendPayoutAudit(bot, {
@@ -7175,61 +9071,18 @@ async function retryQueuedPayouts() {
         );
       }
 
-      const payload = {
-        account_number: payout.accountNumber,
-        bank_code: payout.bankCode,
-        amount: payout.amount.toFixed(2),
-        currency: "ETB",
-        reference: payout.reference
-      };
-
-      if (payout.accountName) {
-        payload.account_name = payout.accountName;
-      }
-
       try {
-        const res = await fetch("https://api.chapa.co/v1/transfers", {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${secret}`,
-            "Content-Type": "application/json"
-          },
-          body: JSON.stringify(payload)
+        const result = await paymentProvider.transfer({
+          accountNumber: payout.accountNumber,
+          accountName: payout.accountName,
+          bankCode: payout.bankCode,
+          amount: payout.amount,
+          currency: payout.currency || "ETB",
+          reference: payout.reference
         });
 
-        const data = await res.json().catch(() => null);
-
-        // Determine whether this response represents an error
-        let isError = !res.ok;
-        if (!isError && data && typeof data.status === "string") {
-          const statusLower = data.status.toLowerCase();
-          // Treat anything that is not a clear "success" as an error
-          if (statusLower !== "success" && statusLower !== "successful") {
-            isError = true;
-          }
-        }
-
-        if (isError) {
-          // Try to extract a useful human-readable error from Chapa
-          let errorMessageRaw =
-            (data && typeof data.message === "string" && data.message.trim())
-              ? data.message
-              : (data && data.data && typeof data.data.message === "string" && data.data.message.trim())
-                ? data.data.message
-                : (data && data.data)
-                  ? data.data
-                  : res.statusText;
-
-          let errorMessage;
-          if (typeof errorMessageRaw === "string") {
-            errorMessage = errorMessageRaw;
-          } else {
-            try {
-              errorMessage = JSON.stringify(errorMessageRaw);
-            } catch (_) {
-              errorMessage = String(errorMessageRaw);
-            }
-          }
+        if (!result.ok) {
+          const errorMessage = result.error;
 
           console.error("Queued payout attempt failed:", payout._id.toString(), errorMessage);
 
@@ -7259,7 +9112,7 @@ async function retryQueuedPayouts() {
           // On FIRST failure only → audit once
           if (isFirstAttempt && !payout.firstFailureAuditSentAt) {
             const bot = globalThis.TaskifiiBot;
-            if (bot && payout.task && payout.creator && payout.doer) {
+            if (bot && payout.doer && (payout.kind === "withdrawal" || (payout.task && payout.creator))) {
               try {
                 await sendPayoutAudit(bot, {
                   tag: looksLikeAccountMissing ? "#payout_bank_issue" : "#payoutfailed_first_try",
@@ -7326,7 +9179,7 @@ async function retryQueuedPayouts() {
         // On FIRST failure only → audit once
         if (isFirstAttempt && !payout.firstFailureAuditSentAt) {
           const bot = globalThis.TaskifiiBot;
-          if (bot && payout.task && payout.creator && payout.doer) {
+          if (bot && payout.doer && (payout.kind === "withdrawal" || (payout.task && payout.creator))) {
             try {
               await sendPayoutAudit(bot, {
                 tag: "#payoutfailed_first_try",
@@ -7354,6 +9207,7 @@ async function retryQueuedPayouts() {
     }
   } catch (e) {
     console.error("retryQueuedPayouts error:", e);
+    throw e;
   }
 }
 
@@ -7366,7 +9220,12 @@ async function retryQueuedRefunds() {
 
     for (const intent of queued) {
       try {
-        const data = await refundEscrowWithChapa(intent, "Retry queued refund");
+        if (await refundIntentToWallet(intent, "Retry queued refund")) {
+          console.log("Queued refund credited to wallet:", intent._id.toString());
+          continue;
+        }
+
+        const data = await refundEscrowPayment(intent, "Retry queued refund");
 
         // ✅ Extract identifiers before using them in audit (this was the hidden bug)
         const chapaReference =
@@ -7385,7 +9244,7 @@ async function retryQueuedRefunds() {
           { _id: intent._id },
           {
             $set: {
-              refundStatus: "pending",
+              refundStatus: data?.final ? "succeeded" : "pending",
               refundedAt: new Date(),
               lastRefundAttemptAt: new Date(),
               lastRefundError: null,
@@ -7396,6 +9255,8 @@ async function retryQueuedRefunds() {
         );
 
         const task = intent.task ? await Task.findById(intent.task) : null;
+        await recordTaskEvent(intent.task, "refunded", { data: { amount: intent.refundAmount ?? intent.amount, currency: intent.currency, reason: "Retry queued refund" } });
+        await postRefund(intent, "Retry queued refund");
 
         // Who should appear in audit as the refunded user?
         // - normal escrow/task refund => task creator
@@ -7463,28 +9324,164 @@ async function retryQueuedRefunds() {
     }
   } catch (e) {
     console.error("retryQueuedRefunds error:", e);
+    throw e;
+  }
+}
+
+
+// ------------------------------------
+//  Persistent session store (Mongo)
+// ------------------------------------
+// Drop-in `store` for Telegraf's session(): taskFlow, applyFlow, payoutFlow, editing, …
+// now survive deploys/restarts. Idle sessions expire after SESSION_TTL_HOURS (default 7 days).
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000;
+
+// Keyed by chat + user (same pair Telegraf uses by default)
+function getSessionKey(ctx) {
+  const chatId = ctx.chat?.id;
+  const userId = ctx.from?.id;
+  if (chatId == null || userId == null) return undefined;
+  return `${chatId}:${userId}`;
+}
+
+const mongoSessionStore = {
+  async get(key) {
+    try {
+      const row = await BotSession.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+      if (!row) return undefined;
+      const waiting = row.pendingPayouts && Object.keys(row.pendingPayouts).length;
+      return waiting ? { ...row.data, pendingPayouts: row.pendingPayouts } : row.data;
+    } catch (e) {
+      console.error("mongoSessionStore.get failed:", e);
+      return undefined;
+    }
+  },
+  async set(key, value) {
+    try {
+      const [chatId, userId] = String(key).split(":").map(Number);
+      // Sessions hold plain flow state; the JSON round-trip drops undefined keys and live docs.
+      // pendingPayouts is only written by persistPendingPayout (see there)
+      const { pendingPayouts: _pendingPayouts, ...flow } = value || {};
+      const data = JSON.parse(JSON.stringify(flow));
+      await BotSession.updateOne(
+        { key },
+        { $set: { data, chatId, userId, expiresAt: new Date(Date.now() + SESSION_TTL_MS) } },
+        { upsert: true }
+      );
+    } catch (e) {
+      console.error("mongoSessionStore.set failed:", e);
+    }
+  },
+  async delete(key) {
+    try {
+      await BotSession.deleteOne({ key });
+    } catch (e) {
+      console.error("mongoSessionStore.delete failed:", e);
+    }
+  }
+};
+
+// Payouts waiting for the doer's bank choice: global.pendingPayouts[telegramId][reference]. A stage
+// payout, the final one and a reissued one can all be waiting at once, so each keeps its own entry.
+// They are filled outside any ctx (releasePaymentAndFinalize), so each entry is mirrored into the
+// doer's private-chat session row; a restart mid bank selection then doesn't lose it. It goes in its
+// own field, stored as is (Dates and ids stay typed), and is cleared the same way once the payout is
+// chosen or dropped.
+async function persistPendingPayout(telegramId, reference) {
+  try {
+    const pending = global.pendingPayouts?.[telegramId]?.[reference] || null;
+    const path = `pendingPayouts.${reference}`;
+    const update = pending
+      ? { $set: { [path]: pending, expiresAt: new Date(Date.now() + SESSION_TTL_MS) } }
+      : { $unset: { [path]: "" } };
+    await BotSession.updateOne(
+      { key: `${telegramId}:${telegramId}` },
+      { ...update, $setOnInsert: { data: {}, chatId: telegramId, userId: telegramId } },
+      { upsert: !!pending }
+    );
+  } catch (e) {
+    console.error("persistPendingPayout failed:", e);
   }
 }
 
+async function rememberPendingPayout(telegramId, pending) {
+  global.pendingPayouts = global.pendingPayouts || {};
+  global.pendingPayouts[telegramId] = global.pendingPayouts[telegramId] || {};
+  global.pendingPayouts[telegramId][pending.reference] = pending;
+  await persistPendingPayout(telegramId, pending.reference);
+}
 
+// Payout context for this doer and reference: in-memory first, then the persisted copy from the session
+function getPendingPayout(ctx, reference) {
+  const userId = ctx.from?.id;
+  if (!reference) return null;
+  global.pendingPayouts = global.pendingPayouts || {};
+  const mine = (global.pendingPayouts[userId] = global.pendingPayouts[userId] || {});
+  if (!mine[reference] && ctx.session?.pendingPayouts?.[reference]) {
+    mine[reference] = ctx.session.pendingPayouts[reference];
+  }
+  return mine[reference] || null;
+}
 
+// Drop one waiting payout (chosen or no longer payable); an account prompt for it goes too
+async function forgetPendingPayout(ctx, pending) {
+  if (ctx.session) {
+    if (ctx.session.payoutFlow?.reference === pending.reference) ctx.session.payoutFlow = undefined;
+    if (ctx.session.pendingPayouts) delete ctx.session.pendingPayouts[pending.reference];
+  }
+  await dropPendingPayout(ctx.from.id, pending.reference);
+}
 
-// run every 10 minutes
-  setInterval(retryQueuedRefunds, 10 * 60 * 1000);
-  
-  setInterval(checkPendingRefunds, 15 * 60 * 1000);
-  setInterval(retryQueuedPayouts, 10 * 60 * 1000);
-  retryQueuedRefunds().catch(e => console.error("Initial retryQueuedRefunds run failed:", e));
-  })
-  .catch((err) => {
-    console.error("❌ MongoDB connection error:", err);
-    process.exit(1);
-  });
+// Same, outside any ctx (the payout was taken over elsewhere)
+async function dropPendingPayout(telegramId, reference) {
+  if (global.pendingPayouts?.[telegramId]) delete global.pendingPayouts[telegramId][reference];
+  await persistPendingPayout(telegramId, reference);
+}
+
+// The task was closed with its escrow refunded (refundPaymentIntent): nothing is left to pay out
+async function escrowRefundedForTask(task) {
+  if (!task || task.status !== "Canceled") return false;
+  return !!(await PaymentIntent.exists({ task: task._id, type: "escrow", refundStatus: { $ne: "none" } }));
+}
+
+// Drop a pending payout that can no longer be paid, and tell the doer why
+async function abandonPendingPayout(ctx, pending, why = TEXT.payoutStoppedRefunded) {
+  await forgetPendingPayout(ctx, pending);
+  try {
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+  } catch (_) { }
+  return ctx.reply(why[pending.language || "en"]);
+}
+
+// Shared tail once the doer chose where a payout goes (bank account or wallet).
+// Staged payout: its stage was already claimed (claimStagePayout), so just confirm
+// (ratings/credits only happen after the final stage). Final payout: stats + rating flow.
+async function completePayoutChoice(ctx, pending, confirmText) {
+  if (pending.reissued || pending.stageNum) {
+    // Reissued: new account for a held payout an admin rejected; stage / ratings were handled the first time
+    await ctx.reply(confirmText);
+  } else {
+    await ctx.reply(confirmText);
+
+    // Record payout in internal stats and trigger the rating flow (always, once the destination is valid)
+    const taskForStats = await Task.findById(pending.taskId);
+    if (taskForStats) {
+      await creditIfNeeded('doerEarned', taskForStats, pending.doerId);
+      await creditIfNeeded('creatorSpent', taskForStats, pending.creatorId);
+    }
+
+    const tg = globalThis.TaskifiiBot.telegram;
+    await finalizeAndRequestRatings('accepted', pending.taskId, tg);
+  }
+
+  // Cleanup session and pending state
+  await forgetPendingPayout(ctx, pending);
+}
 
 // ------------------------------------
 //  Main Bot Logic
 // ------------------------------------
-function startBot() {
+function startBot({ launch = true } = {}) {
   const bot = new Telegraf(process.env.BOT_TOKEN);
   // 1) Make the bot available outside ctx (for webhooks/IPN)
   globalThis.TaskifiiBot = bot;
@@ -7505,8 +9502,8 @@ function startBot() {
   const { session } = require('telegraf');
   
   // Add this session initialization middleware
-  // Initialize session properly
-  bot.use(session());
+  // Initialize session properly (persisted in Mongo, see mongoSessionStore)
+  bot.use(session({ store: mongoSessionStore, getSessionKey }));
   bot.use(async (ctx, next) => {
     // Initialize session if not exists
     ctx.session = ctx.session || {};
@@ -7533,12 +9530,15 @@ function startBot() {
     // Allow specific callback buttons even when banned:
     // - ADMIN_UNBAN_* (admin unbans)
     // - PUNISH_PAY_* (user paying punishment fee to get unbanned)
+    // - PAYOUT_* + the account number reply (a dispute verdict can pay a doer who is still banned)
     const isUnbanClick =
-      ctx.updateType === "callback_query" &&
-      (
-        /^ADMIN_UNBAN_/.test(ctx.callbackQuery?.data || "") ||
-        /^PUNISH_PAY_/.test(ctx.callbackQuery?.data || "")
-      );
+      (ctx.updateType === "callback_query" &&
+        (
+          /^ADMIN_UNBAN_/.test(ctx.callbackQuery?.data || "") ||
+          /^PUNISH_PAY_/.test(ctx.callbackQuery?.data || "") ||
+          /^PAYOUT_(SELECT|PAGE|TO_WALLET)_/.test(ctx.callbackQuery?.data || "")
+        )) ||
+      (ctx.message?.text && ctx.session?.payoutFlow?.step === "awaiting_account");
 
     if (banned) {
       // 🔹 Important: if this is a message in the Taskifii group itself,
@@ -7743,11 +9743,13 @@ function startBot() {
       if (
         data.startsWith("PUNISH_PAY_") ||
         data.startsWith("COMPLETED_SENT_") ||
+        data.startsWith("STAGE_DELIVERED_") ||
         data.startsWith("DOER_SEND_CORRECTED_") ||
         data.startsWith("CREATOR_SEND_FIX_NOTICE_") ||
         // ✅ NEW: allow bank selection + payout pagination to be clicked freely
         data.startsWith("PAYOUT_SELECT_") ||
-        data.startsWith("PAYOUT_PAGE_")
+        data.startsWith("PAYOUT_PAGE_") ||
+        data.startsWith("PAYOUT_TO_WALLET_")
       ) {
         return next();
       }
@@ -7863,9 +9865,6 @@ function startBot() {
 
 
 
-   // Start the expiry checkers
-  checkTaskExpiries(bot);
-  sendReminders(bot);
   /**
  * Build an inline keyboard with:
  *  – ✅ prefix on the clicked button
@@ -7937,72 +9936,767 @@ bot.use(async (ctx, next) => {
     const isEditBack    = (data === 'EDIT_BACK');
     const isPostConfirm = (data === 'TASK_POST_CONFIRM');
 
-    // NEW: profile / language / terms flows that existed before engagement lock
+    // NEW: profile / language / terms flows that existed before engagement lock
+
+    // Main menu / profile
+    const isEditProfile  = (data === 'EDIT_PROFILE');
+    const isEditName     = (data === 'EDIT_NAME');
+    const isEditPhone    = (data === 'EDIT_PHONE');
+    const isEditEmail    = (data === 'EDIT_EMAIL');
+    const isEditUsername = (data === 'EDIT_USERNAME');
+    const isEditSkills   = (data === 'EDIT_SKILLS'); // opens bank-details menu
+
+    // Bank editing
+    const isAddBank          = (data === 'ADD_BANK');
+    const isRemoveBank       = (data === 'REMOVE_BANK');
+    const isBankEditDone     = (data === 'BANK_EDIT_DONE');
+    const isBankRemoveBack   = (data === 'BANK_REMOVE_BACK');
+    const isBankRemoveCancel = (data === 'BANK_REMOVE_CANCEL');
+    const isEditBankEntry    = !!(data && data.startsWith('EDIT_BANK_'));
+    const isRemoveBankEntry  = !!(data && data.startsWith('REMOVE_BANK_'));
+
+    // Username confirmation (profile)
+    const isConfirmNewUsername = (data === 'CONFIRM_NEW_USERNAME');
+    const isCancelNewUsername  = (data === 'CANCEL_NEW_USERNAME');
+
+    // Language + terms from the menu
+    const isChangeLanguage = (data === 'CHANGE_LANGUAGE');
+    const isSetLangEn      = (data === 'SET_LANG_EN');
+    const isSetLangAm      = (data === 'SET_LANG_AM');
+    const isViewTerms      = (data === 'VIEW_TERMS');
+
+    // Single place to decide if we block this update
+    const shouldBlock =
+      // Commands & deep-links
+      isStartCmd || isDeepLinkApply || isApplyCmd ||
+
+      // Task-find/post entry points
+      isApplyBtn || isFindTask || isPostTask || isEditBack || isPostConfirm ||
+
+      // Profile / banks
+      isEditProfile || isEditName || isEditPhone || isEditEmail || isEditUsername ||
+      isEditSkills || isAddBank || isRemoveBank || isBankEditDone ||
+      isBankRemoveBack || isBankRemoveCancel || isEditBankEntry || isRemoveBankEntry ||
+      isConfirmNewUsername || isCancelNewUsername ||
+
+      // Language & terms
+      isChangeLanguage || isSetLangEn || isSetLangAm || isViewTerms;
+
+    if (shouldBlock) {
+      if (ctx.callbackQuery) {
+        // remove the 'loading' spinner on the button
+        await ctx.answerCbQuery();
+      }
+      await ctx.reply(lockedMsg);
+      return;
+    }
+
+    // Everything else (including task-flow buttons) continues normally
+    return next();
+  } catch (e) {
+    console.error('engagement lock guard error:', e);
+    return next();
+  }
+});
+
+ 
+// After you create `bot` and before existing start/onboarding handlers:
+bot.use(applyGatekeeper);
+
+  // ─────────── /feerules (fees.manage: super admin) ───────────
+  //   /feerules                  → active version
+  //   /feerules publish {json}   → validate + publish the next version (full rules object)
+  bot.command("feerules", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    if (!(await authorizeAdmin(ctx, "fees.manage", { action: "/feerules", data: { text: ctx.message.text.slice(0, 200) } }))) return;
+
+    const rest = ctx.message.text.replace(/^\/feerules(@\w+)?\s*/i, "");
+    try {
+      if (/^publish\b/i.test(rest)) {
+        let rules;
+        try {
+          rules = JSON.parse(rest.replace(/^publish\s*/i, ""));
+        } catch (_) {
+          return ctx.reply("Usage: /feerules publish {\"commission\": {…}, \"fees\": {…}, \"penalty\": {…}, \"promotions\": […]}");
+        }
+        try {
+          validateFeeRules(rules);
+        } catch (e) {
+          return ctx.reply(e.message);
+        }
+        const set = await publishFeeRules(rules, { createdBy: ctx.from.id, note: "published via /feerules" });
+        return ctx.reply(`✅ Fee rules version ${set.version} is now active for newly posted tasks.`);
+      }
+
+      const set = await getActiveFeeRules();
+      const promo = activePromotion(set, { postedAt: new Date() });
+      const lines = [
+        `💰 Fee rules v${set.version} (since ${formatGmt3(set.effectiveFrom)}${set.note ? `, ${set.note}` : ""})`,
+        promo ? `🎉 Promotion running now: ${promo.name} (${promo.commissionRate * 100}% commission until ${formatGmt3(promo.to)})` : null,
+        "",
+        JSON.stringify(set.rules, null, 2)
+      ].filter(l => l !== null);
+      for (const chunk of splitIntoChunks(lines.join("\n"))) {
+        await ctx.reply(chunk, { disable_web_page_preview: true });
+      }
+    } catch (e) {
+      console.error("/feerules failed:", e);
+      await ctx.reply("Could not load the fee rules, please try again.");
+    }
+  });
+
+  // ─────────── /trialbalance (finance.reports) ───────────
+  bot.command("trialbalance", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    if (!(await authorizeAdmin(ctx, "finance.reports", { action: "/trialbalance", data: { text: ctx.message.text.slice(0, 200) } }))) return;
+
+    try {
+      const lines = ["📒 Ledger trial balance (balance = debit − credit)"];
+      for (const currency of await ledgerCurrencies()) {
+        const tb = await trialBalance({ currency });
+        const shown = tb.accounts.filter(a => !/^(escrow|payable|wallet):/.test(a.account));
+        const sumOf = (prefix) => tb.accounts
+          .filter(a => a.account.startsWith(prefix))
+          .reduce((sum, a) => round2(sum - a.balance), 0);
+
+        lines.push(
+          "",
+          `── ${currency} ──`,
+          `Debits: ${tb.totals.debit} • Credits: ${tb.totals.credit} • ${tb.balanced ? "✅ balanced" : "❌ NOT balanced"}`,
+          "",
+          ...shown.map(a => `• ${a.account}: ${a.balance}`),
+          `• escrow (all tasks): ${sumOf("escrow:")}`,
+          `• payable to doers (in flight): ${sumOf("payable:")}`,
+          ...(currency === "ETB" ? [`• user wallets: ${sumOf("wallet:")}`] : []),
+          "",
+          tb.flagged.length
+            ? `⚠️ ${tb.flagged.length} task(s) with escrow not fully accounted for:`
+            : "✅ Every finished task's escrow is fully accounted for.",
+          ...tb.flagged.map(f => `• ${f.taskId} [${f.status}] ${formatMoney(f.held, currency)} — ${f.problem}`)
+        );
+      }
+      for (const chunk of splitIntoChunks(lines.join("\n"))) {
+        await ctx.reply(chunk, { disable_web_page_preview: true });
+      }
+    } catch (e) {
+      console.error("/trialbalance failed:", e);
+      await ctx.reply("Could not build the trial balance, please try again.");
+    }
+  });
+
+  // ─────────── /reconcile (finance.reports): run the payment reconciliation now ───────────
+  bot.command("reconcile", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    if (!(await authorizeAdmin(ctx, "finance.reports", { action: "/reconcile", data: { text: ctx.message.text.slice(0, 200) } }))) return;
+
+    try {
+      await ctx.reply("⏳ Reconciling payments, refunds and payouts with the provider…");
+      const run = await runReconciliation({ trigger: "admin", report: false });
+      for (const chunk of splitIntoChunks(formatReconciliationReport(run))) {
+        await ctx.reply(chunk, { disable_web_page_preview: true });
+      }
+    } catch (e) {
+      console.error("/reconcile failed:", e);
+      await ctx.reply("Reconciliation failed, please check the logs.");
+    }
+  });
+
+  // ─────────── /timeline <taskId> (tasks.timeline) ───────────
+  bot.command("timeline", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    if (!(await authorizeAdmin(ctx, "tasks.timeline", { action: "/timeline", data: { text: ctx.message.text.slice(0, 200) } }))) return;
+
+    const taskId = (ctx.message.text.split(/\s+/)[1] || "").trim();
+    if (!/^[a-f0-9]{24}$/i.test(taskId)) {
+      return ctx.reply("Usage: /timeline <taskId>");
+    }
+
+    try {
+      const task = await Task.findById(taskId).select("status paymentFee postedAt").lean();
+      if (!task) return ctx.reply(`Task ${taskId} not found.`);
+
+      const header = [
+        `🕒 Timeline for task ${taskId}`,
+        `Status: ${task.status} • Fee: ${formatMoney(task.paymentFee, task.currency)} • Posted: ${formatGmt3(task.postedAt)}`,
+        ""
+      ].join("\n");
+      for (const chunk of splitIntoChunks(header + await renderTaskTimeline(taskId))) {
+        await ctx.reply(chunk, { disable_web_page_preview: true });
+      }
+    } catch (e) {
+      console.error("/timeline failed:", e);
+      await ctx.reply("Could not load the timeline, please try again.");
+    }
+  });
+
+  // ─────────── /settle <taskId> <doer %> (disputes.resolve): dispute split with any share ───────────
+  bot.command("settle", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    if (!(await authorizeAdmin(ctx, "disputes.resolve", { action: "/settle", data: { text: ctx.message.text.slice(0, 200) } }))) return;
+
+    const [, taskId = "", pctRaw = ""] = ctx.message.text.trim().split(/\s+/);
+    const doerPercent = Number(pctRaw);
+    if (!/^[a-f0-9]{24}$/i.test(taskId) || !Number.isInteger(doerPercent) || doerPercent < 0 || doerPercent > 100) {
+      return ctx.reply("Usage: /settle <taskId> <doer % 0-100>  (0 = full refund to creator, 100 = full payout to doer)");
+    }
+
+    try {
+      const pkg = await DisputePackage.findOne({ task: taskId }).select("_id").lean();
+      if (!pkg) return ctx.reply("No dispute package for this task.");
+      await replyVerdictConfirmation(ctx, String(pkg._id), doerPercent);
+    } catch (e) {
+      console.error("/settle failed:", e);
+      await ctx.reply("Could not prepare the verdict, please try again.");
+    }
+  });
+
+  // ─────────── /webhooks [failed|rejected|all], /webhook_replay <eventId> (webhooks.manage) ───────────
+  bot.command("webhooks", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    if (!(await authorizeAdmin(ctx, "webhooks.manage", { action: "/webhooks", data: { text: ctx.message.text.slice(0, 200) } }))) return;
+
+    const which = (ctx.message.text.split(/\s+/)[1] || "failed").toLowerCase();
+    const filter = which === "all" ? {} : which === "rejected" ? { status: "rejected" } : { status: { $in: ["failed", "processing"] } };
+    try {
+      const events = await WebhookEvent.find(filter).sort({ receivedAt: -1 }).limit(15)
+        .select("route kind reference status responseStatus attempts duplicates lastError receivedAt").lean();
+      if (!events.length) return ctx.reply(`No ${which === "all" ? "" : which + " "}webhook events.`);
+
+      const lines = [`📨 Webhook events (${which}, newest first)`, ""];
+      for (const ev of events) {
+        lines.push(
+          `• ${ev._id} ${ev.route} ${ev.kind || "-"} ${ev.reference || "-"}`,
+          `  ${ev.status}${ev.responseStatus ? ` (HTTP ${ev.responseStatus})` : ""} • tries ${ev.attempts} • replays ${ev.duplicates} • ${formatGmt3(ev.receivedAt)}`
+            + (ev.lastError ? `\n  ${String(ev.lastError).slice(0, 120)}` : "")
+        );
+      }
+      lines.push("", "Rerun one with /webhook_replay <eventId>");
+      for (const chunk of splitIntoChunks(lines.join("\n"))) {
+        await ctx.reply(chunk, { disable_web_page_preview: true });
+      }
+    } catch (e) {
+      console.error("/webhooks failed:", e);
+      await ctx.reply("Could not load webhook events, please try again.");
+    }
+  });
+
+  bot.command("webhook_replay", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    if (!(await authorizeAdmin(ctx, "webhooks.manage", { action: "/webhook_replay", data: { text: ctx.message.text.slice(0, 200) } }))) return;
+
+    const eventId = (ctx.message.text.split(/\s+/)[1] || "").trim();
+    if (!/^[a-f0-9]{24}$/i.test(eventId)) {
+      return ctx.reply("Usage: /webhook_replay <eventId>  (see /webhooks)");
+    }
+
+    try {
+      const result = await reprocessWebhookEvent(eventId, ctx.from.id);
+      if (result.error === "not_found") return ctx.reply(`Webhook event ${eventId} not found.`);
+      if (result.error === "rejected") return ctx.reply("That event failed signature verification and can't be reprocessed.");
+      if (result.error) return ctx.reply(`Can't reprocess this event (${result.error}).`);
+      await ctx.reply(`${result.ok ? "✅ Processed" : "❌ Failed again"}: HTTP ${result.status}${result.body ? ` — ${result.body}` : ""}`);
+    } catch (e) {
+      console.error("/webhook_replay failed:", e);
+      await ctx.reply("Reprocessing failed, please check the logs.");
+    }
+  });
+
+  // ─────────── /admins, /grant, /revoke, /adminlog, /console_account, /api_token (admins.manage: super admin) ───────────
+  // An admin is named by Telegram id, or by web console username for staff without Telegram.
+  //   /grant <telegramId|username> <role>          roles: super_admin, finance, moderator, support
+  //   /revoke <telegramId|username> <role|all>
+  //   /adminlog [telegramId|username]              latest privileged actions (of one admin)
+  //   /console_account <username> [telegramId]     create a web console login, or reset its password
+  //   /api_token <telegramId|username> [label]     issue an admin API token (/api_tokens lists, /api_token_revoke ends)
+  const ADMIN_REF_RE = /^(\d{5,15}|[a-z][a-z0-9_.-]{2,31})$/i;
+
+  bot.command("admins", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    if (!(await authorizeAdmin(ctx, "admins.manage", { action: "/admins" }))) return;
+
+    try {
+      const admins = await listAdmins();
+      const lines = ["🛡 Admins", ""];
+      for (const a of admins) {
+        const user = a.telegramId != null
+          ? await User.findOne({ telegramId: a.telegramId }).select("fullName username").lean()
+          : null;
+        const who = a.name || user?.fullName || (user?.username ? `@${user.username}` : "-");
+        lines.push(
+          `• ${a.telegramId ?? "(no Telegram)"} ${who}: ${a.roles.join(", ")}`
+          + `${a.username ? ` • console: ${a.username}` : ""}${a.root ? " (config, can't be revoked)" : ""}`
+        );
+      }
+      lines.push(
+        "",
+        `Roles: ${ADMIN_ROLES.join(", ")}`,
+        "/grant <telegramId|username> <role> • /revoke <telegramId|username> <role|all> • /adminlog [telegramId|username]",
+        "/console_account <username> [telegramId]",
+        "/api_token <telegramId|username> [label] • /api_tokens • /api_token_revoke <tokenId>"
+      );
+      for (const chunk of splitIntoChunks(lines.join("\n"))) {
+        await ctx.reply(chunk, { disable_web_page_preview: true });
+      }
+    } catch (e) {
+      console.error("/admins failed:", e);
+      await ctx.reply("Could not load the admin list, please try again.");
+    }
+  });
+
+  bot.command("grant", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    const [, ref = "", role = ""] = ctx.message.text.trim().split(/\s+/);
+    if (!(await authorizeAdmin(ctx, "admins.manage", { action: "/grant", target: ref, data: { role } }))) return;
+
+    if (!ADMIN_REF_RE.test(ref) || !ADMIN_ROLES.includes(role)) {
+      return ctx.reply(`Usage: /grant <telegramId|console username> <role>\nRoles: ${ADMIN_ROLES.join(", ")}`);
+    }
+    try {
+      const telegramId = /^\d+$/.test(ref) ? Number(ref) : null;
+      const user = telegramId ? await User.findOne({ telegramId }).select("fullName username language").lean() : null;
+      const result = await grantRole({ admin: ref, role, by: ctx.from.id, name: user?.fullName || user?.username || null });
+      if (result.error === "unknown_admin") return ctx.reply(`No console account "${ref}". Create it with /console_account first.`);
+      if (result.already) return ctx.reply(`${ref} already has the ${role} role.`);
+
+      await ctx.reply(`✅ ${ref}${user ? ` (${user.fullName || user.username})` : ""} is now ${role}.${telegramId && !user ? "\n⚠️ No Taskifay user has this Telegram ID yet." : ""}`);
+      if (telegramId) {
+        await ctx.telegram.sendMessage(telegramId, `🛡 You've been given the "${role}" admin role on Taskifay.`).catch(() => {});
+      }
+    } catch (e) {
+      console.error("/grant failed:", e);
+      await ctx.reply("Could not grant the role, please try again.");
+    }
+  });
+
+  bot.command("revoke", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    const [, ref = "", role = ""] = ctx.message.text.trim().split(/\s+/);
+    if (!(await authorizeAdmin(ctx, "admins.manage", { action: "/revoke", target: ref, data: { role } }))) return;
+
+    if (!ADMIN_REF_RE.test(ref) || !(role === "all" || ADMIN_ROLES.includes(role))) {
+      return ctx.reply(`Usage: /revoke <telegramId|console username> <role|all>\nRoles: ${ADMIN_ROLES.join(", ")}`);
+    }
+    try {
+      const result = await revokeRole({ admin: ref, role, by: ctx.from.id });
+      if (result.error === "root_admin") {
+        return ctx.reply("That's the super admin from the config (SUPER_ADMIN_TG_ID); change the config to replace them.");
+      }
+      if (!result.removed.length) return ctx.reply(`${ref} doesn't have ${role === "all" ? "any admin role" : `the ${role} role`}.`);
+
+      await ctx.reply(`✅ Removed ${result.removed.join(", ")} from ${ref}.${role === "all" ? " Their console sessions end with their next request." : ""}`);
+      if (/^\d+$/.test(ref)) {
+        await ctx.telegram.sendMessage(Number(ref), `🛡 Your Taskifay admin role(s) ${result.removed.join(", ")} were removed.`).catch(() => {});
+      }
+    } catch (e) {
+      console.error("/revoke failed:", e);
+      await ctx.reply("Could not revoke the role, please try again.");
+    }
+  });
+
+  bot.command("adminlog", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    const ref = (ctx.message.text.split(/\s+/)[1] || "").trim();
+    if (!(await authorizeAdmin(ctx, "admins.manage", { action: "/adminlog", target: ref || null }))) return;
+
+    if (ref && !ADMIN_REF_RE.test(ref)) return ctx.reply("Usage: /adminlog [telegramId|console username]");
+    try {
+      let filter = {};
+      if (/^\d+$/.test(ref)) {
+        filter = { admin: Number(ref) };
+      } else if (ref) {
+        const account = await AdminUser.findOne({ username: ref.toLowerCase() }).select("_id").lean();
+        if (!account) return ctx.reply(`No console account "${ref}".`);
+        filter = { adminUser: account._id };
+      }
+      const actions = await AdminAction.find(filter).sort({ at: -1 }).limit(25).lean();
+      if (!actions.length) return ctx.reply("No admin actions recorded yet.");
+
+      const lines = [`📜 Admin actions${ref ? ` by ${ref}` : ""} (newest first)`, ""];
+      for (const a of actions) {
+        lines.push(
+          `${a.allowed ? "✅" : "⛔"} ${formatGmt3(a.at)} ${a.admin ?? a.adminUser}${a.via !== "telegram" ? ` (${a.via})` : ""}`
+          + ` [${a.roles.join(",") || "no role"}] ${a.action}${a.target ? ` ${a.target}` : ""}`
+        );
+      }
+      for (const chunk of splitIntoChunks(lines.join("\n"))) {
+        await ctx.reply(chunk, { disable_web_page_preview: true });
+      }
+    } catch (e) {
+      console.error("/adminlog failed:", e);
+      await ctx.reply("Could not load the admin log, please try again.");
+    }
+  });
+
+  bot.command("console_account", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    const [, username = "", tgRaw = ""] = ctx.message.text.trim().split(/\s+/);
+    if (!(await authorizeAdmin(ctx, "admins.manage", { action: "/console_account", target: username, data: { telegramId: tgRaw || null } }))) return;
+
+    if (!username || (tgRaw && !/^\d{5,15}$/.test(tgRaw))) {
+      return ctx.reply("Usage: /console_account <username> [telegramId]\nWith a Telegram id the login shares that admin's roles.");
+    }
+    try {
+      const result = await createConsoleAccount({ username, telegramId: tgRaw ? Number(tgRaw) : null, by: ctx.from.id });
+      if (result.error === "bad_username") {
+        return ctx.reply("Usernames are 3–32 characters: a letter, then letters, digits, dots, dashes or underscores.");
+      }
+      if (result.error === "username_taken") return ctx.reply(`The username "${username}" belongs to another admin.`);
+
+      const roles = rolesForAdminRow(result.account);
+      const base = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+      await ctx.reply([
+        `${result.created ? "✅ Console account created" : "🔁 Password reset"}: ${result.account.username}`,
+        `One-time password: ${result.password}`,
+        "It has to be changed at the first login. Pass it on privately and delete this message.",
+        base ? `Console: ${base}/admin` : "Console: <PUBLIC_BASE_URL>/admin",
+        roles.length ? `Roles: ${roles.join(", ")}` : `⚠️ No roles yet: /grant ${result.account.username} <role>`,
+      ].join("\n"));
+    } catch (e) {
+      console.error("/console_account failed:", e);
+      await ctx.reply("Could not create the console account, please try again.");
+    }
+  });
+
+  bot.command("api_token", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    const [, ref = "", ...labelParts] = ctx.message.text.trim().split(/\s+/);
+    const label = labelParts.join(" ") || null;
+    if (!(await authorizeAdmin(ctx, "admins.manage", { action: "/api_token", target: ref, data: { label } }))) return;
+
+    if (!ADMIN_REF_RE.test(ref)) {
+      return ctx.reply("Usage: /api_token <telegramId|console username> [label]\nThe token acts with that admin's roles.");
+    }
+    try {
+      const result = await createApiToken({ admin: ref, label, by: ctx.from.id });
+      if (result.error === "unknown_admin") return ctx.reply(`${ref} isn't an admin. Give them a role with /grant first.`);
+      if (result.error === "no_roles") return ctx.reply(`${ref} has no admin role, so a token couldn't do anything. /grant one first.`);
+
+      const base = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+      await ctx.reply([
+        `🔑 API token ${result.row.tokenId} for ${ref}${label ? ` (${label})` : ""}:`,
+        result.token,
+        "It is shown only this once. Pass it on privately and delete this message.",
+        `Send it as "Authorization: Bearer <token>" to ${base || "<PUBLIC_BASE_URL>"}/api/admin`,
+        `Roles: ${rolesForAdminRow(result.account).join(", ")} • revoke with /api_token_revoke ${result.row.tokenId}`,
+      ].join("\n"));
+    } catch (e) {
+      console.error("/api_token failed:", e);
+      await ctx.reply("Could not issue the API token, please try again.");
+    }
+  });
+
+  bot.command("api_tokens", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    if (!(await authorizeAdmin(ctx, "admins.manage", { action: "/api_tokens" }))) return;
+
+    try {
+      const tokens = await listApiTokens();
+      if (!tokens.length) return ctx.reply("No active admin API tokens. Issue one with /api_token.");
+
+      const lines = ["🔑 Admin API tokens", ""];
+      for (const t of tokens) {
+        const owner = t.adminUser?.username || t.adminUser?.telegramId || "(deleted admin)";
+        lines.push(
+          `• ${t.tokenId} ${owner}${t.label ? ` "${t.label}"` : ""} • issued ${formatGmt3(t.createdAt)}`
+          + ` • last used ${t.lastUsedAt ? formatGmt3(t.lastUsedAt) : "never"}`
+        );
+      }
+      lines.push("", "/api_token_revoke <tokenId>");
+      for (const chunk of splitIntoChunks(lines.join("\n"))) {
+        await ctx.reply(chunk, { disable_web_page_preview: true });
+      }
+    } catch (e) {
+      console.error("/api_tokens failed:", e);
+      await ctx.reply("Could not load the API tokens, please try again.");
+    }
+  });
+
+  bot.command("api_token_revoke", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    const tokenId = (ctx.message.text.split(/\s+/)[1] || "").trim();
+    if (!(await authorizeAdmin(ctx, "admins.manage", { action: "/api_token_revoke", target: tokenId || null }))) return;
+
+    if (!tokenId) return ctx.reply("Usage: /api_token_revoke <tokenId>\nSee /api_tokens for the ids.");
+    try {
+      const result = await revokeApiToken({ tokenId, by: ctx.from.id });
+      if (result.error === "not_found") return ctx.reply(`No API token "${tokenId}".`);
+      if (result.error === "already") return ctx.reply(`Token ${tokenId} was already revoked.`);
+      await ctx.reply(`✅ Token ${tokenId} revoked; requests with it are refused from now on.`);
+    } catch (e) {
+      console.error("/api_token_revoke failed:", e);
+      await ctx.reply("Could not revoke the token, please try again.");
+    }
+  });
+
+  // ─────────── /partner_key, /partner_keys, /partner_key_revoke (partners.manage: super admin) ───────────
+  // Keys for the partner task API (/api/partner). The key is sent to the creator, never shown to the admin.
+  bot.command("partner_key", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    const [, ref = "", ...labelParts] = ctx.message.text.trim().split(/\s+/);
+    const label = labelParts.join(" ") || null;
+    if (!(await authorizeAdmin(ctx, "partners.manage", { action: "/partner_key", target: ref, data: { label } }))) return;
+
+    if (!/^(\d{5,15}|@?[A-Za-z0-9_]{5,32})$/.test(ref)) {
+      return ctx.reply("Usage: /partner_key <telegramId|@username> [label]\nThe key is sent to the creator in Telegram.");
+    }
+    try {
+      const user = /^\d+$/.test(ref)
+        ? await User.findOne({ telegramId: Number(ref) })
+        : await User.findOne({ username: new RegExp(`^${ref.replace(/^@/, "")}$`, "i") });
+      if (!user) return ctx.reply(`No Taskifay user ${ref}.`);
+      if (user.onboardingStep !== "completed") return ctx.reply(`${ref} hasn't finished registering yet.`);
+
+      const { key, row } = await createPartnerKey({ user, label, by: ctx.from.id });
+      const base = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+      try {
+        await ctx.telegram.sendMessage(user.telegramId, [
+          "🔑 Your Taskifay partner API key (for posting tasks from your own tools):",
+          key,
+          "",
+          `Send it as "Authorization: Bearer <key>" to ${base || "<PUBLIC_BASE_URL>"}/api/partner`,
+          "POST /drafts with a task returns a payment link; paying it posts the task. Keep the key secret and delete this message once saved.",
+        ].join("\n"), { disable_web_page_preview: true });
+      } catch (e) {
+        await revokePartnerKey({ keyId: row.keyId, by: ctx.from.id });
+        return ctx.reply(`Could not message ${ref} (${e?.description || e?.message}), so the key was revoked. Ask them to start the bot and try again.`);
+      }
+      await ctx.reply(`✅ Partner key ${row.keyId} sent to ${user.fullName || ref}${label ? ` (${label})` : ""}. Revoke with /partner_key_revoke ${row.keyId}`);
+    } catch (e) {
+      console.error("/partner_key failed:", e);
+      await ctx.reply("Could not issue the partner key, please try again.");
+    }
+  });
+
+  bot.command("partner_keys", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    if (!(await authorizeAdmin(ctx, "partners.manage", { action: "/partner_keys" }))) return;
+
+    try {
+      const keys = await listPartnerKeys();
+      if (!keys.length) return ctx.reply("No active partner keys. Issue one with /partner_key.");
+
+      const lines = ["🔑 Partner API keys", ""];
+      for (const k of keys) {
+        const owner = k.user ? `${k.user.fullName || (k.user.username ? `@${k.user.username}` : "-")} (${k.user.telegramId})` : "(deleted user)";
+        lines.push(
+          `• ${k.keyId} ${owner}${k.label ? ` "${k.label}"` : ""} • issued ${formatGmt3(k.createdAt)}`
+          + ` • last used ${k.lastUsedAt ? formatGmt3(k.lastUsedAt) : "never"}`
+        );
+      }
+      lines.push("", "/partner_key_revoke <keyId>");
+      for (const chunk of splitIntoChunks(lines.join("\n"))) {
+        await ctx.reply(chunk, { disable_web_page_preview: true });
+      }
+    } catch (e) {
+      console.error("/partner_keys failed:", e);
+      await ctx.reply("Could not load the partner keys, please try again.");
+    }
+  });
+
+  bot.command("partner_key_revoke", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    const keyId = (ctx.message.text.split(/\s+/)[1] || "").trim();
+    if (!(await authorizeAdmin(ctx, "partners.manage", { action: "/partner_key_revoke", target: keyId || null }))) return;
+
+    if (!keyId) return ctx.reply("Usage: /partner_key_revoke <keyId>\nSee /partner_keys for the ids.");
+    try {
+      const result = await revokePartnerKey({ keyId, by: ctx.from.id });
+      if (result.error === "not_found") return ctx.reply(`No partner key "${keyId}".`);
+      if (result.error === "already") return ctx.reply(`Key ${keyId} was already revoked.`);
+      await ctx.reply(`✅ Partner key ${keyId} revoked; drafts it created can still be paid.`);
+    } catch (e) {
+      console.error("/partner_key_revoke failed:", e);
+      await ctx.reply("Could not revoke the key, please try again.");
+    }
+  });
+
+  // ─────────── /wallet: balance, recent activity, refunds toggle, withdraw ───────────
+  async function buildWalletView(user) {
+    const lang = user.language || "en";
+    const wallet = await getWallet(user._id);
+    const balance = round2(wallet?.balance || 0);
+    const refundsOn = !!wallet?.refundsToWallet;
+    const history = await walletHistory(user._id, 10);
+
+    const kinds = TEXT.walletTxKinds[lang];
+    const lines = [TEXT.walletSummary[lang](balance, refundsOn), ""];
+    if (history.length) {
+      lines.push(TEXT.walletHistoryTitle[lang]);
+      for (const tx of history) {
+        lines.push(`${tx.amount > 0 ? "+" : "−"}${Math.abs(tx.amount)} — ${kinds[tx.kind] || tx.kind} (${formatGmt3(tx.at)})`);
+      }
+    } else {
+      lines.push(TEXT.walletNoHistory[lang]);
+    }
+
+    const keyboard = [[Markup.button.callback(TEXT.walletRefundsToggleBtn[lang](refundsOn), "WALLET_TOGGLE_REFUNDS")]];
+    if (balance > 0) keyboard.push([Markup.button.callback(TEXT.walletWithdrawBtn[lang], "WALLET_WITHDRAW")]);
+    return { text: lines.join("\n"), keyboard: Markup.inlineKeyboard(keyboard) };
+  }
+
+  bot.command("wallet", async (ctx) => {
+    if (ctx.chat?.type !== "private") return;
+    const user = await User.findOne({ telegramId: ctx.from.id });
+    if (!user) return;
+
+    const view = await buildWalletView(user);
+    await ctx.reply(view.text, { parse_mode: "Markdown", ...view.keyboard });
+  });
+
+  bot.action("WALLET_TOGGLE_REFUNDS", async (ctx) => {
+    await ctx.answerCbQuery();
+    const user = await User.findOne({ telegramId: ctx.from.id });
+    if (!user) return;
+
+    const wallet = await getWallet(user._id);
+    await setRefundsToWallet(user._id, !wallet?.refundsToWallet);
+    const view = await buildWalletView(user);
+    try {
+      await ctx.editMessageText(view.text, { parse_mode: "Markdown", ...view.keyboard });
+    } catch (_) {
+      await ctx.reply(view.text, { parse_mode: "Markdown", ...view.keyboard });
+    }
+  });
+
+  bot.action("WALLET_WITHDRAW", async (ctx) => {
+    await ctx.answerCbQuery();
+    const user = await User.findOne({ telegramId: ctx.from.id });
+    if (!user) return;
+    const lang = user.language || "en";
+
+    const wallet = await getWallet(user._id);
+    const balance = round2(wallet?.balance || 0);
+    if (!(balance > 0)) return ctx.reply(TEXT.walletEmpty[lang]);
+    if (!user.bankDetails?.length) return ctx.reply(TEXT.walletNoBanks[lang]);
+
+    const rows = user.bankDetails.map((b, i) => [
+      Markup.button.callback(describeDestination(b, lang), `WALLET_WITHDRAW_TO_${i}`)
+    ]);
+    await ctx.reply(TEXT.walletPickBank[lang](balance), Markup.inlineKeyboard(rows));
+  });
+
+  // Withdraw the whole balance to one of the saved bank accounts through the normal payout queue.
+  // WALLET_WITHDRAW_OK_ is the same withdrawal after the user confirmed an account we couldn't verify.
+  bot.action(/^WALLET_WITHDRAW_(TO|OK)_(\d+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    return withdrawWalletBalance(ctx, { index: parseInt(ctx.match[2], 10), confirmed: ctx.match[1] === "OK" });
+  });
 
-    // Main menu / profile
-    const isEditProfile  = (data === 'EDIT_PROFILE');
-    const isEditName     = (data === 'EDIT_NAME');
-    const isEditPhone    = (data === 'EDIT_PHONE');
-    const isEditEmail    = (data === 'EDIT_EMAIL');
-    const isEditUsername = (data === 'EDIT_USERNAME');
-    const isEditSkills   = (data === 'EDIT_SKILLS'); // opens bank-details menu
+  // The saved bank name fitted several provider banks: remember the one the user picked, then withdraw
+  bot.action(/^WALLET_WITHDRAW_BANK_(\d+)_(.+)$/, async (ctx) => {
+    await ctx.answerCbQuery();
+    const index = parseInt(ctx.match[1], 10);
+    const bankId = ctx.match[2];
+    const user = await User.findOne({ telegramId: ctx.from.id });
+    if (!user) return;
+    const lang = user.language || "en";
+    const saved = user.bankDetails?.[index];
+    if (!saved) return ctx.reply(TEXT.walletNoBanks[lang]);
+    const bank = (await fetchPayoutBanks()).find(b => String(b.id) === bankId);
+    if (!bank) return ctx.reply(TEXT.walletBankNotSupported[lang](saved.bankName || "-"));
 
-    // Bank editing
-    const isAddBank          = (data === 'ADD_BANK');
-    const isRemoveBank       = (data === 'REMOVE_BANK');
-    const isBankEditDone     = (data === 'BANK_EDIT_DONE');
-    const isBankRemoveBack   = (data === 'BANK_REMOVE_BACK');
-    const isBankRemoveCancel = (data === 'BANK_REMOVE_CANCEL');
-    const isEditBankEntry    = !!(data && data.startsWith('EDIT_BANK_'));
-    const isRemoveBankEntry  = !!(data && data.startsWith('REMOVE_BANK_'));
+    saved.bankId = String(bank.id);
+    await user.save();
+    try {
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+    } catch (_) { }
+    return withdrawWalletBalance(ctx, { index, confirmed: false });
+  });
 
-    // Username confirmation (profile)
-    const isConfirmNewUsername = (data === 'CONFIRM_NEW_USERNAME');
-    const isCancelNewUsername  = (data === 'CANCEL_NEW_USERNAME');
+  async function withdrawWalletBalance(ctx, { index, confirmed }) {
+    const user = await User.findOne({ telegramId: ctx.from.id });
+    if (!user) return;
+    const lang = user.language || "en";
 
-    // Language + terms from the menu
-    const isChangeLanguage = (data === 'CHANGE_LANGUAGE');
-    const isSetLangEn      = (data === 'SET_LANG_EN');
-    const isSetLangAm      = (data === 'SET_LANG_AM');
-    const isViewTerms      = (data === 'VIEW_TERMS');
+    const saved = user.bankDetails?.[index];
+    if (!saved) return ctx.reply(TEXT.walletNoBanks[lang]);
 
-    // Single place to decide if we block this update
-    const shouldBlock =
-      // Commands & deep-links
-      isStartCmd || isDeepLinkApply || isApplyCmd ||
+    const wallet = await getWallet(user._id);
+    const amount = round2(wallet?.balance || 0);
+    if (!(amount > 0)) return ctx.reply(TEXT.walletEmpty[lang]);
 
-      // Task-find/post entry points
-      isApplyBtn || isFindTask || isPostTask || isEditBack || isPostConfirm ||
+    const { bank, candidates } = matchProviderBank(await fetchPayoutBanks(), saved);
+    if (!bank && candidates.length) {
+      return ctx.reply(
+        TEXT.walletPickProviderBank[lang](saved.bankName || "-"),
+        Markup.inlineKeyboard(candidates.slice(0, 10).map(b => [
+          Markup.button.callback(b.name, `WALLET_WITHDRAW_BANK_${index}_${b.id}`)
+        ]))
+      );
+    }
+    if (!bank) return ctx.reply(TEXT.walletBankNotSupported[lang](saved.bankName || "-"));
 
-      // Profile / banks
-      isEditProfile || isEditName || isEditPhone || isEditEmail || isEditUsername ||
-      isEditSkills || isAddBank || isRemoveBank || isBankEditDone ||
-      isBankRemoveBack || isBankRemoveCancel || isEditBankEntry || isRemoveBankEntry ||
-      isConfirmNewUsername || isCancelNewUsername ||
+    const providerAccount = providerAccountNumber(destinationTypeForBank(bank), saved.accountNumber);
+    const check = await checkPayoutAccount({ bank, accountNumber: providerAccount, fullName: user.fullName });
+    if (check.status === "not_found") return ctx.reply(TEXT.accountCheckResult[lang](check));
+    if (check.status !== "verified" && !confirmed) {
+      return ctx.reply(
+        TEXT.payoutAccountConfirm[lang](check, saved.accountNumber, false),
+        Markup.inlineKeyboard([[Markup.button.callback(TEXT.payoutAccountConfirmBtn[lang], `WALLET_WITHDRAW_OK_${index}`)]])
+      );
+    }
+    const held = check.status === "mismatch";
 
-      // Language & terms
-      isChangeLanguage || isSetLangEn || isSetLangAm || isViewTerms;
+    const reference = `wallet_withdraw_${user._id}_${Date.now()}`;
+    const debit = await debitWallet({
+      user: user._id,
+      amount,
+      key: `withdrawal:${reference}`,
+      kind: "withdrawal",
+      to: ACCOUNTS.payable(user._id),
+      reference,
+      memo: `Withdrawal to ${bank.name}`
+    });
+    if (!debit.ok) return ctx.reply(TEXT.walletInsufficient[lang]);
 
-    if (shouldBlock) {
-      if (ctx.callbackQuery) {
-        // remove the 'loading' spinner on the button
-        await ctx.answerCbQuery();
-      }
-      await ctx.reply(lockedMsg);
-      return;
+    let payout;
+    try {
+      payout = await TaskPayout.create({
+        kind: "withdrawal",
+        doer: user._id,
+        doerTelegramId: user.telegramId,
+        amount,
+        bankCode: bank.id,
+        bankName: bank.name,
+        accountNumber: providerAccount,
+        accountName: user.fullName || null,
+        accountCheck: {
+          status: check.status,
+          accountName: check.accountName || null,
+          confirmedAt: confirmed ? new Date() : undefined,
+        },
+        reference,
+        status: held ? "held" : "queued",
+      });
+    } catch (e) {
+      console.error("Queuing wallet withdrawal failed:", e);
+      await creditWallet({
+        user: user._id,
+        amount,
+        key: `withdrawal_reversal:${reference}`,
+        kind: "withdrawal_reversal",
+        from: ACCOUNTS.payable(user._id),
+        reference,
+        memo: "Withdrawal could not be queued"
+      });
+      return ctx.reply(TEXT.walletWithdrawReversed[lang](amount));
     }
 
-    // Everything else (including task-flow buttons) continues normally
-    return next();
-  } catch (e) {
-    console.error('engagement lock guard error:', e);
-    return next();
-  }
-});
+    if (held) {
+      await sendPayoutAudit(bot, {
+        tag: "#payout_held_account_mismatch",
+        doer: user,
+        payout,
+        extra: { reason: "Wallet withdrawal to an account in another name", showApprovalButtons: true }
+      });
+    }
 
- 
-// After you create `bot` and before existing start/onboarding handlers:
-bot.use(applyGatekeeper);
+    try {
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+    } catch (_) { }
+    const queued = TEXT.walletWithdrawQueued[lang](amount, bank.name, saved.accountNumber);
+    await ctx.reply(held ? `${queued}\n\n${TEXT.payoutHeldForReview[lang]}` : queued);
+  }
 
 
 
@@ -8124,12 +10818,12 @@ bot.use(applyGatekeeper);
         delete ctx.session.editUsernamePromptId;
         delete ctx.session.onboardingUsernamePromptId;
       }
-      // 🔹 If this is the main admin, also cancel any manual punishment
-      // flows that were waiting for a birr amount.
-      if (ctx.from.id === SUPER_ADMIN_TG_ID) {
+      // 🔹 If this is an admin, also cancel any manual punishment
+      // flows that were waiting for their birr amount.
+      if ((await adminRolesFor(ctx.from.id)).length) {
         try {
           await ManualPunishment.updateMany(
-            { adminTelegramId: SUPER_ADMIN_TG_ID, status: "awaiting_amount" },
+            { adminTelegramId: ctx.from.id, status: "awaiting_amount" },
             { $set: { status: "canceled" } }
           );
         } catch (e) {
@@ -8410,8 +11104,8 @@ bot.use(applyGatekeeper);
     await user.save();
     return ctx.reply(
       user.language === "am"
-        ? "እባክዎ አሁን በቅጥ `BankName,AccountNumber` መሆኑን ይጻፉ።"
-        : "Please type your bank entry now in the format `BankName,AccountNumber`."
+        ? "እባክዎ አሁን በቅጥ `BankName,AccountNumber` (ወይም `telebirr,09XXXXXXXX` / `M-Pesa,07XXXXXXXX`) መሆኑን ይጻፉ።"
+        : "Please type your bank entry now in the format `BankName,AccountNumber` (or `telebirr,09XXXXXXXX` / `M-Pesa,07XXXXXXXX`)."
     );
   });
 
@@ -8445,8 +11139,8 @@ bot.use(applyGatekeeper);
     await user.save();
     return ctx.reply(
       user.language === "am"
-        ? "የባንኩ መጨመሪያ መዝገብ ተሰርዟል። እባክዎ አዲስ መጨመሪያ በ `BankName,AccountNumber` ቅጥ ይዘግቡ።"
-        : "Your last bank entry was removed. Please type a new entry in `BankName,AccountNumber` format."
+        ? "የባንኩ መጨመሪያ መዝገብ ተሰርዟል። እባክዎ አዲስ መጨመሪያ በ `BankName,AccountNumber` (ወይም `telebirr,09XXXXXXXX` / `M-Pesa,07XXXXXXXX`) ቅጥ ይዘግቡ።"
+        : "Your last bank entry was removed. Please type a new entry in `BankName,AccountNumber` (or `telebirr,09XXXXXXXX` / `M-Pesa,07XXXXXXXX`) format."
     );
   });
 
@@ -8880,6 +11574,7 @@ bot.action(/^ACCEPT_(.+)_(.+)$/, async (ctx) => {
     await ctx.answerCbQuery(); // silent no-op
     return;
   }
+  await recordTaskEvent(task._id, "accepted", { actor: creator, data: { applicant: String(user._id) } });
 
   // (optional) persist the creator-side messageId for later inert/disable visuals
   const appNow = task.applicants.find(a => a.user.toString() === user._id.toString());
@@ -8934,7 +11629,7 @@ bot.action(/^ACCEPT_(.+)_(.+)$/, async (ctx) => {
 
   // 🔹 NEW: add full task details (no expiry) + list of banks Chapa supports
   const detailsBlock = formatTaskDetailsForDoer(task, doerLang);
-  const banksNotice = await getChapaBanksSummary(doerLang);
+  const banksNotice = await getPayoutBanksSummary(doerLang);
 
   const fullAcceptMessage = [acceptMessage, "", detailsBlock, "", banksNotice].join("\n");
 
@@ -9244,11 +11939,10 @@ bot.action(/^DO_TASK_CONFIRM(?:_(.+))?$/, async (ctx) => {
     return;
   }
 
-  // Your atomic "first click wins" gate, unchanged — just constrain by _id if present
-  const updated = await Task.findOneAndUpdate(
-    {
-      _id: task._id,
-      status: "Open",
+  // Your atomic "first click wins" gate — the winning click also moves the task Open → InProgress
+  const updated = await transitionTask(task._id, "InProgress", {
+    from: ["Open"],
+    filter: {
       expiry: { $gt: now },
       $or: [{ decisionsLockedAt: { $exists: false } }, { decisionsLockedAt: null }],
       applicants: {
@@ -9261,9 +11955,9 @@ bot.action(/^DO_TASK_CONFIRM(?:_(.+))?$/, async (ctx) => {
       },
       $nor: [{ applicants: { $elemMatch: { confirmedAt: { $exists: true, $ne: null } } } }],
     },
-    { $set: { "applicants.$.confirmedAt": now, decisionsLockedAt: now } },
-    { new: true }
-  );
+    set: { "applicants.$.confirmedAt": now, decisionsLockedAt: now },
+    reason: "doer confirmed"
+  });
   
   if (!updated) {
     // Your exact follow-ups (already in your file): show expired / someone-else / inert
@@ -9311,6 +12005,7 @@ bot.action(/^DO_TASK_CONFIRM(?:_(.+))?$/, async (ctx) => {
     await ctx.answerCbQuery(); // inert, nothing else to do
     return;
   }
+  await recordTaskEvent(updated._id, "confirmed", { actor: user });
 
   // Winner visuals (unchanged)
   try {
@@ -9451,7 +12146,8 @@ bot.action(/^DO_TASK_CONFIRM(?:_(.+))?$/, async (ctx) => {
     doerLang,
     totalMinutes,
     revMinutes,
-    penaltyHoursToZero
+    penaltyHoursToZero,
+    penaltyCapRate: (await feeRulesForTask(updated)).rules.penalty.maxDeductionRate
   });
 
   const extra = buildExchangeAndSkillSection(updated, doerLang);
@@ -9484,6 +12180,7 @@ bot.action(/^DO_TASK_CONFIRM(?:_(.+))?$/, async (ctx) => {
       },
       { new: true, upsert: true }
     );
+    await scheduleDoerWorkTimers(doerWork);
 
     // send ONE message to the doer:
     // - the big 🎉 message
@@ -9493,14 +12190,8 @@ bot.action(/^DO_TASK_CONFIRM(?:_(.+))?$/, async (ctx) => {
       doerMsg,
       {
         parse_mode: "Markdown",
-        reply_markup: Markup.inlineKeyboard([
-          [
-            Markup.button.callback(
-              TEXT.completedSentBtn[langForDoer],
-              `COMPLETED_SENT_${String(updated._id)}`
-            )
-          ]
-        ]).reply_markup
+        // staged tasks (30:40:30 / 50:50) also get a per-stage "sent" button
+        reply_markup: buildDoerControlKeyboard(updated, langForDoer).reply_markup
       }
     );
 
@@ -9538,7 +12229,8 @@ bot.action(/^DO_TASK_CONFIRM(?:_(.+))?$/, async (ctx) => {
         creatorLang,
         totalMinutes: totalMinutesC,
         revMinutes: revMinutesC,
-        penaltyHoursToZero: penaltyHoursToZeroC
+        penaltyHoursToZero: penaltyHoursToZeroC,
+        penaltyCapRate: (await feeRulesForTask(updated)).rules.penalty.maxDeductionRate
       });
 
       const extraForCreator = buildExchangeAndSkillSection(updated, creatorLang);
@@ -9607,6 +12299,7 @@ bot.action(/^RATE_([a-f0-9]{24})_(doerRatesCreator|creatorRatesDoer)_(\d)$/, asy
     await Rating.create({
       task: task._id, from: rater._id, to: ratee._id, role, score
     });
+    await recordTaskEvent(task._id, "rated", { actor: rater, data: { role, score } });
   } catch (e) {
     // likely duplicate → stop buttons
   }
@@ -9643,19 +12336,21 @@ bot.action(/^RATE_([a-f0-9]{24})_(doerRatesCreator|creatorRatesDoer)_(\d)$/, asy
 });
 
 bot.action(/^ADMIN_BAN_(.+)$/, async (ctx) => {
-  await ctx.answerCbQuery();
   const userId = ctx.match[1];
+  if (!(await authorizeAdmin(ctx, "users.ban", { action: "ADMIN_BAN", target: userId }))) return;
+  await ctx.answerCbQuery();
   const u = await User.findById(userId);
   if (!u) return;
 
   await banUserEverywhere(ctx, u);
   await ctx.reply(`User ${u.fullName || u.username || u.telegramId} has been banned.`);
 });
-// Manual punishment: ban user + ask main admin for amount
+// Manual punishment: ban user + ask the admin who pressed it for the amount
 bot.action(/^ADMIN_PUNISH_(.+)$/, async (ctx) => {
+  const userId = ctx.match[1];
+  if (!(await authorizeAdmin(ctx, "users.punish", { action: "ADMIN_PUNISH", target: userId }))) return;
   await ctx.answerCbQuery();
 
-  const userId = ctx.match[1];
   const user = await User.findById(userId);
   if (!user) {
     return ctx.reply("Target user not found.");
@@ -9673,7 +12368,7 @@ bot.action(/^ADMIN_PUNISH_(.+)$/, async (ctx) => {
     const mp = new ManualPunishment({
       targetUser:       user._id,
       targetTelegramId: user.telegramId,
-      adminTelegramId:  SUPER_ADMIN_TG_ID,
+      adminTelegramId:  ctx.from.id,
       status:           "awaiting_amount"
     });
     await mp.save();
@@ -9682,7 +12377,7 @@ bot.action(/^ADMIN_PUNISH_(.+)$/, async (ctx) => {
     return ctx.reply("Could not start punishment flow. Please try again.");
   }
 
-  // 3) Notify the main admin (chat id 806525520) to send a birr amount
+  // 3) Ask the acting admin (in their private chat) for a birr amount
   const name = user.fullName || user.username || String(user.telegramId);
 
   const msgEn = [
@@ -9709,83 +12404,63 @@ bot.action(/^ADMIN_PUNISH_(.+)$/, async (ctx) => {
 
   try {
     await ctx.telegram.sendMessage(
-      SUPER_ADMIN_TG_ID,
+      ctx.from.id,
       `${msgEn}\n\n${msgAm}`,
       { parse_mode: "Markdown" }
     );
   } catch (e) {
-    console.error("Failed to notify SUPER_ADMIN_TG_ID about punishment:", e);
+    console.error("Failed to ask the admin for a punishment amount:", e);
+    return ctx.reply(`User ${name} has been banned. Start a private chat with the bot so it can ask you for the punishment fee, then press Punish again.`);
   }
 
   // Let whoever pressed the button know something happened
-  return ctx.reply(`User ${name} has been banned and the main admin has been asked to set a punishment fee.`);
+  return ctx.reply(`User ${name} has been banned; the punishment fee is asked for in your private chat with the bot.`);
 });
 
 bot.action(/^ADMIN_UNBAN_(.+)$/, async (ctx) => {
+  const userId = ctx.match[1];
+  if (!(await authorizeAdmin(ctx, "users.ban", { action: "ADMIN_UNBAN", target: userId }))) return;
   await ctx.answerCbQuery();
 
-  const userId = ctx.match[1];
   const u = await User.findById(userId);
   if (!u) return;
 
-  // Your existing unban everywhere logic
-  await unbanUserEverywhere(ctx, u);
-  // NEW: cancel any active tasks involving this user so they start fresh
-  const fresh = await cancelActiveTasksForUserFreshStart(ctx, u);
-  // 4f additions:
-  // 1) Remove any Banlist rows tied to this user
-  try { await Banlist.deleteOne({ user: u._id }); } catch (_) {}
-  try { await Banlist.deleteOne({ telegramId: u.telegramId }); } catch (_) {}
+  await adminUnbanUser(ctx, u);
+  await ctx.reply(`User ${u.fullName || u.username || u.telegramId} has been unbanned and can now use Taskifay normally.`);
+});
 
-  // 2) Cancel any pending punishment PaymentIntents (prevents any old hosted links from accepting money)
+// Admin: show detailed status for this user
+// ─── Reveal masked contact / account details (users.reveal / payouts.reveal; every reveal is logged) ───
+async function logSensitiveReveal(ctx, what, subject) {
+  const by = `${ctx.from.id}${ctx.from.username ? ` (@${ctx.from.username})` : ""}`;
+  console.log(`[reveal] ${what} of ${subject} by ${by}`);
   try {
-    await PaymentIntent.updateMany(
-      { user: u._id, type: 'punishment', status: 'pending' },
-      { $set: { status: 'voided', voidedAt: new Date() } }
+    await ctx.telegram.sendMessage(
+      AUDIT_CHANNEL_ID,
+      `#sensitive_reveal\nRevealed: ${what}\nOf: ${subject}\nBy: ${by}\nAt: ${new Date().toISOString()}`,
+      { disable_web_page_preview: true }
     );
   } catch (e) {
-    console.error("Failed voiding punishment intents on ADMIN_UNBAN:", e);
+    console.error("Failed to log sensitive reveal:", e);
   }
+}
 
-  // 3) Make any on-screen "Punishment fee" button inert (NOT highlighted)
-  try {
-    const works = await DoerWork.find({
-      doer: u._id,
-      punishmentMessageId: { $exists: true }
-    }).lean();
-
-    for (const w of works) {
-      try {
-        await ctx.telegram.editMessageReplyMarkup(
-          u.telegramId,
-          w.punishmentMessageId,
-          undefined,
-          {
-            inline_keyboard: [[
-              // inert only (no checkmark)
-              Markup.button.callback(
-                (u.language === 'am' ? TEXT.punishBtn.am : TEXT.punishBtn.en),
-                "_DISABLED_PUNISH"
-              )
-            ]]
-          }
-        );
-      } catch (_) {}
-    }
-  } catch (_) {}
-
-  await ctx.reply(`User ${u.fullName || u.username || u.telegramId} has been unbanned and can now use Taskifay normally.`);
-
-  
-  
+bot.action(/^ADMIN_REVEAL_([a-f0-9]{24})$/, async (ctx) => {
+  if (!(await authorizeAdmin(ctx, "users.reveal", {
+    action: "ADMIN_REVEAL", target: ctx.match[1], denied: "⛔ Your admin role can't reveal contact details."
+  }))) return;
+  const user = await User.findById(ctx.match[1]);
+  if (!user) return ctx.answerCbQuery("User not found.", { show_alert: true });
 
+  await logSensitiveReveal(ctx, "phone + email", `user ${user._id}`);
+  // Shown in an alert only, so the plaintext never ends up in the channel history
+  return ctx.answerCbQuery(`Phone: ${user.phone || "-"}\nEmail: ${user.email || "-"}`.slice(0, 200), { show_alert: true });
 });
 
-// Admin: show detailed status for this user
 bot.action(/^ADMIN_STATUS_([a-f0-9]{24})$/, async (ctx) => {
-  await ctx.answerCbQuery();
-
   const userId = ctx.match[1];
+  if (!(await authorizeAdmin(ctx, "users.status", { action: "ADMIN_STATUS", target: userId }))) return;
+  await ctx.answerCbQuery();
 
   let stats;
   try {
@@ -9836,7 +12511,7 @@ bot.action(/^ADMIN_STATUS_([a-f0-9]{24})$/, async (ctx) => {
   ];
 
   // Same channel ID you already use for admin profile posts
-  const ADMIN_CHANNEL = "-1002310380363";
+  const ADMIN_CHANNEL = CONFIG.ADMIN_PROFILE_CHANNEL_ID;
 
   try {
     await ctx.telegram.sendMessage(ADMIN_CHANNEL, lines.join("\n"), {
@@ -9941,8 +12616,12 @@ async function disableExpiredTaskButtons(bot) {
 
     for (const task of tasks) {
       // Update task status
+      const expired = await transitionTask(task._id, "Expired", {
+        filter: { expiry: { $lte: now } },
+        reason: "expired task buttons sweep"
+      });
+      if (!expired) continue;
       task.status = "Expired";
-      await task.save();
 
       // --- AUTO-REFUND ON EXPIRY (non-interactive paths) -----------------------
       try {
@@ -10167,6 +12846,7 @@ bot.action(/^REPOST_TASK_(.+)$/, async (ctx) => {
       fields: task.fields,
       skillLevel: task.skillLevel,
       paymentFee: task.paymentFee,
+      currency: task.currency,
       timeToComplete: task.timeToComplete,
       revisionTime: task.revisionTime,
       penaltyPerHour: task.latePenalty,
@@ -10229,11 +12909,15 @@ bot.action("TASK_EDIT", async (ctx) => {
   };
 
   // Present the list of fields that can be edited (in user's language)
+  const canPickCurrency = pricingCurrencies(await getActiveFeeRules()).length > 1;
   const buttons = [
     [Markup.button.callback(lang === "am" ? "✏️ የሥራውን መግለጫ ላስተካክል" : "✏️ Edit Description", "EDIT_description")],
     
     [Markup.button.callback(lang === "am" ? "🏷️ የሥራ ዘርፎችን/ምድቦችን ላስተካክል" : "🏷️ Edit Fields", "EDIT_fields")],
     [Markup.button.callback(lang === "am" ? "🎯 የሚፈለገውን የክህሎት ደረጃ ላስተካክል" : "🎯 Edit Skill Level", "EDIT_skillLevel")],
+    ...(canPickCurrency
+      ? [[Markup.button.callback(lang === "am" ? "💱 የክፍያ ገንዘቡን ላስተካክል" : "💱 Edit Currency", "EDIT_currency")]]
+      : []),
     [Markup.button.callback(lang === "am" ? "💰 የክፍያ መጠኑን ላስተካክል" : "💰 Edit Payment Fee", "EDIT_paymentFee")],
     [Markup.button.callback(lang === "am" ? "⏳ ሥራው የሚፈጀውን ጊዜ ላስተካክል" : "⏳ Edit Time to Complete", "EDIT_timeToComplete")],
     [Markup.button.callback(lang === "am" ? "🔄 የማስተካከያ ጊዜን ላስተካክል" : "🔄 Edit Revision Time", "EDIT_revisionTime")],
@@ -10252,7 +12936,7 @@ bot.on(['text','photo','document','video','audio'], async (ctx, next) => {
   // Initialize session
   ctx.session = ctx.session || {};
     // ─────────────────────────────────────────────────────────────
-  // Manual punishment: SUPER_ADMIN enters the punishment amount
+  // Manual punishment: the admin who pressed Punish enters the amount
   // ─────────────────────────────────────────────────────────────
   const fromId = ctx.from?.id;
   let rawText = "";
@@ -10260,13 +12944,13 @@ bot.on(['text','photo','document','video','audio'], async (ctx, next) => {
     rawText = (ctx.message.text || ctx.message.caption || "").trim();
   }
 
-  // Only handle if it's the designated admin and it's a plain positive integer
-  if (fromId === SUPER_ADMIN_TG_ID && rawText && /^[0-9]+$/.test(rawText)) {
+  // Only handle a plain positive integer from an admin who may punish
+  if (rawText && /^[0-9]+$/.test(rawText) && rolesAllow(await adminRolesFor(fromId), "users.punish")) {
     const amount = parseInt(rawText, 10);
 
-    // Find the most recent punishment waiting for an amount
+    // Find this admin's most recent punishment waiting for an amount
     const pending = await ManualPunishment.findOne({
-      adminTelegramId: SUPER_ADMIN_TG_ID,
+      adminTelegramId: fromId,
       status: "awaiting_amount"
     }).sort({ createdAt: -1 });
 
@@ -10308,28 +12992,28 @@ bot.on(['text','photo','document','video','audio'], async (ctx, next) => {
         const email    = user.email || "no-email@taskifii.local";
         const phone    = user.phone || "";
 
-        const checkout = await createChapaCheckoutLink({
+        const checkout = await paymentProvider.initialize({
           amount,
           currency: "ETB",
-          email,
-          first_name: fullName,
-          last_name: "",
-          phone_number: phone,
-          tx_ref: txRef,
-          callback_url: `${process.env.PUBLIC_BASE_URL || ""}/chapa/ipn`,
-          // 🔥 IMPORTANT: no return_url here, so Chapa keeps the receipt page
-          description:  `Manual punishment fee for ${fullName}`
+          txRef,
+          customer: { email, firstName: fullName, lastName: "", phone },
+          callbackUrl: `${process.env.PUBLIC_BASE_URL || ""}/chapa/ipn`
+          // 🔥 IMPORTANT: no returnUrl here, so Chapa keeps the receipt page
         });
 
 
         intent.chapaTxRef = txRef;
         intent.reference  = txRef;
-        intent.checkoutUrl = checkout?.data?.checkout_url || checkout?.checkout_url || "";
+        intent.checkoutUrl = checkout?.checkoutUrl || "";
         await intent.save();
 
         pending.status = "invoice_created";
         pending.paymentIntent = intent._id;
         await pending.save();
+        await recordAdminAction({
+          admin: fromId, roles: await adminRolesFor(fromId), permission: "users.punish", action: "punish.amount",
+          allowed: true, target: user._id, data: { amount, paymentIntent: String(intent._id) }
+        });
 
         // Message to the punished user (English + Amharic version)
         const lang = user.language || "en";
@@ -10538,6 +13222,7 @@ bot.on(['text','photo','document','video','audio'], async (ctx, next) => {
           // Save the task if creator not found (shouldn't happen)
           await task.save();
       }
+      await recordTaskEvent(task._id, "applied", { actor: user });
 
       // Confirm to applicant
       const confirmationText = lang === "am"
@@ -10585,19 +13270,31 @@ bot.on(['text','photo','document','video','audio'], async (ctx, next) => {
   // 5. Payout flow: awaiting account number
   if (ctx.session?.payoutFlow?.step === "awaiting_account") {
     const userId = ctx.from.id;
-    const pending = global.pendingPayouts?.[userId];
+    const pending = getPendingPayout(ctx, ctx.session.payoutFlow.reference);
     if (!pending) {
       ctx.session.payoutFlow = undefined;
       return next();
     }
 
     const accountRaw = ctx.message.text || "";
-    const accountNumber = accountRaw.trim();
+    let accountNumber = accountRaw.trim();
 
     // Figure out language for messages (stored when payout was created)
     // Use a separate name here to avoid clashing with the later `langForMsg`
     const langForAccountValidation = pending.language || "en";
 
+    // telebirr / M-Pesa picked from the provider list: the "account" is the wallet's phone number
+    const selectedBank = (pending.banks || []).find(b => b.id === pending.selectedBankId) || null;
+    const destinationType = selectedBank ? destinationTypeForBank(selectedBank) : "bank";
+    if (destinationType !== "bank") {
+      const checked = validateAccountForType(destinationType, accountNumber);
+      if (!checked.ok) {
+        await ctx.reply(TEXT.payoutDestinationError[langForAccountValidation](checked.error));
+        return;
+      }
+      accountNumber = providerAccountNumber(destinationType, checked.accountNumber);
+    }
+
     // NEW flexible validation:
     // 1) Length between 5 and 30 characters (so it's not too short or insane)
     if (accountNumber.length < 5 || accountNumber.length > 30) {
@@ -10647,102 +13344,27 @@ bot.on(['text','photo','document','video','audio'], async (ctx, next) => {
     }
 
 
-    // Bank info (we’ll reuse this later for bankName)
-    const bankInfo = pending.banks.find(b => b.id === pending.selectedBankId) || null;
-
-
-    // Look up the user (for account_name + language)
-    const userDoc = await User.findOne({ telegramId: userId });
-
-    // Queue payout in TaskPayout for unlimited automatic retries
-    try {
-      const task = await Task.findById(pending.taskId).populate("creator");
-      const doer = await User.findById(pending.doerId);
-
-      if (!task || !doer || !task.creator) {
-        console.error("Payout queue: missing task/creator/doer", {
-          taskId: pending.taskId,
-          doerId: pending.doerId
-        });
-      } else {
-        const creatorUser = task.creator._id ? task.creator : await User.findById(task.creator);
-        const amountNumber = Number(pending.payoutAmount || 0);
-
-        const existing = await TaskPayout.findOne({ reference: pending.reference });
-
-        const baseUpdate = {
-          task: task._id,
-          creator: creatorUser._id,
-          doer: doer._id,
-          doerTelegramId: doer.telegramId,
-          amount: amountNumber,
-          bankCode: pending.selectedBankId,
-          bankName: bankInfo?.name || bankInfo?.bank_name || null,   // NEW
-          accountNumber,
-          accountName: userDoc?.fullName || null,
-          reference: pending.reference,
-        };
-
-
-        if (!existing) {
-          await TaskPayout.create({
-            ...baseUpdate,
-            status: "queued",
-            lastError: null,
-            lastAttemptAt: null,
-            firstFailureAuditSentAt: null,
-            successAuditSentAt: null,
-          });
-        } else if (existing.status !== "succeeded") {
-          await TaskPayout.updateOne(
-            { _id: existing._id },
-            {
-              $set: {
-                ...baseUpdate,
-                // keep it in the retry loop until provider accepts
-                status: existing.status === "pending" ? "pending" : "queued",
-                lastError: null
-              }
-            }
-          );
-        } else {
-          // already succeeded, just log and continue (no double payout)
-          console.log("Payout already marked succeeded for task", String(task._id));
-        }
-
-
-      }
-    } catch (e) {
-      console.error("Error queuing payout for retry:", e);
-      // We still continue to success message + rating; payout worker will retry later if possible.
+    // Who holds this account? Verified names go straight through; anything else needs the doer's
+    // confirmation first (and a mismatch also an admin's approval, see queuePayoutToAccount)
+    const holder = await User.findOne({ telegramId: userId }).select("fullName").lean();
+    const check = await checkPayoutAccount({ bank: selectedBank, accountNumber, fullName: holder?.fullName });
+    if (check.status === "not_found") {
+      await ctx.reply(TEXT.accountCheckResult[langForAccountValidation](check));
+      return;
     }
-
-    // Disable all bank buttons now that payout is queued
-    try {
-      await ctx.editMessageReplyMarkup({ inline_keyboard: [] }).catch(() => { });
-    } catch (_) { }
-
-    // Send confirmation to the user (NO error messages for Chapa issues)
-    const langForMsg = userDoc?.language || pending.language || "en";
-    const successMsg = (langForMsg === "am")
-      ? "✅ የክፍያ ሂደቱ ተጀምሯል! ገንዘቡ በአጭር ጊዜ ውስጥ ወደ ሂሳብዎ ይገባል።"
-      : "✅ Your payout has been initiated! The funds will be transferred to your account shortly.";
-    await ctx.reply(successMsg);
-
-    // Record payout in internal stats and trigger the rating flow (always, once bank info is valid)
-    const taskForStats = await Task.findById(pending.taskId);
-    if (taskForStats) {
-      await creditIfNeeded('doerEarned', taskForStats, pending.doerId);
-      await creditIfNeeded('creatorSpent', taskForStats, pending.creatorId);
+    if (check.status !== "verified") {
+      pending.enteredAccount = accountNumber;
+      pending.accountCheck = { status: check.status, accountName: check.accountName };
+      await persistPendingPayout(userId, pending.reference);
+      const shown = `${pending.selectedBankName || "-"} — ${accountNumber}`;
+      await ctx.reply(
+        TEXT.payoutAccountConfirm[langForAccountValidation](check, shown),
+        Markup.inlineKeyboard([[Markup.button.callback(TEXT.payoutAccountConfirmBtn[langForAccountValidation], `PAYOUT_ACCT_OK_${pending.reference}`)]])
+      );
+      return;
     }
 
-    const tg = globalThis.TaskifiiBot.telegram;
-    await finalizeAndRequestRatings('accepted', pending.taskId, tg);
-
-    // Cleanup session and pending state
-    ctx.session.payoutFlow = undefined;
-    delete global.pendingPayouts[userId];
-    return;
+    return queuePayoutToAccount(ctx, pending, accountNumber, { status: check.status, accountName: check.accountName });
   }
 
 
@@ -10933,17 +13555,13 @@ bot.on(['text','photo','document','video','audio'], async (ctx, next) => {
     if (ctx.session.editing.field === "bankFirst" || 
         ctx.session.editing.field === "bankAdding" || 
         ctx.session.editing.field === "bankReplacing") {
-      const bankRegex = /^[A-Za-z ]+,\d+$/;
-      if (!bankRegex.test(text)) {
-        return ctx.reply(user.language === "am" ? TEXT.bankErrorFormat.am : TEXT.bankErrorFormat.en);
-      }
-      
-      const [bankName, acctNum] = text.split(",").map((s) => s.trim());
+      const destination = await readPayoutDestination(ctx, user, text);
+      if (!destination) return;
       
       if (ctx.session.editing.field === "bankReplacing" && ctx.session.editing.bankIndex !== undefined) {
-        user.bankDetails[ctx.session.editing.bankIndex] = { bankName, accountNumber: acctNum };
+        user.bankDetails[ctx.session.editing.bankIndex] = destination;
       } else {
-        user.bankDetails.push({ bankName, accountNumber: acctNum });
+        user.bankDetails.push(destination);
       }
       
       await user.save();
@@ -10952,7 +13570,7 @@ bot.on(['text','photo','document','video','audio'], async (ctx, next) => {
       
       const bankButtons = user.bankDetails.map((bank, index) => {
         return [Markup.button.callback(
-          `${index + 1}. ${bank.bankName} (${bank.accountNumber})`, 
+          `${index + 1}. ${describeDestination(bank, user.language)}`, 
           `EDIT_BANK_${index}`
         )];
       });
@@ -11109,12 +13727,9 @@ bot.on(['text','photo','document','video','audio'], async (ctx, next) => {
 
   // ─── FIRST BANK ENTRY ───────────────────────
   if (user.onboardingStep === "bankFirst") {
-    const bankRegex = /^[A-Za-z ]+,\d+$/;
-    if (!bankRegex.test(text)) {
-      return ctx.reply(user.language === "am" ? TEXT.bankErrorFormat.am : TEXT.bankErrorFormat.en);
-    }
-    const [bankName, acctNum] = text.split(",").map((s) => s.trim());
-    user.bankDetails.push({ bankName, accountNumber: acctNum });
+    const destination = await readPayoutDestination(ctx, user, text);
+    if (!destination) return;
+    user.bankDetails.push(destination);
     await user.save();
 
     if (user.bankDetails.length >= 10) {
@@ -11144,12 +13759,9 @@ bot.on(['text','photo','document','video','audio'], async (ctx, next) => {
 
   // ─── MULTI BANK ENTRY (after clicking Add) ─────────────────
   if (user.onboardingStep === "bankAdding") {
-    const bankRegex = /^[A-Za-z ]+,\d+$/;
-    if (!bankRegex.test(text)) {
-      return ctx.reply(user.language === "am" ? TEXT.bankErrorFormat.am : TEXT.bankErrorFormat.en);
-    }
-    const [bankName, acctNum] = text.split(",").map((s) => s.trim());
-    user.bankDetails.push({ bankName, accountNumber: acctNum });
+    const destination = await readPayoutDestination(ctx, user, text);
+    if (!destination) return;
+    user.bankDetails.push(destination);
     await user.save();
 
     if (user.bankDetails.length >= 10) {
@@ -11179,13 +13791,10 @@ bot.on(['text','photo','document','video','audio'], async (ctx, next) => {
 
   // ─── MULTI BANK ENTRY (after clicking Replace) ─────────────────
   if (user.onboardingStep === "bankReplacing") {
-    const bankRegex = /^[A-Za-z ]+,\d+$/;
-    if (!bankRegex.test(text)) {
-      return ctx.reply(user.language === "am" ? TEXT.bankErrorFormat.am : TEXT.bankErrorFormat.en);
-    }
+    const destination = await readPayoutDestination(ctx, user, text);
+    if (!destination) return;
     user.bankDetails.pop();
-    const [bankName, acctNum] = text.split(",").map((s) => s.trim());
-    user.bankDetails.push({ bankName, accountNumber: acctNum });
+    user.bankDetails.push(destination);
     await user.save();
 
     if (user.bankDetails.length >= 10) {
@@ -11232,7 +13841,7 @@ async function handleDescription(ctx, draft) {
   const user = await User.findOne({ telegramId: ctx.from.id });
   const lang = user?.language || "en";
 
-  if (!text || text.length < 20 || text.length > 1250) {
+  if (!text || checkDescription(text)) {
     return ctx.reply(TEXT.descriptionError[lang]);
   }
 
@@ -11688,7 +14297,6 @@ bot.action(/TASK_FIELD_(\d+)/, async (ctx) => {
     return ctx.reply(lang === "am" ? "ስራው ለመለጠፍ ጊዜው አልፎበታል" : "Draft expired.");
   }
 
-  const MAX_FIELDS = 7;
   const field = ALL_FIELDS[idx];
 
   // Add the field only if not already selected and we’re still under the cap
@@ -12096,30 +14704,102 @@ bot.action(/TASK_SKILL_(.+)/, async (ctx) => {
   draft.skillLevel = lvl;
   await draft.save();
 
-  if (ctx.session.taskFlow?.isEdit) {
-    await ctx.reply(lang === "am" ? "✅ የስልጠና ደረጃው ተስተካክሏል" : "✅ Skill level updated.");
-    const updatedDraft = await TaskDraft.findById(ctx.session.taskFlow.draftId);
-    const locked = await isEngagementLocked(ctx.from.id);
-    await ctx.reply(
-      buildPreviewText(updatedDraft, user),
-      Markup.inlineKeyboard([
-        [Markup.button.callback(lang === "am" ? "የስራው ዝርዝሮች ይስተካከል" : "Edit Task", "TASK_EDIT")],
-        [ locked
-          ? Markup.button.callback(lang === "am" ? "ስራው ይለጠፍ" : "Post Task", "_DISABLED_TASK_POST_CONFIRM")
-          : Markup.button.callback(lang === "am" ? "ስራው ይለጠፍ" : "Post Task", "TASK_POST_CONFIRM")
-        ]
-      ], { parse_mode: "Markdown" })
-    );
+  if (ctx.session.taskFlow?.isEdit) {
+    await ctx.reply(lang === "am" ? "✅ የስልጠና ደረጃው ተስተካክሏል" : "✅ Skill level updated.");
+    const updatedDraft = await TaskDraft.findById(ctx.session.taskFlow.draftId);
+    const locked = await isEngagementLocked(ctx.from.id);
+    await ctx.reply(
+      buildPreviewText(updatedDraft, user),
+      Markup.inlineKeyboard([
+        [Markup.button.callback(lang === "am" ? "የስራው ዝርዝሮች ይስተካከል" : "Edit Task", "TASK_EDIT")],
+        [ locked
+          ? Markup.button.callback(lang === "am" ? "ስራው ይለጠፍ" : "Post Task", "_DISABLED_TASK_POST_CONFIRM")
+          : Markup.button.callback(lang === "am" ? "ስራው ይለጠፍ" : "Post Task", "TASK_POST_CONFIRM")
+        ]
+      ], { parse_mode: "Markdown" })
+    );
+
+    ctx.session.taskFlow = null;
+    return;
+  }
+
+  // Ensure taskFlow exists in session
+  ctx.session.taskFlow = ctx.session.taskFlow || {};
+  return askTaskCurrency(ctx, lang, draft);
+});
+
+function currencyButtonLabel(currency, lang) {
+  const unit = currencyUnit(currency, lang);
+  return unit === currency ? currency : `${currency} · ${unit}`;
+}
+
+// Currency step between skill level and fee; skipped while the fee rules offer a single currency
+async function askTaskCurrency(ctx, lang, draft) {
+  const currencies = pricingCurrencies(await getActiveFeeRules());
+  if (currencies.length <= 1) {
+    const only = currencies[0] || "ETB";
+    if (draft.currency !== only) {
+      draft.currency = only;
+      await draft.save();
+    }
+    return askPaymentFeeFor(ctx, lang, draft);
+  }
+
+  ctx.session.taskFlow.step = "currency";
+  return ctx.reply(
+    TEXT.askTaskCurrency[lang],
+    Markup.inlineKeyboard(currencies.map(c => [
+      Markup.button.callback(currencyButtonLabel(c, lang), `TASK_CURRENCY_${c}`)
+    ]))
+  );
+}
+
+async function askPaymentFeeFor(ctx, lang, draft) {
+  const currency = normalizeCurrency(draft.currency);
+  ctx.session.taskFlow.step = "paymentFee";
+  return ctx.reply(TEXT.askPaymentFee[lang](feeLimitsFor(await getActiveFeeRules(), currency).min, currency));
+}
+
+bot.action(/^TASK_CURRENCY_([A-Z]{3})$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const currency = ctx.match[1];
+  const user = await User.findOne({ telegramId: ctx.from.id });
+  if (!user) return ctx.reply("User not found.");
+
+  const lang = user.language || "en";
+  const draft = await TaskDraft.findOne({ creatorTelegramId: ctx.from.id });
+  if (!draft) return ctx.reply(lang === "am" ? "ስራውን ለመለጠፍ ጊዜው አልፎበታል" : "Draft expired.");
+
+  ctx.session.taskFlow = ctx.session.taskFlow || {};
+  const currencies = pricingCurrencies(await getActiveFeeRules());
+  if (!currencies.includes(currency)) {
+    await ctx.reply(TEXT.currencyNotOffered[lang]);
+    return askTaskCurrency(ctx, lang, draft);
+  }
+
+  // Highlight selected button and disable all
+  try {
+    await ctx.editMessageReplyMarkup({
+      inline_keyboard: currencies.map(c => [
+        Markup.button.callback(
+          c === currency ? `✔ ${currencyButtonLabel(c, lang)}` : currencyButtonLabel(c, lang),
+          `_DISABLED_TASK_CURRENCY_${c}`
+        )
+      ])
+    });
+  } catch (_) {}
 
-    ctx.session.taskFlow = null;
-    return;
+  // Fee and penalty were entered in the old currency: ask the fee again, and in edit mode
+  // the penalty right after it (handlePaymentFee), before showing the preview
+  if (ctx.session.taskFlow.isEdit && draft.currency !== currency && draft.penaltyPerHour != null) {
+    draft.penaltyPerHour = null;
+    ctx.session.taskFlow.penaltyAfterFee = true;
   }
+  draft.currency = currency;
+  await draft.save();
 
-  // Ensure taskFlow exists in session
-  ctx.session.taskFlow = ctx.session.taskFlow || {};
-  ctx.session.taskFlow.step = "paymentFee";
-  
-  return ctx.reply(TEXT.askPaymentFee[lang]);
+  ctx.session.taskFlow.draftId = ctx.session.taskFlow.draftId || draft._id.toString();
+  return askPaymentFeeFor(ctx, lang, draft);
 });
 
 
@@ -12135,23 +14815,29 @@ async function handlePaymentFee(ctx, draft) {
 
   const val = parseInt(text, 10);
 
-  // 2) minimum 50 birr
-  if (val < 50) {
-    return ctx.reply(TEXT.paymentFeeErrorMin[lang]);
+  // 2) fee limits of the active fee rules for the draft's currency (50 birr minimum by default)
+  const currency = normalizeCurrency(draft.currency);
+  const limits = feeLimitsFor(await getActiveFeeRules(), currency);
+  if (!limits) {
+    // The currency was taken out of the fee rules while this draft was open
+    await ctx.reply(TEXT.currencyNotOffered[lang]);
+    return askTaskCurrency(ctx, lang, draft);
   }
-  
 
-  // 3) NEW RULE (only when editing):
-  //    paymentFee must be ≥ 5 * penaltyPerHour
-  if (
-    ctx.session.taskFlow?.isEdit &&
-    typeof draft.penaltyPerHour === "number" &&
-    draft.penaltyPerHour > 0
-  ) {
-    const minAllowed = draft.penaltyPerHour * 5;
-    if (val < minAllowed) {
-      return ctx.reply(TEXT.paymentFeeErrorRelativePenalty[lang]);
-    }
+  // …checked together with 3) NEW RULE (only when editing):
+  //    paymentFee must be ≥ 5 * penaltyPerHour (tasks/draftRules.js)
+  const feeError = checkPaymentFee(val, {
+    limits,
+    penaltyPerHour: ctx.session.taskFlow?.isEdit ? draft.penaltyPerHour : null
+  });
+  if (feeError === "fee_below_min") {
+    return ctx.reply(TEXT.paymentFeeErrorMin[lang](limits.min, currency));
+  }
+  if (feeError === "fee_above_max") {
+    return ctx.reply(TEXT.paymentFeeErrorMax[lang](limits.max, currency));
+  }
+  if (feeError === "fee_below_penalty") {
+    return ctx.reply(TEXT.paymentFeeErrorRelativePenalty[lang]);
   }
 
   // If all checks pass, save and continue exactly as before
@@ -12163,6 +14849,11 @@ async function handlePaymentFee(ctx, draft) {
       ? "✅ የክፍያው መጠን ተስተካክሏል "
       : "✅ Payment fee updated."
     );
+    if (ctx.session.taskFlow.penaltyAfterFee) {
+      delete ctx.session.taskFlow.penaltyAfterFee;
+      ctx.session.taskFlow.step = "penaltyPerHour";
+      return ctx.reply(TEXT.askPenaltyPerHour[lang](draft.currency));
+    }
     const updatedDraft = await TaskDraft.findById(ctx.session.taskFlow.draftId);
     const userAgain = await User.findOne({ telegramId: ctx.from.id });
     const locked = await isEngagementLocked(ctx.from.id);
@@ -12199,22 +14890,17 @@ async function handleTimeToComplete(ctx, draft) {
 
   const hrs = parseInt(text, 10);
 
-  // 2) basic range check
-  if (hrs <= 0 || hrs > 120) {
-    return ctx.reply(TEXT.timeToCompleteError[lang]); 
-  }
-
+  // 2) basic range check (1–120), and
   // 3) NEW RULE (only when editing):
   //    timeToComplete must be ≥ 2 * revisionTime
-  if (
-    ctx.session.taskFlow?.isEdit &&
-    typeof draft.revisionTime === "number" &&
-    draft.revisionTime > 0
-  ) {
-    const minAllowed = 2 * draft.revisionTime;
-    if (hrs < minAllowed) {
-      return ctx.reply(TEXT.timeToCompleteErrorRelativeRevision[lang]);
-    }
+  const timeError = checkTimeToComplete(hrs, {
+    revisionTime: ctx.session.taskFlow?.isEdit ? draft.revisionTime : null
+  });
+  if (timeError === "time_range") {
+    return ctx.reply(TEXT.timeToCompleteError[lang]); 
+  }
+  if (timeError === "time_below_revision") {
+    return ctx.reply(TEXT.timeToCompleteErrorRelativeRevision[lang]);
   }
 
   // If all checks pass, save & continue as before
@@ -12264,12 +14950,12 @@ async function handleRevisionTime(ctx, draft) {
   }
 
   // NEW RULE: minimum 0.1 hours (6 minutes)
-  if (revHours < 0.1) {
+  // Existing rule: cannot exceed half of timeToComplete
+  const revisionError = checkRevisionTime(revHours, { timeToComplete: draft.timeToComplete });
+  if (revisionError === "revision_min") {
     return ctx.reply(TEXT.revisionTimeMinError[lang]);
   }
-
-  // Existing rule: cannot exceed half of timeToComplete
-  if (revHours > draft.timeToComplete / 2) {
+  if (revisionError) {
     return ctx.reply(TEXT.revisionTimeError[lang]);
   }
 
@@ -12298,7 +14984,7 @@ async function handleRevisionTime(ctx, draft) {
 
   // Move on to next step
   ctx.session.taskFlow.step = "penaltyPerHour";
-  return ctx.reply(TEXT.askPenaltyPerHour[lang]);
+  return ctx.reply(TEXT.askPenaltyPerHour[lang](draft.currency));
 }
 
 async function handlePenaltyPerHour(ctx, draft) {
@@ -12318,13 +15004,13 @@ async function handlePenaltyPerHour(ctx, draft) {
     return ctx.reply(TEXT.negativeError[lang]);
   }
 
-  // NEW RULE: minimum 1 birr per hour
-  if (pen < 1) {
-    return ctx.reply(TEXT.penaltyPerHourMinError[lang]);
-  }
-
+  // NEW RULE: minimum 1 per hour (in the draft's currency)
   // Existing rule: cannot exceed 20% of payment fee
-  if (draft.paymentFee != null && pen > 0.2 * draft.paymentFee) {
+  const penaltyError = checkPenaltyPerHour(pen, { paymentFee: draft.paymentFee });
+  if (penaltyError === "penalty_min") {
+    return ctx.reply(TEXT.penaltyPerHourMinError[lang](draft.currency));
+  }
+  if (penaltyError === "penalty_max") {
     return ctx.reply(TEXT.penaltyPerHourError[lang]); // Use translation
   }
 
@@ -12364,7 +15050,7 @@ async function handleExpiryHours(ctx, draft) {
     return ctx.reply(TEXT.digitsOnlyError[lang]); // Now using translated version
   }
   const hrs = parseInt(text,10);
-  if (hrs < 1 || hrs > 24) {
+  if (checkExpiryHours(hrs)) {
     return ctx.reply(TEXT.expiryHoursError[lang]); // Use translation
   }
   draft.expiryHours = hrs;
@@ -12420,7 +15106,7 @@ async function handleExpiryHours(ctx, draft) {
 
 
 async function updateAdminProfilePost(ctx, user, adminMessageId) {
-  const ADMIN_CHANNEL = "-1002310380363"; // Make sure this is correct
+  const ADMIN_CHANNEL = CONFIG.ADMIN_PROFILE_CHANNEL_ID;
   const messageId = adminMessageId || user.adminMessageId;
 
   // Build the text + buttons once
@@ -12438,6 +15124,9 @@ async function updateAdminProfilePost(ctx, user, adminMessageId) {
       Markup.button.callback("Punishment", `ADMIN_PUNISH_${user._id.toString()}`),
       Markup.button.callback("Status", `ADMIN_STATUS_${user._id.toString()}`),
     ],
+    [
+      Markup.button.callback("🔓 Reveal Contact", `ADMIN_REVEAL_${user._id.toString()}`),
+    ],
   ]);
 
   // If we don't have a stored message id yet, send a new profile post
@@ -12747,6 +15436,24 @@ bot.action("EDIT_skillLevel", async (ctx) => {
   );
 });
 
+bot.action("EDIT_currency", async (ctx) => {
+  await ctx.answerCbQuery();
+  try { await ctx.deleteMessage(); } catch (_) {}
+  const draft = await TaskDraft.findOne({ creatorTelegramId: ctx.from.id });
+  if (!draft) {
+    const user = await User.findOne({ telegramId: ctx.from.id });
+    const lang = user?.language || "en";
+    return ctx.reply(lang === "am" ? "❌ ስራውን ለመለጠፍ ጊዜ አልፎበታል። እባክዎ ከነደገና ሌላ ይጀምሩ።" : "❌ Draft expired. Please click Post a Task again.");
+  }
+  ctx.session.taskFlow = {
+    step: "currency",
+    draftId: draft._id.toString(),
+    isEdit: true
+  };
+  const user = await User.findOne({ telegramId: ctx.from.id });
+  const lang = user?.language || "en";
+  return askTaskCurrency(ctx, lang, draft);
+});
 bot.action("EDIT_paymentFee", async (ctx) => {
   await ctx.answerCbQuery();
   try { await ctx.deleteMessage(); } catch (_) {}
@@ -12763,7 +15470,7 @@ bot.action("EDIT_paymentFee", async (ctx) => {
   };
   const user = await User.findOne({ telegramId: ctx.from.id });
   const lang = user?.language || "en";
-  return ctx.reply(TEXT.askPaymentFee[lang]);
+  return askPaymentFeeFor(ctx, lang, draft);
 });
 bot.action("EDIT_timeToComplete", async (ctx) => {
   await ctx.answerCbQuery();
@@ -12817,7 +15524,7 @@ bot.action("EDIT_penaltyPerHour", async (ctx) => {
   };
   const user = await User.findOne({ telegramId: ctx.from.id });
   const lang = user?.language || "en";
-  return ctx.reply(TEXT.askPenaltyPerHour[lang]);
+  return ctx.reply(TEXT.askPenaltyPerHour[lang](draft.currency));
 });
 bot.action("EDIT_expiryHours", async (ctx) => {
   await ctx.answerCbQuery();
@@ -12898,10 +15605,11 @@ bot.action("TASK_POST_CONFIRM", async (ctx) => {
   // ───────────── ESCROW FUNDING BEFORE POSTING (FULL BLOCK) ─────────────
   try {
     // Load fresh copies we already have in scope
-    const amountBirr = Number(draft.paymentFee || 0);
-    const currency = (process.env.CHAPA_CURRENCY || "ETB").toUpperCase();
+    const amountBirr = Number(draft.paymentFee || 0);   // in the draft's currency
+    const currency = normalizeCurrency(draft.currency);
+    const limits = feeLimitsFor(await getActiveFeeRules(), currency);
 
-    // Validate amount (you already enforce >=50 birr upstream; keep this sanity guard)
+    // Validate amount (you already enforce the currency's minimum upstream; keep this sanity guard)
     if (!Number.isFinite(amountBirr) || amountBirr <= 0) {
       await ctx.answerCbQuery(
         user.language === "am"
@@ -12920,28 +15628,55 @@ bot.action("TASK_POST_CONFIRM", async (ctx) => {
     }).lean();
 
     if (!alreadyPaid) {
+      // The fee must still fit the currency's limits (the fee rules may have changed since it was entered)
+      if (!limits || amountBirr < limits.min || (limits.max != null && amountBirr > limits.max)) {
+        try {
+          await ctx.editMessageReplyMarkup({
+            inline_keyboard: [
+              [Markup.button.callback(user.language === "am" ? "የስራው ዝርዝሮች ይስተካከል" : "Edit Task", "TASK_EDIT")],
+              [Markup.button.callback(user.language === "am" ? "ስራው ይለጠፍ" : "Post Task", "TASK_POST_CONFIRM")]
+            ]
+          });
+        } catch (_) {}
+
+        const lang = user.language || "en";
+        await ctx.answerCbQuery(
+          !limits
+            ? TEXT.currencyNotOffered[lang]
+            : amountBirr < limits.min
+              ? TEXT.paymentFeeErrorMin[lang](limits.min, currency)
+              : TEXT.paymentFeeErrorMax[lang](limits.max, currency),
+          { show_alert: true }
+        );
+        return;
+      }
+
+      // Wallet covers the fee: offer it next to the normal checkout (whichever is used first posts the task)
+      const wallet = await getWallet(user._id);
+      if (currency === "ETB" && wallet && wallet.balance >= amountBirr) {
+        const lang = user.language || "en";
+        await ctx.reply(
+          TEXT.walletPayEscrowOffer[lang](round2(wallet.balance), amountBirr),
+          Markup.inlineKeyboard([[Markup.button.callback(TEXT.walletPayEscrowBtn[lang](amountBirr), `ESCROW_FROM_WALLET_${draft._id}`)]])
+        );
+      }
+
+      // Telegram Stars, for creators who can't pay through Chapa (only when the rules price the currency in Stars)
+      const stars = starsFor(await getActiveFeeRules(), amountBirr, currency);
+      if (stars) {
+        const lang = user.language || "en";
+        await ctx.reply(
+          TEXT.starsPayEscrowOffer[lang](formatMoney(amountBirr, currency, lang), stars),
+          Markup.inlineKeyboard([[Markup.button.callback(TEXT.starsPayEscrowBtn[lang](stars), `ESCROW_STARS_${draft._id}`)]])
+        );
+      }
+
       // Decide the collection path: hosted checkout (Chapa link) OR Telegram invoice
       // Turn on hosted by setting USE_CHAPA_HOSTED_FOR_ESCROW=true in .env
       if (typeof USE_CHAPA_HOSTED_FOR_ESCROW !== "undefined" && USE_CHAPA_HOSTED_FOR_ESCROW) {
         // === Path A: Chapa Hosted Checkout (best for local rails like Telebirr, banks) ===
-        const txRef = `escrow_${draft._id}_${Date.now()}`;
-
-        // Create a pending PaymentIntent upfront (we refund by tx_ref later if needed)
-        const intent = await PaymentIntent.create({
-          user: user._id,
-          draft: draft._id,
-          amount: amountBirr,
-          currency,
-          status: "pending",
-          provider: "chapa_hosted",
-          payload: txRef,    // reuse payload as a unique link key
-          chapaTxRef: txRef
-        });
-
-        // Initialize the hosted checkout (helper defined earlier in this file)
-        const { checkout_url } = await chapaInitializeEscrow({
-          amountBirr, currency, txRef, user
-        });
+        // Pending intent + hosted checkout (helper defined earlier in this file)
+        const { checkoutUrl: checkout_url } = await createHostedEscrowCheckout({ user, draft });
 
         // Show the pay link + a “I’ve paid” verify button
         await ctx.reply(
@@ -12964,7 +15699,7 @@ bot.action("TASK_POST_CONFIRM", async (ctx) => {
 
       // === Path B: Telegram Invoice (Chapa provider token) — fallback ===
       // Telegram enforces a per-currency minimum; we apply a safe floor to avoid errors.
-      const floorBirr = TG_MIN_BY_CURRENCY[currency] ?? 135; // see constant at top of file
+      const floorBirr = limits.telegramInvoiceMin ?? (currency === "ETB" ? 135 : 0);
       if (amountBirr < floorBirr) {
         // Re-enable the two preview buttons so they can edit or try again
         try {
@@ -12978,8 +15713,8 @@ bot.action("TASK_POST_CONFIRM", async (ctx) => {
 
         await ctx.answerCbQuery(
           user.language === "am"
-            ? `⚠️ Telegram ዝቅተኛው ${floorBirr} ብር ነው። እባክዎ ክፍያውን ያስተካክሉ።`
-            : `⚠️ Telegram requires at least ${floorBirr} birr for this currency.`,
+            ? `⚠️ Telegram ዝቅተኛው ${formatMoney(floorBirr, currency, "am")} ነው። እባክዎ ክፍያውን ያስተካክሉ።`
+            : `⚠️ Telegram requires at least ${formatMoney(floorBirr, currency)} for this currency.`,
           { show_alert: true }
         );
         return;
@@ -12998,7 +15733,7 @@ bot.action("TASK_POST_CONFIRM", async (ctx) => {
         payload
       });
 
-      const minor = Math.round(amountBirr * 100); // ETB has 2 decimals
+      const minor = Math.round(amountBirr * 100); // ETB and USD both have 2 decimals
       const normalizedPhoneForInvoice = normalizeEtPhone(
         process.env.CHAPA_TEST_PHONE || user.phone
       );
@@ -13073,6 +15808,7 @@ bot.action("TASK_POST_CONFIRM", async (ctx) => {
     fields: draft.fields,
     skillLevel: draft.skillLevel,
     paymentFee: draft.paymentFee,
+    currency: normalizeCurrency(draft.currency),
     timeToComplete: draft.timeToComplete,
     revisionTime: draft.revisionTime,
     latePenalty: draft.penaltyPerHour,
@@ -13080,13 +15816,23 @@ bot.action("TASK_POST_CONFIRM", async (ctx) => {
     exchangeStrategy: draft.exchangeStrategy || "100%",
     status: "Open",
     applicants: [],
-    stages: [],
+    stages: buildStagesForStrategy(draft.exchangeStrategy),
+    feeRuleVersion: (await getActiveFeeRules()).version,
     postedAt: now,
     reminderSent: false
   });
+  await recordTaskEvent(task._id, "posted", {
+    actor: task.creator,
+    data: { paymentFee: task.paymentFee, currency: task.currency, exchangeStrategy: task.exchangeStrategy }
+  });
+  const fundingIntent = await PaymentIntent.findOne({ user: user._id, draft: draft._id, status: "paid" });
+  if (fundingIntent && !fundingIntent.task) {
+    await PaymentIntent.updateOne({ _id: fundingIntent._id }, { $set: { task: task._id } });
+  }
+  await postEscrowFunded({ task, intent: fundingIntent });
 
   // Post to channel
-  const channelId = process.env.CHANNEL_ID || "-1002557660183";
+  const channelId = CONFIG.CHANNEL_ID;
   const preview = buildChannelPostText(draft, me);
   
   const keyboard = Markup.inlineKeyboard([
@@ -13130,42 +15876,8 @@ bot.action("TASK_POST_CONFIRM", async (ctx) => {
     );
   }
 
-  // Schedule the 85% reminder
-  const totalTimeMs = task.expiry - task.postedAt;
-  const reminderTime = new Date(task.postedAt.getTime() + (totalTimeMs * 0.85));
-  
-  if (reminderTime > now) {
-    setTimeout(async () => {
-      try {
-        const updatedTask = await Task.findById(task._id).populate("applicants.user");
-        if (!updatedTask || updatedTask.status !== "Open" || updatedTask.reminderSent) return;
-        
-        const hasAcceptedApplicant = updatedTask.applicants.some(app => app.status === "Accepted");
-        if (hasAcceptedApplicant) return;
-        
-        const creator = await User.findById(updatedTask.creator);
-        if (!creator) return;
-
-        const lang = creator.language || "en";
-        const timeLeftMs = updatedTask.expiry - new Date();
-        const hoursLeft = Math.floor(timeLeftMs / (1000 * 60 * 60));
-        const minutesLeft = Math.floor((timeLeftMs % (1000 * 60 * 60)) / (1000 * 60));
-
-        const message = lang === "am" 
-          ? `⏰ ማሳሰቢያ፡ የስራው ጊዜ ሊያልቅ ነው!\n\n` +
-            `ለስራው የቀረው ጊዜ፡ ${hoursLeft} ሰዓት ከ${minutesLeft} ደቂቃ\n\n`+ `አመልካቾችን ለመቀበል የቀረዎት ጊዜ በጣም አጭር ነው። እባክዎ (አመልካቾች ካሉ) በፍጥነት ይምረጡ።` 
-          : `⏰ Reminder: Your task time is running out!\n\n` +
-            `Time remaining for your task: ${hoursLeft} hours and ${minutesLeft} minutes\n\n` +
-            `You have very little time left to accept applicants. Please select an applicant soon(if there are any).`;
-
-        await ctx.telegram.sendMessage(creator.telegramId, message);
-        updatedTask.reminderSent = true;
-        await updatedTask.save();
-      } catch (err) {
-        console.error("Error sending reminder:", err);
-      }
-    }, reminderTime - now);
-  }
+  // Schedule the 85% reminder, the doer halfway reminder and the expiry
+  await scheduleTaskTimers(task);
 
   // Delete the draft
   await TaskDraft.findByIdAndDelete(draft._id);
@@ -13197,19 +15909,10 @@ bot.action(/^HOSTED_VERIFY:([a-zA-Z0-9_-]+):([a-f0-9]{24})$/, async (ctx) => {
       return ctx.answerCbQuery("User not found.", { show_alert: true });
     }
 
-    // Verify payment with Chapa (hosted checkout)
-    const verifyResp = await fetch(
-      `https://api.chapa.co/v1/transaction/verify/${encodeURIComponent(txRef)}`,
-      {
-        headers: { Authorization: `Bearer ${process.env.CHAPA_SECRET_KEY}` },
-      }
-    );
-    const verifyData = await verifyResp.json().catch(() => null);
-
-    // ✅ FIX: Only treat as paid if the nested transaction status is "success"
-    const txStatus = String(verifyData?.data?.status || "").toLowerCase();
+    // Verify payment with the provider (hosted checkout); ok only when the transaction status is "success"
+    const verified = await verifyPayment(txRef);
 
-    if (!verifyResp.ok || txStatus !== "success") {
+    if (!verified.ok) {
       return ctx.answerCbQuery(
         me.language === "am"
           ? "የፈጸሙት ክፍያ እስካሁን አልደረሰንም። እባክዎ የክፍያውን ሂደት ማጠናቀቅዎን ያረጋግጡ።"
@@ -13229,7 +15932,7 @@ bot.action(/^HOSTED_VERIFY:([a-zA-Z0-9_-]+):([a-f0-9]{24})$/, async (ctx) => {
         paidAt: new Date(),
         provider: "chapa_hosted",
         amount: undefined, // optional; can be filled later from draft if needed
-        currency: process.env.CHAPA_CURRENCY || "ETB"
+        currency: normalizeCurrency((await TaskDraft.findById(draftId).select("currency").lean())?.currency)
       });
     } else if (intent.status !== "paid") {
       intent.status = "paid";
@@ -13338,6 +16041,15 @@ bot.action(/^HOSTED_VERIFY:([a-zA-Z0-9_-]+):([a-f0-9]{24})$/, async (ctx) => {
 
 // Required by Telegram payments: approve the checkout
 bot.on('pre_checkout_query', async (ctx) => {
+  const q = ctx.preCheckoutQuery;
+  if (q?.currency === "XTR") {
+    // Stars can only go back to the payer in full, so don't take them for a session that's gone
+    const intent = await PaymentIntent.findOne({ payload: q.invoice_payload, provider: "telegram_stars" }).lean();
+    const me = await User.findOne({ telegramId: ctx.from.id }).select("_id language").lean();
+    if (!intent || !me || String(intent.user) !== String(me._id) || intent.status !== "pending" || intent.stars !== q.total_amount) {
+      return ctx.answerPreCheckoutQuery(false, TEXT.starsInvoiceExpired[me?.language || "en"]);
+    }
+  }
   await ctx.answerPreCheckoutQuery(true); // accept
 });
 
@@ -13367,16 +16079,19 @@ bot.on('successful_payment', async (ctx) => {
       }
     }
 
-    // Mark PaymentIntent as paid (idempotent)
+    // Mark PaymentIntent as paid (idempotent). A Stars intent keeps the task currency as its
+    // amount/currency and records the Stars charge separately (it is what refunds need).
+    const paidFields = sp.currency === "XTR"
+      ? { stars: sp.total_amount, telegramChargeId: sp.telegram_payment_charge_id }
+      : { currency: sp.currency, provider_payment_charge_id: sp.provider_payment_charge_id };
     const intent = await PaymentIntent.findOneAndUpdate(
       { user: me._id, draft: draftId, payload },
       {
         $set: {
           status: "paid",
           paidAt: new Date(),
-          currency: sp.currency,
           minorTotal: sp.total_amount,
-          provider_payment_charge_id: sp.provider_payment_charge_id
+          ...paidFields
         }
       },
       { new: true }
@@ -13530,9 +16245,20 @@ bot.action(/^CANCEL_TASK_(.+)$/, async (ctx) => {
     );
   }
 
-  // Update task status to Canceled
+  // Update task status to Canceled (still no accepted applicant at write time)
+  const canceled = await transitionTask(task._id, "Canceled", {
+    from: ["Open"],
+    filter: { "applicants.status": { $ne: "Accepted" } },
+    set: { canceledAt: new Date() },
+    reason: "creator canceled"
+  });
+  if (!canceled) {
+    return ctx.reply(lang === "am" 
+      ? "❌ ይህን ስራ መሰረዝ አይችሉም፤ አመልካች ተቀብለዋል ወይም የስራው ጊዜ አልፎበታል" 
+      : "❌ Task cannot be canceled - you've already accepted an applicant or it's expired"
+    );
+  }
   task.status = "Canceled";
-  await task.save();
   // ── NEW: refund escrow to creator on allowed cancel ──────────────────────────
   try {
     // Find the escrow we linked to this task
@@ -13676,8 +16402,8 @@ function buildAdminProfileText(user) {
     ? [
         `📋 **መግለጫ ፕሮፋይል ለአስተዳደር ማረጋገጫ** (User ID: ${user._id})`, // Added user ID
         `• ሙሉ ስም: ${user.fullName}`,
-        `• ስልክ: ${user.phone}`,
-        `• ኢሜይል: ${user.email}`,
+        `• ስልክ: ${maskValue(user.phone)}`,
+        `• ኢሜይል: ${maskEmail(user.email)}`,
         `• ተጠቃሚ ስም: @${user.username}`,
         `• የስራ ልምድ(ዕውቀት):\n${skillsList}`,
         `• ቋንቋ: ${user.language === "am" ? "አማርኛ" : "English"}`,
@@ -13693,8 +16419,8 @@ function buildAdminProfileText(user) {
     : [
         `📋 **Profile Post for Approval** (User ID: ${user._id})`, // Added user ID
         `• Full Name: ${user.fullName}`,
-        `• Phone: ${user.phone}`,
-        `• Email: ${user.email}`,
+        `• Phone: ${maskValue(user.phone)}`,
+        `• Email: ${maskEmail(user.email)}`,
         `• Username: @${user.username}`,
         `• Skill fields:\n${skillsList}`,
         `• Language: ${user.language === "am" ? "Amharic" : "English"}`,
@@ -14094,7 +16820,7 @@ bot.action("EDIT_BANKS", async (ctx) => {
   // Create buttons for each bank entry - each in its own row
   const bankButtons = user.bankDetails.map((bank, index) => {
     return [Markup.button.callback(
-      `${index + 1}. ${bank.bankName} (${bank.accountNumber})`, 
+      `${index + 1}. ${describeDestination(bank, user.language)}`, 
       `EDIT_BANK_${index}`
     )];
   });
@@ -14148,7 +16874,7 @@ bot.action(/EDIT_BANK_(\d+)/, async (ctx) => {
   // Create buttons for each bank entry with the selected one highlighted
   const bankButtons = user.bankDetails.map((bank, i) => {
     return [Markup.button.callback(
-      i === index ? `✔ ${i + 1}. ${bank.bankName} (${bank.accountNumber})` : `${i + 1}. ${bank.bankName} (${bank.accountNumber})`,
+      i === index ? `✔ ${i + 1}. ${describeDestination(bank, user.language)}` : `${i + 1}. ${describeDestination(bank, user.language)}`,
       "_DISABLED_EDIT_BANK"
     )];
   });
@@ -14180,8 +16906,8 @@ bot.action(/EDIT_BANK_(\d+)/, async (ctx) => {
   }
   return ctx.reply(
     user.language === "am" 
-      ? "እባክዎ አዲሱን የባንክ መግለጫ በ `BankName,AccountNumber` ቅጥ ይጻፉ።" 
-      : "Please type the new bank entry in `BankName,AccountNumber` format."
+      ? "እባክዎ አዲሱን የባንክ መግለጫ በ `BankName,AccountNumber` (ወይም `telebirr,09XXXXXXXX` / `M-Pesa,07XXXXXXXX`) ቅጥ ይጻፉ።" 
+      : "Please type the new bank entry in `BankName,AccountNumber` (or `telebirr,09XXXXXXXX` / `M-Pesa,07XXXXXXXX`) format."
   );
 });
 // Add handler for adding new bank
@@ -14207,7 +16933,7 @@ bot.action("ADD_BANK", async (ctx) => {
   
   const bankButtons = user.bankDetails.map((bank, index) => {
     return [Markup.button.callback(
-      `${index + 1}. ${bank.bankName} (${bank.accountNumber})`,
+      `${index + 1}. ${describeDestination(bank, user.language)}`,
       "_DISABLED_BANK_ENTRY"
     )];
   });
@@ -14269,7 +16995,7 @@ bot.action(/REMOVE_BANK_(\d+)/, async (ctx) => {
   // Create buttons for each remaining bank entry - all disabled
   const bankButtons = user.bankDetails.map((bank, i) => {
     return [Markup.button.callback(
-      `${i + 1}. ${bank.bankName} (${bank.accountNumber})`, 
+      `${i + 1}. ${describeDestination(bank, user.language)}`, 
       "_DISABLED_BANK_ENTRY"
     )];
   });
@@ -14485,7 +17211,7 @@ bot.action("REMOVE_BANK", async (ctx) => {
   // Create buttons for each bank entry with remove option
   const removeButtons = user.bankDetails.map((bank, index) => {
     return [Markup.button.callback(
-      `${index + 1}. ${bank.bankName} (${bank.accountNumber})`, 
+      `${index + 1}. ${describeDestination(bank, user.language)}`, 
       `REMOVE_BANK_${index}`
     )];
   });
@@ -14540,7 +17266,7 @@ bot.action("BANK_REMOVE_CANCEL", async (ctx) => {
   // Return to bank edit menu
   const bankButtons = user.bankDetails.map((bank, index) => {
     return [Markup.button.callback(
-      `${index + 1}. ${bank.bankName} (${bank.accountNumber})`, 
+      `${index + 1}. ${describeDestination(bank, user.language)}`, 
       `EDIT_BANK_${index}`
     )];
   });
@@ -14568,7 +17294,7 @@ bot.action("BANK_REMOVE_BACK", async (ctx) => {
   // Create buttons for each bank entry
   const bankButtons = user.bankDetails.map((bank, index) => {
     return [Markup.button.callback(
-      `${index + 1}. ${bank.bankName} (${bank.accountNumber})`, 
+      `${index + 1}. ${describeDestination(bank, user.language)}`, 
       `EDIT_BANK_${index}`
     )];
   });
@@ -14620,8 +17346,8 @@ bot.action("FIND_TASK", async (ctx) => {
   });
 
 
-  // Get the channel ID from environment variables or use a default
-  const channelId = process.env.CHANNEL_ID || "-1002557660183"; // Replace with your actual channel ID
+  // Get the channel ID from the config
+  const channelId = CONFIG.CHANNEL_ID;
   const channelUsername = process.env.CHANNEL_USERNAME || "taskifayremote"; // Replace with your channel username if available
 
   try {
@@ -14629,7 +17355,7 @@ bot.action("FIND_TASK", async (ctx) => {
     const channelLink =
       channelUsername 
         ? `https://t.me/${channelUsername}`
-        : `https://t.me/c/${channelId.replace('-100', '')}`;
+        : `https://t.me/c/${String(channelId).replace('-100', '')}`;
     
     // Send message with the channel link
     return ctx.reply(
@@ -14658,7 +17384,7 @@ bot.action(/^HV:([a-f0-9]{24})$/, async (ctx) => {
     if (!intent) { return ctx.reply("❌ Payment session not found. Please try again."); }
 
     // Verify with Chapa (hosted checkout)
-    const ok = await verifyChapaTxRef(intent.chapaTxRef);
+    const ok = await isPaymentVerified(intent.chapaTxRef);
     if (!ok) {
       // Try to detect the language (Amharic vs English)
       const langCode = (ctx.from && ctx.from.language_code) || "en";
@@ -14777,6 +17503,146 @@ bot.action(/^HV:([a-f0-9]{24})$/, async (ctx) => {
   }
 });
 
+// Fund a draft's escrow from the creator's wallet instead of a checkout
+bot.action(/^ESCROW_FROM_WALLET_([a-f0-9]{24})$/, async (ctx) => {
+  try {
+    await ctx.answerCbQuery();
+    const me = await User.findOne({ telegramId: ctx.from.id });
+    if (!me) return;
+    const lang = me.language || "en";
+
+    const draft = await TaskDraft.findOne({ _id: ctx.match[1], creatorTelegramId: ctx.from.id });
+    if (!draft) {
+      return ctx.reply(lang === "am" ? "❌ ስራው ለመለጠፍ ጊዜው አልፎበታል። እባክዎ ከንደገና ሌላ ይጀምሩ።" : "❌ Draft expired. Please click Post a Task again.");
+    }
+    if (await PaymentIntent.exists({ user: me._id, draft: draft._id, status: "paid" })) return;
+
+    // Same checks the checkout paths run, but before any money moves so nothing needs refunding
+    const conflict = await hasEscrowConsumeConflict({ userId: me._id, currentDraftId: draft._id });
+    if (conflict.conflict) {
+      return ctx.reply(
+        lang === "am"
+          ? "በአሁን ሰዓት በሌላ ስራ ላይ ስለሆኑ፤ የያዙት ስራ ሙሉ ለሙሉ እስኪጠናቀቅ ድረስ አዲስ ስራ መለጠፍ አይችሉም።"
+          : "You're actively involved in a task right now, so you can't post a task until this one is fully sorted."
+      );
+    }
+
+    // The wallet holds birr; a draft switched to another currency after the offer can't use it
+    const currency = normalizeCurrency(draft.currency);
+    if (currency !== "ETB") return ctx.reply(TEXT.walletBirrOnly[lang]);
+
+    const amount = Number(draft.paymentFee || 0);
+    let intent;
+    try {
+      intent = await PaymentIntent.create({
+        user: me._id,
+        draft: draft._id,
+        amount,
+        currency,
+        status: "pending",
+        provider: "wallet",
+        payload: `wallet:${draft._id}`   // one wallet payment per draft
+      });
+    } catch (e) {
+      if (e?.code === 11000) return;   // double tap
+      throw e;
+    }
+
+    const debit = await debitWallet({
+      user: me._id,
+      amount,
+      key: `escrow_funding:${intent._id}`,
+      kind: "escrow_funding",
+      to: ACCOUNTS.unapplied,
+      reference: String(intent._id),
+      memo: "Task escrow paid from wallet"
+    });
+    if (!debit.ok) {
+      await PaymentIntent.updateOne({ _id: intent._id }, { $set: { status: "voided", voidedAt: new Date(), payload: `wallet:${draft._id}:void:${Date.now()}` } });
+      return ctx.reply(TEXT.walletInsufficient[lang]);
+    }
+
+    intent = await PaymentIntent.findByIdAndUpdate(intent._id, { $set: { status: "paid", paidAt: new Date() } }, { new: true });
+    // The checkout link / invoice sent alongside can no longer be used for this draft
+    await PaymentIntent.updateMany(
+      { user: me._id, draft: draft._id, status: "pending", _id: { $ne: intent._id } },
+      { $set: { status: "voided", voidedAt: new Date() } }
+    );
+
+    try {
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+    } catch (_) { }
+
+    await cancelRelatedFileDraftIfActive(ctx);
+    await postTaskFromPaidDraft({ ctx, me, draft, intent });
+  } catch (err) {
+    console.error("ESCROW_FROM_WALLET error:", err);
+  }
+});
+
+// Fund a draft's escrow with Telegram Stars (XTR invoice); successful_payment posts the task as usual
+bot.action(/^ESCROW_STARS_([a-f0-9]{24})$/, async (ctx) => {
+  let lang = "en";
+  try {
+    await ctx.answerCbQuery();
+    const me = await User.findOne({ telegramId: ctx.from.id });
+    if (!me) return;
+    lang = me.language || "en";
+
+    const draft = await TaskDraft.findOne({ _id: ctx.match[1], creatorTelegramId: ctx.from.id });
+    if (!draft) {
+      return ctx.reply(lang === "am" ? "❌ ስራው ለመለጠፍ ጊዜው አልፎበታል። እባክዎ ከንደገና ሌላ ይጀምሩ።" : "❌ Draft expired. Please click Post a Task again.");
+    }
+    if (await PaymentIntent.exists({ user: me._id, draft: draft._id, status: "paid" })) return;
+
+    const conflict = await hasEscrowConsumeConflict({ userId: me._id, currentDraftId: draft._id });
+    if (conflict.conflict) {
+      return ctx.reply(
+        lang === "am"
+          ? "በአሁን ሰዓት በሌላ ስራ ላይ ስለሆኑ፤ የያዙት ስራ ሙሉ ለሙሉ እስኪጠናቀቅ ድረስ አዲስ ስራ መለጠፍ አይችሉም።"
+          : "You're actively involved in a task right now, so you can't post a task until this one is fully sorted."
+      );
+    }
+
+    // Priced at tap time with the active rules; the intent pins the Stars amount pre_checkout checks
+    const amount = Number(draft.paymentFee || 0);
+    const currency = normalizeCurrency(draft.currency);
+    const stars = starsFor(await getActiveFeeRules(), amount, currency);
+    if (!stars) {
+      return ctx.reply(TEXT.starsInvoiceExpired[lang]);
+    }
+
+    const payload = `escrow:${draft._id.toString()}:${Date.now()}`;
+    await PaymentIntent.create({
+      user: me._id,
+      draft: draft._id,
+      amount,                 // task currency, like every other escrow intent
+      currency,
+      stars,
+      status: "pending",
+      provider: "telegram_stars",
+      payload
+    });
+
+    await ctx.replyWithInvoice({
+      title: lang === "am" ? "ኢስክሮ ፈንድ ያስገቡ" : "Fund Task Escrow",
+      description: lang === "am"
+        ? `ስራው እንዲለጠፍ የ${formatMoney(amount, currency, lang)} ክፍያውን በቴሌግራም ስታርስ ይክፈሉ።`
+        : `Pay the ${formatMoney(amount, currency)} task fee in Telegram Stars to post this task.`,
+      provider_token: "",     // Stars invoices take no provider token
+      currency: "XTR",
+      prices: [{ label: lang === "am" ? "የተግባሩ ክፍያ" : "Task fee", amount: stars }],
+      payload,
+      start_parameter: `fund_${draft._id}`
+    });
+  } catch (err) {
+    console.error("ESCROW_STARS error:", err);
+    try {
+      await ctx.reply(lang === "am" ? "⚠️ ክፍያ መጀመር አልተቻለም። እባክዎ ዳግም ይሞክሩ።" : "⚠️ Couldn’t start the payment. Please try again.");
+    } catch (_) {}
+  }
+});
+
 // Capture every message the winner sends while their work window is active.
 // We only store (chatId,messageId) so we can copyMessage later (preserves types/captions).
 bot.on('message', async (ctx, next) => {
@@ -14965,15 +17831,14 @@ bot.on('message', async (ctx, next) => {
 });
 
 // Handle pagination for bank list
-bot.action(/^PAYOUT_PAGE_([a-f0-9]{24})_(\d+)$/, async (ctx) => {
+bot.action(/^PAYOUT_PAGE_(task_payout_[a-f0-9]{24}(?:_s\d+)?)_(\d+)$/, async (ctx) => {
   await ctx.answerCbQuery();
-  const taskId = ctx.match[1];
+  const reference = ctx.match[1];
   const page = parseInt(ctx.match[2]);
-  const userId = ctx.from.id;
-  const pending = global.pendingPayouts?.[userId];
+  const pending = getPendingPayout(ctx, reference);
 
-  // Ensure there is a valid pending payout session for this task
-  if (!pending || String(pending.taskId) !== taskId) {
+  // Ensure this payout is still waiting for a bank
+  if (!pending) {
     return ctx.answerCbQuery("❌ Session expired. Please try again.");
   }
 
@@ -14986,11 +17851,12 @@ bot.action(/^PAYOUT_PAGE_([a-f0-9]{24})_(\d+)$/, async (ctx) => {
 
   // Build the keyboard for the requested page
   const keyboardMarkup = buildBankKeyboard(
-    taskId,
+    reference,
     pending.banks,
     page,
     pending.selectedBankId,
-    pending.language || "en"
+    pending.language || "en",
+    pending.currency
   );
 
   // Determine language and prompt text
@@ -15018,30 +17884,180 @@ bot.action(/^PAYOUT_PAGE_([a-f0-9]{24})_(\d+)$/, async (ctx) => {
         ? "ባንኮች አልተገኙም።"
         : "No banks available.";
   }
-  
-  // ✅ NEW: append late-penalty notice to whatever promptText became
-  const latePenalty = Number(pending.latePenaltyBirr || 0);
-  const penaltyLine =
-    latePenalty > 0
-      ? (lang === "am"
-          ? `\n\n⚠️ ስራውን ያስረከቡት ዘግይተው ስለሆነ፤ ከTaskifay እና Chapa ኮሚሽን በተጨማሪ አጠቃላይ የ*${latePenalty} ብር* ቅጣት ከክፍያዎ ላይ ተቀናሽ ይደረጋል።`
-          : `\n\n⚠️ Because you submitted late, in addition to Taskifay + Chapa commission, a total penalty of *${latePenalty} birr* will be deducted from your task fee.`)
-      : "";
+  
+  // ✅ NEW: append late-penalty notice to whatever promptText became
+  const latePenalty = Number(pending.latePenaltyBirr || 0);
+  const penaltyLine =
+    latePenalty > 0
+      ? (lang === "am"
+          ? `\n\n⚠️ ስራውን ያስረከቡት ዘግይተው ስለሆነ፤ ከTaskifay እና Chapa ኮሚሽን በተጨማሪ አጠቃላይ የ*${formatMoney(latePenalty, pending.currency, "am")}* ቅጣት ከክፍያዎ ላይ ተቀናሽ ይደረጋል።`
+          : `\n\n⚠️ Because you submitted late, in addition to Taskifay + Chapa commission, a total penalty of *${formatMoney(latePenalty, pending.currency)}* will be deducted from your task fee.`)
+      : "";
+
+  promptText = `${promptText}${penaltyLine}`;
+  // Send the localized prompt with the new keyboard
+  return ctx.reply(promptText, keyboardMarkup);
+});
+
+
+// Queue the transfer for a pending payout once the doer's account is settled on.
+// A mismatched holder name is only sent after an admin approves it (status "held").
+async function queuePayoutToAccount(ctx, pending, accountNumber, accountCheck = {}) {
+  const userId = ctx.from.id;
+  const held = accountCheck.status === "mismatch";
+
+  // Bank info (we’ll reuse this later for bankName)
+  const bankInfo = pending.banks.find(b => b.id === pending.selectedBankId) || null;
+
+
+  // Look up the user (for account_name + language)
+  const userDoc = await User.findOne({ telegramId: userId });
+
+  if (!pending.reissued && await escrowRefundedForTask(await Task.findById(pending.taskId).select("status").lean())) {
+    return abandonPendingPayout(ctx, pending);
+  }
+  if (pending.stageNum && !pending.reissued && !(await claimStagePayout(pending))) {
+    return abandonPendingPayout(ctx, pending, TEXT.payoutStageCovered);
+  }
+
+  // Queue payout in TaskPayout for unlimited automatic retries
+  try {
+    const task = await Task.findById(pending.taskId).populate("creator");
+    const doer = await User.findById(pending.doerId);
+
+    if (!task || !doer || !task.creator) {
+      console.error("Payout queue: missing task/creator/doer", {
+        taskId: pending.taskId,
+        doerId: pending.doerId
+      });
+    } else {
+      const creatorUser = task.creator._id ? task.creator : await User.findById(task.creator);
+      const amountNumber = Number(pending.payoutAmount || 0);
+
+      const existing = await TaskPayout.findOne({ reference: pending.reference });
+
+      const baseUpdate = {
+        task: task._id,
+        creator: creatorUser._id,
+        doer: doer._id,
+        doerTelegramId: doer.telegramId,
+        amount: amountNumber,
+        gross: pending.grossAmount != null ? Number(pending.grossAmount) : null,
+        commission: Number(pending.commission || 0),
+        latePenalty: Number(pending.latePenaltyBirr || 0),
+        currency: pending.currency || "ETB",
+        feeRuleVersion: pending.feeRuleVersion ?? null,
+        bankCode: pending.selectedBankId,
+        bankName: bankInfo?.name || bankInfo?.bank_name || null,   // NEW
+        accountNumber,
+        accountName: userDoc?.fullName || null,
+        accountCheck: {
+          status: accountCheck.status || "unverified",
+          accountName: accountCheck.accountName || null,
+          confirmedAt: accountCheck.confirmedAt || null,
+        },
+        approvedBy: null,
+        approvedAt: null,
+        reference: pending.reference,
+        stageNum: pending.stageNum ?? null,
+      };
+
+
+      if (!existing) {
+        await TaskPayout.create({
+          ...baseUpdate,
+          status: held ? "held" : "queued",
+          lastError: null,
+          lastAttemptAt: null,
+          firstFailureAuditSentAt: null,
+          successAuditSentAt: null,
+        });
+      } else if (existing.status !== "succeeded") {
+        await TaskPayout.updateOne(
+          { _id: existing._id },
+          {
+            $set: {
+              ...baseUpdate,
+              // keep it in the retry loop until provider accepts (held ones wait for an admin first)
+              status: existing.status === "pending" ? "pending" : held ? "held" : "queued",
+              lastError: null
+            }
+          }
+        );
+      } else {
+        // already succeeded, just log and continue (no double payout)
+        console.log("Payout already marked succeeded for task", String(task._id));
+      }
+
+      // Ledger: escrow → doer payable + commission + late penalty (idempotent per reference)
+      const fundedBy = await PaymentIntent.findOne({ task: task._id, status: "paid", type: "escrow" });
+      await postEscrowFunded({ task, intent: fundedBy });
+      const queuedPayout = await TaskPayout.findOne({ reference: pending.reference });
+      await postPayoutReleased(queuedPayout);
+
+      if (held && queuedPayout?.status === "held") {
+        await sendPayoutAudit(globalThis.TaskifiiBot, {
+          tag: "#payout_held_account_mismatch",
+          task,
+          creator: creatorUser,
+          doer,
+          payout: queuedPayout,
+          extra: {
+            reason: `Account holder "${accountCheck.accountName || "-"}" doesn't match the doer's name; the doer confirmed it. Approve to send.`,
+            showApprovalButtons: true
+          }
+        });
+      }
+    }
+  } catch (e) {
+    console.error("Error queuing payout for retry:", e);
+    // We still continue to success message + rating; payout worker will retry later if possible.
+  }
+
+  // Disable all bank buttons now that payout is queued
+  try {
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] }).catch(() => { });
+  } catch (_) { }
+
+  // Send confirmation to the user (NO error messages for Chapa issues)
+  const langForMsg = userDoc?.language || pending.language || "en";
+  let successMsg;
+  if (pending.stageNum) {
+    successMsg = langForMsg === "am"
+      ? `✅ የደረጃ ${pending.stageNum} ክፍያ ሂደት ተጀምሯል! ገንዘቡ በአጭር ጊዜ ውስጥ ወደ ሂሳብዎ ይገባል። ቀጣዩን ደረጃ መስራት መቀጠል ይችላሉ።`
+      : `✅ Your stage ${pending.stageNum} payout has been initiated! The funds will be transferred to your account shortly. You can continue with the next stage.`;
+  } else {
+    successMsg = (langForMsg === "am")
+      ? "✅ የክፍያ ሂደቱ ተጀምሯል! ገንዘቡ በአጭር ጊዜ ውስጥ ወደ ሂሳብዎ ይገባል።"
+      : "✅ Your payout has been initiated! The funds will be transferred to your account shortly.";
+  }
+  if (held) successMsg = `${successMsg}\n\n${TEXT.payoutHeldForReview[langForMsg]}`;
+  return completePayoutChoice(ctx, pending, successMsg);
+}
 
-  promptText = `${promptText}${penaltyLine}`;
-  // Send the localized prompt with the new keyboard
-  return ctx.reply(promptText, keyboardMarkup);
-});
+// Doer confirmed an account whose holder couldn't be verified (or is someone else)
+bot.action(/^PAYOUT_ACCT_OK_(task_payout_[a-f0-9]{24}(?:_s\d+)?)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const pending = getPendingPayout(ctx, ctx.match[1]);
+  if (!pending || !pending.enteredAccount) {
+    return ctx.answerCbQuery("❌ Session expired. Please try again.");
+  }
 
+  const accountNumber = pending.enteredAccount;
+  const accountCheck = { ...(pending.accountCheck || {}), confirmedAt: new Date() };
+  delete pending.enteredAccount;
+  delete pending.accountCheck;
+  return queuePayoutToAccount(ctx, pending, accountNumber, accountCheck);
+});
 
 // Handle bank selection
-bot.action(/^PAYOUT_SELECT_([a-f0-9]{24})_(\d+)$/, async (ctx) => {
+bot.action(/^PAYOUT_SELECT_(task_payout_[a-f0-9]{24}(?:_s\d+)?)_(\d+)$/, async (ctx) => {
   await ctx.answerCbQuery();
-  const taskId = ctx.match[1];
+  const reference = ctx.match[1];
   const bankId = parseInt(ctx.match[2]);
   const userId = ctx.from.id;
-  const pending = global.pendingPayouts?.[userId];
-  if (!pending || String(pending.taskId) !== taskId) {
+  const pending = getPendingPayout(ctx, reference);
+  if (!pending) {
     return ctx.answerCbQuery("❌ Session expired. Please try again.");
   }
   // Language for the keyboard (from pending session)
@@ -15058,22 +18074,28 @@ bot.action(/^PAYOUT_SELECT_([a-f0-9]{24})_(\d+)$/, async (ctx) => {
   // Edit the bank list message to highlight the chosen bank
   try {
     const newMarkup = buildBankKeyboard(
-      taskId,
+      reference,
       pending.banks,
       Math.floor(pending.banks.findIndex(b => b.id === bankId) / 10),
       pending.selectedBankId,
-      pendingLang
+      pendingLang,
+      pending.currency
     );
     await ctx.editMessageReplyMarkup(newMarkup.reply_markup);
   } catch (e) {
     console.error("Failed to highlight selected bank:", e);
   }
 
-  // Prompt user for the account number of the selected bank
+  // Prompt user for the account number of the selected bank (the wallet's phone number for mobile money)
   const lang = (await User.findOne({ telegramId: userId }))?.language || "en";
-  const promptText = (lang === "am") 
-    ? `🏦 ${bank.name} ተመርጧል። እባክዎ የዚህ ባንክ ሂሳብ ቁጥሮ ያስገቡ፦` 
-    : `🏦 *${bank.name}* selected. Please enter the account number:`;
+  const isMobileMoney = destinationTypeForBank(bank) !== "bank";
+  const promptText = isMobileMoney
+    ? (lang === "am"
+        ? `📱 ${bank.name} ተመርጧል። እባክዎ የዋሌቱን ስልክ ቁጥር ያስገቡ፦`
+        : `📱 *${bank.name}* selected. Please enter the wallet's phone number:`)
+    : (lang === "am") 
+      ? `🏦 ${bank.name} ተመርጧል። እባክዎ የዚህ ባንክ ሂሳብ ቁጥሮ ያስገቡ፦` 
+      : `🏦 *${bank.name}* selected. Please enter the account number:`;
   // If a prompt message was sent before, edit it; otherwise, send a new prompt
   if (pending.accountPromptMessageId) {
     try {
@@ -15089,7 +18111,81 @@ bot.action(/^PAYOUT_SELECT_([a-f0-9]{24})_(\d+)$/, async (ctx) => {
   }
 
   // Prepare session state to expect an account number next
-  ctx.session.payoutFlow = { step: "awaiting_account", taskId: taskId };
+  ctx.session.payoutFlow = { step: "awaiting_account", taskId: pending.taskId, reference };
+  await persistPendingPayout(userId, reference); // keep the chosen bank across restarts
+});
+
+// Earnings to the in-bot wallet instead of a bank transfer (same pending payout as PAYOUT_SELECT_)
+bot.action(/^PAYOUT_TO_WALLET_(task_payout_[a-f0-9]{24}(?:_s\d+)?)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  const pending = getPendingPayout(ctx, ctx.match[1]);
+  if (!pending) {
+    return ctx.answerCbQuery("❌ Session expired. Please try again.");
+  }
+  const taskId = pending.taskId;
+
+  const task = await Task.findById(taskId);
+  const doer = await User.findById(pending.doerId);
+  if (!task || !doer) {
+    console.error("Wallet payout: missing task/doer", { taskId, doerId: pending.doerId });
+    return;
+  }
+  // The wallet holds birr only; other currencies are paid out to a bank
+  if (normalizeCurrency(task.currency) !== "ETB") return;
+  if (await escrowRefundedForTask(task)) return abandonPendingPayout(ctx, pending);
+
+  // A payout for this reference already exists (double tap, or the bank path got there first)
+  if (await TaskPayout.exists({ reference: pending.reference })) return;
+  if (pending.stageNum && !pending.reissued && !(await claimStagePayout(pending))) {
+    return abandonPendingPayout(ctx, pending, TEXT.payoutStageCovered);
+  }
+
+  const amount = Number(pending.payoutAmount || 0);
+  let payout;
+  try {
+    // Created as succeeded so retryQueuedPayouts never picks it up
+    payout = await TaskPayout.create({
+      destination: "wallet",
+      task: task._id,
+      creator: pending.creatorId,
+      doer: doer._id,
+      doerTelegramId: doer.telegramId,
+      amount,
+      gross: pending.grossAmount != null ? Number(pending.grossAmount) : null,
+      commission: Number(pending.commission || 0),
+      latePenalty: Number(pending.latePenaltyBirr || 0),
+      feeRuleVersion: pending.feeRuleVersion ?? null,
+      reference: pending.reference,
+      stageNum: pending.stageNum ?? null,
+      status: "succeeded",
+    });
+  } catch (e) {
+    if (e?.code === 11000) return;
+    throw e;
+  }
+
+  const fundedBy = await PaymentIntent.findOne({ task: task._id, status: "paid", type: "escrow" });
+  await postEscrowFunded({ task, intent: fundedBy });
+  await postPayoutReleased(payout);
+  const credited = await creditWallet({
+    user: doer._id,
+    amount,
+    key: `earning:${payout.reference}`,
+    kind: "earning",
+    from: ACCOUNTS.payable(doer._id),
+    task: task._id,
+    reference: payout.reference,
+    memo: payout.stageNum ? `Stage ${payout.stageNum} earnings` : "Task earnings"
+  });
+  // Marks the task/stage paid, records paid_out and sends the payout audit (no transfer to wait for)
+  await processTaskPayoutSuccess(payout.reference);
+
+  try {
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+  } catch (_) { }
+
+  const lang = doer.language || pending.language || "en";
+  return completePayoutChoice(ctx, pending, TEXT.walletEarningCredited[lang](amount, credited.balance ?? amount));
 });
 
 // Somewhere with other actions:
@@ -15123,65 +18219,180 @@ bot.action(/^PUNISH_PAY_(.+)$/, async (ctx) => {
 
   const original = Number(task.paymentFee || 0);
   const punishAmount = Math.round(original * 0.5);
+  const currency = normalizeCurrency(task.currency);   // half of the fee, in the fee's currency
 
   // Create a fresh PaymentIntent
   const intent = await PaymentIntent.create({
     task: task._id,
     user: user._id,
     amount: punishAmount,
-    currency: 'ETB',
+    currency,
     type: 'punishment',
     status: 'pending',
     provider: 'chapa',
     createdAt: new Date()
   });
 
-  // Build hosted checkout via Chapa (tx_ref unique per intent)
+  // Build hosted checkout (tx_ref unique per intent)
   const txRef = `punish_${intent._id}`;
-  // Reuse whatever helper you have to create hosted checkout; otherwise inline:
-  const checkout = await createChapaCheckoutLink({
+  const checkout = await paymentProvider.initialize({
     amount: punishAmount,
-    currency: 'ETB',
-    email: user.email || 'noemail@taskifii.local',
-    first_name: user.fullName || user.username || `${user.telegramId}`,
-    tx_ref: txRef,
-    // We keep callback_url so the server receives IPN and unbans automatically.
-    callback_url: `${process.env.PUBLIC_BASE_URL || ''}/chapa/ipn`
-    // No return_url -> Chapa shows its receipt and doesn’t redirect.
+    currency,
+    txRef,
+    customer: {
+      email: user.email || 'noemail@taskifii.local',
+      firstName: user.fullName || user.username || `${user.telegramId}`
+    },
+    // We keep callbackUrl so the server receives IPN and unbans automatically.
+    callbackUrl: `${process.env.PUBLIC_BASE_URL || ''}/chapa/ipn`
+    // No returnUrl -> Chapa shows its receipt and doesn’t redirect.
   });
 
 
   await PaymentIntent.updateOne(
     { _id: intent._id },
-    { $set: { reference: txRef, checkoutUrl: checkout?.data?.checkout_url || null } }
+    { $set: { reference: txRef, checkoutUrl: checkout?.checkoutUrl || null } }
   );
 
   const lang = user.language || 'en';
   const lead = (TEXT.punishLinkReady?.[lang] || TEXT.punishLinkReady.en);
-  const link = checkout?.data?.checkout_url || "(link unavailable)";
+  const link = checkout?.checkoutUrl || "(link unavailable)";
   await ctx.reply(`${lead}\n${link}`);
 });
+bot.action(/^PAYOUT_REVEAL_([a-f0-9]{24})$/, async (ctx) => {
+  if (!(await authorizeAdmin(ctx, "payouts.reveal", {
+    action: "PAYOUT_REVEAL", target: ctx.match[1], denied: "⛔ Your admin role can't reveal account details."
+  }))) return;
+  const payout = await TaskPayout.findById(ctx.match[1]).select("accountNumber accountName bankName");
+  if (!payout) return ctx.answerCbQuery("Payout not found.", { show_alert: true });
+
+  await logSensitiveReveal(ctx, "payout account", `payout ${payout._id}`);
+  return ctx.answerCbQuery(
+    `${payout.bankName || "Bank"}\nAccount: ${payout.accountNumber || "-"}\nName: ${payout.accountName || "-"}`.slice(0, 200),
+    { show_alert: true }
+  );
+});
+
+// Finance admin releases a payout held because the account holder's name didn't match
+bot.action(/^PAYOUT_APPROVE_([a-f0-9]{24})$/, async (ctx) => {
+  if (!(await authorizeAdmin(ctx, "payouts.approve", {
+    action: "PAYOUT_APPROVE", target: ctx.match[1], denied: "⛔ Your admin role can't approve held payouts."
+  }))) return;
+  try {
+    const payout = await TaskPayout.findOneAndUpdate(
+      { _id: ctx.match[1], status: "held" },
+      { $set: { status: "queued", approvedBy: ctx.from.id, approvedAt: new Date() } },
+      { new: true }
+    );
+    if (!payout) {
+      return ctx.answerCbQuery("This payout is no longer held.", { show_alert: true });
+    }
+    await ctx.answerCbQuery("Payout approved and queued.");
+    try {
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+    } catch (_) { }
+
+    const owner = await User.findById(payout.doer).select("telegramId language").lean();
+    if (owner?.telegramId) {
+      const lang = owner.language || "en";
+      await ctx.telegram.sendMessage(owner.telegramId, TEXT.payoutApprovedNotice[lang](formatMoney(payout.amount, payout.currency, lang)))
+        .catch(() => {});
+    }
+  } catch (e) {
+    console.error("PAYOUT_APPROVE handler failed:", e);
+  }
+});
+
+// Finance admin refuses the account: withdrawals go back to the wallet, task payouts ask the doer again
+bot.action(/^PAYOUT_REJECT_([a-f0-9]{24})$/, async (ctx) => {
+  if (!(await authorizeAdmin(ctx, "payouts.approve", {
+    action: "PAYOUT_REJECT", target: ctx.match[1], denied: "⛔ Your admin role can't reject held payouts."
+  }))) return;
+  try {
+    const payout = await TaskPayout.findOne({ _id: ctx.match[1], status: "held" });
+    if (!payout) {
+      return ctx.answerCbQuery("This payout is no longer held.", { show_alert: true });
+    }
+    await ctx.answerCbQuery("Account rejected.");
+    try {
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+    } catch (_) { }
+
+    const owner = await User.findById(payout.doer).select("telegramId language").lean();
+    const lang = owner?.language || "en";
+
+    if (payout.kind === "withdrawal") {
+      // Never reaches the bank: stop it for good and put the money back
+      await TaskPayout.updateOne({ _id: payout._id }, { $set: { retryCanceled: true, lastError: "Account rejected by admin" } });
+      await creditWallet({
+        user: payout.doer,
+        amount: payout.amount,
+        key: `withdrawal_reversal:${payout.reference}`,
+        kind: "withdrawal_reversal",
+        from: ACCOUNTS.payable(payout.doer),
+        reference: payout.reference,
+        memo: "Withdrawal account rejected"
+      });
+      if (owner?.telegramId) {
+        await ctx.telegram.sendMessage(owner.telegramId, TEXT.walletWithdrawRejected[lang](payout.amount)).catch(() => {});
+      }
+      return;
+    }
+
+    // Task payout: it stays held (the money is still owed to the doer) until they pick another account
+    await TaskPayout.updateOne({ _id: payout._id }, { $set: { lastError: "Account rejected by admin" } });
+    if (!owner?.telegramId) return;
+
+    const currency = normalizeCurrency(payout.currency);
+    const banks = await fetchPayoutBanks(currency);
+    await rememberPendingPayout(owner.telegramId, {
+      taskId: String(payout.task),
+      doerId: payout.doer,
+      creatorId: payout.creator,
+      payoutAmount: Number(payout.amount).toFixed(2),
+      grossAmount: payout.gross ?? null,
+      currency,
+      commission: payout.commission,
+      feeRuleVersion: payout.feeRuleVersion,
+      reference: payout.reference,
+      stageNum: payout.stageNum ?? null,
+      banks,
+      selectedBankId: null,
+      accountPromptMessageId: null,
+      language: lang,
+      latePenaltyBirr: payout.latePenalty || 0,
+      reissued: true,
+    });
+
+    await ctx.telegram.sendMessage(
+      owner.telegramId,
+      TEXT.payoutRejectedNotice[lang](formatMoney(payout.amount, currency, lang)),
+      { reply_markup: buildBankKeyboard(payout.reference, banks, 0, null, lang, currency).reply_markup }
+    );
+  } catch (e) {
+    console.error("PAYOUT_REJECT handler failed:", e);
+  }
+});
+
 // Admin/audit action: cancel automatic retry for a specific payout
 bot.action(/^PAYOUT_CANCEL_RETRY_(.+)$/, async (ctx) => {
   const payoutId = ctx.match[1];
+  if (!(await authorizeAdmin(ctx, "payouts.retry", { action: "PAYOUT_CANCEL_RETRY", target: payoutId }))) return;
 
   await ctx.answerCbQuery("Retry cancelled for this payout.");
 
   try {
-    const payout = await TaskPayout.findById(payoutId);
-    if (!payout) {
+    const result = await cancelPayoutRetry(payoutId, ctx.telegram);
+    if (result.error === "not_found") {
       await ctx.reply("⚠️ Could not find this payout document anymore.");
       return;
     }
 
-    if (payout.retryCanceled) {
+    if (result.error === "already") {
       await ctx.reply("ℹ️ Automatic retry for this payout was already cancelled.");
       return;
     }
 
-    payout.retryCanceled = true;
-    await payout.save();
-
     // Remove the button so it's visually clear that retry is off
     try {
       await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
@@ -15197,6 +18408,7 @@ bot.action(/^PAYOUT_CANCEL_RETRY_(.+)$/, async (ctx) => {
 });
 // Admin/audit action: manually trigger creator refund for #notoriousWTD case
 bot.action(/^NOTORIOUS_REFUND_([a-f0-9]{24})$/, async (ctx) => {
+  if (!(await authorizeAdmin(ctx, "refunds.manual", { action: "NOTORIOUS_REFUND", target: ctx.match[1] }))) return;
   try {
     await ctx.answerCbQuery("Processing refund...");
 
@@ -15290,7 +18502,8 @@ bot.action(/^COMPLETED_SENT_(.+)$/, async (ctx) => {
     const entries = Array.isArray(work.messages) ? work.messages : [];
     let firstCopiedIndex = -1;
 
-    for (let i = 0; i < entries.length; i++) {
+    // Staged tasks: messages already handed over with an earlier stage aren't sent again
+    for (let i = stageMessageOffset(task); i < entries.length; i++) {
       const entry = entries[i];
       if (!entry?.messageId) continue;
 
@@ -15349,6 +18562,11 @@ bot.action(/^COMPLETED_SENT_(.+)$/, async (ctx) => {
     work.completedAt = new Date();
     work.status = 'completed';
     await work.save();
+    await transitionTask(task._id, "PendingConfirmation", {
+      from: ["InProgress"],
+      reason: "doer sent completed task"
+    });
+    await recordTaskEvent(task._id, "delivered", { actor: work.doer });
     // --- AUDIT: doer submitted during late-penalty window (after deadline but before penalty end) ---
     try {
       const fee = Number(task.paymentFee || 0);
@@ -15376,9 +18594,9 @@ bot.action(/^COMPLETED_SENT_(.+)$/, async (ctx) => {
             (completedAt.getTime() - penaltyStart.getTime()) / 3600000
           );
 
-          // cap at 65% of fee (same platform rule)
+          // cap from the task's fee rules (same platform rule as the payout)
           const rawPenalty = Math.max(0, hoursLateFromPenaltyStart) * penaltyPerHour;
-          const maxPenalty = Math.max(0, fee * 0.65);
+          const maxPenalty = penaltyCapFor(await feeRulesForTask(task), fee);
           deductedPenaltyBirr = Math.min(rawPenalty, maxPenalty);
         }
 
@@ -15430,179 +18648,201 @@ bot.action(/^COMPLETED_SENT_(.+)$/, async (ctx) => {
     work.creatorDecisionMessageId = sent.message_id;
     await work.save();
     
-    // (Revision timer logic remains unchanged below ...)
+    // Revision timer: creator first-half enforcement runs as a durable job (enforceCreatorFirstHalfWindow)
     const revisionMs = (task.revisionTime || 0) * 60 * 60 * 1000;
     const halfMs = revisionMs / 2;
     if (halfMs > 0) {
-      const creatorTgId = creatorUser.telegramId;
-      setTimeout(async () => {
-        try {
-          const freshTask = await Task.findById(task._id).populate("creator").lean();
-          if (!freshTask) return;
+      await scheduleJob("creatorFirstHalfEnforcement", {
+        key: `creatorFirstHalfEnforcement:${task._id}`,
+        task: task._id,
+        payload: { taskId: String(task._id) },
+        delayMs: halfMs
+      });
 
-          // Bail out if someone already finalized/closed or we cancelled this half-window
-          const freshWork = await DoerWork.findOne({ task: task._id });
-          if (!freshWork) return;
-          if (freshWork.halfWindowEnforcedAt || freshWork.halfWindowCanceledAt) return;
+    } else {
+      // If no revision period, finalize immediately
+      await releasePaymentAndFinalize(task._id, 'accepted');
+    }
+  } catch (e) {
+    console.error("COMPLETED_SENT handler error:", e);
+  }
+});
 
-          // Condition A: creator never chose Valid nor Needs Fix
-          const creatorNeverDecided = !freshWork?.creatorDecisionMessageIdChosen; // we’ll set this when they click either button (see step 5)
 
-          // Condition B: creator clicked Needs Fix but never sent the fix notice (and clicked Send Fix Notice)
-          const needsFixClicked = !!freshWork?.needsFixChosenAt;
-          const fixNoticeSent   = !!freshWork?.fixNoticeSentAt;
+// ─── Staged escrow: doer hands over one stage (30:40:30 / 50:50) ───────────────
+bot.action(/^STAGE_DELIVERED_([a-f0-9]{24})_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  try {
+    const taskId = ctx.match[1];
+    const stageNum = parseInt(ctx.match[2], 10);
 
-          const shouldBan = (creatorNeverDecided) || (needsFixClicked && !fixNoticeSent);
+    const task = await Task.findById(taskId);
+    if (!task) return;
 
-          if (!shouldBan) return;
+    const work = await DoerWork.findOne({ task: task._id, doerTelegramId: ctx.from.id });
+    if (!work || work.status !== "active") return;
 
-          // 1) Make decision buttons inert (but still displayed)
-          try {
-            if (freshWork.creatorDecisionMessageId && freshTask.creator?.telegramId) {
-              await globalThis.TaskifiiBot.telegram.editMessageReplyMarkup(
-                freshTask.creator.telegramId,
-                freshWork.creatorDecisionMessageId,
-                undefined,
-                {
-                  inline_keyboard: [[
-                    Markup.button.callback(TEXT.validBtn[freshTask.creator.language || 'en'], `_DISABLED_VALID`),
-                    Markup.button.callback(TEXT.needsFixBtn[freshTask.creator.language || 'en'], `_DISABLED_NEEDS_FIX`)
-                  ]]
-                }
-              );
-            }
-          } catch (_) {}
+    const stage = (task.stages || []).find(s => s.stageNum === stageNum);
+    if (!stage || !["pending", "rejected"].includes(stage.status)) return;
 
-          // 1b) If there was a "Send Fix Notice" prompt shown, make that button inert too
-          try {
-            if (freshWork.fixPromptMessageId && freshTask.creator?.telegramId) {
-              await globalThis.TaskifiiBot.telegram.editMessageReplyMarkup(
-                freshTask.creator.telegramId,
-                freshWork.fixPromptMessageId,
-                undefined,
-                {
-                  inline_keyboard: [[
-                    Markup.button.callback(
-                      (freshTask.creator.language === 'am' ? "🛠 የማስተካከያው ዝርዝሮች ይላኩ" : "🛠 Send Fix Notice"),
-                      "_DISABLED_SEND_FIX_NOTICE"
-                    )
-                  ]]
-                }
-              );
-            }
-          } catch (_) {}
+    // Earlier stages must be approved first
+    const blocked = (task.stages || []).some(s => s.stageNum < stageNum && !["approved", "paid"].includes(s.status));
+    if (blocked) return;
 
-          // 2) Ban the creator everywhere (bot + group)
-          const creatorUser = await User.findById(freshTask.creator._id);
-          await banUserEverywhere({ telegram: globalThis.TaskifiiBot.telegram }, creatorUser);
+    const doerUser = await User.findById(work.doer);
+    const doerLang = doerUser?.language || "en";
+    const creatorUser = await User.findById(task.creator);
+    if (!creatorUser) return;
+    const lang = creatorUser.language || "en";
 
-          // 3) Close the task / stop revision life-cycle; unlock the winner doer
-          try {
-            await DoerWork.updateOne(
-              { _id: freshWork._id },
-              { $set: { status: 'completed', halfWindowEnforcedAt: new Date() } }
-            );
-          } catch (_) {}
+    const entries = Array.isArray(work.messages) ? work.messages : [];
+    const from = stageMessageOffset(task);
 
-          try { await releaseLocksForTask(freshTask._id); } catch (_) {}
-          try {
-            await EngagementLock.updateMany(
-              { task: freshTask._id },
-              { $set: { active: false, releasedAt: new Date() } }
-            );
-          } catch (_) {}
+    // Claim the stage first so double taps can't send the same delivery twice
+    const claim = await Task.updateOne(
+      { _id: task._id, stages: { $elemMatch: { stageNum, status: { $in: ["pending", "rejected"] } } } },
+      { $set: { "stages.$.status": "delivered", "stages.$.delivered": true, "stages.$.deliveredAt": new Date(), "stages.$.messagesTo": entries.length } }
+    );
+    if (!claim.modifiedCount) return;
 
-         // 4) Notifications
-          try {
-            await globalThis.TaskifiiBot.telegram.sendMessage(
-              creatorUser.telegramId,
-              creatorUser.language === 'am'
-                ? "🚫 በክለሳ ጊዜው የመጀመሪያ አጋማሽ ላይ መስጠት የነበረብዎትን ግብረ-መልስ (ማለትም 'ትክክል ነው' ወይም 'መስተካከል ያስፈልገዋል' ብለው) ባለመስጠትዎ ምክንያት፤ ከTaskifay ለጊዜው ታግደዋል። እኛ Taskifay ጉዳዩን አጣርተን የመጨረሻ ውሳኔ እስከምንሰት ድረስ ይታገሱ ።"
-                : "🚫 You’ve been temporarily banned from Taskifay for not giving the required feedback (Valid vs Needs Fixing) within the first half of the revision period. Taskifay will investigate and make a final decision."
-            );
-          } catch (_) {}
+    // Copy everything sent since the previous stage to the creator
+    let copied = 0;
+    for (let i = from; i < entries.length; i++) {
+      const entry = entries[i];
+      if (!entry?.messageId) continue;
+      try {
+        await ctx.telegram.copyMessage(creatorUser.telegramId, work.doerTelegramId, entry.messageId);
+        copied++;
+      } catch (_) {
+        continue;
+      }
+    }
 
-          try {
-            const doerApp = (freshTask.applicants || []).find(a => a.confirmedAt);
-            const doerUser = doerApp ? await User.findById(doerApp.user) : null;
-            if (doerUser) {
-              await globalThis.TaskifiiBot.telegram.sendMessage(
-                doerUser.telegramId,
-                doerUser.language === 'am'
-                  ? "ℹ️ የስራው ፈጣሪ በተሰጠው ጊዜ ገደብ ውስጥ ግብረ-መልስ አልሰጠም። ስለሆነም Taskifay ጉዳዩን ገምግሞ በተቻለ ፍጥነት ውሳኔ ይሰጣል። እስከዚያው ድረስ Taskifayን እንደተለመደው መጠቀም መቀጠል ይችላሉ።"
-                  : "ℹ️ The task creator didn’t provide feedback in time. Taskifay will review and decide as soon as possible. You can use Taskifay again in the meantime."
-              );
-            }
-          } catch (_) {}
+    if (!copied) {
+      // Nothing (left) to hand over → undo the claim
+      await Task.updateOne(
+        { _id: task._id, "stages.stageNum": stageNum },
+        { $set: { "stages.$.status": stage.status, "stages.$.delivered": false, "stages.$.messagesTo": stage.messagesTo ?? null } }
+      );
+      const btnText = TEXT.stageDeliveredBtn[doerLang](stage.stageNum, stage.percent);
+      await ctx.reply(
+        doerLang === "am"
+          ? `እባክዎ የዚህን ደረጃ ስራ መጀመሪያ ይላኩ፤ ከዚያ "${btnText}" ይጫኑ።`
+          : `Please send this stage's work first, then press "${btnText}".`
+      );
+      return;
+    }
 
-          // 5) Audit post with #NeitherApproveNorReject (+ repeat count + penalty total if applicable)
-          try {
-            const doerApp = (freshTask.applicants || []).find(a => a.confirmedAt);
-            const doerUser = doerApp ? await User.findById(doerApp.user) : null;
+    const decisionMsg = (lang === "am")
+      ? `📦 ሰሪው የደረጃ ${stage.stageNum} (${stage.percent}%) ስራ ልኳል። እባክዎ ከታች ያሉትን ቁልፎች በመጠቀም ደረጃውን ያጽድቁ ወይም አይቀበሉ። ሲያጸድቁ የዚህ ደረጃ ክፍያ ለሰሪው ይለቀቃል።`
+      : `📦 The doer sent stage ${stage.stageNum} (${stage.percent}%). Please approve or reject this stage with the buttons below. Approving releases this stage's share of the fee to the doer.`;
 
-            // increment creator repeat counter
-            let creatorRepeat = 1;
-            try {
-              const inc = await User.updateOne(
-                { _id: creatorUser._id },
-                { $inc: { noFeedbackCount: 1 } }
-              );
-              // fetch back value
-              const again = await User.findById(creatorUser._id).lean();
-              creatorRepeat = Math.max(again?.noFeedbackCount || 1, 1);
-            } catch (_) {}
+    const sent = await ctx.telegram.sendMessage(
+      creatorUser.telegramId,
+      decisionMsg,
+      Markup.inlineKeyboard([[
+        Markup.button.callback(TEXT.stageApproveBtn[lang], `STAGE_APPROVE_${task._id}_${stage.stageNum}`),
+        Markup.button.callback(TEXT.stageRejectBtn[lang], `STAGE_REJECT_${task._id}_${stage.stageNum}`)
+      ]])
+    );
 
-            const fee = Number(freshTask.paymentFee || 0);
-            const penaltyPerHour = Number((freshTask.penaltyPerHour ?? freshTask.latePenalty) || 0);
+    await Task.updateOne(
+      { _id: task._id, "stages.stageNum": stageNum },
+      { $set: { "stages.$.creatorDecisionMessageId": sent.message_id } }
+    );
+    await recordTaskEvent(task._id, "delivered", { actor: work.doer, data: { stageNum } });
 
-            // compute total deducted penalty if doer submitted AFTER original deadline but BEFORE 35% limit
-            let deducted = 0;
-            try {
-              const completedAt   = freshWork.completedAt ? new Date(freshWork.completedAt) : null;
-              const deadlineAt    = freshWork.deadlineAt ? new Date(freshWork.deadlineAt) : null;
-              const penaltyStart  = freshWork.penaltyStartAt ? new Date(freshWork.penaltyStartAt) : null;
-              const penaltyEnd    = freshWork.penaltyEndAt ? new Date(freshWork.penaltyEndAt) : null;
-
-              if (completedAt && deadlineAt && penaltyStart && penaltyEnd && penaltyPerHour > 0) {
-                if (completedAt > deadlineAt && completedAt < penaltyEnd) {
-                  const hours = Math.ceil((completedAt - penaltyStart) / 3600000);
-                  deducted = Math.max(0, hours) * penaltyPerHour;
-                }
-              }
-            } catch (_) {}
+    await refreshDoerControlKeyboard(ctx.telegram, task._id);
+  } catch (e) {
+    console.error("STAGE_DELIVERED handler error:", e);
+  }
+});
 
-            const lines = [
-              "#NeitherValidateOrFix" + (creatorRepeat > 1 ? ` #${creatorRepeat}` : ""),
-              `Task: ${freshTask._id}`,
-              `Creator User ID: ${creatorUser?._id}`,
-              `Doer User ID: ${doerUser?._id || "-"}`,
-              `Task Fee: ${fee}`,
-            ];
-            if (deducted > 0) lines.push(`Penalty Deducted (so far): ${deducted}`);
-
-            await globalThis.TaskifiiBot.telegram.sendMessage(
-              AUDIT_CHANNEL_ID,
-              lines.join("\n"),
-              { disable_web_page_preview: true }
-            );
-          } catch (e) {
-            console.error("Audit send failed:", e);
-          }
+// ─── Staged escrow: creator approves a stage → that stage's payout ───────────────
+bot.action(/^STAGE_APPROVE_([a-f0-9]{24})_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  try {
+    const taskId = ctx.match[1];
+    const stageNum = parseInt(ctx.match[2], 10);
+    const user = await User.findOne({ telegramId: ctx.from.id });
+    if (!user) return;
+    const lang = user.language || "en";
 
-        } catch (e) {
-          console.error("Half-window enforcement failed:", e);
-        }
-      }, halfMs);
+    const ok = await Task.updateOne(
+      { _id: taskId, creator: user._id, stages: { $elemMatch: { stageNum, status: "delivered" } } },
+      { $set: { "stages.$.status": "approved", "stages.$.approvedAt": new Date() } }
+    );
+    if (!ok.modifiedCount) return;
 
-    } else {
-      // If no revision period, finalize immediately
-      await releasePaymentAndFinalize(task._id, 'accepted');
+    try {
+      await ctx.editMessageReplyMarkup({
+        inline_keyboard: [[
+          Markup.button.callback(`✔ ${TEXT.stageApproveBtn[lang]}`, "_DISABLED_STAGE_APPROVE"),
+          Markup.button.callback(TEXT.stageRejectBtn[lang], "_DISABLED_STAGE_REJECT")
+        ]]
+      });
+    } catch (_) {}
+
+    await recordTaskEvent(taskId, "approved", { actor: user, data: { stageNum } });
+    await releaseStagePayment(taskId, stageNum);
+    await refreshDoerControlKeyboard(ctx.telegram, taskId);
+  } catch (e) {
+    console.error("STAGE_APPROVE handler error:", e);
+  }
+});
+
+// ─── Staged escrow: creator rejects a stage → doer re-sends it ───────────────
+bot.action(/^STAGE_REJECT_([a-f0-9]{24})_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  try {
+    const taskId = ctx.match[1];
+    const stageNum = parseInt(ctx.match[2], 10);
+    const user = await User.findOne({ telegramId: ctx.from.id });
+    if (!user) return;
+    const lang = user.language || "en";
+
+    const ok = await Task.updateOne(
+      { _id: taskId, creator: user._id, stages: { $elemMatch: { stageNum, status: "delivered" } } },
+      { $set: { "stages.$.status": "rejected", "stages.$.rejectedAt": new Date() }, $inc: { "stages.$.rejectCount": 1 } }
+    );
+    if (!ok.modifiedCount) return;
+
+    try {
+      await ctx.editMessageReplyMarkup({
+        inline_keyboard: [[
+          Markup.button.callback(TEXT.stageApproveBtn[lang], "_DISABLED_STAGE_APPROVE"),
+          Markup.button.callback(`✔ ${TEXT.stageRejectBtn[lang]}`, "_DISABLED_STAGE_REJECT")
+        ]]
+      });
+    } catch (_) {}
+
+    await ctx.reply(
+      lang === "am"
+        ? "❗ እባክዎ ምን መስተካከል እንዳለበት በቀጥታ ለሰሪው ይግለጹ። ሰሪው የተስተካከለውን ደረጃ እንደገና ይልካል።"
+        : "❗ Please tell the doer directly what needs to change. They will send this stage again."
+    );
+
+    const work = await DoerWork.findOne({ task: taskId });
+    const doer = work ? await User.findById(work.doer) : null;
+    if (doer) {
+      const doerLang = doer.language || "en";
+      await ctx.telegram.sendMessage(
+        doer.telegramId,
+        doerLang === "am"
+          ? `❌ የስራው ፈጣሪ ደረጃ ${stageNum}ን አልተቀበሉም። እባክዎ የተስተካከለውን ስራ ልከው የደረጃውን ቁልፍ እንደገና ይጫኑ።`
+          : `❌ The task creator rejected stage ${stageNum}. Please send the corrected work and press the stage button again.`
+      );
     }
+
+    await refreshDoerControlKeyboard(ctx.telegram, taskId);
   } catch (e) {
-    console.error("COMPLETED_SENT handler error:", e);
+    console.error("STAGE_REJECT handler error:", e);
   }
 });
 
+bot.action("_DISABLED_STAGE_DELIVERED", async (ctx) => { await ctx.answerCbQuery(); });
+bot.action("_DISABLED_STAGE_APPROVE", async (ctx) => { await ctx.answerCbQuery(); });
+bot.action("_DISABLED_STAGE_REJECT", async (ctx) => { await ctx.answerCbQuery(); });
 
 // ─── CREATOR “Valid” Action ───────────────────────────
 bot.action(/^CREATOR_VALID_(.+)$/, async (ctx) => {
@@ -15644,6 +18884,7 @@ bot.action(/^CREATOR_VALID_(.+)$/, async (ctx) => {
   } catch (e) {
     console.error("Error sending early rating prompt:", e);
   }
+  await recordTaskEvent(taskId, "approved", { actor: user });
   // Now proceed with the existing finalize call.
   await releasePaymentAndFinalize(taskId, 'accepted');
 
@@ -15789,6 +19030,7 @@ bot.action(/^CREATOR_SEND_FIX_NOTICE_(.+)$/, async (ctx) => {
     work.fixNoticeSentAt = new Date();
     await work.save();
   } catch (_) {}
+  await recordTaskEvent(task._id, "fix_requested", { actor: creator, data: { count: (work.fixRequests || []).length } });
   // ✅ NOW update the creator button to ✔ (ONLY after success)
   try {
     await ctx.editMessageReplyMarkup({
@@ -15838,16 +19080,11 @@ bot.action(/^CREATOR_SEND_FIX_NOTICE_(.+)$/, async (ctx) => {
 
       if (now < halfDeadline) {
         // stop any future "creator first-half enforcement"
+        // (the second-half timer is armed below, at the end of the revision window)
         await DoerWork.updateOne(
           { _id: work._id },
           { $set: { halfWindowCanceledAt: now } }
         );
-
-        // arm the second-half timer (a fresh half of the revision time starting now)
-        const secondHalfEnd = new Date(now.getTime() + firstHalfMillis);
-        const delay = Math.max(0, secondHalfEnd.getTime() - now.getTime());
-        scheduleDoerSecondHalfEnforcement(String(task._id), delay); // function added in section 3
-
       }
     }
   } catch (e) { console.error("second-half arming failed:", e); }
@@ -15880,12 +19117,20 @@ bot.action(/^CREATOR_SEND_FIX_NOTICE_(.+)$/, async (ctx) => {
 
   await work.save();
 
+  // Second-half timer: the doer must report or send the corrected version by the revision deadline
+  if (work.revisionDeadlineAt) {
+    await scheduleDoerSecondHalfEnforcement(String(task._id), work.revisionDeadlineAt.getTime() - Date.now());
+  }
+
   
   
   // Clear the creator's session fix mode
   ctx.session.fixingTaskId = null;
 });
 bot.action(/^DP_OPEN_(.+)_(completed|related|fix)$/, async (ctx) => {
+  if (!(await authorizeAdmin(ctx, "disputes.view", {
+    action: "DP_OPEN", target: ctx.match[1], data: { which: ctx.match[2] }
+  }))) return;
   try {
     await ctx.answerCbQuery();
   } catch {}
@@ -15987,6 +19232,7 @@ bot.action(/^DP_OPEN_(.+)_(completed|related|fix)$/, async (ctx) => {
 });
 // From the dispute channel: send ONLY the corrected version of the completed work.
 bot.action(/^DP_SEND_CORRECTIONS_(.+)$/, async (ctx) => {
+  if (!(await authorizeAdmin(ctx, "disputes.view", { action: "DP_SEND_CORRECTIONS", target: ctx.match[1] }))) return;
   try { await ctx.answerCbQuery(); } catch {}
 
   const pkgId = ctx.match[1];
@@ -16031,6 +19277,86 @@ bot.action(/^DP_SEND_CORRECTIONS_(.+)$/, async (ctx) => {
   }
 });
 
+// Dispute verdicts (disputes.resolve): pick a split → confirm → resolveDispute()
+async function replyVerdictConfirmation(ctx, pkgId, doerPercent) {
+  const preview = await disputeVerdictPreview(pkgId, doerPercent);
+  if (preview.blocker) return ctx.reply(`⚠️ ${preview.blocker}`);
+  return ctx.reply(preview.text, Markup.inlineKeyboard([[
+    Markup.button.callback("✅ Confirm", `DP_CONFIRM_${pkgId}_${doerPercent}`),
+    Markup.button.callback("✖️ Cancel", "DP_CANCEL_VERDICT"),
+  ]]));
+}
+
+bot.action(/^DP_VERDICT_([a-f0-9]{24})_(\d{1,3})$/, async (ctx) => {
+  if (!(await authorizeAdmin(ctx, "disputes.resolve", {
+    action: "DP_VERDICT", target: ctx.match[1], data: { doerPercent: Number(ctx.match[2]) }, denied: "⛔ Your admin role can't settle disputes."
+  }))) return;
+  await ctx.answerCbQuery();
+  const doerPercent = parseInt(ctx.match[2], 10);
+  if (doerPercent > 100) return;
+  try {
+    await replyVerdictConfirmation(ctx, ctx.match[1], doerPercent);
+  } catch (e) {
+    console.error("DP_VERDICT handler failed:", e);
+  }
+});
+
+bot.action(/^DP_SPLIT_([a-f0-9]{24})$/, async (ctx) => {
+  if (!(await authorizeAdmin(ctx, "disputes.resolve", {
+    action: "DP_SPLIT", target: ctx.match[1], denied: "⛔ Your admin role can't settle disputes."
+  }))) return;
+  await ctx.answerCbQuery();
+  const pkg = await DisputePackage.findById(ctx.match[1]).select("task").lean();
+  if (!pkg) return;
+
+  const percents = [10, 20, 25, 30, 40, 50, 60, 70, 75, 80, 90];
+  const rows = [];
+  for (let i = 0; i < percents.length; i += 4) {
+    rows.push(percents.slice(i, i + 4).map(p => Markup.button.callback(`Doer ${p}%`, `DP_VERDICT_${pkg._id}_${p}`)));
+  }
+  await ctx.reply(
+    `➗ Doer's share of the escrow for TASK ${pkg.task} (the creator gets the rest).\nFor any other share send /settle ${pkg.task} <doer %> to the bot.`,
+    Markup.inlineKeyboard(rows)
+  );
+});
+
+bot.action(/^DP_CONFIRM_([a-f0-9]{24})_(\d{1,3})$/, async (ctx) => {
+  if (!(await authorizeAdmin(ctx, "disputes.resolve", {
+    action: "DP_CONFIRM", target: ctx.match[1], data: { doerPercent: Number(ctx.match[2]) }, denied: "⛔ Your admin role can't settle disputes."
+  }))) return;
+  await ctx.answerCbQuery("Settling…");
+  const doerPercent = parseInt(ctx.match[2], 10);
+  if (doerPercent > 100) return;
+
+  try {
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+  } catch (_) {}
+
+  try {
+    const result = await resolveDispute({ pkgId: ctx.match[1], doerPercent, decidedBy: ctx.from.id });
+    if (!result.ok) return ctx.reply(`⚠️ ${result.reason}`);
+
+    const { split } = result;
+    await ctx.reply([
+      `✅ #disputeSettled doer ${doerPercent}% / creator ${100 - doerPercent}%`,
+      `Creator refund: ${formatMoney(split.creatorRefund, split.currency)}`,
+      `Doer payout: ${formatMoney(split.doerNet, split.currency)} (commission ${split.commission})`,
+      "Both parties were notified and their locks on this task released. Bans are unchanged."
+    ].join("\n"));
+  } catch (e) {
+    console.error("DP_CONFIRM handler failed:", e);
+    await ctx.reply("⚠️ Settling failed, please check the logs.");
+  }
+});
+
+bot.action("DP_CANCEL_VERDICT", async (ctx) => {
+  if (!(await authorizeAdmin(ctx, "disputes.resolve", { action: "DP_CANCEL_VERDICT" }))) return;
+  await ctx.answerCbQuery();
+  try {
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+  } catch (_) {}
+});
+
 // ─── Handle Creator’s Fix Comments (Message Handler) ───────────────────
 bot.on('message', async (ctx) => {
   if (!ctx.session?.fixingTaskId) return;  // only handle if user is in fix-listing mode
@@ -16290,6 +19616,7 @@ bot.action(/^DOER_SEND_CORRECTED_(.+)$/, async (ctx) => {
     work.doerCorrectedClickedAt = new Date();
     work.currentRevisionStatus = 'fix_received';
     await work.save();
+    await recordTaskEvent(work.task, "corrected", { actor: work.doer });
     // 🔔 ARM CREATOR FINAL-DECISION TIMER (half of revision time starting now)
     // revisionHours was already computed earlier in this handler:
     //   const revisionHours = task.revisionTime || 0;
@@ -16377,6 +19704,9 @@ bot.action(/^CREATOR_APPROVE_REVISION_(.+)$/, async (ctx) => {
     console.error("Error sending early rating prompt from approve:", e);
   }
 
+  const approver = await User.findOne({ telegramId: ctx.from.id }).select("_id");
+  await recordTaskEvent(taskId, "approved", { actor: approver, data: { revision: true } });
+
   // 3) Finalize and release payment as 'accepted' (identical to CREATOR_VALID)
   try {
     await releasePaymentAndFinalize(taskId, 'accepted');
@@ -16465,14 +19795,17 @@ bot.catch((err, ctx) => {
 
 
   // ─────────── Launch Bot ───────────
-    bot.launch().then(() => {
+  if (launch) {
+    launchBot(bot).then(() => {
       console.log("Bot started successfully");
-      // Start periodic checks
-      checkTaskExpiries(bot);
-      sendReminders(bot);
+      // periodic checks run from the job scheduler (started after the Mongo connection)
     }).catch(err => {
       console.error("Bot failed to start:", err);
     });
+  }
 
     return bot;
   }
+
+// Used by sim/updateSimulator.js to drive the real handlers without polling/webhooks
+module.exports = { app, startBot, runDueJobs, ensureRecurringSweeps, migrateLegacyTasks };
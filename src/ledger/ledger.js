@@ -0,0 +1,268 @@
+// ledger/ledger.js
+//
+// Double-entry ledger for every birr (or dollar) that moves through the bot. Each money movement
+// posts one balanced LedgerEntry (sum of debits = sum of credits), keyed so re-posting is a no-op.
+// An entry is in one currency (the task's); balances are only ever added up per currency.
+//
+// Accounts (debit-normal: provider_cash, stars_cash; everything else is credit-normal):
+//   provider_cash        money held at the payment provider (Chapa)
+//   stars_cash           escrow paid in Telegram Stars, valued in the task currency; doers are
+//                        still paid through Chapa, so provider_cash is topped up from it off-bot
+//   escrow:<taskId>      a task's funded fee not yet paid out or refunded
+//   payable:<userId>     what we owe a user (released payout not yet settled)
+//   platform_revenue     commission
+//   platform_penalties   late-delivery deductions + punishment fees
+//   unapplied            payments not (yet) linked to a task: refunded stale drafts, wallet-funded drafts
+//   wallet:<userId>      a user's in-bot wallet balance (wallet/wallet.js)
+//
+// Flow for one task:
+//   escrow_funded     provider_cash ⟶ escrow:<task>
+//   payout_released   escrow:<task> ⟶ payable:<doer> + platform_revenue + platform_penalties
+//   payout_settled    payable:<doer> ⟶ provider_cash
+//   refund            escrow:<task> ⟶ provider_cash
+// so once a task is done its escrow account must be back at zero (see trialBalance()).
+
+const LedgerEntry = require("../models/LedgerEntry");
+const Task = require("../models/Task");
+
+const ACCOUNTS = {
+  providerCash: "provider_cash",
+  starsCash: "stars_cash",
+  revenue: "platform_revenue",
+  penalties: "platform_penalties",
+  unapplied: "unapplied",
+  escrow: (taskId) => `escrow:${taskId}`,
+  payable: (userId) => `payable:${userId}`,
+  wallet: (userId) => `wallet:${userId}`,
+};
+
+// Statuses after which a task's escrow must be fully accounted for
+const SETTLED_TASK_STATUSES = ["Completed", "Canceled"];
+
+function money(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : 0;
+}
+
+function line(account, { debit = 0, credit = 0 }) {
+  return { account, debit: money(debit), credit: money(credit) };
+}
+
+/**
+ * Post one balanced entry. Zero-amount lines are dropped; an entry with nothing left is skipped.
+ * Never throws: a ledger failure is logged and must not break the payment flow itself.
+ *
+ * @returns {Promise<Document|null>} the entry (existing one when `key` was already posted)
+ */
+async function postLedgerEntry({ key, kind, task = null, currency = "ETB", memo = "", lines }) {
+  const kept = lines.filter((l) => l.debit > 0 || l.credit > 0);
+  if (kept.length < 2) return null;
+
+  try {
+    return await LedgerEntry.create({ key, kind, task, currency, memo, lines: kept });
+  } catch (e) {
+    if (e?.code === 11000) return LedgerEntry.findOne({ key });
+    console.error("Ledger posting failed:", key, e);
+    return null;
+  }
+}
+
+function intentAmount(intent, fallback = 0) {
+  return money(Number(intent?.amount) || fallback);
+}
+
+// Where a payment taken through `intent` is held (and where its refund goes back out from)
+function cashAccountFor(intent) {
+  return intent?.provider === "telegram_stars" ? ACCOUNTS.starsCash : ACCOUNTS.providerCash;
+}
+
+// Creator's escrow payment landed on a task (one per task; also called lazily before a release or
+// refund so tasks funded before the ledger existed still balance)
+function postEscrowFunded({ task, intent = null }) {
+  const amount = intentAmount(intent, task.paymentFee);
+  // Wallet-funded escrow already left the wallet into `unapplied` when the draft was paid
+  const source = intent?.provider === "wallet" ? ACCOUNTS.unapplied : cashAccountFor(intent);
+  return postLedgerEntry({
+    key: `escrow_funded:${task._id}`,
+    kind: "escrow_funded",
+    task: task._id,
+    currency: intent?.currency || "ETB",
+    memo: "Escrow payment received",
+    lines: [
+      line(source, { debit: amount }),
+      line(ACCOUNTS.escrow(task._id), { credit: amount }),
+    ],
+  });
+}
+
+// Doer's punishment fee paid (tx_ref punish_<intentId>)
+function postPenaltyReceived(intent) {
+  const amount = intentAmount(intent);
+  return postLedgerEntry({
+    key: `penalty_received:${intent._id}`,
+    kind: "penalty_received",
+    task: intent.task || null,
+    currency: intent.currency || "ETB",
+    memo: "Punishment fee received",
+    lines: [
+      line(ACCOUNTS.providerCash, { debit: amount }),
+      line(ACCOUNTS.penalties, { credit: amount }),
+    ],
+  });
+}
+
+// A TaskPayout was queued: move its share of the escrow to the doer + platform
+// The escrow gives up exactly the share's gross amount. When commission + late penalty were more
+// than the share (the doer's net is clamped at 0), the part of the penalty that couldn't be taken is
+// posted back out of platform_penalties as its own line. Payouts from before `gross` was stored fall
+// back to net + commission + penalty.
+function postPayoutReleased(payout) {
+  const net = money(payout.amount);
+  const commission = money(payout.commission);
+  const latePenalty = money(payout.latePenalty);
+  const gross = payout.gross != null ? money(payout.gross) : money(net + commission + latePenalty);
+  const clamped = money(net + commission + latePenalty - gross);
+  return postLedgerEntry({
+    key: `payout_released:${payout.reference}`,
+    kind: "payout_released",
+    task: payout.task,
+    currency: payout.currency || "ETB",
+    memo: payout.stageNum ? `Stage ${payout.stageNum} payout released` : "Final payout released",
+    lines: [
+      line(ACCOUNTS.escrow(payout.task), { debit: gross }),
+      line(ACCOUNTS.payable(payout.doer?._id || payout.doer), { credit: net }),
+      line(ACCOUNTS.revenue, { credit: commission }),
+      line(ACCOUNTS.penalties, { credit: latePenalty }),
+      // penalty beyond the share (clamped), or rounding left over from the share
+      line(ACCOUNTS.penalties, clamped > 0 ? { debit: clamped } : { credit: -clamped }),
+    ],
+  });
+}
+
+// Provider confirmed the transfer
+function postPayoutSettled(payout) {
+  const net = money(payout.amount);
+  return postLedgerEntry({
+    key: `payout_settled:${payout.reference}`,
+    kind: "payout_settled",
+    task: payout.task,
+    currency: payout.currency || "ETB",
+    memo: "Payout transfer confirmed",
+    lines: [
+      line(ACCOUNTS.payable(payout.doer?._id || payout.doer), { debit: net }),
+      line(ACCOUNTS.providerCash, { credit: net }),
+    ],
+  });
+}
+
+// Account a refund of `intent` is taken from; posts the matching receipt first when it was never
+// recorded (legacy tasks, duplicate punishment payments, stale drafts) so nothing goes negative
+async function refundSourceAccount(intent) {
+  if (intent.type === "punishment") {
+    await postPenaltyReceived(intent);
+    return ACCOUNTS.penalties;
+  }
+  if (intent.task) {
+    await postEscrowFunded({ task: { _id: intent.task }, intent });
+    return ACCOUNTS.escrow(intent.task);
+  }
+  if (intent.provider !== "wallet") {
+    await postLedgerEntry({
+      key: `escrow_funded:intent:${intent._id}`,
+      kind: "escrow_funded",
+      currency: intent.currency || "ETB",
+      memo: "Payment received (no task)",
+      lines: [
+        line(cashAccountFor(intent), { debit: intentAmount(intent) }),
+        line(ACCOUNTS.unapplied, { credit: intentAmount(intent) }),
+      ],
+    });
+  }
+  return ACCOUNTS.unapplied;
+}
+
+// Provider accepted a refund of `intent` (escrow back to the creator, or a duplicate punishment fee)
+async function postRefund(intent, reason = "") {
+  const amount = money(intent.refundAmount ?? intent.amount);   // partial after a dispute split
+  const source = await refundSourceAccount(intent);
+
+  return postLedgerEntry({
+    key: `refund:${intent._id}`,
+    kind: "refund",
+    task: intent.task || null,
+    currency: intent.currency || "ETB",
+    memo: reason ? `Refund: ${reason}` : "Refund",
+    lines: [
+      line(source, { debit: amount }),
+      line(cashAccountFor(intent), { credit: amount }),
+    ],
+  });
+}
+
+// Currencies that have at least one entry (ETB first)
+async function ledgerCurrencies() {
+  const found = await LedgerEntry.distinct("currency");
+  return [...new Set(["ETB", ...found.map((c) => c || "ETB")])];
+}
+
+/**
+ * Per-account totals plus the escrow check, for one currency.
+ *
+ * @returns {Promise<{currency, accounts, totals, balanced, flagged}>}
+ *   accounts: [{ account, debit, credit, balance }]   balance = debit − credit
+ *   flagged:  escrow accounts that are overdrawn, or non-zero on a Completed/Canceled task
+ */
+async function trialBalance({ currency = "ETB" } = {}) {
+  // Entries from before currencies were tracked have none and are birr
+  const match = currency === "ETB" ? { currency: { $in: ["ETB", null] } } : { currency };
+  const rows = await LedgerEntry.aggregate([
+    { $match: match },
+    { $unwind: "$lines" },
+    { $group: { _id: "$lines.account", debit: { $sum: "$lines.debit" }, credit: { $sum: "$lines.credit" } } },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const accounts = rows.map((r) => ({
+    account: r._id,
+    debit: money(r.debit),
+    credit: money(r.credit),
+    balance: money(r.debit - r.credit),
+  }));
+  const totals = {
+    debit: money(accounts.reduce((s, a) => s + a.debit, 0)),
+    credit: money(accounts.reduce((s, a) => s + a.credit, 0)),
+  };
+
+  const escrows = accounts.filter((a) => a.account.startsWith("escrow:"));
+  const taskIds = escrows.map((a) => a.account.slice("escrow:".length));
+  const tasks = await Task.find({ _id: { $in: taskIds } }).select("status").lean();
+  const statusById = new Map(tasks.map((t) => [String(t._id), t.status]));
+
+  const flagged = [];
+  for (const a of escrows) {
+    const taskId = a.account.slice("escrow:".length);
+    const status = statusById.get(taskId) || "missing";
+    const held = money(-a.balance);   // escrow is credit-normal
+    if (held < 0) {
+      flagged.push({ taskId, status, held, problem: "paid out / refunded more than was funded" });
+    } else if (held > 0 && SETTLED_TASK_STATUSES.includes(status)) {
+      flagged.push({ taskId, status, held, problem: "task is finished but escrow still holds money" });
+    }
+  }
+
+  return { currency, accounts, totals, balanced: totals.debit === totals.credit, flagged };
+}
+
+module.exports = {
+  ACCOUNTS,
+  SETTLED_TASK_STATUSES,
+  postLedgerEntry,
+  postEscrowFunded,
+  postPenaltyReceived,
+  postPayoutReleased,
+  postPayoutSettled,
+  postRefund,
+  refundSourceAccount,
+  ledgerCurrencies,
+  trialBalance,
+};
@@ -0,0 +1,30 @@
+// models/AdminAction.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Append-only log of privileged actions: one row per attempt, allowed or denied
+const adminActionSchema = new Schema({
+  admin:      { type: Number, default: null },                 // Telegram id of the acting admin (null: console-only account)
+  adminUser:  { type: Schema.Types.ObjectId, ref: "AdminUser", default: null },   // set for web console / API actions
+  via:        { type: String, enum: ["telegram", "console", "api"], default: "telegram" },
+  roles:      { type: [String], default: [] },                 // their roles at the time
+  permission: { type: String, required: true },                // admin/permissions.js key, or "console.login"
+  action:     { type: String, required: true },                // e.g. "ADMIN_BAN", "/grant", "payout.approve"
+  allowed:    { type: Boolean, required: true },
+  target:     { type: String, default: null },                 // user / payout / dispute id the action was about
+  data:       { type: Schema.Types.Mixed, default: {} },
+  at:         { type: Date, default: Date.now },
+}, { versionKey: false });
+
+adminActionSchema.index({ admin: 1, at: -1 });
+adminActionSchema.index({ adminUser: 1, at: -1 });
+adminActionSchema.index({ target: 1, at: -1 });
+
+// Rows are never edited or removed
+for (const op of ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"]) {
+  adminActionSchema.pre(op, function () {
+    throw new Error(`AdminAction is append-only (${op} not allowed)`);
+  });
+}
+
+module.exports = mongoose.models.AdminAction || mongoose.model("AdminAction", adminActionSchema);
@@ -0,0 +1,19 @@
+// models/AdminApiToken.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Bearer tokens for the admin REST API (admin/api.js). A token acts as the AdminUser it belongs to,
+// with that row's current roles. Only a hash of the secret part is stored; it is shown once by /api_token.
+const adminApiTokenSchema = new Schema({
+  tokenId:    { type: String, required: true, unique: true },  // public part: shown in lists, logged with each action
+  secretHash: { type: String, required: true },                // sha256 of the secret part (base64url)
+  adminUser:  { type: Schema.Types.ObjectId, ref: "AdminUser", required: true, index: true },
+  label:      { type: String, default: null },                 // what the token is for ("ops dashboard", …)
+  createdBy:  { type: Number, default: null },                 // Telegram id of the super admin who issued it
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null },
+  revokedAt:  { type: Date, default: null },
+  revokedBy:  { type: Number, default: null },
+}, { versionKey: false, timestamps: true });
+
+module.exports = mongoose.models.AdminApiToken || mongoose.model("AdminApiToken", adminApiTokenSchema);
@@ -0,0 +1,31 @@
+// models/AdminUser.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const ADMIN_ROLES = ["super_admin", "finance", "moderator", "support"];
+
+// Who may use admin buttons / commands / the web console, and with which roles (see admin/permissions.js).
+// The config's SUPER_ADMIN_TG_ID is always a super admin, with or without a row here.
+// A row has a Telegram id, a console username, or both (staff who only use the web console have no Telegram id).
+const adminUserSchema = new Schema({
+  telegramId: { type: Number, default: null },
+  username:   { type: String, default: null, lowercase: true, trim: true },   // web console login
+  name:       { type: String, default: null },                 // for lists only
+  roles:      { type: [{ type: String, enum: ADMIN_ROLES }], default: [] },
+  grantedBy:  { type: Number, default: null },                 // Telegram id of the last admin who added a role
+  grantedAt:  { type: Date, default: null },
+  revokedBy:  { type: Number, default: null },                 // … and of the last one who removed one
+  revokedAt:  { type: Date, default: null },
+
+  // Web console (admin/consoleAuth.js)
+  passwordHash:       { type: String, default: null },         // "scrypt:<salt>:<hash>"
+  passwordSetAt:      { type: Date, default: null },           // part of the session signature: changing it logs out every session
+  mustChangePassword: { type: Boolean, default: false },       // set for passwords generated by /console_account
+  lastLoginAt:        { type: Date, default: null },
+}, { versionKey: false, timestamps: true });
+
+adminUserSchema.index({ telegramId: 1 }, { unique: true, partialFilterExpression: { telegramId: { $type: "number" } } });
+adminUserSchema.index({ username: 1 }, { unique: true, partialFilterExpression: { username: { $type: "string" } } });
+
+module.exports = mongoose.models.AdminUser || mongoose.model("AdminUser", adminUserSchema);
+module.exports.ADMIN_ROLES = ADMIN_ROLES;
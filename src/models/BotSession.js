@@ -0,0 +1,20 @@
+// models/BotSession.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Telegraf session rows (one per chat + user), so multi-step flows survive restarts
+const botSessionSchema = new Schema({
+  key:       { type: String, required: true, unique: true }, // `${chatId}:${userId}`
+  chatId:    { type: Number, index: true },
+  userId:    { type: Number, index: true },
+  data:      { type: Schema.Types.Mixed, default: {} },
+  // Payouts waiting for the doer's bank choice, by reference: written outside any ctx
+  // (persistPendingPayout), so they live beside `data` where the session middleware's writes can't overwrite them
+  pendingPayouts: { type: Schema.Types.Mixed, default: {} },
+  expiresAt: { type: Date, required: true },
+}, { versionKey: false, timestamps: true, minimize: false });
+
+// Mongo removes the row once expiresAt has passed
+botSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.BotSession || mongoose.model("BotSession", botSessionSchema);
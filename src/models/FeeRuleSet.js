@@ -0,0 +1,23 @@
+// models/FeeRuleSet.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// One immutable version of the fee rules (shape + validation in fees/feeRules.js).
+// Tasks store the version they were posted under (Task.feeRuleVersion).
+const feeRuleSetSchema = new Schema({
+  version:       { type: Number, required: true, unique: true },
+  rules:         { type: Schema.Types.Mixed, required: true },
+  effectiveFrom: { type: Date, default: Date.now, index: true },
+  createdBy:     { type: String, default: "system" },   // Telegram id of the admin, or "system" for the seed
+  note:          { type: String, default: "" },
+  createdAt:     { type: Date, default: Date.now },
+}, { versionKey: false });
+
+// A published version is never changed; publish a new one instead
+for (const op of ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"]) {
+  feeRuleSetSchema.pre(op, function () {
+    throw new Error(`FeeRuleSet versions are immutable (${op} not allowed)`);
+  });
+}
+
+module.exports = mongoose.models.FeeRuleSet || mongoose.model("FeeRuleSet", feeRuleSetSchema);
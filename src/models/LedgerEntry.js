@@ -0,0 +1,61 @@
+// models/LedgerEntry.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const LEDGER_ENTRY_KINDS = [
+  "escrow_funded",     // creator's payment received and held for a task
+  "payout_released",   // escrow split into doer payable + commission + late penalty
+  "payout_settled",    // provider confirmed the transfer to the doer
+  "refund",            // money sent back to the payer (escrow or punishment fee)
+  "penalty_received",  // punishment fee paid by a doer
+  "wallet_credit",     // money into a user's in-bot wallet (refund, earning, reversed withdrawal)
+  "wallet_debit",      // money out of a wallet (escrow funding, withdrawal)
+];
+
+// One side of an entry: exactly one of debit / credit is > 0
+const ledgerLineSchema = new Schema({
+  account: { type: String, required: true },
+  debit:   { type: Number, default: 0, min: 0 },
+  credit:  { type: Number, default: 0, min: 0 },
+}, { _id: false });
+
+// Append-only double-entry journal. `key` makes every posting idempotent
+// (e.g. "payout_settled:task_payout_<taskId>"), so handlers can post again safely.
+const ledgerEntrySchema = new Schema({
+  key:      { type: String, required: true, unique: true },
+  kind:     { type: String, enum: LEDGER_ENTRY_KINDS, required: true },
+  task:     { type: Schema.Types.ObjectId, ref: "Task", default: null, index: true },
+  currency: { type: String, default: "ETB" },
+  lines:    { type: [ledgerLineSchema], required: true },
+  memo:     { type: String, default: "" },
+  at:       { type: Date, default: Date.now, index: true },
+}, { versionKey: false });
+
+ledgerEntrySchema.index({ "lines.account": 1 });
+
+ledgerEntrySchema.pre("validate", function () {
+  const lines = this.lines || [];
+  if (lines.length < 2) throw new Error("Ledger entry needs at least two lines");
+
+  let debit = 0;
+  let credit = 0;
+  for (const l of lines) {
+    const d = Number(l.debit || 0);
+    const c = Number(l.credit || 0);
+    if ((d > 0) === (c > 0)) throw new Error(`Ledger line for ${l.account} must have exactly one of debit/credit`);
+    debit += d;
+    credit += c;
+  }
+  if (Math.round(debit * 100) !== Math.round(credit * 100)) {
+    throw new Error(`Unbalanced ledger entry ${this.key}: debit ${debit} ≠ credit ${credit}`);
+  }
+});
+
+// Entries are never edited or removed; corrections are new entries
+for (const op of ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"]) {
+  ledgerEntrySchema.pre(op, function () {
+    throw new Error(`LedgerEntry is append-only (${op} not allowed)`);
+  });
+}
+
+module.exports = mongoose.models.LedgerEntry || mongoose.model("LedgerEntry", ledgerEntrySchema);
@@ -0,0 +1,19 @@
+// models/PartnerApiKey.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// API keys for the partner task API (partners/api.js). A key posts tasks as the creator it belongs to.
+// Only a hash of the secret part is stored; the key is sent once to the creator by /partner_key.
+const partnerApiKeySchema = new Schema({
+  keyId:      { type: String, required: true, unique: true },  // public part: shown in lists, stored on drafts
+  secretHash: { type: String, required: true },                // sha256 of the secret part (base64url)
+  user:       { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+  label:      { type: String, default: null },
+  createdBy:  { type: Number, default: null },                 // Telegram id of the admin who issued it
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null },
+  revokedAt:  { type: Date, default: null },
+  revokedBy:  { type: Number, default: null },
+}, { versionKey: false, timestamps: true });
+
+module.exports = mongoose.models.PartnerApiKey || mongoose.model("PartnerApiKey", partnerApiKeySchema);
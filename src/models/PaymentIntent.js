@@ -27,7 +27,10 @@ const PaymentIntentSchema = new Schema({
   checkoutUrl:{ type: String },   // hosted checkout URL (punishment + escrow)
   
   status: { type: String, enum: ["pending", "paid", "failed", "voided"], default: "pending", index: true },
-  provider: { type: String, default: "telegram_chapa" },
+  provider: { type: String, default: "telegram_chapa" },   // "wallet" = paid from the creator's in-bot wallet
+                                                           // "telegram_stars" = XTR invoice (amount stays in `currency`)
+  stars: { type: Number, default: null },                  // Stars charged for a telegram_stars intent
+  telegramChargeId: String,                                // telegram_payment_charge_id, needed for refundStarPayment
 
   // Only required for escrow (Telegram invoice payload)
   payload: {
@@ -47,6 +50,8 @@ const PaymentIntentSchema = new Schema({
     index: true 
   },
   refundedAt: Date,
+  refundAmount: { type: Number, default: null },   // partial refund (dispute split); null = the full amount
+  refundedTo: { type: String, enum: ["provider", "wallet"], default: "provider" },   // wallet = credited in-bot
   // Retry/audit metadata for automatic refund retries
   lastRefundAttemptAt: Date,
   lastRefundError: String,
@@ -0,0 +1,48 @@
+// models/ReconciliationRun.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const DISCREPANCY_KINDS = [
+  "paid_not_at_provider",        // PaymentIntent "paid" but the provider doesn't report a successful charge
+  "provider_paid_not_recorded",  // provider charged it, our PaymentIntent is still pending
+  "paid_no_task",                // escrow paid, never linked to a task and not refunded
+  "refund_not_at_provider",      // refund recorded here, provider shows no refund
+  "refunded_twice",              // more than one escrow refund for the same task
+  "refunded_and_paid_out",       // escrow refunded to the creator AND paid out to the doer
+  "payout_not_at_provider",      // TaskPayout "succeeded" but the provider has no successful transfer
+  "payout_webhook_missed",       // provider finished the transfer, TaskPayout never got the webhook
+  "payout_missing",              // completed task with funded escrow but no payout at all
+];
+
+const discrepancySchema = new Schema({
+  key:            { type: String, required: true },   // stable across runs, e.g. "paid_no_task:<intentId>"
+  kind:           { type: String, enum: DISCREPANCY_KINDS, required: true },
+  reference:      { type: String, default: null },
+  intent:         { type: Schema.Types.ObjectId, ref: "PaymentIntent", default: null },
+  payout:         { type: Schema.Types.ObjectId, ref: "TaskPayout", default: null },
+  task:           { type: Schema.Types.ObjectId, ref: "Task", default: null },
+  amount:         { type: Number, default: null },
+  currency:       { type: String, default: "ETB" },
+  ourStatus:      { type: String, default: null },
+  providerStatus: { type: String, default: null },
+  detail:         { type: String, default: "" },
+  firstSeenAt:    { type: Date, default: Date.now },   // carried over while the same key keeps showing up
+}, { _id: false });
+
+// One row per reconciliation pass (daily job or /reconcile)
+const reconciliationRunSchema = new Schema({
+  trigger:        { type: String, enum: ["schedule", "admin"], default: "schedule" },
+  startedAt:      { type: Date, default: Date.now, index: true },
+  finishedAt:     { type: Date, default: null },
+  checked: {
+    intents:  { type: Number, default: 0 },
+    refunds:  { type: Number, default: 0 },
+    payouts:  { type: Number, default: 0 },
+    tasks:    { type: Number, default: 0 },
+  },
+  providerErrors: { type: Number, default: 0 },       // lookups that failed (network, auth) — not discrepancies
+  discrepancies:  { type: [discrepancySchema], default: [] },
+  reportSentAt:   { type: Date, default: null },
+}, { versionKey: false });
+
+module.exports = mongoose.models.ReconciliationRun || mongoose.model("ReconciliationRun", reconciliationRunSchema);
@@ -0,0 +1,39 @@
+// models/ScheduledJob.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const JobHistorySchema = new Schema({
+  at:     { type: Date, default: Date.now },
+  event:  { type: String },   // scheduled | claimed | completed | retry | failed | canceled
+  detail: { type: String },
+}, { _id: false });
+
+// Durable replacement for in-process setTimeout timers (survives restarts/deploys)
+const scheduledJobSchema = new Schema({
+  name:          { type: String, required: true, index: true },   // handler name, e.g. "doerSecondHalfEnforcement"
+  key:           { type: String, required: true, unique: true },  // dedupe key, e.g. "doerSecondHalfEnforcement:<taskId>"
+  payload:       { type: Schema.Types.Mixed, default: {} },
+  task:          { type: Schema.Types.ObjectId, ref: "Task", default: null, index: true },
+
+  runAt:         { type: Date, required: true, index: true },
+  repeatEveryMs: { type: Number, default: null },                 // recurring sweeps (refund/payout retries, …)
+
+  status: {
+    type: String,
+    enum: ["scheduled", "running", "completed", "failed", "canceled"],
+    default: "scheduled",
+    index: true
+  },
+  attempts:      { type: Number, default: 0 },
+  maxAttempts:   { type: Number, default: 5 },
+  lockedAt:      { type: Date, default: null },
+  lockedBy:      { type: String, default: null },
+  lastError:     { type: String, default: null },
+  completedAt:   { type: Date, default: null },
+
+  history:       { type: [JobHistorySchema], default: [] },
+}, { versionKey: false, timestamps: true });
+
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+
+module.exports = mongoose.models.ScheduledJob || mongoose.model("ScheduledJob", scheduledJobSchema);
@@ -24,6 +24,19 @@ const StageSchema = new Schema({
   paid: { type: Boolean, default: false },
   deliveredAt: { type: Date },
   paidAt: { type: Date },
+  // Staged escrow (30:40:30 / 50:50): per-stage review + payout lifecycle
+  status: {
+    type: String,
+    enum: ["pending", "delivered", "approved", "rejected", "paid"],
+    default: "pending"
+  },
+  approvedAt: { type: Date },
+  rejectedAt: { type: Date },
+  rejectCount: { type: Number, default: 0 },
+  releasedAt: { type: Date },                 // when the doer claimed this stage's own payout
+  coveredAt: { type: Date },                  // taken over by the final payout / a dispute verdict instead
+  messagesTo: { type: Number },               // DoerWork.messages index this delivery covered up to
+  creatorDecisionMessageId: { type: Number },
 });
 
 const TaskSchema = new Schema(
@@ -34,11 +47,13 @@ const TaskSchema = new Schema(
     fields: { type: [String], default: [] },
     skillLevel: { type: String, enum: ["Beginner", "Intermediate", "Professional"], required: true },
     paymentFee: { type: Number, required: true },
+    currency: { type: String, default: "ETB" },      // paymentFee, latePenalty and payouts are in this currency
     timeToComplete: { type: Number, required: true },
     revisionTime: { type: Number, required: true },
     latePenalty: { type: Number, required: true },
     expiry: { type: Date, required: true },
     exchangeStrategy: { type: String, enum: ["100%", "30:40:30", "50:50"], required: true },
+    feeRuleVersion: { type: Number, default: null }, // fees/feeRules.js version posted under (null = before versioning → v1)
     status: { 
       type: String, 
       enum: ["Open", "Taken", "Canceled",  "InProgress", "Completed", "Expired", "PendingConfirmation"], // Added "Expired"
@@ -22,12 +22,15 @@ const taskDraftSchema = new Schema({
   },
   fields:            { type: [String], default: [] },
   skillLevel:        { type: String, enum: ["Beginner","Intermediate","Professional", null], default: null },
+  currency:          { type: String, default: "ETB" },   // currency paymentFee/penaltyPerHour are in
   paymentFee:        { type: Number, default: null },
   timeToComplete:    { type: Number, default: null },
   revisionTime:      { type: Number, default: null },
   penaltyPerHour:    { type: Number, default: null },
   expiryHours:       { type: Number, default: null },
   exchangeStrategy:  { type: String, enum: ["100%","30:40:30","50:50", null], default: null },
+  source:            { type: String, enum: ["bot", "partner_api"], default: "bot" },   // partner_api: partners/api.js
+  partnerKeyId:      { type: String, default: null },    // PartnerApiKey.keyId that created it
   createdAt:         { type: Date, default: Date.now }
 });
 
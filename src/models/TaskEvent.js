@@ -0,0 +1,28 @@
+// models/TaskEvent.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const TASK_EVENT_TYPES = [
+  "posted", "applied", "accepted", "confirmed", "delivered", "fix_requested", "corrected",
+  "approved", "escalated", "dispute_resolved", "paid_out", "refunded", "rated", "status_changed",
+];
+
+// Append-only lifecycle log: one row per step, read back as a task's timeline
+const taskEventSchema = new Schema({
+  task:  { type: Schema.Types.ObjectId, ref: "Task", required: true },
+  type:  { type: String, enum: TASK_EVENT_TYPES, required: true },
+  actor: { type: Schema.Types.ObjectId, ref: "User", default: null },   // null = system (sweeps, webhooks)
+  data:  { type: Schema.Types.Mixed, default: {} },
+  at:    { type: Date, default: Date.now },
+}, { versionKey: false });
+
+taskEventSchema.index({ task: 1, at: 1 });
+
+// Rows are never edited or removed
+for (const op of ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"]) {
+  taskEventSchema.pre(op, function () {
+    throw new Error(`TaskEvent is append-only (${op} not allowed)`);
+  });
+}
+
+module.exports = mongoose.models.TaskEvent || mongoose.model("TaskEvent", taskEventSchema);
@@ -1,6 +1,7 @@
 // models/User.js
 const mongoose = require("mongoose");
 const { Schema } = mongoose;
+const { encryptPaths } = require("../security/fieldEncryption");
 
 const UserSchema = new Schema({
   telegramId: { type: Number, unique: true, required: true },
@@ -39,8 +40,17 @@ const UserSchema = new Schema({
   bankDetails: {
     type: [
       {
-        bankName: { type: String },
-        accountNumber: { type: String }
+        // payments/payoutDestinations.js; entries saved before types existed have none
+        type: { type: String, enum: ["bank", "telebirr", "mpesa"] },
+        bankName: { type: String },      // bank name, or "telebirr" / "M-Pesa"
+        accountNumber: { type: String }, // mobile money: normalized +2519… / +2517…
+        bankId: { type: String },        // provider bank picked when bankName matched more than one
+        // Holder-name check when the entry was saved (payments/payoutDestinations.js)
+        verification: {
+          status: { type: String, enum: ["verified", "mismatch", "unverified", "not_found"] },
+          accountName: { type: String },
+          checkedAt: { type: Date }
+        }
       }
     ],
     default: []
@@ -89,5 +99,8 @@ UserSchema.index(
   }
 );
 
+// Contact and payout details are encrypted at rest; lookups by phone / email still work
+encryptPaths(UserSchema, ["phone", "email", "bankDetails.accountNumber"]);
+
 module.exports =
   mongoose.models.User || mongoose.model("User", UserSchema);
\ No newline at end of file
@@ -0,0 +1,15 @@
+// models/Wallet.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Optional in-bot balance per user (created on first credit). Every change is a WalletTransaction
+// plus a ledger entry on wallet:<userId>; see wallet/wallet.js.
+const walletSchema = new Schema({
+  user:            { type: Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+  balance:         { type: Number, default: 0, min: 0 },
+  currency:        { type: String, default: "ETB" },
+  refundsToWallet: { type: Boolean, default: false },   // escrow refunds land here instead of going back through the provider
+  recentTx:        { type: [Schema.Types.ObjectId], default: [] },   // last WalletTransactions applied to balance (apply-once guard)
+}, { versionKey: false, timestamps: true });
+
+module.exports = mongoose.models.Wallet || mongoose.model("Wallet", walletSchema);
@@ -0,0 +1,26 @@
+// models/WalletTransaction.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const WALLET_TX_KINDS = ["refund", "earning", "escrow_funding", "withdrawal", "withdrawal_reversal"];
+
+// One wallet movement; `key` makes each movement happen at most once (e.g. "earning:task_payout_<taskId>").
+// The row is written "pending" with its delta first, then applied to the balance (see wallet/wallet.js).
+const walletTransactionSchema = new Schema({
+  key:       { type: String, required: true, unique: true },
+  user:      { type: Schema.Types.ObjectId, ref: "User", required: true },
+  kind:      { type: String, enum: WALLET_TX_KINDS, required: true },
+  amount:    { type: Number, required: true },            // + credit, − debit
+  account:   { type: String, default: null },             // ledger account the money comes from / goes to
+  status:    { type: String, enum: ["pending", "applied"], default: "applied" },
+  appliedAt: { type: Date, default: null },
+  task:      { type: Schema.Types.ObjectId, ref: "Task", default: null },
+  reference: { type: String, default: null },             // payout / intent reference it belongs to
+  memo:      { type: String, default: "" },
+  at:        { type: Date, default: Date.now },
+}, { versionKey: false });
+
+walletTransactionSchema.index({ user: 1, at: -1 });
+walletTransactionSchema.index({ status: 1, at: 1 });
+
+module.exports = mongoose.models.WalletTransaction || mongoose.model("WalletTransaction", walletTransactionSchema);
@@ -0,0 +1,42 @@
+// models/WebhookEvent.js
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+const WEBHOOK_EVENT_STATUSES = [
+  "processing",   // handler running (or the process died while it ran: retried after WEBHOOK_STALE_MS)
+  "processed",    // handler answered 2xx
+  "failed",       // handler answered non-2xx or threw; the provider's retry (or an admin) runs it again
+  "rejected",     // bad or missing signature; never processed
+];
+
+// Every provider callback as it arrived, so it can be audited and reprocessed after a fix
+const webhookEventSchema = new Schema({
+  provider:       { type: String, required: true },              // "chapa"
+  route:          { type: String, required: true },              // "/chapa/ipn", "/chapa/payout", …
+  // sha256 of route + raw body: a replayed callback maps to the same row. Rejected rows have none.
+  eventKey:       { type: String, default: null },
+  kind:           { type: String, default: null },               // parseWebhook().kind / body.event
+  reference:      { type: String, default: null },               // tx_ref or transfer reference
+  rawBody:        { type: String, default: "" },
+  contentType:    { type: String, default: null },
+  signature:      { type: String, default: null },
+  signatureValid: { type: Boolean, default: false },             // false on unsigned checkout callbacks too (not rejected)
+  status:         { type: String, enum: WEBHOOK_EVENT_STATUSES, default: "processing", index: true },
+  responseStatus: { type: Number, default: null },               // what the handler answered last time
+  responseBody:   { type: String, default: null },
+  attempts:       { type: Number, default: 0 },
+  duplicates:     { type: Number, default: 0 },                  // replays acked without processing
+  lastError:      { type: String, default: null },
+  reprocessedBy:  { type: Number, default: null },               // Telegram id of the admin who last reran it
+  receivedAt:     { type: Date, default: Date.now, index: true },
+  startedAt:      { type: Date, default: Date.now },             // last time a handler run began
+  processedAt:    { type: Date, default: null },
+}, { versionKey: false });
+
+webhookEventSchema.index(
+  { eventKey: 1 },
+  { unique: true, partialFilterExpression: { eventKey: { $type: "string" } } }
+);
+webhookEventSchema.index({ reference: 1 });
+
+module.exports = mongoose.models.WebhookEvent || mongoose.model("WebhookEvent", webhookEventSchema);
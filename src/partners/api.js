@@ -0,0 +1,163 @@
+// partners/api.js
+//
+// Partner task API on the bot's Express app (mounted at /api/partner), for creators who post many similar
+// tasks and don't want to click through the draft wizard each time. Requests carry
+// "Authorization: Bearer tkp_…" (partners/apiKeys.js) and act as the key's creator.
+//
+//   GET  /options        fields, skill levels, exchange strategies and the fee limits per currency
+//   POST /drafts         a task definition → { draftId, reference, checkoutUrl, amount, currency }
+//   GET  /drafts/:id     awaiting_payment | paid | posted (with taskId) | refunded | replaced
+//
+// A definition is checked with the wizard's own rules (tasks/draftRules.js) and saved as the creator's
+// TaskDraft, replacing an unpaid one, as "Post a Task" does in the bot. Paying the checkout link goes
+// through handleChapaIpn → postTaskFromPaidDraft like any hosted checkout, including its refund of payments
+// for drafts that can no longer be posted. Errors are { error: "<code>", message } (invalid_task adds errors).
+
+const express = require("express");
+const TaskDraft = require("../models/TaskDraft");
+const PaymentIntent = require("../models/PaymentIntent");
+const { SKILL_LEVELS, EXCHANGE_STRATEGIES, checkTaskDefinition } = require("../tasks/draftRules");
+const { verifyPartnerKey } = require("./apiKeys");
+
+function isObjectId(value) {
+  return /^[a-f0-9]{24}$/i.test(String(value || ""));
+}
+
+/**
+ * @param {object} deps  from index.js:
+ *   allFields (ALL_FIELDS), feeLimits() → Promise<{ [currency]: feeLimitsFor() }> of the offered currencies,
+ *   isBanned(user), postingConflict(user) → { conflict, reason } (hasEscrowConsumeConflict),
+ *   createCheckout({ user, draft }) → { intent, checkoutUrl }
+ * @returns {express.Router}
+ */
+function createPartnerApi(deps) {
+  const router = express.Router();
+
+  router.use(async (req, res, next) => {
+    res.set("Cache-Control", "no-store");
+    const auth = await verifyPartnerKey(req.get("authorization"), req.ip);
+    if (!auth) {
+      res.set("WWW-Authenticate", 'Bearer realm="taskifay-partner"');
+      return res.status(401).json({ error: "unauthorized", message: "A valid partner API key is required." });
+    }
+    req.partner = auth;
+    next();
+  });
+
+  router.get("/options", async (_req, res) => {
+    const limits = await deps.feeLimits();
+    res.json({
+      fields: deps.allFields,
+      skillLevels: SKILL_LEVELS,
+      exchangeStrategies: EXCHANGE_STRATEGIES,
+      currencies: Object.entries(limits).map(([currency, l]) => ({ currency, minFee: l.min, maxFee: l.max ?? null })),
+    });
+  });
+
+  router.post("/drafts", async (req, res) => {
+    const { user, key } = req.partner;
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+
+    const limits = await deps.feeLimits();
+    const currency = String(body.currency || Object.keys(limits)[0] || "ETB").toUpperCase();
+    const def = {
+      description: typeof body.description === "string" ? body.description.trim() : body.description,
+      fields: body.fields,
+      skillLevel: body.skillLevel,
+      currency,
+      paymentFee: body.paymentFee,
+      timeToComplete: body.timeToComplete,
+      revisionTime: body.revisionTime,
+      penaltyPerHour: body.penaltyPerHour,
+      expiryHours: body.expiryHours,
+      exchangeStrategy: body.exchangeStrategy ?? "100%",
+    };
+    const check = checkTaskDefinition(def, { allFields: deps.allFields, limits: limits[currency] || null });
+    if (!check.ok) {
+      return res.status(422).json({ error: "invalid_task", message: "The task definition breaks the posting rules.", errors: check.errors });
+    }
+
+    if (user.onboardingStep !== "completed") {
+      return res.status(403).json({ error: "profile_incomplete", message: "Finish registering in the bot before posting tasks." });
+    }
+    if (await deps.isBanned(user)) {
+      return res.status(403).json({ error: "banned", message: "This account is banned from posting tasks." });
+    }
+    const conflict = await deps.postingConflict(user);
+    if (conflict.conflict) {
+      return res.status(409).json({ error: "creator_busy", message: `${conflict.reason}. A new task can be posted once it is sorted.` });
+    }
+
+    // One draft per creator, as in the bot
+    await TaskDraft.findOneAndDelete({ creatorTelegramId: user.telegramId });
+    const draft = await TaskDraft.create({
+      creatorTelegramId: user.telegramId,
+      description: def.description,
+      fields: def.fields,
+      skillLevel: def.skillLevel,
+      currency: def.currency,
+      paymentFee: def.paymentFee,
+      timeToComplete: def.timeToComplete,
+      revisionTime: def.revisionTime,
+      penaltyPerHour: def.penaltyPerHour,
+      expiryHours: def.expiryHours,
+      exchangeStrategy: def.exchangeStrategy,
+      source: "partner_api",
+      partnerKeyId: key.keyId,
+    });
+
+    let checkout;
+    try {
+      checkout = await deps.createCheckout({ user, draft });
+    } catch (e) {
+      console.error("Partner API checkout failed:", e);
+      await TaskDraft.deleteOne({ _id: draft._id }).catch(() => {});
+      return res.status(502).json({ error: "checkout_failed", message: "The payment provider didn't create a checkout link; try again." });
+    }
+
+    res.status(201).json({
+      draftId: draft._id,
+      reference: checkout.intent.chapaTxRef,
+      checkoutUrl: checkout.checkoutUrl,
+      amount: draft.paymentFee,
+      currency: draft.currency,
+    });
+  });
+
+  router.get("/drafts/:id", async (req, res) => {
+    const { user } = req.partner;
+    const notFound = () => res.status(404).json({ error: "not_found", message: "No draft with this id." });
+    if (!isObjectId(req.params.id)) return notFound();
+
+    const [intent, draft] = await Promise.all([
+      PaymentIntent.findOne({ draft: req.params.id, user: user._id }).sort({ createdAt: -1 }).lean(),
+      TaskDraft.findOne({ _id: req.params.id, creatorTelegramId: user.telegramId }).select("_id").lean(),
+    ]);
+    if (!intent && !draft) return notFound();
+
+    let status = "replaced";   // unpaid, and a newer draft (or the bot wizard) took its place
+    if (intent?.task) status = "posted";
+    else if (intent && intent.refundStatus !== "none") status = "refunded";
+    else if (intent?.status === "paid") status = "paid";
+    else if (draft) status = "awaiting_payment";
+
+    res.json({
+      draftId: req.params.id,
+      status,
+      taskId: intent?.task || null,
+      reference: intent?.chapaTxRef || null,
+      refundStatus: intent?.refundStatus || null,
+    });
+  });
+
+  router.use((_req, res) => res.status(404).json({ error: "not_found", message: "No such endpoint." }));
+
+  router.use((err, _req, res, _next) => {
+    console.error("Partner API request failed:", err);
+    res.status(500).json({ error: "internal", message: "Something went wrong, please try again later." });
+  });
+
+  return router;
+}
+
+module.exports = { createPartnerApi };
@@ -0,0 +1,86 @@
+// partners/apiKeys.js
+//
+// Keys for the partner task API (partners/api.js). A key is "tkp_<keyId>.<secret>" and belongs to one
+// creator; like admin API tokens (admin/apiTokens.js) only a sha256 hash of the secret is stored.
+// /partner_key issues one and sends it to the creator in Telegram; /partner_key_revoke ends it.
+
+const crypto = require("crypto");
+const PartnerApiKey = require("../models/PartnerApiKey");
+const User = require("../models/User");
+
+const KEY_RE = /^tkp_([a-f0-9]{12})\.([A-Za-z0-9_-]{43})$/;
+const LAST_USED_EVERY_MS = 60 * 1000;
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("base64url");
+}
+
+/**
+ * Issue a key for a creator (a User document).
+ * @returns {Promise<{key: string, row: object}>}
+ */
+async function createPartnerKey({ user, label = null, by }) {
+  const keyId = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const row = await PartnerApiKey.create({
+    keyId,
+    secretHash: hashSecret(secret),
+    user: user._id,
+    label: label ? String(label).slice(0, 80) : null,
+    createdBy: by,
+  });
+  return { key: `tkp_${keyId}.${secret}`, row };
+}
+
+/**
+ * @returns {Promise<{ok: true} | {ok: false, error: "not_found" | "already"}>}
+ */
+async function revokePartnerKey({ keyId, by }) {
+  const row = await PartnerApiKey.findOne({ keyId: String(keyId || "").replace(/^tkp_/, "") });
+  if (!row) return { ok: false, error: "not_found" };
+  if (row.revokedAt) return { ok: false, error: "already" };
+
+  row.revokedAt = new Date();
+  row.revokedBy = by;
+  await row.save();
+  return { ok: true };
+}
+
+// Keys not yet revoked, oldest first, with their creator
+async function listPartnerKeys() {
+  return PartnerApiKey.find({ revokedAt: null })
+    .sort({ createdAt: 1 })
+    .populate("user", "telegramId username fullName")
+    .lean();
+}
+
+/**
+ * The creator behind an "Authorization: Bearer tkp_…" header, or null (malformed, unknown, revoked).
+ * @returns {Promise<{key: object, user: object} | null>}
+ */
+async function verifyPartnerKey(header, ip = null) {
+  const match = KEY_RE.exec(String(header || "").replace(/^Bearer\s+/i, "").trim());
+  if (!match) return null;
+  const [, keyId, secret] = match;
+
+  const key = await PartnerApiKey.findOne({ keyId, revokedAt: null }).lean();
+  const expected = Buffer.from(key?.secretHash || hashSecret(""));
+  const actual = Buffer.from(hashSecret(secret));
+  if (!key || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  const user = await User.findById(key.user);
+  if (!user) return null;
+
+  if (!key.lastUsedAt || Date.now() - key.lastUsedAt >= LAST_USED_EVERY_MS) {
+    PartnerApiKey.updateOne({ _id: key._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } })
+      .catch(e => console.error("PartnerApiKey lastUsedAt update failed:", e.message));
+  }
+  return { key, user };
+}
+
+module.exports = {
+  createPartnerKey,
+  revokePartnerKey,
+  listPartnerKeys,
+  verifyPartnerKey,
+};
@@ -0,0 +1,292 @@
+// payments/ChapaProvider.js
+//
+// Chapa implementation of PaymentProvider (https://developer.chapa.co).
+// Live and test secrets are both supported: verify tries live first, then test, and refunds
+// use the secret of whichever mode the original payment was found in.
+// Webhooks are signed: x-chapa-signature (or Chapa-Signature) = hex HMAC-SHA256 of the raw body,
+// keyed with the webhook secret from the Chapa dashboard (transfer approvals with the approval secret).
+
+const crypto = require("crypto");
+const PaymentProvider = require("./PaymentProvider");
+
+function extractChapaError(data, fallback) {
+  const raw =
+    (data && typeof data.message === "string" && data.message.trim())
+      ? data.message
+      : (data && data.data && typeof data.data.message === "string" && data.data.message.trim())
+        ? data.data.message
+        : (data && data.data)
+          ? data.data
+          : fallback;
+
+  if (typeof raw === "string") return raw;
+  try {
+    return JSON.stringify(raw);
+  } catch (_) {
+    return String(raw);
+  }
+}
+
+class ChapaProvider extends PaymentProvider {
+  constructor({
+    baseUrl = process.env.CHAPA_BASE_URL || "https://api.chapa.co",   // point at payments/mockChapaServer.js for offline runs
+    liveSecret = process.env.CHAPA_LIVE_SECRET_KEY || process.env.CHAPA_SECRET_KEY || "",
+    testSecret = process.env.CHAPA_TEST_SECRET_KEY || "",
+    webhookSecret = process.env.CHAPA_WEBHOOK_SECRET || "",
+    approvalSecret = process.env.CHAPA_APPROVAL_SECRET || process.env.CHAPA_WEBHOOK_SECRET || "",
+    defaultCallbackUrl = ""
+  } = {}) {
+    super("chapa");
+    this.baseUrl = String(baseUrl).replace(/\/+$/, "");
+    this.secrets = { live: liveSecret, test: testSecret };
+    this.webhookSecrets = { event: webhookSecret, approval: approvalSecret };
+    this.defaultCallbackUrl = defaultCallbackUrl;
+  }
+
+  // Prefer live when configured; else test
+  defaultSecret() {
+    return this.secrets.live || this.secrets.test || "";
+  }
+
+  isConfigured() {
+    return !!this.defaultSecret();
+  }
+
+  async initialize({ amount, currency = "ETB", txRef, callbackUrl, returnUrl, customer = {} }) {
+    const secret = this.defaultSecret();
+    if (!secret) throw new Error("CHAPA secret missing");
+
+    const payload = {
+      amount: String(amount),
+      currency,
+      email: customer.email,
+      first_name: customer.firstName || "Taskifii",
+      last_name: customer.lastName || "User",
+      tx_ref: txRef,
+      callback_url: callbackUrl || this.defaultCallbackUrl,
+      return_url: returnUrl
+    };
+    if (customer.phone) payload.phone_number = customer.phone;
+
+    const resp = await fetch(`${this.baseUrl}/v1/transaction/initialize`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${secret}`,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify(payload)
+    });
+
+    const data = await resp.json().catch(() => null);
+    const checkout = data?.data?.checkout_url;
+    if (!resp.ok || !checkout) {
+      throw new Error(`Chapa init failed: ${resp.status} ${JSON.stringify(data)}`);
+    }
+    return { checkoutUrl: checkout, raw: data };
+  }
+
+  // Internal: verify with one specific secret
+  async _verifyWithSecret(txRef, secret) {
+    if (!secret) return { ok: false, httpStatus: null, data: null };
+    const resp = await fetch(
+      `${this.baseUrl}/v1/transaction/verify/${encodeURIComponent(txRef)}`,
+      { method: "GET", headers: { Authorization: `Bearer ${secret}` } }
+    );
+    const data = await resp.json().catch(() => null);
+    const txStatus = String(data?.data?.status || "").toLowerCase();
+    return { ok: resp.ok && txStatus === "success", httpStatus: resp.status, data };
+  }
+
+  async verify(txRef) {
+    let seen = null;   // a non-success answer (e.g. still pending) is still worth returning
+    let failedStatus = null;   // a mode that answered with an error (not 404) can't rule the payment out
+    for (const mode of ["live", "test"]) {
+      if (!this.secrets[mode]) continue;
+      const r = await this._verifyWithSecret(txRef, this.secrets[mode]);
+      if (r.ok) {
+        return {
+          ok: true,
+          mode,
+          status: String(r.data?.data?.status || "").toLowerCase(),
+          reference: r.data?.data?.reference || r.data?.data?.tx_ref || txRef,
+          raw: r.data
+        };
+      }
+      if (r.httpStatus >= 200 && r.httpStatus < 300) {
+        if (!seen && r.data?.data) seen = r.data;
+      } else if (r.httpStatus && r.httpStatus !== 404 && !failedStatus) {
+        failedStatus = r.httpStatus;
+      }
+    }
+    return {
+      ok: false, mode: null, status: seen ? String(seen.data.status || "").toLowerCase() : null, reference: null, raw: seen,
+      providerError: seen ? null : failedStatus
+    };
+  }
+
+  async refund({ txRef, amount, reason = "Task canceled by creator" }) {
+    const originalTxRef = String(txRef || "").trim();
+
+    // 1) Verify first (detects live/test + gives Chapa's canonical reference)
+    const v = await this.verify(originalTxRef);
+    if (!v.ok) {
+      const e = new Error(`Cannot refund: verify failed or not paid.`);
+      e.code = "VERIFY_FAILED";
+      e.details = { verifyData: v.raw };
+      throw e;
+    }
+
+    const secret = this.secrets[v.mode];
+    if (!secret) throw new Error(`Missing Chapa ${v.mode} secret key`);
+
+    const chapaReference = v.reference || originalTxRef;
+
+    // 2) Refund (amount omitted = full refund)
+    const form = new URLSearchParams();
+    if (amount) form.append("amount", String(amount));
+    form.append("reason", reason);
+
+    const res = await fetch(`${this.baseUrl}/v1/refund/${encodeURIComponent(chapaReference)}`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${secret}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: form.toString(),
+    });
+
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || (data?.status && String(data.status).toLowerCase() !== "success")) {
+      throw new Error(
+        `Refund API declined: ${res.status} ${JSON.stringify(data)} [mode=${v.mode} tx_ref=${chapaReference}]`
+      );
+    }
+    return { ok: true, mode: v.mode, reference: chapaReference, raw: data };
+  }
+
+  async listBanks({ currency } = {}) {
+    try {
+      const res = await fetch(`${this.baseUrl}/v1/banks`, {
+        method: "GET",
+        headers: { Authorization: `Bearer ${this.defaultSecret()}` }
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok || !Array.isArray(data?.data)) {
+        console.error("Failed to fetch bank list from Chapa:", data || res.statusText);
+        return [];
+      }
+      return currency ? data.data.filter(b => b.currency === currency) : data.data;
+    } catch (err) {
+      console.error("Error fetching bank list:", err);
+      return [];
+    }
+  }
+
+  async transfer({ accountNumber, accountName, bankCode, amount, currency = "ETB", reference }) {
+    const secret = this.defaultSecret();
+    if (!secret) return { ok: false, error: "CHAPA secret missing", raw: null };
+
+    const payload = {
+      account_number: accountNumber,
+      bank_code: bankCode,
+      amount: Number(amount).toFixed(2),
+      currency,
+      reference
+    };
+    if (accountName) payload.account_name = accountName;
+
+    const res = await fetch(`${this.baseUrl}/v1/transfers`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${secret}`,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify(payload)
+    });
+    const data = await res.json().catch(() => null);
+
+    // Anything that is not a clear "success" is an error
+    let isError = !res.ok;
+    if (!isError && data && typeof data.status === "string") {
+      const statusLower = data.status.toLowerCase();
+      if (statusLower !== "success" && statusLower !== "successful") isError = true;
+    }
+
+    return {
+      ok: !isError,
+      error: isError ? extractChapaError(data, res.statusText) : null,
+      raw: data
+    };
+  }
+
+  async resolveAccount({ bankCode, accountNumber }) {
+    const secret = this.defaultSecret();
+    if (!secret) return { ok: false, found: true, accountName: null, raw: null };
+
+    const res = await fetch(`${this.baseUrl}/v1/account/resolve`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${secret}`,
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({ bank_code: bankCode, account_number: accountNumber })
+    });
+    const data = await res.json().catch(() => null);
+    if (res.status === 404) return { ok: false, found: false, accountName: null, raw: data };
+
+    const accountName = res.ok && typeof data?.data?.account_name === "string" ? data.data.account_name.trim() : "";
+    // Anything else (lookup unsupported for this bank, provider hiccup) just means "couldn't check"
+    return { ok: !!accountName, found: true, accountName: accountName || null, raw: data };
+  }
+
+  async verifyTransfer(reference) {
+    const secret = this.defaultSecret();
+    if (!secret) throw new Error("CHAPA secret missing");
+
+    const res = await fetch(`${this.baseUrl}/v1/transfers/verify/${encodeURIComponent(reference)}`, {
+      method: "GET",
+      headers: { Authorization: `Bearer ${secret}` }
+    });
+    const data = await res.json().catch(() => null);
+    if (res.status === 404 || (res.ok && !data?.data)) {
+      return { ok: false, found: false, status: null, raw: data };
+    }
+    if (!res.ok) {
+      throw new Error(`Transfer verify failed: ${extractChapaError(data, res.statusText)}`);
+    }
+    const status = String(data.data.status || "").toLowerCase();
+    return { ok: status === "success" || status === "successful", found: true, status, raw: data };
+  }
+
+  verifyWebhook(req, { purpose = "event" } = {}) {
+    const secret = this.webhookSecrets[purpose] || "";
+    const signature = String(req.get("x-chapa-signature") || req.get("chapa-signature") || "").trim() || null;
+    if (!secret) return { ok: false, reason: "no_secret", signature };
+    if (!signature) return { ok: false, reason: "missing_signature", signature };
+
+    const raw = req.rawBody != null ? req.rawBody : Buffer.from(JSON.stringify(req.body || {}));
+    const expected = Buffer.from(crypto.createHmac("sha256", secret).update(raw).digest("hex"));
+    const given = Buffer.from(signature.toLowerCase());
+    const ok = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    return { ok, reason: ok ? null : "bad_signature", signature };
+  }
+
+  parseWebhook(req) {
+    const body = req.body || {};
+    const event = body.event || null;
+    const reference = body.reference ? String(body.reference) : null;
+
+    if (event === "payout.success") {
+      return { kind: "payout.success", txRef: null, reference, event, raw: body };
+    }
+
+    // Chapa typically includes at least tx_ref (and sometimes reference/status) in the POST
+    const txRef = String(body.tx_ref || body.txRef || req.query?.tx_ref || body.reference || "").trim();
+    if (txRef) {
+      return { kind: "payment", txRef, reference, event, raw: body };
+    }
+    return { kind: "unknown", txRef: null, reference, event, raw: body };
+  }
+}
+
+module.exports = ChapaProvider;
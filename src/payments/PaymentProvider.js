@@ -0,0 +1,109 @@
+// payments/PaymentProvider.js
+//
+// Interface every payment provider implements. Escrow, punishment and payout flows in
+// index.js only talk to this shape (see payments/index.js for how one is picked).
+//
+// Conventions:
+//   - amounts are in major units (birr), currency is an ISO code ("ETB")
+//   - methods that reach the provider are async
+//   - "declined by the provider" is a normal result ({ ok: false, error }), not a throw,
+//     except refund(), which throws so the refund retry loop can record the error
+
+class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // False when credentials are missing (callers skip provider work instead of failing every attempt)
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Start a hosted checkout.
+   * @param {{ amount:number, currency:string, txRef:string, callbackUrl?:string, returnUrl?:string,
+   *           customer:{ email:string, firstName?:string, lastName?:string, phone?:string } }} args
+   * @returns {Promise<{ checkoutUrl:string, raw:any }>}
+   */
+  async initialize(_args) {
+    throw new Error(`${this.name}: initialize() not implemented`);
+  }
+
+  /**
+   * Check a checkout by tx_ref.
+   * @returns {Promise<{ ok:boolean, mode:string|null, status:string|null, reference:string|null, raw:any, providerError?:number|null }>}
+   *          ok = paid successfully; raw = provider response body (also when not ok, if the provider answered);
+   *          providerError = HTTP status when the provider only answered with errors, so "not ok" says nothing about the payment
+   */
+  async verify(_txRef) {
+    throw new Error(`${this.name}: verify() not implemented`);
+  }
+
+  /**
+   * Refund a paid checkout (full refund when amount is omitted). Throws on failure.
+   * @param {{ txRef:string, amount?:number, reason?:string }} args
+   * @returns {Promise<{ ok:true, mode:string|null, reference:string, raw:any }>}
+   */
+  async refund(_args) {
+    throw new Error(`${this.name}: refund() not implemented`);
+  }
+
+  /**
+   * Banks (and wallets) payouts can be sent to.
+   * @param {{ currency?:string }} [opts]
+   * @returns {Promise<Array<{ id:any, name:string, currency?:string }>>}  [] on failure
+   */
+  async listBanks(_opts) {
+    throw new Error(`${this.name}: listBanks() not implemented`);
+  }
+
+  /**
+   * Send money to a bank account.
+   * @param {{ accountNumber:string, accountName?:string, bankCode:any, amount:number, currency:string, reference:string }} args
+   * @returns {Promise<{ ok:boolean, error:string|null, raw:any }>}
+   */
+  async transfer(_args) {
+    throw new Error(`${this.name}: transfer() not implemented`);
+  }
+
+  /**
+   * Who holds an account, checked before money is sent to it.
+   * @param {{ bankCode:any, accountNumber:string }} args
+   * @returns {Promise<{ ok:boolean, found:boolean, accountName:string|null, raw:any }>}
+   *          ok = the provider answered with a holder name; found = false when it says the account doesn't exist
+   */
+  async resolveAccount(_args) {
+    throw new Error(`${this.name}: resolveAccount() not implemented`);
+  }
+
+  /**
+   * Look up a transfer by the reference we sent with transfer().
+   * @returns {Promise<{ ok:boolean, found:boolean, status:string|null, raw:any }>}
+   *          ok = transfer completed; found = false when the provider has no such reference
+   */
+  async verifyTransfer(_reference) {
+    throw new Error(`${this.name}: verifyTransfer() not implemented`);
+  }
+
+  /**
+   * Check an incoming webhook's signature against its raw body (req.rawBody, set by the Express parsers).
+   * @param {import("express").Request} req
+   * @param {{ purpose?:"event"|"approval" }} [opts]  approval = transfer-approval callbacks, which may use their own secret
+   * @returns {{ ok:boolean, reason:string|null, signature:string|null }}
+   *          reason: "no_secret" | "missing_signature" | "bad_signature" when not ok
+   */
+  verifyWebhook(_req, _opts) {
+    throw new Error(`${this.name}: verifyWebhook() not implemented`);
+  }
+
+  /**
+   * Normalize an incoming webhook request.
+   * @param {import("express").Request} req
+   * @returns {{ kind:"payment"|"payout.success"|"unknown", txRef:string|null, reference:string|null, event:string|null, raw:any }}
+   */
+  parseWebhook(_req) {
+    throw new Error(`${this.name}: parseWebhook() not implemented`);
+  }
+}
+
+module.exports = PaymentProvider;
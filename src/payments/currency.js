@@ -0,0 +1,38 @@
+// payments/currency.js
+//
+// Currencies a task can be priced in and how their amounts are shown. Which ones a creator can
+// actually pick is decided by the active fee rules: a currency is offered once it has a
+// `fees.<CUR>` entry (fees/feeRules.js), so enabling USD is a fee-rule publish, not a deploy.
+
+const DEFAULT_CURRENCY = "ETB";
+
+// Unit words used after an amount; currencies without an entry fall back to their ISO code
+const UNITS = {
+  ETB: { en: "birr", am: "ብር" },
+  USD: { en: "USD", am: "ዶላር" },
+};
+
+function normalizeCurrency(currency) {
+  return String(currency || DEFAULT_CURRENCY).toUpperCase();
+}
+
+function currencyUnit(currency, lang = "en") {
+  const code = normalizeCurrency(currency);
+  return UNITS[code]?.[lang === "am" ? "am" : "en"] || code;
+}
+
+// "500 birr", "500 ብር", "$25", "$12.50", "25 ዶላር"
+function formatMoney(amount, currency, lang = "en") {
+  const code = normalizeCurrency(currency);
+  const n = Math.round((Number(amount) || 0) * 100) / 100;
+  const num = Number.isInteger(n) ? String(n) : n.toFixed(2);
+  if (code === "USD" && lang !== "am") return `$${num}`;
+  return `${num} ${currencyUnit(code, lang)}`;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  currencyUnit,
+  formatMoney,
+};
@@ -0,0 +1,38 @@
+// payments/index.js
+//
+// Picks the active PaymentProvider (PAYMENT_PROVIDER, default "chapa").
+// Extra providers (or a fake for tests) plug in with registerPaymentProvider(name, factory).
+
+const PaymentProvider = require("./PaymentProvider");
+const ChapaProvider = require("./ChapaProvider");
+
+const factories = {
+  chapa: (opts) => new ChapaProvider(opts),
+};
+
+let active = null;
+
+function registerPaymentProvider(name, factory) {
+  factories[name] = factory;
+}
+
+function getPaymentProvider(opts = {}) {
+  if (active) return active;
+
+  const name = String(process.env.PAYMENT_PROVIDER || "chapa").toLowerCase();
+  const factory = factories[name];
+  if (!factory) throw new Error(`Unknown PAYMENT_PROVIDER "${name}"`);
+
+  active = factory(opts);
+  if (!(active instanceof PaymentProvider)) {
+    throw new Error(`Payment provider "${name}" does not extend PaymentProvider`);
+  }
+  return active;
+}
+
+// Swap the active provider (e.g. a fake in a test harness)
+function setPaymentProvider(provider) {
+  active = provider;
+}
+
+module.exports = { PaymentProvider, ChapaProvider, registerPaymentProvider, getPaymentProvider, setPaymentProvider };
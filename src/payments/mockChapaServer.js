@@ -0,0 +1,384 @@
+// payments/mockChapaServer.js
+//
+// Local stand-in for the Chapa endpoints the bot uses, for offline end-to-end runs:
+//   POST /v1/transaction/initialize   GET /v1/transaction/verify/:txRef
+//   POST /v1/refund/:reference        GET /v1/banks        POST /v1/transfers
+//   GET  /v1/transfers/verify/:reference                    POST /v1/account/resolve
+// and it calls the bot back like Chapa does (IPN on the checkout's callback_url, unsigned,
+// payout.success on /chapa/payout, signed with x-chapa-signature when a webhook secret is set).
+//
+// Run:  npm run mock:chapa
+// then start the bot with CHAPA_BASE_URL=http://localhost:4010 and any CHAPA_SECRET_KEY.
+//
+// Settings (env, or options to createMockChapaServer):
+//   MOCK_CHAPA_PORT            port to listen on (4010)
+//   MOCK_CHAPA_PUBLIC_URL      base URL used in checkout links (http://localhost:<port>)
+//   MOCK_CHAPA_BOT_URL         where the bot's Express app listens (http://localhost:3000)
+//   MOCK_CHAPA_AUTO_PAY        "1" = checkouts are paid (and IPN fired) right after initialize
+//   MOCK_CHAPA_IPN_DELAY_MS    delay before firing an IPN (1000)
+//   MOCK_CHAPA_AUTO_PAYOUT     "0" = transfers stay pending until /_mock/transfers/:ref/succeed
+//   MOCK_CHAPA_PAYOUT_DELAY_MS delay before firing payout.success (2000)
+//   MOCK_CHAPA_FAIL_TRANSFERS  "1" = every transfer is declined
+//   MOCK_CHAPA_FAIL_REFUNDS    "1" = every refund is declined
+//   MOCK_CHAPA_ACCOUNT_NAME    holder name account lookups return ("" = lookup unavailable)
+//   CHAPA_WEBHOOK_SECRET       secret webhook events are signed with (the bot's own setting; "" = unsigned)
+// Transfers to an account number ending in "0000" are always declined as a missing account
+// (and looking one up says it doesn't exist).
+//
+// Control endpoints (for scripts / curl):
+//   GET  /_mock/state                         everything the mock has seen
+//   POST /_mock/transactions/:txRef/pay       mark a checkout paid and fire its IPN
+//   POST /_mock/transfers/:reference/succeed  fire payout.success for a transfer
+//   POST /_mock/accounts/:accountNumber       set the holder name one account resolves to ({ name })
+//   POST /_mock/callbacks/:index/replay       send callback #index again, byte for byte (replay test)
+//   POST /_mock/config                        merge JSON into the settings above (camelCase keys)
+//   POST /_mock/reset                         forget all transactions / refunds / transfers
+
+const crypto = require("crypto");
+const express = require("express");
+
+const BANKS = [
+  { id: 946, slug: "cbe_bank",      name: "Commercial Bank of Ethiopia (CBE)", currency: "ETB", is_mobilemoney: null },
+  { id: 656, slug: "awash_bank",    name: "Awash Bank",                        currency: "ETB", is_mobilemoney: null },
+  { id: 347, slug: "boa_bank",      name: "Bank of Abyssinia",                 currency: "ETB", is_mobilemoney: null },
+  { id: 882, slug: "dashen_bank",   name: "Dashen Bank",                       currency: "ETB", is_mobilemoney: null },
+  { id: 855, slug: "telebirr",      name: "telebirr",                          currency: "ETB", is_mobilemoney: 1 },
+  { id: 128, slug: "cbebirr",       name: "CBEBirr",                           currency: "ETB", is_mobilemoney: 1 },
+  { id: 266, slug: "mpesa",         name: "M-Pesa",                            currency: "ETB", is_mobilemoney: 1 },
+  { id: 947, slug: "cbe_usd",       name: "CBE Foreign Currency Account",      currency: "USD", is_mobilemoney: null },
+];
+
+function envFlag(name, fallback) {
+  const v = process.env[name];
+  if (v === undefined || v === "") return fallback;
+  return v === "1" || v.toLowerCase() === "true";
+}
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && process.env[name] !== "" ? n : fallback;
+}
+
+function defaultSettings() {
+  const port = envNumber("MOCK_CHAPA_PORT", 4010);
+  return {
+    port,
+    publicUrl:      process.env.MOCK_CHAPA_PUBLIC_URL || `http://localhost:${port}`,
+    botUrl:         process.env.MOCK_CHAPA_BOT_URL || "http://localhost:3000",
+    autoPay:        envFlag("MOCK_CHAPA_AUTO_PAY", false),
+    ipnDelayMs:     envNumber("MOCK_CHAPA_IPN_DELAY_MS", 1000),
+    autoPayout:     envFlag("MOCK_CHAPA_AUTO_PAYOUT", true),
+    payoutDelayMs:  envNumber("MOCK_CHAPA_PAYOUT_DELAY_MS", 2000),
+    failTransfers:  envFlag("MOCK_CHAPA_FAIL_TRANSFERS", false),
+    failRefunds:    envFlag("MOCK_CHAPA_FAIL_REFUNDS", false),
+    accountName:    process.env.MOCK_CHAPA_ACCOUNT_NAME || "",
+    webhookSecret:  process.env.CHAPA_WEBHOOK_SECRET || "",
+  };
+}
+
+function createMockChapaServer(options = {}) {
+  const settings = { ...defaultSettings(), ...options };
+  const state = {
+    transactions: new Map(), // tx_ref → { ...payload, status, reference, refund_status }
+    refunds: [],
+    transfers: new Map(),    // reference → { ...payload, status }
+    accountNames: new Map(), // account_number → holder name (/_mock/accounts)
+    callbacks: [],           // every IPN / payout webhook we fired, with the bot's response
+  };
+
+  const log = (...args) => console.log("[mock-chapa]", ...args);
+
+  async function sendCallback(entry) {
+    const headers = { "Content-Type": "application/json" };
+    if (entry.signed && settings.webhookSecret) {
+      headers["x-chapa-signature"] = crypto.createHmac("sha256", settings.webhookSecret).update(entry.raw).digest("hex");
+    }
+    try {
+      const res = await fetch(entry.url, { method: "POST", headers, body: entry.raw });
+      entry.status = res.status;
+      log(`callback ${entry.body.event || entry.body.status} → ${entry.url} (${res.status})`);
+    } catch (e) {
+      entry.error = e.message;
+      log(`callback → ${entry.url} failed:`, e.message);
+    }
+  }
+
+  // Chapa signs webhook events, not the checkout's callback_url request
+  function postCallback(url, body, { signed = true } = {}) {
+    const entry = { at: new Date().toISOString(), url, body, raw: JSON.stringify(body), signed, status: null, error: null };
+    state.callbacks.push(entry);
+    return sendCallback(entry);
+  }
+
+  function markPaid(tx) {
+    tx.status = "success";
+    tx.paidAt = new Date().toISOString();
+    // The bot may send a relative callback_url when PUBLIC_BASE_URL is unset locally
+    const callbackUrl = /^https?:\/\//.test(tx.callback_url || "") ? tx.callback_url : `${settings.botUrl}/chapa/ipn`;
+    setTimeout(() => {
+      postCallback(callbackUrl, {
+        event: "charge.success",
+        tx_ref: tx.tx_ref,
+        reference: tx.reference,
+        status: "success",
+        amount: tx.amount,
+        currency: tx.currency,
+      }, { signed: false });
+    }, settings.ipnDelayMs);
+  }
+
+  function firePayoutSuccess(transfer) {
+    transfer.status = "success";
+    return postCallback(`${settings.botUrl}/chapa/payout`, {
+      event: "payout.success",
+      reference: transfer.reference,
+      status: "success",
+      amount: transfer.amount,
+      currency: transfer.currency,
+    });
+  }
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // Chapa rejects calls without a bearer secret; so do we (any value is accepted)
+  app.use("/v1", (req, res, next) => {
+    if (!/^Bearer\s+\S+/.test(req.get("authorization") || "")) {
+      return res.status(401).json({ message: "Invalid API Key or User doesn't exist", status: "failed", data: null });
+    }
+    next();
+  });
+
+  app.post("/v1/transaction/initialize", (req, res) => {
+    const body = req.body || {};
+    const missing = ["amount", "currency", "tx_ref"].filter((k) => !body[k]);
+    if (missing.length) {
+      return res.status(400).json({ message: { [missing[0]]: [`The ${missing[0]} field is required.`] }, status: "failed", data: null });
+    }
+    if (state.transactions.has(body.tx_ref)) {
+      return res.status(400).json({ message: "Transaction reference has been used before", status: "failed", data: null });
+    }
+
+    const tx = {
+      ...body,
+      amount: String(body.amount),
+      reference: `MOCK${Date.now().toString(36).toUpperCase()}${state.transactions.size}`,
+      status: "pending",
+      refund_status: null,
+      createdAt: new Date().toISOString(),
+    };
+    state.transactions.set(tx.tx_ref, tx);
+    log(`initialize ${tx.tx_ref} ${tx.amount} ${tx.currency}`);
+
+    if (settings.autoPay) markPaid(tx);
+
+    res.json({
+      message: "Hosted Link",
+      status: "success",
+      data: { checkout_url: `${settings.publicUrl}/checkout/${encodeURIComponent(tx.tx_ref)}` },
+    });
+  });
+
+  app.get("/v1/transaction/verify/:txRef", (req, res) => {
+    const tx = state.transactions.get(req.params.txRef);
+    if (!tx) {
+      return res.status(404).json({ message: "Invalid transaction or Transaction not found", status: "failed", data: null });
+    }
+    res.json({
+      message: "Payment details",
+      status: "success",
+      data: {
+        tx_ref: tx.tx_ref,
+        reference: tx.reference,
+        status: tx.status,
+        refund_status: tx.refund_status,
+        amount: tx.amount,
+        currency: tx.currency,
+        email: tx.email,
+        first_name: tx.first_name,
+        last_name: tx.last_name,
+        created_at: tx.createdAt,
+      },
+    });
+  });
+
+  app.post("/v1/refund/:reference", (req, res) => {
+    const ref = req.params.reference;
+    const tx = [...state.transactions.values()].find((t) => t.reference === ref || t.tx_ref === ref);
+    if (!tx || tx.status !== "success" || tx.refund_status) {
+      return res.status(400).json({ message: "Transaction not found or not refundable", status: "failed", data: null });
+    }
+    if (settings.failRefunds) {
+      return res.status(400).json({ message: "Refund declined (mock)", status: "failed", data: null });
+    }
+
+    const refund = {
+      refund_id: `RF${state.refunds.length + 1}`,
+      reference: tx.reference,
+      tx_ref: tx.tx_ref,
+      amount: String(req.body?.amount || tx.amount),
+      reason: req.body?.reason || null,
+      at: new Date().toISOString(),
+    };
+    state.refunds.push(refund);
+    // Like Chapa, the payment itself stays "success"; verify reports the refund separately
+    tx.refund_status = "success";
+    log(`refund ${tx.tx_ref} ${refund.amount}`);
+
+    res.json({ message: "Refund processed", status: "success", data: refund });
+  });
+
+  app.get("/v1/banks", (req, res) => {
+    res.json({ message: "Banks retrieved", data: BANKS });
+  });
+
+  app.post("/v1/transfers", (req, res) => {
+    const body = req.body || {};
+    if (!body.account_number || !body.bank_code || !body.amount || !body.reference) {
+      return res.status(400).json({ message: "Invalid transfer payload", status: "failed", data: null });
+    }
+    if (state.transfers.has(body.reference)) {
+      return res.status(400).json({ message: "Transfer reference has been used before", status: "failed", data: null });
+    }
+    if (settings.failTransfers) {
+      return res.status(400).json({ message: "Transfer declined (mock)", status: "failed", data: null });
+    }
+    if (String(body.account_number).endsWith("0000")) {
+      return res.status(400).json({ message: "The account number does not exist", status: "failed", data: null });
+    }
+
+    const transfer = { ...body, status: "pending", createdAt: new Date().toISOString() };
+    state.transfers.set(body.reference, transfer);
+    log(`transfer ${transfer.reference} ${transfer.amount} ${transfer.currency} → ${transfer.bank_code}/${transfer.account_number}`);
+
+    if (settings.autoPayout) {
+      setTimeout(() => firePayoutSuccess(transfer), settings.payoutDelayMs);
+    }
+
+    res.json({ message: "Transfer Queued Successfully", status: "success", data: transfer.reference });
+  });
+
+  app.post("/v1/account/resolve", (req, res) => {
+    const body = req.body || {};
+    const account = String(body.account_number || "");
+    if (!account || !body.bank_code) {
+      return res.status(400).json({ message: "Invalid account lookup payload", status: "failed", data: null });
+    }
+    if (account.endsWith("0000")) {
+      return res.status(404).json({ message: "The account number does not exist", status: "failed", data: null });
+    }
+    const name = state.accountNames.get(account) || settings.accountName;
+    if (!name) {
+      return res.status(503).json({ message: "Account lookup unavailable (mock)", status: "failed", data: null });
+    }
+    res.json({
+      message: "Account resolved",
+      status: "success",
+      data: { account_name: name, account_number: account, bank_code: body.bank_code },
+    });
+  });
+
+  app.get("/v1/transfers/verify/:reference", (req, res) => {
+    const transfer = state.transfers.get(req.params.reference);
+    if (!transfer) {
+      return res.status(404).json({ message: "Transfer not found", status: "failed", data: null });
+    }
+    res.json({
+      message: "Transfer details",
+      status: "success",
+      data: {
+        reference: transfer.reference,
+        status: transfer.status,
+        amount: transfer.amount,
+        currency: transfer.currency,
+        bank_code: transfer.bank_code,
+        account_number: transfer.account_number,
+        created_at: transfer.createdAt,
+      },
+    });
+  });
+
+  // Stand-in for Chapa's hosted payment page
+  app.get("/checkout/:txRef", (req, res) => {
+    const tx = state.transactions.get(req.params.txRef);
+    if (!tx) return res.status(404).send("Unknown checkout");
+    const paid = tx.status === "success";
+    res.type("html").send(
+      `<!doctype html><title>Mock Chapa checkout</title>` +
+      `<h2>Mock Chapa checkout</h2>` +
+      `<p>${tx.amount} ${tx.currency} — tx_ref <code>${tx.tx_ref}</code> — status <b>${tx.status}</b></p>` +
+      (paid ? "" : `<form method="post" action="/_mock/transactions/${encodeURIComponent(tx.tx_ref)}/pay"><button>Pay</button></form>`)
+    );
+  });
+
+  app.get("/_mock/state", (req, res) => {
+    res.json({
+      settings,
+      transactions: [...state.transactions.values()],
+      refunds: state.refunds,
+      transfers: [...state.transfers.values()],
+      callbacks: state.callbacks,
+    });
+  });
+
+  app.post("/_mock/transactions/:txRef/pay", (req, res) => {
+    const tx = state.transactions.get(req.params.txRef);
+    if (!tx) return res.status(404).json({ ok: false, error: "unknown tx_ref" });
+    if (tx.status !== "success") markPaid(tx);
+    if (req.is("application/x-www-form-urlencoded")) {
+      return res.redirect(303, `/checkout/${encodeURIComponent(tx.tx_ref)}`);
+    }
+    res.json({ ok: true, transaction: tx });
+  });
+
+  app.post("/_mock/transfers/:reference/succeed", async (req, res) => {
+    const transfer = state.transfers.get(req.params.reference);
+    if (!transfer) return res.status(404).json({ ok: false, error: "unknown reference" });
+    await firePayoutSuccess(transfer);
+    res.json({ ok: true, transfer });
+  });
+
+  app.post("/_mock/accounts/:accountNumber", (req, res) => {
+    const name = String(req.body?.name || "").trim();
+    if (name) state.accountNames.set(req.params.accountNumber, name);
+    else state.accountNames.delete(req.params.accountNumber);
+    res.json({ ok: true, accountNumber: req.params.accountNumber, name: name || null });
+  });
+
+  app.post("/_mock/callbacks/:index/replay", async (req, res) => {
+    const entry = state.callbacks[Number(req.params.index)];
+    if (!entry) return res.status(404).json({ ok: false, message: "No such callback" });
+    const replay = { ...entry, at: new Date().toISOString(), status: null, error: null, replayOf: Number(req.params.index) };
+    state.callbacks.push(replay);
+    await sendCallback(replay);
+    res.json({ ok: true, status: replay.status, error: replay.error });
+  });
+
+  app.post("/_mock/config", (req, res) => {
+    for (const [k, v] of Object.entries(req.body || {})) {
+      if (k in settings && k !== "port") settings[k] = v;
+    }
+    res.json({ ok: true, settings });
+  });
+
+  app.post("/_mock/reset", (req, res) => {
+    state.transactions.clear();
+    state.transfers.clear();
+    state.accountNames.clear();
+    state.refunds.length = 0;
+    state.callbacks.length = 0;
+    res.json({ ok: true });
+  });
+
+  return { app, state, settings };
+}
+
+module.exports = { createMockChapaServer, BANKS };
+
+if (require.main === module) {
+  const { app, settings } = createMockChapaServer();
+  app.listen(settings.port, () => {
+    console.log(`[mock-chapa] listening on ${settings.publicUrl} (bot callbacks → ${settings.botUrl})`);
+  });
+}
@@ -0,0 +1,208 @@
+// payments/payoutDestinations.js
+//
+// Where a user can be paid: a bank account, a telebirr wallet or an M-Pesa wallet. Saved ones live
+// in User.bankDetails as { type, bankName, accountNumber, bankId? }; entries saved before types existed
+// have no type and are recognised by their name ("Telebirr,09…" was always accepted as a bank).
+// bankId is the provider bank the user picked when the typed name alone didn't say (matchProviderBank).
+//
+// Each type validates its own account format. Mobile-money numbers are stored normalized
+// (+2519… / +2517…) and handed to the provider in the local 09… / 07… form.
+//
+// Before money goes to an account the provider's holder name is compared with the user's
+// registered name (compareAccountHolder); see ACCOUNT_CHECK_STATUSES.
+
+const DESTINATION_TYPES = {
+  bank:     { name: null,       label: { en: "Bank account", am: "የባንክ ሂሳብ" } },
+  telebirr: { name: "telebirr", label: { en: "telebirr", am: "ቴሌብር" }, mobilePrefix: "9" },   // Ethio Telecom
+  mpesa:    { name: "M-Pesa",   label: { en: "M-Pesa", am: "ኤም-ፔሳ" }, mobilePrefix: "7" },     // Safaricom
+};
+
+// verified   holder name matches the user's name
+// mismatch   the provider names someone else
+// unverified the provider couldn't tell us (lookup unsupported, provider down)
+// not_found  the provider says the account doesn't exist
+const ACCOUNT_CHECK_STATUSES = ["verified", "mismatch", "unverified", "not_found"];
+
+// Normalizes ET mobile numbers to +2519xxxxxxxx / +2517xxxxxxxx; returns null if unknown.
+function normalizeEtPhone(raw) {
+  if (!raw) return null;
+  const str = String(raw).trim();
+
+  // Already E.164
+  if (/^\+251[79]\d{8}$/.test(str)) return str;
+
+  // Strip non-digits
+  const digits = str.replace(/\D/g, "");
+
+  // 09xxxxxxxx or 9xxxxxxxx or 07xxxxxxxx or 7xxxxxxxx
+  if (/^0?[79]\d{8}$/.test(digits)) return `+251${digits.slice(-9)}`;
+
+  // 2519xxxxxxxx or 2517xxxxxxxx
+  if (/^251[79]\d{8}$/.test(digits)) return `+${digits}`;
+
+  // Unknown format → don’t send
+  return null;
+}
+
+// "Telebirr", "tele birr", "M-Pesa", "mpesa" … → type; anything else is a bank name
+function destinationTypeFromName(name) {
+  const key = String(name || "").toLowerCase().replace(/[^a-z]/g, "");
+  if (key === "telebirr") return "telebirr";
+  if (key === "mpesa") return "mpesa";
+  return "bank";
+}
+
+function destinationTypeOf(dest) {
+  if (dest?.type && dest.type !== "bank" && DESTINATION_TYPES[dest.type]) return dest.type;
+  return destinationTypeFromName(dest?.bankName);
+}
+
+// Type of a provider bank-list entry (Chapa lists telebirr and M-Pesa as "banks")
+function destinationTypeForBank(bank) {
+  const bySlug = destinationTypeFromName(bank?.slug);
+  return bySlug !== "bank" ? bySlug : destinationTypeFromName(bank?.name);
+}
+
+/**
+ * Validate an account for one destination type.
+ * @returns {{ok: true, accountNumber: string} | {ok: false, error: string}}
+ *   error: "bank_account" | "telebirr_phone" | "mpesa_phone"
+ */
+function validateAccountForType(type, raw) {
+  const value = String(raw || "").trim();
+  const spec = DESTINATION_TYPES[type] || DESTINATION_TYPES.bank;
+
+  if (spec.mobilePrefix) {
+    const phone = normalizeEtPhone(value);
+    if (!phone || phone[4] !== spec.mobilePrefix) return { ok: false, error: `${type}_phone` };
+    return { ok: true, accountNumber: phone };
+  }
+
+  // Letters are allowed (some Abyssinia accounts have them), as are spaces and dashes
+  if (value.length < 5 || value.length > 30 || !/^[A-Za-z0-9\- ]+$/.test(value) || !/\d/.test(value)) {
+    return { ok: false, error: "bank_account" };
+  }
+  return { ok: true, accountNumber: value };
+}
+
+/**
+ * Parse "Name,Account" as typed during onboarding / profile editing.
+ * @returns {{ok: true, destination: {type, bankName, accountNumber}} | {ok: false, error: string}}
+ *   error: "format" or one of validateAccountForType's errors
+ */
+function parseDestinationText(text) {
+  const comma = String(text || "").indexOf(",");
+  if (comma < 0) return { ok: false, error: "format" };
+  const name = text.slice(0, comma).trim();
+  const account = text.slice(comma + 1).trim();
+  if (!name || !account) return { ok: false, error: "format" };
+
+  const type = destinationTypeFromName(name);
+  if (type === "bank" && !/^[A-Za-z][A-Za-z .&'()-]*$/.test(name)) return { ok: false, error: "format" };
+
+  const checked = validateAccountForType(type, account);
+  if (!checked.ok) return checked;
+  return {
+    ok: true,
+    destination: { type, bankName: DESTINATION_TYPES[type].name || name, accountNumber: checked.accountNumber },
+  };
+}
+
+// Account number in the form the provider expects (mobile money: 09xxxxxxxx / 07xxxxxxxx)
+function providerAccountNumber(type, accountNumber) {
+  if (!DESTINATION_TYPES[type]?.mobilePrefix) return accountNumber;
+  const phone = normalizeEtPhone(accountNumber);
+  return phone ? `0${phone.slice(-9)}` : accountNumber;
+}
+
+// One line for lists and buttons: "Awash Bank — 0123456789", "📱 telebirr — +251911223344"
+function describeDestination(dest, lang = "en") {
+  const type = destinationTypeOf(dest);
+  if (type === "bank") return `${dest?.bankName || "Bank"} — ${dest?.accountNumber || "N/A"}`;
+  return `📱 ${DESTINATION_TYPES[type].label[lang] || DESTINATION_TYPES[type].label.en} — ${dest.accountNumber || "N/A"}`;
+}
+
+// Words that don't tell banks apart: "Bank of Abyssinia", "Abyssinia Bank S.C." → "abyssinia"
+const BANK_NAME_FILLER = new Set(["bank", "of", "the", "s", "c", "sc", "share", "company"]);
+
+function bankNameKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(t => t && !BANK_NAME_FILLER.has(t))
+    .join(" ");
+}
+
+/**
+ * The provider bank a saved destination pays out through. Saved bank names are free text, so only
+ * an explicit bankId or a single exact match (after bankNameKey) counts; anything looser is returned
+ * as candidates for the user to pick from, never chosen for them.
+ * @returns {{ bank: object|null, candidates: object[] }}  both empty when the bank isn't offered
+ */
+function matchProviderBank(banks, dest) {
+  const type = destinationTypeOf(dest);
+  if (type !== "bank") {
+    const wallets = banks.filter(b => destinationTypeForBank(b) === type);
+    return wallets.length === 1 ? { bank: wallets[0], candidates: [] } : { bank: null, candidates: wallets };
+  }
+
+  if (dest?.bankId != null) {
+    const picked = banks.find(b => String(b.id) === String(dest.bankId));
+    if (picked) return { bank: picked, candidates: [] };
+  }
+
+  const wanted = bankNameKey(dest?.bankName);
+  if (!wanted) return { bank: null, candidates: [] };
+  const exact = banks.filter(b => bankNameKey(b.name) === wanted);
+  if (exact.length === 1) return { bank: exact[0], candidates: [] };
+  if (exact.length) return { bank: null, candidates: exact };
+
+  const wantedTokens = wanted.split(" ");
+  const close = banks.filter(b => {
+    const tokens = bankNameKey(b.name).split(" ").filter(Boolean);
+    return tokens.length && (wantedTokens.every(t => tokens.includes(t)) || tokens.every(t => wantedTokens.includes(t)));
+  });
+  return { bank: null, candidates: close };
+}
+
+// The provider bank a saved destination pays out through (null when it isn't offered or is ambiguous)
+function findProviderBank(banks, dest) {
+  return matchProviderBank(banks, dest).bank;
+}
+
+function nameTokens(name) {
+  return String(name || "")
+    .replace(/\s*\(\d+\)\s*$/, "")      // "Abebe Kebede (2)": de-duplicated display names
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}]+/u)
+    .filter(t => t.length > 1);
+}
+
+/**
+ * Compare a registered full name with the holder name the provider returned. Banks often print
+ * only two of the three Ethiopian names, in capitals, so two shared names (or the only one) is a match.
+ * @returns {"verified"|"mismatch"}
+ */
+function compareAccountHolder(fullName, accountName) {
+  const ours = nameTokens(fullName);
+  const theirs = new Set(nameTokens(accountName));
+  if (!ours.length || !theirs.size) return "mismatch";
+  const shared = ours.filter(t => theirs.has(t)).length;
+  return shared >= Math.min(2, ours.length, theirs.size) ? "verified" : "mismatch";
+}
+
+module.exports = {
+  DESTINATION_TYPES,
+  ACCOUNT_CHECK_STATUSES,
+  normalizeEtPhone,
+  destinationTypeFromName,
+  destinationTypeOf,
+  destinationTypeForBank,
+  validateAccountForType,
+  parseDestinationText,
+  providerAccountNumber,
+  describeDestination,
+  matchProviderBank,
+  findProviderBank,
+  compareAccountHolder,
+};
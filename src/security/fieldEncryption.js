@@ -0,0 +1,200 @@
+// security/fieldEncryption.js
+//
+// Field-level encryption for contact and payout data (User.phone / email / bankDetails.accountNumber,
+// TaskPayout.accountNumber / accountName). Encrypted values are stored as
+//   enc:<keyId>:<iv>:<ciphertext+tag>        (AES-256-GCM, base64url)
+// The IV is derived from the value itself, so one value under one key always encrypts the same way:
+// equality lookups ("is this phone number taken?") and the unique indexes keep working.
+//
+// Keys come from config FIELD_ENCRYPTION_KEYS ("<id>:<base64 32-byte key>,…", newest first).
+// New values use the first key, older keys only decrypt. After adding a key, reencryptModel() rewrites
+// rows still on an old key (or still in plaintext); until it gets to a row, lookups of that value miss.
+// Without keys nothing new is encrypted (local / staging bots).
+//
+// encryptPaths() wires this into a schema: setters encrypt (documents, queries and updates), getters
+// decrypt hydrated documents, and a post-find hook decrypts .lean() results (populated ones too).
+// toObject() / toJSON() keep the stored ciphertext.
+
+const crypto = require("crypto");
+
+const PREFIX = "enc:";
+let KEYS = [];                 // [{ id, encKey, ivKey }], newest first
+const missingKeyWarned = new Set();
+const ENCRYPTED_PATHS = new WeakMap();   // schema → paths given to encryptPaths()
+
+// keyring: { keys: [{ id, key: Buffer(32) }] } from config, or null
+function configureFieldEncryption(keyring) {
+  KEYS = (keyring?.keys || []).map(({ id, key }) => ({
+    id,
+    encKey: crypto.createHmac("sha256", key).update("field-encryption").digest(),
+    ivKey: crypto.createHmac("sha256", key).update("field-iv").digest(),
+  }));
+  return KEYS.length > 0;
+}
+
+function fieldEncryptionEnabled() {
+  return KEYS.length > 0;
+}
+
+function currentKeyId() {
+  return KEYS[0]?.id || null;
+}
+
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+function encryptField(value) {
+  if (typeof value !== "string" || value === "" || isEncrypted(value) || !KEYS.length) return value;
+
+  const { id, encKey, ivKey } = KEYS[0];
+  const iv = crypto.createHmac("sha256", ivKey).update(value).digest().subarray(0, 12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encKey, iv);
+  const body = Buffer.concat([cipher.update(value, "utf8"), cipher.final(), cipher.getAuthTag()]);
+  return `${PREFIX}${id}:${iv.toString("base64url")}:${body.toString("base64url")}`;
+}
+
+// Plaintext passes through; a value whose key is gone (or that fails to authenticate) stays as stored
+function decryptField(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [, id, ivPart, bodyPart] = value.split(":");
+  const entry = KEYS.find(k => k.id === id);
+  if (!entry) {
+    if (!missingKeyWarned.has(id)) {
+      missingKeyWarned.add(id);
+      console.error(`Field encryption: no key "${id}" in FIELD_ENCRYPTION_KEYS; values stay encrypted`);
+    }
+    return value;
+  }
+  try {
+    const body = Buffer.from(bodyPart, "base64url");
+    const decipher = crypto.createDecipheriv("aes-256-gcm", entry.encKey, Buffer.from(ivPart, "base64url"));
+    decipher.setAuthTag(body.subarray(body.length - 16));
+    return Buffer.concat([decipher.update(body.subarray(0, body.length - 16)), decipher.final()]).toString("utf8");
+  } catch (e) {
+    console.error(`Field encryption: could not decrypt a value under key "${id}":`, e.message);
+    return value;
+  }
+}
+
+// Stored in plaintext, or under a key that isn't the newest one
+function needsReencryption(value) {
+  if (typeof value !== "string" || value === "" || !KEYS.length) return false;
+  return !value.startsWith(`${PREFIX}${KEYS[0].id}:`);
+}
+
+// "bankDetails.accountNumber" → ["bankDetails", "accountNumber"] when bankDetails is a document array
+function splitPath(schema, path) {
+  const [head, ...rest] = path.split(".");
+  const arrayType = rest.length ? schema.path(head) : null;
+  return arrayType?.schema ? [head, rest.join(".")] : [path, null];
+}
+
+function mapPaths(doc, paths, schema, fn) {
+  if (!doc || typeof doc !== "object") return;
+  for (const path of paths) {
+    const [head, sub] = splitPath(schema, path);
+    if (sub) {
+      for (const item of Array.isArray(doc[head]) ? doc[head] : []) {
+        if (item && item[sub] != null) item[sub] = fn(item[sub]);
+      }
+    } else if (doc[head] != null) {
+      doc[head] = fn(doc[head]);
+    }
+  }
+}
+
+/**
+ * Encrypt the given string paths of a schema. Paths inside document arrays use dots
+ * ("bankDetails.accountNumber").
+ */
+function encryptPaths(schema, paths) {
+  for (const path of paths) {
+    const [head, sub] = splitPath(schema, path);
+    const type = sub ? schema.path(head).schema.path(sub) : schema.path(head);
+    if (!type) throw new Error(`encryptPaths: unknown path "${path}"`);
+    // Setters run last-to-first: putting ours first makes it run after trim / lowercase
+    type.setters.unshift(encryptField);
+    type.getters.push(decryptField);
+  }
+  ENCRYPTED_PATHS.set(schema, paths);
+
+  schema.post(["find", "findOne", "findOneAndUpdate", "findOneAndDelete"], function (res) {
+    if (!this.mongooseOptions().lean || !res) return;
+    for (const doc of Array.isArray(res) ? res : [res]) mapPaths(doc, paths, schema, decryptField);
+  });
+}
+
+/**
+ * Rewrite every document of Model whose encrypted paths are in plaintext or under an old key.
+ * Goes through the driver so the setters / getters don't interfere. Returns the number rewritten.
+ */
+async function reencryptModel(Model) {
+  const schema = Model.schema;
+  const paths = ENCRYPTED_PATHS.get(schema) || [];
+  if (!KEYS.length || !paths.length) return 0;
+  const current = new RegExp(`^${PREFIX}${KEYS[0].id}:`);
+
+  const or = paths.map(path => ({ [path]: { $type: "string", $gt: "", $not: current } }));
+  const cursor = Model.collection.find({ $or: or });
+  let rewritten = 0;
+
+  // A value under a key we no longer have comes back unchanged from rotate() and is left alone
+  const rotate = (value) => (needsReencryption(value) ? encryptField(decryptField(value)) : value);
+
+  for await (const raw of cursor) {
+    const set = {};
+    for (const path of paths) {
+      const [head, sub] = splitPath(schema, path);
+      if (sub) {
+        if (!Array.isArray(raw[head])) continue;
+        const items = raw[head].map(item => (item && item[sub] != null ? { ...item, [sub]: rotate(item[sub]) } : item));
+        if (items.some((item, i) => item?.[sub] !== raw[head][i]?.[sub])) set[head] = items;
+      } else {
+        const value = rotate(raw[head]);
+        if (value !== raw[head]) set[head] = value;
+      }
+    }
+    if (!Object.keys(set).length) continue;
+    await Model.collection.updateOne({ _id: raw._id }, { $set: set });
+    rewritten++;
+  }
+  return rewritten;
+}
+
+// ─── Masked forms for audit / admin messages ───
+
+// "0912345678" → "••••••5678"
+function maskValue(value, visible = 4) {
+  const plain = decryptField(value);
+  if (plain == null || plain === "") return plain;
+  if (isEncrypted(plain)) return "[encrypted]";
+  const str = String(plain);
+  if (str.length <= visible) return "•".repeat(str.length);
+  return "•".repeat(Math.min(str.length - visible, 8)) + str.slice(-visible);
+}
+
+// "abebe.k@gmail.com" → "a•••••@gmail.com"
+function maskEmail(value) {
+  const plain = decryptField(value);
+  if (plain == null || plain === "") return plain;
+  if (isEncrypted(plain)) return "[encrypted]";
+  const [local, domain] = String(plain).split("@");
+  if (!domain) return maskValue(plain);
+  return `${local.slice(0, 1)}${"•".repeat(Math.max(local.length - 1, 3))}@${domain}`;
+}
+
+module.exports = {
+  configureFieldEncryption,
+  fieldEncryptionEnabled,
+  currentKeyId,
+  isEncrypted,
+  encryptField,
+  decryptField,
+  needsReencryption,
+  encryptPaths,
+  reencryptModel,
+  maskValue,
+  maskEmail,
+};
@@ -0,0 +1,43 @@
+// sim/fakeClock.js
+//
+// Shifts "now" for everything that reads the clock through the global Date (Date.now(), new Date(),
+// dayjs, mongoose defaults, ScheduledJob.runAt checks). Real timers keep running at normal speed,
+// so the Mongo driver and Express are unaffected; only the time the bot *sees* jumps.
+
+function installFakeClock(start) {
+  const RealDate = Date;
+  let offset = start ? new RealDate(start).getTime() - RealDate.now() : 0;
+
+  class FakeDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(RealDate.now() + offset);
+      else super(...args);
+    }
+    static now() {
+      return RealDate.now() + offset;
+    }
+    // Dates built before install (or by code holding RealDate) still count as dates
+    static [Symbol.hasInstance](value) {
+      return value instanceof RealDate;
+    }
+  }
+
+  global.Date = FakeDate;
+
+  return {
+    now: () => FakeDate.now(),
+    advance(ms) {
+      offset += ms;
+      return FakeDate.now();
+    },
+    set(when) {
+      offset = new RealDate(when).getTime() - RealDate.now();
+      return FakeDate.now();
+    },
+    uninstall() {
+      global.Date = RealDate;
+    },
+  };
+}
+
+module.exports = { installFakeClock };
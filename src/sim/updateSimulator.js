@@ -0,0 +1,302 @@
+// sim/updateSimulator.js
+//
+// Drives the real bot (every handler registered in startBot) with synthetic Telegram updates,
+// against a throwaway Mongo, with all outgoing Bot API calls captured instead of sent and a fake
+// clock for the time-based enforcement jobs. Meant for scripted lifecycle scenarios:
+//
+//   const { createSimulator } = require("./sim/updateSimulator");
+//   const sim = await createSimulator({ chapa: true });
+//   const creator = sim.user({ id: 1001, first_name: "Abebe" });
+//   const doer    = sim.user({ id: 1002, first_name: "Sara" });
+//
+//   await creator.send("/start");
+//   await creator.click("LANG_EN");                  // exact callback_data …
+//   await creator.click(/^TASK_POST_CONFIRM/);       // … or a RegExp, matched against buttons we sent them
+//   await doer.send(`/start apply_${taskId}`);       // deep links from channel posts
+//   await sim.advance(30 * 60 * 1000);               // jump the clock and run due ScheduledJobs
+//   assert(sim.textsTo(doer.id).some(t => t.includes("…")));
+//   await sim.stop();
+//
+// Mongo: uses mongodb-memory-server when it is installed (npm i -D mongodb-memory-server),
+// otherwise SIM_MONGODB_URI — a database that is DROPPED on start.
+// index.js keeps module-level state, so create one simulator per process.
+
+const { Telegram } = require("telegraf");
+const mongoose = require("mongoose");
+const { installFakeClock } = require("./fakeClock");
+
+const SEND_METHODS = new Set([
+  "sendMessage", "sendPhoto", "sendDocument", "sendVideo", "sendAudio", "sendVoice",
+  "sendAnimation", "sendSticker", "sendLocation", "sendContact", "sendInvoice",
+  "forwardMessage", "copyMessage",
+]);
+const EDIT_METHODS = new Set(["editMessageText", "editMessageReplyMarkup", "editMessageCaption"]);
+
+const BOT_INFO = { id: 999000999, is_bot: true, first_name: "Taskifii (sim)", username: "TaskifiiSimBot" };
+
+async function startMongo(uri) {
+  if (uri) {
+    if (process.env.MONGODB_URI && uri === process.env.MONGODB_URI) {
+      throw new Error("SIM_MONGODB_URI must not be the bot's real MONGODB_URI (it is dropped on start)");
+    }
+    await mongoose.connect(uri, { autoIndex: true });
+    await mongoose.connection.dropDatabase();
+    return { uri, stop: async () => {} };
+  }
+
+  let MongoMemoryServer;
+  try {
+    ({ MongoMemoryServer } = require("mongodb-memory-server"));
+  } catch (_) {
+    throw new Error(
+      "updateSimulator needs mongodb-memory-server (npm i -D mongodb-memory-server) " +
+      "or SIM_MONGODB_URI pointing at a throwaway database"
+    );
+  }
+  const mem = await MongoMemoryServer.create();
+  await mongoose.connect(mem.getUri(), { autoIndex: true });
+  return { uri: mem.getUri(), stop: () => mem.stop() };
+}
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+function inlineButtons(replyMarkup) {
+  const rows = replyMarkup?.inline_keyboard || [];
+  return rows.flat();
+}
+
+async function createSimulator({
+  mongoUri = process.env.SIM_MONGODB_URI,
+  chapa = false,               // true = start payments/mockChapaServer.js and point the bot at it
+  startAt = null,              // initial fake time (Date / ISO string); default = real now
+  env = {},                    // extra env for index.js (e.g. { APP_PROFILE: "staging", CONFIG_FILE: … })
+  sweeps = true,               // schedule the recurring sweeps (refund/payout retries, reconciliation)
+} = {}) {
+  const clock = installFakeClock(startAt);
+  const mongo = await startMongo(mongoUri);
+
+  const calls = [];                 // every captured Bot API call: { method, payload, at, result }
+  const messages = new Map();       // `${chatId}:${messageId}` → last known message (text + markup)
+  const nextMessageId = new Map();  // chatId → counter
+  const overrides = new Map();      // method → (payload) => result
+  let updateId = 1;
+
+  function storeMessage(chatId, payload) {
+    const id = (nextMessageId.get(String(chatId)) || 0) + 1;
+    nextMessageId.set(String(chatId), id);
+    const msg = {
+      message_id: id,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: Number(chatId) || chatId, type: Number(chatId) < 0 ? "channel" : "private" },
+      from: BOT_INFO,
+      text: payload.text,
+      caption: payload.caption,
+      reply_markup: payload.reply_markup,
+    };
+    messages.set(`${chatId}:${id}`, msg);
+    return msg;
+  }
+
+  function fakeResult(method, payload) {
+    if (overrides.has(method)) return overrides.get(method)(payload);
+    if (SEND_METHODS.has(method)) return storeMessage(payload.chat_id, payload);
+    if (method === "sendMediaGroup") return (payload.media || []).map((m) => storeMessage(payload.chat_id, m));
+    if (EDIT_METHODS.has(method)) {
+      const key = `${payload.chat_id}:${payload.message_id}`;
+      const msg = messages.get(key);
+      if (!msg) return true;   // inline messages / unknown ids
+      if ("text" in payload) msg.text = payload.text;
+      if ("caption" in payload) msg.caption = payload.caption;
+      if ("reply_markup" in payload) msg.reply_markup = payload.reply_markup;
+      return msg;
+    }
+    switch (method) {
+      case "getMe": return BOT_INFO;
+      case "getChat": return { id: payload.chat_id, type: Number(payload.chat_id) < 0 ? "supergroup" : "private" };
+      case "getChatMember": return { status: "member", user: { id: payload.user_id } };
+      case "createChatInviteLink": return { invite_link: `https://t.me/+sim${calls.length}`, creates_join_request: false };
+      case "getFile": return { file_id: payload.file_id, file_unique_id: payload.file_id, file_path: `sim/${payload.file_id}` };
+      default: return true;
+    }
+  }
+
+  // Capture every Bot API call, including the per-update Telegram instances Telegraf creates
+  const realCallApi = Telegram.prototype.callApi;
+  Telegram.prototype.callApi = async function simCallApi(method, payload = {}) {
+    const entry = { method, payload, at: new Date(Date.now()) };
+    calls.push(entry);
+    entry.result = await fakeResult(method, payload);
+    return entry.result;
+  };
+
+  let mockChapa = null;
+  Object.assign(process.env, {
+    BOT_TOKEN: process.env.BOT_TOKEN || "123456:SIMULATOR",
+    MONGODB_URI: mongo.uri,
+    // Required by the production profile; the mock also signs its webhook events with it
+    CHAPA_WEBHOOK_SECRET: process.env.CHAPA_WEBHOOK_SECRET || "sim",
+    ...env,
+  });
+  if (chapa) {
+    const { createMockChapaServer } = require("../payments/mockChapaServer");
+    mockChapa = createMockChapaServer({ ipnDelayMs: 0, payoutDelayMs: 0 });
+    mockChapa.server = await listen(mockChapa.app);
+    const chapaUrl = `http://127.0.0.1:${mockChapa.server.address().port}`;
+    mockChapa.settings.publicUrl = chapaUrl;
+    process.env.CHAPA_BASE_URL = chapaUrl;
+    process.env.CHAPA_SECRET_KEY = process.env.CHAPA_SECRET_KEY || "sim";
+  }
+
+  const taskifii = require("../index");
+  const bot = taskifii.startBot({ launch: false });
+  bot.botInfo = BOT_INFO;
+
+  // The bot's Express routes (/chapa/ipn, /chapa/payout, …) on an ephemeral port
+  const httpServer = await listen(taskifii.app);
+  const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+  if (mockChapa) mockChapa.settings.botUrl = baseUrl;
+
+  if (sweeps) await taskifii.ensureRecurringSweeps();
+
+  // Let fire-and-forget work started by a handler finish before the scenario looks at results
+  async function settle(rounds = 10) {
+    for (let i = 0; i < rounds; i++) await new Promise((r) => setImmediate(r));
+  }
+
+  async function dispatch(update) {
+    await bot.handleUpdate({ update_id: updateId++, ...update });
+    await settle();
+  }
+
+  function findButtonMessage(chatId, matcher) {
+    const matches = (data) => (matcher instanceof RegExp ? matcher.test(data) : data === matcher);
+    const candidates = [...messages.values()]
+      .filter((m) => String(m.chat.id) === String(chatId))
+      .sort((a, b) => b.message_id - a.message_id);
+    for (const msg of candidates) {
+      const btn = inlineButtons(msg.reply_markup).find((b) => b.callback_data && matches(b.callback_data));
+      if (btn) return { msg, data: btn.callback_data };
+    }
+    return null;
+  }
+
+  function user(from) {
+    const tgUser = { is_bot: false, language_code: "en", ...from };
+    const chat = { id: tgUser.id, type: "private", first_name: tgUser.first_name, username: tgUser.username };
+
+    return {
+      id: tgUser.id,
+      from: tgUser,
+
+      // Text ("/start apply_…", answers to prompts) or raw message fields ({ photo: [...] }, { document: … })
+      async send(input) {
+        const fields = typeof input === "string" ? { text: input } : input;
+        const message = {
+          message_id: (nextMessageId.get(`u${tgUser.id}`) || 0) + 1,
+          date: Math.floor(Date.now() / 1000),
+          chat,
+          from: tgUser,
+          ...fields,
+        };
+        nextMessageId.set(`u${tgUser.id}`, message.message_id);
+        if (typeof message.text === "string" && message.text.startsWith("/")) {
+          message.entities = [{ type: "bot_command", offset: 0, length: message.text.split(" ")[0].length }];
+        }
+        await dispatch({ message });
+      },
+
+      // Press an inline button the bot sent to this user (newest message first)
+      async click(matcher, { chatId = tgUser.id } = {}) {
+        const found = findButtonMessage(chatId, matcher);
+        if (!found) {
+          const available = [...messages.values()]
+            .filter((m) => String(m.chat.id) === String(chatId))
+            .flatMap((m) => inlineButtons(m.reply_markup).map((b) => b.callback_data).filter(Boolean));
+          throw new Error(`No button matching ${matcher} in chat ${chatId}. Available: ${available.join(", ") || "(none)"}`);
+        }
+        await dispatch({
+          callback_query: {
+            id: String(updateId),
+            from: tgUser,
+            chat_instance: String(chatId),
+            message: found.msg,
+            data: found.data,
+          },
+        });
+        return found.data;
+      },
+
+      // Send callback_data that is not on any captured message (e.g. stale buttons)
+      async press(data, message = { message_id: 0, date: 0, chat }) {
+        await dispatch({
+          callback_query: { id: String(updateId), from: tgUser, chat_instance: String(chat.id), message, data },
+        });
+      },
+    };
+  }
+
+  return {
+    bot,
+    clock,
+    calls,
+    messages,
+    baseUrl,
+    mockChapa,
+    user,
+    dispatch,
+    settle,
+
+    // Replace the fake result for one Bot API method, e.g. sim.onApi("getChatMember", () => ({ status: "left" }))
+    onApi(method, fn) {
+      overrides.set(method, fn);
+    },
+
+    callsTo(chatId, method) {
+      return calls.filter((c) =>
+        String(c.payload?.chat_id) === String(chatId) && (!method || c.method === method));
+    },
+
+    textsTo(chatId) {
+      return this.callsTo(chatId)
+        .map((c) => c.payload.text ?? c.payload.caption)
+        .filter((t) => typeof t === "string");
+    },
+
+    lastMessageTo(chatId) {
+      const msgs = [...messages.values()].filter((m) => String(m.chat.id) === String(chatId));
+      return msgs[msgs.length - 1] || null;
+    },
+
+    buttonsIn(chatId) {
+      return [...messages.values()]
+        .filter((m) => String(m.chat.id) === String(chatId))
+        .flatMap((m) => inlineButtons(m.reply_markup));
+    },
+
+    clearCalls() {
+      calls.length = 0;
+    },
+
+    // Move the fake clock forward and run every ScheduledJob that became due
+    async advance(ms) {
+      clock.advance(ms);
+      await taskifii.runDueJobs();
+      await settle();
+    },
+
+    async stop() {
+      Telegram.prototype.callApi = realCallApi;
+      clock.uninstall();
+      await new Promise((r) => httpServer.close(r));
+      if (mockChapa) await new Promise((r) => mockChapa.server.close(r));
+      await mongoose.disconnect();
+      await mongo.stop();
+    },
+  };
+}
+
+module.exports = { createSimulator, BOT_INFO };
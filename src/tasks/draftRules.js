@@ -0,0 +1,126 @@
+// tasks/draftRules.js
+//
+// The limits a TaskDraft's values must meet. The draft wizard (handleDescription, handlePaymentFee, …
+// in index.js) and the partner API (partners/api.js) both check with these, so a task meets the same
+// rules however it was drafted. Each check takes the parsed value and returns null when it is fine, or
+// an error code; the wizard answers a code with its TEXT message, the API with DRAFT_ERROR_MESSAGES.
+
+const DESCRIPTION_MIN = 20;
+const DESCRIPTION_MAX = 1250;
+const MAX_FIELDS = 7;
+const SKILL_LEVELS = ["Beginner", "Intermediate", "Professional"];
+const EXCHANGE_STRATEGIES = ["100%", "30:40:30", "50:50"];
+const TIME_TO_COMPLETE_MAX = 120;     // hours
+const REVISION_TIME_MIN = 0.1;        // hours (6 minutes); at most half the time to complete
+const PENALTY_MIN = 1;                // per hour, in the draft's currency
+const PENALTY_MAX_SHARE = 0.2;        // of the payment fee
+const EXPIRY_HOURS_MIN = 1;
+const EXPIRY_HOURS_MAX = 24;
+
+const DRAFT_ERROR_MESSAGES = {
+  description_length:      `must be ${DESCRIPTION_MIN}–${DESCRIPTION_MAX} characters`,
+  fields_count:            `must list 1–${MAX_FIELDS} fields`,
+  unknown_field:           "contains a field that isn't offered",
+  skill_level:             `must be one of: ${SKILL_LEVELS.join(", ")}`,
+  exchange_strategy:       `must be one of: ${EXCHANGE_STRATEGIES.join(", ")}`,
+  currency_not_offered:    "isn't offered by the current fee rules",
+  not_a_number:            "must be a number",
+  whole_number:            "must be a whole number",
+  fee_below_min:           "is below the minimum fee for this currency",
+  fee_above_max:           "is above the maximum fee for this currency",
+  fee_below_penalty:       "must be at least 5× the penalty per hour",
+  time_range:              `must be more than 0 and at most ${TIME_TO_COMPLETE_MAX} hours`,
+  time_below_revision:     "must be at least 2× the revision time",
+  revision_min:            `can't be less than ${REVISION_TIME_MIN} hours`,
+  revision_max:            "can't be more than half the time to complete",
+  penalty_min:             `can't be less than ${PENALTY_MIN} per hour`,
+  penalty_max:             `can't be more than ${PENALTY_MAX_SHARE * 100}% of the payment fee`,
+  expiry_range:            `must be ${EXPIRY_HOURS_MIN}–${EXPIRY_HOURS_MAX} hours`,
+};
+
+function checkDescription(text) {
+  const length = String(text || "").trim().length;
+  return length < DESCRIPTION_MIN || length > DESCRIPTION_MAX ? "description_length" : null;
+}
+
+// allFields: the fields the bot offers (ALL_FIELDS)
+function checkFields(fields, allFields) {
+  if (!Array.isArray(fields) || !fields.length || fields.length > MAX_FIELDS) return "fields_count";
+  if (new Set(fields).size !== fields.length) return "fields_count";
+  return fields.every(f => allFields.includes(f)) ? null : "unknown_field";
+}
+
+// limits: feeLimitsFor() of the draft's currency (null when the currency isn't offered).
+// penaltyPerHour: only when one is already set, as the fee must stay ≥ 5× it.
+function checkPaymentFee(fee, { limits, penaltyPerHour = null }) {
+  if (!limits) return "currency_not_offered";
+  if (!Number.isInteger(fee)) return "whole_number";
+  if (fee < limits.min) return "fee_below_min";
+  if (limits.max != null && fee > limits.max) return "fee_above_max";
+  if (typeof penaltyPerHour === "number" && penaltyPerHour > 0 && fee < penaltyPerHour * 5) return "fee_below_penalty";
+  return null;
+}
+
+// revisionTime: only when one is already set, as the time must stay ≥ 2× it
+function checkTimeToComplete(hours, { revisionTime = null } = {}) {
+  if (!Number.isInteger(hours)) return "whole_number";
+  if (hours <= 0 || hours > TIME_TO_COMPLETE_MAX) return "time_range";
+  if (typeof revisionTime === "number" && revisionTime > 0 && hours < 2 * revisionTime) return "time_below_revision";
+  return null;
+}
+
+function checkRevisionTime(hours, { timeToComplete }) {
+  if (typeof hours !== "number" || !Number.isFinite(hours)) return "not_a_number";
+  if (hours < REVISION_TIME_MIN) return "revision_min";
+  return hours > timeToComplete / 2 ? "revision_max" : null;
+}
+
+function checkPenaltyPerHour(penalty, { paymentFee }) {
+  if (!Number.isInteger(penalty)) return "whole_number";
+  if (penalty < PENALTY_MIN) return "penalty_min";
+  return paymentFee != null && penalty > PENALTY_MAX_SHARE * paymentFee ? "penalty_max" : null;
+}
+
+function checkExpiryHours(hours) {
+  if (!Number.isInteger(hours)) return "whole_number";
+  return hours < EXPIRY_HOURS_MIN || hours > EXPIRY_HOURS_MAX ? "expiry_range" : null;
+}
+
+/**
+ * Check a whole task definition, in the wizard's order.
+ * @param {object} def  { description, fields, skillLevel, currency, paymentFee, timeToComplete, revisionTime,
+ *                        penaltyPerHour, expiryHours, exchangeStrategy }
+ * @param {object} ctx  { allFields, limits } (limits: feeLimitsFor() of def.currency)
+ * @returns {{ok: true} | {ok: false, errors: Array<{field: string, code: string, message: string}>}}
+ */
+function checkTaskDefinition(def, { allFields, limits }) {
+  const errors = [];
+  const add = (field, code) => code && errors.push({ field, code, message: `${field} ${DRAFT_ERROR_MESSAGES[code]}` });
+
+  add("description", checkDescription(def.description));
+  add("fields", checkFields(def.fields, allFields));
+  if (!SKILL_LEVELS.includes(def.skillLevel)) add("skillLevel", "skill_level");
+  add("paymentFee", checkPaymentFee(def.paymentFee, { limits }));
+  add("timeToComplete", checkTimeToComplete(def.timeToComplete));
+  add("revisionTime", checkRevisionTime(def.revisionTime, { timeToComplete: def.timeToComplete }));
+  add("penaltyPerHour", checkPenaltyPerHour(def.penaltyPerHour, { paymentFee: def.paymentFee }));
+  add("expiryHours", checkExpiryHours(def.expiryHours));
+  if (!EXCHANGE_STRATEGIES.includes(def.exchangeStrategy)) add("exchangeStrategy", "exchange_strategy");
+
+  return errors.length ? { ok: false, errors } : { ok: true };
+}
+
+module.exports = {
+  MAX_FIELDS,
+  SKILL_LEVELS,
+  EXCHANGE_STRATEGIES,
+  DRAFT_ERROR_MESSAGES,
+  checkDescription,
+  checkFields,
+  checkPaymentFee,
+  checkTimeToComplete,
+  checkRevisionTime,
+  checkPenaltyPerHour,
+  checkExpiryHours,
+  checkTaskDefinition,
+};
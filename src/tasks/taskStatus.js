@@ -0,0 +1,148 @@
+// tasks/taskStatus.js
+//
+// The only place Task.status is written. Every change goes through transitionTask(), which
+// applies it with a status precondition (so two racing handlers can't both move the task) and
+// emits a "transition" event other subsystems can hook:
+//
+//   taskStatusEvents.on("transition", ({ taskId, from, to, reason, at }) => { … });
+//
+// Lifecycle:
+//   Open ──DO_TASK_CONFIRM──▶ InProgress ──COMPLETED_SENT_──▶ PendingConfirmation ──finalize──▶ Completed
+//   Open ──expiry sweep──▶ Expired          Open / InProgress / PendingConfirmation ──▶ Canceled
+// "Taken" is kept for old rows; no current flow sets it.
+// Before InProgress existed a confirmed task stayed "Open" and was flipped to "Expired" by the
+// expiry sweep; migrateLegacyTaskStatuses() moves those rows onto the lifecycle above once, at startup.
+
+const { EventEmitter } = require("events");
+const Task = require("../models/Task");
+
+const TASK_STATUSES = ["Open", "Taken", "InProgress", "PendingConfirmation", "Completed", "Canceled", "Expired"];
+
+// from → allowed next statuses
+const TASK_TRANSITIONS = {
+  Open:                ["InProgress", "Taken", "Expired", "Canceled"],
+  Taken:               ["InProgress", "Open", "Expired", "Canceled"],
+  InProgress:          ["PendingConfirmation", "Completed", "Canceled"],
+  PendingConfirmation: ["InProgress", "Completed", "Canceled"],
+  Expired:             ["Canceled"],
+  Completed:           [],
+  Canceled:            [],
+};
+
+// Finished as far as applications / engagement locks go
+const TERMINAL_TASK_STATUSES = ["Completed", "Canceled", "Expired"];
+
+const taskStatusEvents = new EventEmitter();
+
+function canTransition(from, to) {
+  return (TASK_TRANSITIONS[from] || []).includes(to);
+}
+
+function allowedFrom(to) {
+  return Object.keys(TASK_TRANSITIONS).filter((from) => canTransition(from, to));
+}
+
+// Engagement-lock self-heal: a task "may be finished" (so DoerWork gets double-checked) once it is
+// terminal, or once work is under way past the task's expiry — the point where such tasks used to
+// turn "Expired".
+function isTaskMaybeFinished(task) {
+  if (!task) return true;
+  if (TERMINAL_TASK_STATUSES.includes(task.status)) return true;
+  if (["InProgress", "PendingConfirmation"].includes(task.status)) {
+    return !!task.expiry && new Date(task.expiry) <= new Date();
+  }
+  return false;
+}
+
+/**
+ * Move a task to `to` if its current status allows it.
+ *
+ * @param {string|ObjectId} taskId
+ * @param {string} to
+ * @param {object} [opts]
+ * @param {string[]} [opts.from]    narrow the accepted current statuses (default: every legal source)
+ * @param {object}   [opts.filter]  extra preconditions for the same atomic update
+ * @param {object}   [opts.set]     extra fields to $set together with the status
+ * @param {string}   [opts.reason]  free text carried on the event / log line
+ * @returns {Promise<Document|null>} the updated task, or null when nothing changed
+ */
+async function transitionTask(taskId, to, { from, filter = {}, set = {}, reason = "" } = {}) {
+  if (!TASK_STATUSES.includes(to)) {
+    console.error(`Task transition rejected: unknown status "${to}" (task ${taskId})`);
+    return null;
+  }
+
+  const sources = allowedFrom(to).filter((s) => !from || from.includes(s));
+  const before = await Task.findOneAndUpdate(
+    { _id: taskId, ...filter, status: { $in: sources } },
+    { $set: { ...set, status: to } },
+    { new: false }
+  );
+
+  if (!before) {
+    // Either a precondition didn't hold (lost a race, wrong phase) or the move itself is illegal
+    const current = await Task.findById(taskId).select("status").lean();
+    const inScope = current && (!from || from.includes(current.status));
+    if (inScope && current.status !== to && !canTransition(current.status, to)) {
+      console.warn(`Illegal task transition ${current.status} → ${to} rejected (task ${taskId}${reason ? `, ${reason}` : ""})`);
+    }
+    return null;
+  }
+
+  const event = { taskId: String(before._id), from: before.status, to, reason, at: new Date() };
+  try {
+    taskStatusEvents.emit("transition", event);
+    taskStatusEvents.emit(to, event);
+  } catch (e) {
+    console.error("Task transition listener failed:", e);
+  }
+
+  return Task.findById(before._id);
+}
+
+/**
+ * One-off fix for rows from before InProgress existed: an "Open" / "Expired" task with a confirmed
+ * doer. Most of them are long settled (the old flow never wrote "Completed"), so each row goes, in
+ * this order, to Completed when it was paid out / concluded, Canceled when its escrow went back to
+ * the creator, PendingConfirmation when the doer delivered, and InProgress otherwise.
+ * Migrated rows no longer match, so running it again does nothing. Emits no events.
+ *
+ * @param {object} [opts]  each callback gets the candidate task ids and returns the matching subset
+ * @param {(taskIds: ObjectId[]) => Promise<ObjectId[]>} [opts.completedAmong]  paid out or concluded
+ * @param {(taskIds: ObjectId[]) => Promise<ObjectId[]>} [opts.canceledAmong]   escrow refunded to the creator
+ * @param {(taskIds: ObjectId[]) => Promise<ObjectId[]>} [opts.deliveredAmong]  the doer delivered
+ * @returns {Promise<number>} rows moved
+ */
+async function migrateLegacyTaskStatuses({
+  completedAmong = async () => [],
+  canceledAmong = async () => [],
+  deliveredAmong = async () => [],
+} = {}) {
+  const filter = { status: { $in: ["Open", "Expired"] }, "applicants.confirmedAt": { $ne: null } };
+  const ids = await Task.distinct("_id", filter);
+  if (!ids.length) return 0;
+
+  const steps = [
+    ["Completed", await completedAmong(ids)],
+    ["Canceled", await canceledAmong(ids)],
+    ["PendingConfirmation", await deliveredAmong(ids)],
+    ["InProgress", ids],
+  ];
+  let moved = 0;
+  for (const [status, among] of steps) {
+    const res = await Task.updateMany({ ...filter, _id: { $in: among } }, { $set: { status } });
+    moved += res.modifiedCount || 0;
+  }
+  return moved;
+}
+
+module.exports = {
+  TASK_STATUSES,
+  TASK_TRANSITIONS,
+  TERMINAL_TASK_STATUSES,
+  taskStatusEvents,
+  canTransition,
+  isTaskMaybeFinished,
+  migrateLegacyTaskStatuses,
+  transitionTask,
+};
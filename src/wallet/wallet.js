@@ -0,0 +1,155 @@
+// wallet/wallet.js
+//
+// Optional in-bot wallet per user. Refunds and earnings can land here instead of going back
+// through the provider; the balance can fund a new task's escrow or be withdrawn to a saved bank.
+//
+// Every movement is one WalletTransaction (idempotent by `key`) plus one ledger entry between
+// wallet:<userId> and the account the money came from / goes to. The transaction row is written
+// first as "pending" with its delta; applying it to the balance is guarded by the wallet's recentTx
+// list, so finishing a half-done movement (a retry with the same key, or the settle sweep after a
+// crash) can never move the balance twice.
+//   refund              escrow:<task> | unapplied  ⟶ wallet:<user>
+//   earning             payable:<doer>             ⟶ wallet:<doer>
+//   escrow_funding      wallet:<creator>           ⟶ unapplied   (then unapplied ⟶ escrow:<task>)
+//   withdrawal          wallet:<user>              ⟶ payable:<user> (settled by the bank payout)
+//   withdrawal_reversal payable:<user>             ⟶ wallet:<user>
+
+const Wallet = require("../models/Wallet");
+const WalletTransaction = require("../models/WalletTransaction");
+const { ACCOUNTS, postLedgerEntry } = require("../ledger/ledger");
+
+function money(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : 0;
+}
+
+function getWallet(userId) {
+  return Wallet.findOne({ user: userId }).lean();
+}
+
+const RECENT_TX_LIMIT = 200;   // applied ids kept per wallet, far more than can be in flight at once
+
+// Claim a movement by key; a repeat returns the row the first call wrote (null if that one was dropped)
+async function recordWalletTx({ key, user, kind, amount, account, task, reference, memo }) {
+  try {
+    const tx = await WalletTransaction.create({ key, user, kind, amount, account, task, reference, memo, status: "pending" });
+    return { tx, duplicate: false };
+  } catch (e) {
+    if (e?.code !== 11000) throw e;
+    return { tx: await WalletTransaction.findOne({ key }), duplicate: true };
+  }
+}
+
+// Move the balance for a pending row (once), mark it applied and post its ledger entry.
+// A debit that doesn't fit the balance is dropped again, with nothing moved.
+async function applyWalletTx(tx) {
+  const value = Math.abs(tx.amount);
+  const credit = tx.amount > 0;
+
+  if (credit) {
+    await Wallet.updateOne({ user: tx.user }, { $setOnInsert: { user: tx.user } }, { upsert: true })
+      .catch((e) => { if (e?.code !== 11000) throw e; });
+  }
+  let wallet = await Wallet.findOneAndUpdate(
+    { user: tx.user, recentTx: { $ne: tx._id }, ...(credit ? {} : { balance: { $gte: value } }) },
+    { $inc: { balance: tx.amount }, $push: { recentTx: { $each: [tx._id], $slice: -RECENT_TX_LIMIT } } },
+    { new: true }
+  );
+  if (!wallet) {
+    // Either applied already (by an earlier, interrupted call) or a debit the balance can't cover
+    wallet = await Wallet.findOne({ user: tx.user, recentTx: tx._id }).lean();
+    if (!wallet) {
+      if (credit) throw new Error(`Wallet credit ${tx.key} could not be applied`);
+      await WalletTransaction.deleteOne({ _id: tx._id, status: "pending" });
+      return { ok: false, insufficient: true };
+    }
+  }
+
+  await WalletTransaction.updateOne({ _id: tx._id, status: "pending" }, { $set: { status: "applied", appliedAt: new Date() } });
+
+  const walletLine = { account: ACCOUNTS.wallet(tx.user), debit: credit ? 0 : value, credit: credit ? value : 0 };
+  const otherLine = { account: tx.account, debit: credit ? value : 0, credit: credit ? 0 : value };
+  await postLedgerEntry({
+    key: `${credit ? "wallet_credit" : "wallet_debit"}:${tx.key}`,
+    kind: credit ? "wallet_credit" : "wallet_debit",
+    task: tx.task,
+    memo: tx.memo || `Wallet ${tx.kind}`,
+    lines: credit ? [otherLine, walletLine] : [walletLine, otherLine],
+  });
+
+  return { ok: true, balance: wallet.balance };
+}
+
+// Result for a key that was already claimed: finish it if it is still pending, else report it
+async function finishDuplicate(tx, user) {
+  if (!tx) return { ok: false, insufficient: true, duplicate: true };   // the first attempt didn't fit the balance
+  if (tx.status === "pending") return { ...(await applyWalletTx(tx)), duplicate: true };
+  const wallet = await getWallet(user);
+  return { ok: true, duplicate: true, balance: wallet?.balance };
+}
+
+/**
+ * Add money to a user's wallet (creates the wallet on first use).
+ * @returns {Promise<{ok: boolean, duplicate?: boolean, balance?: number}>}
+ */
+async function creditWallet({ user, amount, key, kind, from, task = null, reference = null, memo = "" }) {
+  const value = money(amount);
+  if (!(value > 0)) return { ok: false };
+
+  const { tx, duplicate } = await recordWalletTx({ key, user, kind, amount: value, account: from, task, reference, memo });
+  if (duplicate) return finishDuplicate(tx, user);
+  return applyWalletTx(tx);
+}
+
+/**
+ * Take money out of a user's wallet; fails without side effects when the balance is too low.
+ * @returns {Promise<{ok: boolean, duplicate?: boolean, insufficient?: boolean, balance?: number}>}
+ */
+async function debitWallet({ user, amount, key, kind, to, task = null, reference = null, memo = "" }) {
+  const value = money(amount);
+  if (!(value > 0)) return { ok: false };
+
+  // Claim the movement first so a double tap can't debit twice
+  const { tx, duplicate } = await recordWalletTx({ key, user, kind, amount: -value, account: to, task, reference, memo });
+  if (duplicate) return finishDuplicate(tx, user);
+  return applyWalletTx(tx);
+}
+
+/**
+ * Finish movements a crash left pending: credits are applied; a debit is only completed when the
+ * balance already moved (its caller never learned it succeeded), otherwise it is dropped.
+ * @returns {Promise<number>} rows settled
+ */
+async function settlePendingWalletTransactions({ olderThanMs = 15 * 60 * 1000 } = {}) {
+  const stale = await WalletTransaction.find({ status: "pending", at: { $lte: new Date(Date.now() - olderThanMs) } })
+    .sort({ at: 1 }).limit(100);
+  for (const tx of stale) {
+    if (tx.amount < 0 && !(await Wallet.exists({ user: tx.user, recentTx: tx._id }))) {
+      await WalletTransaction.deleteOne({ _id: tx._id, status: "pending" });
+    } else {
+      await applyWalletTx(tx);
+    }
+  }
+  return stale.length;
+}
+
+async function setRefundsToWallet(userId, enabled) {
+  return Wallet.findOneAndUpdate(
+    { user: userId },
+    { $set: { refundsToWallet: !!enabled } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+}
+
+function walletHistory(userId, limit = 10) {
+  return WalletTransaction.find({ user: userId, status: { $ne: "pending" } }).sort({ at: -1 }).limit(limit).lean();
+}
+
+module.exports = {
+  getWallet,
+  creditWallet,
+  debitWallet,
+  settlePendingWalletTransactions,
+  setRefundsToWallet,
+  walletHistory,
+};
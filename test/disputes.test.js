@@ -0,0 +1,105 @@
+// test/disputes.test.js
+//
+// Dispute verdicts (resolveDispute): the escrow still held is split by the doer's percentage, the
+// doer's share pays commission, the creator's share is refunded, stages already released stay
+// out of the split, and an approved stage the doer hasn't claimed yet is paid to the doer once.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const Task = require("../src/models/Task");
+const PaymentIntent = require("../src/models/PaymentIntent");
+const { model, startSimulator, waitFor, registerUser, postTask, hireDoer, takePayoutToWallet } = require("./helpers");
+
+const ADMIN_ID = 4999;
+
+let sim;
+let admin;
+before(async () => {
+  sim = await startSimulator({ SUPER_ADMIN_TG_ID: String(ADMIN_ID) });
+  admin = sim.user({ id: ADMIN_ID, first_name: "Admin" });
+});
+after(async () => { await sim?.stop(); });
+
+// What escalating does for the verdict: a package naming the task and both sides
+function openDispute(task, creator, doer) {
+  return model("DisputePackage").create({ task: task._id, creator: creator.doc._id, doer: doer.doc._id });
+}
+
+test("a 60/40 verdict refunds the creator 40% and pays the doer 60% less commission", async () => {
+  const creator = await registerUser(sim, { id: 4001, fullName: "Selam Tadesse" });
+  const doer = await registerUser(sim, { id: 4002, fullName: "Kaleb Assefa" });
+  const task = await hireDoer(await postTask(sim, creator, { paymentFee: 1000 }), creator, doer);
+  const pkg = await openDispute(task, creator, doer);
+
+  await admin.press(`DP_CONFIRM_${pkg._id}_60`);
+
+  const settled = await model("DisputePackage").findById(pkg._id).lean();
+  assert.equal(settled.resolution.doerPercent, 60);
+  assert.equal(settled.resolution.refundAmount, 400);
+  assert.equal(settled.resolution.commission, 30);        // 5% of the doer's 600
+  assert.equal(settled.resolution.payoutAmount, 570);
+  assert.equal((await Task.findById(task._id)).status, "Completed");
+
+  const intent = await PaymentIntent.findOne({ task: task._id, type: "escrow" }).lean();
+  assert.notEqual(intent.refundStatus, "none");
+  const refunds = sim.mockChapa.state.refunds.filter((r) => r.tx_ref === intent.chapaTxRef);
+  assert.deepEqual(refunds.map((r) => Number(r.amount)), [400]);
+
+  const payout = await takePayoutToWallet(task, doer, `task_payout_${task._id}`);
+  assert.equal(payout.amount, 570);
+  assert.equal(payout.commission, 30);
+
+  // A second confirmation moves nothing
+  await admin.press(`DP_CONFIRM_${pkg._id}_60`);
+  assert.equal(sim.mockChapa.state.refunds.filter((r) => r.tx_ref === intent.chapaTxRef).length, 1);
+  assert.equal(await model("TaskPayout").countDocuments({ task: task._id }), 1);
+});
+
+test("a verdict only splits the stages not yet released", async () => {
+  const creator = await registerUser(sim, { id: 4011, fullName: "Ruth Worku" });
+  const doer = await registerUser(sim, { id: 4012, fullName: "Nahom Girma" });
+  const task = await hireDoer(await postTask(sim, creator, { paymentFee: 1000, exchangeStrategy: "50:50" }), creator, doer);
+
+  await doer.send("First half: https://example.com/first-half.pdf");
+  await doer.click(`STAGE_DELIVERED_${task._id}_1`);
+  await creator.click(`STAGE_APPROVE_${task._id}_1`);
+  await takePayoutToWallet(task, doer, `task_payout_${task._id}_s1`);
+  await waitFor(
+    async () => (await Task.findById(task._id)).stages.find((s) => s.stageNum === 1).releasedAt,
+    { what: "stage 1 to be released" }
+  );
+
+  const pkg = await openDispute(task, creator, doer);
+  await admin.press(`DP_CONFIRM_${pkg._id}_0`);
+
+  const settled = await model("DisputePackage").findById(pkg._id).lean();
+  assert.equal(settled.resolution.refundAmount, 500);     // the half still held, not the whole fee
+  assert.equal(settled.resolution.payoutAmount, 0);
+  assert.equal((await Task.findById(task._id)).status, "Canceled");
+  assert.equal(await model("TaskPayout").countDocuments({ task: task._id, stageNum: null }), 0);
+});
+
+test("an approved stage left unclaimed goes to the doer in full and only the rest is split", async () => {
+  const creator = await registerUser(sim, { id: 4021, fullName: "Bethel Kassa" });
+  const doer = await registerUser(sim, { id: 4022, fullName: "Abel Tamirat" });
+  const task = await hireDoer(await postTask(sim, creator, { paymentFee: 1000, exchangeStrategy: "50:50" }), creator, doer);
+
+  await doer.send("First half: https://example.com/first-half.pdf");
+  await doer.click(`STAGE_DELIVERED_${task._id}_1`);
+  await creator.click(`STAGE_APPROVE_${task._id}_1`);
+
+  const pkg = await openDispute(task, creator, doer);
+  await admin.press(`DP_CONFIRM_${pkg._id}_0`);
+
+  const settled = await model("DisputePackage").findById(pkg._id).lean();
+  assert.equal(settled.resolution.refundAmount, 500);     // the unapproved half
+  assert.equal(settled.resolution.commission, 25);
+  assert.equal(settled.resolution.payoutAmount, 475);     // the approved half, less commission
+  assert.equal((await Task.findById(task._id)).status, "Completed");
+
+  // The stage's own payout can't be claimed on top of the verdict's
+  await doer.press(`PAYOUT_TO_WALLET_task_payout_${task._id}_s1`);
+  const payout = await takePayoutToWallet(task, doer, `task_payout_${task._id}`);
+  assert.equal(payout.amount, 475);
+  assert.equal(await model("TaskPayout").countDocuments({ task: task._id, stageNum: { $ne: null } }), 0);
+});
@@ -0,0 +1,82 @@
+// test/feeRules.test.js
+//
+// Versioned fee rules: a task is paid out with the commission of the version it was posted under,
+// field rates and promotions apply to tasks posted while they are published, and invalid rules are
+// refused before they are stored.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { publishFeeRules, getActiveFeeRules, validateFeeRules, penaltyCapFor, starsFor } = require("../src/fees/feeRules");
+const { startSimulator, registerUser, postTask, hireDoer, deliver, takePayoutToWallet } = require("./helpers");
+
+let sim;
+before(async () => { sim = await startSimulator(); });
+after(async () => { await sim?.stop(); });
+
+// Post → hire → deliver → approve → doer keeps the payout in the wallet
+async function completeTask({ creatorId, doerId }) {
+  const creator = await registerUser(sim, { id: creatorId, fullName: `Creator ${creatorId}` });
+  const doer = await registerUser(sim, { id: doerId, fullName: `Doer ${doerId}` });
+  const task = await hireDoer(await postTask(sim, creator, { paymentFee: 1000 }), creator, doer);
+  await deliver(task, doer);
+  await creator.click(`CREATOR_VALID_${task._id}`);
+  return { task, payout: await takePayoutToWallet(task, doer, `task_payout_${task._id}`) };
+}
+
+test("payouts keep the fee rules their task was posted under", async () => {
+  const v1 = await getActiveFeeRules();
+
+  // Posted under the seeded rules (5%), paid out after a higher field rate is published
+  const creator = await registerUser(sim, { id: 5001, fullName: "Tigist Ayele" });
+  const doer = await registerUser(sim, { id: 5002, fullName: "Biniam Desta" });
+  const early = await hireDoer(await postTask(sim, creator, { paymentFee: 1000 }), creator, doer);
+  assert.equal(early.feeRuleVersion, v1.version);
+
+  const v2 = await publishFeeRules({
+    ...v1.rules,
+    commission: { ...v1.rules.commission, byField: { "UI/UX Design": 0.1 } },
+  }, { createdBy: "test", note: "Design field rate" });
+
+  await deliver(early, doer);
+  await creator.click(`CREATOR_VALID_${early._id}`);
+  const earlyPayout = await takePayoutToWallet(early, doer, `task_payout_${early._id}`);
+  assert.equal(earlyPayout.commission, 50);
+  assert.equal(earlyPayout.feeRuleVersion, v1.version);
+
+  // Posted after the change: the field rate applies
+  const { task: late, payout: latePayout } = await completeTask({ creatorId: 5011, doerId: 5012 });
+  assert.equal(late.feeRuleVersion, v2.version);
+  assert.equal(latePayout.commission, 100);
+  assert.equal(latePayout.amount, 900);
+
+  // A promotion running when the task is posted wins over the field rate
+  const now = Date.now();
+  await publishFeeRules({
+    ...v2.rules,
+    promotions: [{
+      name: "design week",
+      from: new Date(now - 60 * 60 * 1000).toISOString(),
+      to: new Date(now + 7 * 24 * 60 * 60 * 1000).toISOString(),
+      commissionRate: 0,
+      fields: ["UI/UX Design"],
+    }],
+  }, { createdBy: "test", note: "Promotion" });
+  const { payout: promoPayout } = await completeTask({ creatorId: 5021, doerId: 5022 });
+  assert.equal(promoPayout.commission, 0);
+  assert.equal(promoPayout.amount, 1000);
+});
+
+test("invalid rules are refused and the penalty cap / Stars price follow the rules", async () => {
+  const active = await getActiveFeeRules();
+  await assert.rejects(
+    publishFeeRules({ ...active.rules, penalty: { maxDeductionRate: 1.5 } }),
+    (e) => e.ruleErrors.some((m) => m.startsWith("penalty.maxDeductionRate"))
+  );
+  assert.equal((await getActiveFeeRules()).version, active.version);
+
+  assert.throws(() => validateFeeRules({ ...active.rules, fees: {} }), /fees needs at least one currency/);
+
+  assert.equal(penaltyCapFor(active, 1000), 650);        // the fee never drops below 35%
+  assert.equal(starsFor(active, 1000, "ETB"), 600);
+  assert.equal(starsFor(active, 1000, "GBP"), null);
+});
@@ -0,0 +1,123 @@
+// test/helpers.js
+//
+// Shared steps for the scenario tests (sim/updateSimulator.js): registered users, a draft ready
+// to post, paying its checkout on the mock Chapa, and hiring a doer. Every test file runs in its
+// own process with one simulator, and uses its own Telegram ids so scenarios don't share users.
+
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { createSimulator } = require("../src/sim/updateSimulator");
+const User = require("../src/models/User");
+const Task = require("../src/models/Task");
+const TaskDraft = require("../src/models/TaskDraft");
+const PaymentIntent = require("../src/models/PaymentIntent");
+
+// Models index.js defines inline (available once the simulator has loaded it)
+const model = (name) => mongoose.model(name);
+
+function startSimulator(env = {}) {
+  return createSimulator({ chapa: true, env: { USE_CHAPA_HOSTED_FOR_ESCROW: "true", ...env } });
+}
+
+// Poll until fn() returns something truthy (IPNs and payout callbacks arrive over real HTTP)
+async function waitFor(fn, { timeoutMs = 5000, what = "condition" } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > until) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise((r) => setTimeout(r, 25));
+  }
+}
+
+// A user who finished onboarding, as a simulator handle with the User document on .doc
+async function registerUser(sim, { id, fullName, language = "en" }) {
+  const doc = await User.create({
+    telegramId: id,
+    onboardingStep: "completed",
+    language,
+    fullName,
+    phone: `+2519${String(id).padStart(8, "0")}`,
+    email: `user${id}@example.com`,
+    username: `user${id}`,
+    bankDetails: [{ type: "bank", bankName: "Commercial Bank of Ethiopia (CBE)", accountNumber: `1000${id}` }],
+  });
+  const handle = sim.user({ id, first_name: fullName.split(" ")[0], username: `user${id}` });
+  return Object.assign(handle, { doc });
+}
+
+function createDraft(creator, overrides = {}) {
+  return TaskDraft.create({
+    creatorTelegramId: creator.id,
+    description: "Design a logo and a one-page menu for a small coffee shop in Addis Ababa",
+    fields: ["UI/UX Design"],
+    skillLevel: "Intermediate",
+    currency: "ETB",
+    paymentFee: 1000,
+    timeToComplete: 24,
+    revisionTime: 2,
+    penaltyPerHour: 10,
+    expiryHours: 12,
+    exchangeStrategy: "100%",
+    ...overrides,
+  });
+}
+
+async function payCheckout(sim, txRef) {
+  const res = await fetch(`${sim.mockChapa.settings.publicUrl}/_mock/transactions/${encodeURIComponent(txRef)}/pay`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: "{}",
+  });
+  assert.equal(res.status, 200, `mock Chapa didn't accept payment of ${txRef}`);
+}
+
+// Draft → "Post Task" → hosted checkout paid → the posted Task
+async function postTask(sim, creator, overrides = {}) {
+  const draft = await createDraft(creator, overrides);
+  await creator.press("TASK_POST_CONFIRM");
+  const intent = await waitFor(
+    () => PaymentIntent.findOne({ draft: draft._id, provider: "chapa_hosted", status: "pending" }).lean(),
+    { what: "the escrow checkout" }
+  );
+  await payCheckout(sim, intent.chapaTxRef);
+  const paid = await waitFor(
+    () => PaymentIntent.findOne({ _id: intent._id, task: { $ne: null } }).lean(),
+    { what: "the task to be posted" }
+  );
+  return Task.findById(paid.task);
+}
+
+// Apply with a pitch → creator accepts → doer confirms; the task is InProgress afterwards
+async function hireDoer(task, creator, doer) {
+  await doer.send(`/start apply_${task._id}`);
+  await doer.send("Five years of logo and menu design for cafés, portfolio: https://behance.net/example");
+  await creator.click(new RegExp(`^ACCEPT_${task._id}_`));
+  await doer.click(`DO_TASK_CONFIRM_${task._id}`);
+  return waitFor(() => Task.findOne({ _id: task._id, status: "InProgress" }), { what: "the task to start" });
+}
+
+// Doer sends the work and presses "Completed task sent"
+async function deliver(task, doer, text = "Here are the final logo and menu files: https://example.com/delivery.zip") {
+  await doer.send(text);
+  await doer.click(`COMPLETED_SENT_${task._id}`);
+}
+
+// Doer keeps an approved payout (stage or final) in the in-bot wallet; resolves to its TaskPayout
+async function takePayoutToWallet(task, doer, reference) {
+  await doer.click(`PAYOUT_TO_WALLET_${reference}`);
+  return waitFor(() => model("TaskPayout").findOne({ reference }).lean(), { what: `payout ${reference}` });
+}
+
+module.exports = {
+  model,
+  startSimulator,
+  waitFor,
+  registerUser,
+  createDraft,
+  payCheckout,
+  postTask,
+  hireDoer,
+  deliver,
+  takePayoutToWallet,
+};
@@ -0,0 +1,80 @@
+// test/lifecycle.test.js
+//
+// The whole path of a task through the real handlers: post (hosted escrow) → apply → accept →
+// deliver → creator approves → payout to a bank account → both sides rate.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const Task = require("../src/models/Task");
+const { model, startSimulator, waitFor, registerUser, postTask, hireDoer, deliver } = require("./helpers");
+
+let sim;
+before(async () => { sim = await startSimulator(); });
+after(async () => { await sim?.stop(); });
+
+test("post → apply → accept → deliver → approve → payout → rate", async () => {
+  const creator = await registerUser(sim, { id: 1001, fullName: "Abebe Kebede" });
+  const doer = await registerUser(sim, { id: 1002, fullName: "Sara Tesfaye" });
+
+  const posted = await postTask(sim, creator, { paymentFee: 1000 });
+  assert.equal(posted.status, "Open");
+  assert.equal(String(posted.creator), String(creator.doc._id));
+
+  const task = await hireDoer(posted, creator, doer);
+  assert.ok(task.applicants.some((a) => String(a.user) === String(doer.doc._id) && a.confirmedAt));
+
+  await deliver(task, doer);
+  assert.equal((await Task.findById(task._id)).status, "PendingConfirmation");
+  assert.ok(sim.textsTo(creator.id).length, "the creator gets the delivery");
+
+  await creator.click(`CREATOR_VALID_${task._id}`);
+
+  // Payout: pick a bank, then the account number; the mock resolves it to the doer's own name
+  sim.mockChapa.settings.accountName = "Sara Tesfaye";
+  await doer.click(/^PAYOUT_SELECT_.+_946$/);
+  await doer.send("1000123456789");
+
+  const payout = await waitFor(
+    () => model("TaskPayout").findOne({ reference: `task_payout_${task._id}` }).lean(),
+    { what: "the final payout" }
+  );
+  assert.equal(payout.destination, "bank");
+  assert.equal(payout.amount, 950);          // 1000 − 5% commission, delivered on time
+  assert.equal(payout.commission, 50);
+  assert.equal(payout.latePenalty, 0);
+  assert.equal(payout.accountNumber, "1000123456789");
+  assert.equal(payout.accountCheck.status, "verified");
+
+  await waitFor(() => Task.exists({ _id: task._id, status: "Completed" }), { what: "the task to complete" });
+
+  await creator.click(`RATE_${task._id}_creatorRatesDoer_5`);
+  await doer.click(`RATE_${task._id}_doerRatesCreator_4`);
+
+  const ratings = await model("Rating").find({ task: task._id }).lean();
+  assert.deepEqual(
+    ratings.map((r) => [r.role, r.score]).sort(),
+    [["creatorRatesDoer", 5], ["doerRatesCreator", 4]]
+  );
+});
+
+test("the legacy status migration settles finished rows and only reopens the ones still under way", async () => {
+  const hired = [];
+  for (const id of [1011, 1013, 1015]) {
+    const creator = await registerUser(sim, { id, fullName: "Hana Girma" });
+    const doer = await registerUser(sim, { id: id + 1, fullName: "Dawit Alemu" });
+    hired.push(await hireDoer(await postTask(sim, creator), creator, doer));
+  }
+  const [settled, refunded, underWay] = hired;
+
+  // What the old flow left behind: a confirmed doer, status flipped to "Expired" by the expiry sweep
+  await Task.updateMany({ _id: { $in: hired.map((t) => t._id) } }, { $set: { status: "Expired" } });
+  await model("FinalizationState").updateOne({ task: settled._id }, { $set: { concludedAt: new Date() } }, { upsert: true });
+  await model("PaymentIntent").updateOne({ task: refunded._id, type: "escrow" }, { $set: { refundStatus: "succeeded" } });
+
+  const { migrateLegacyTasks } = require("../src/index");
+  assert.equal(await migrateLegacyTasks(), 3);
+  assert.equal((await Task.findById(settled._id)).status, "Completed");
+  assert.equal((await Task.findById(refunded._id)).status, "Canceled");
+  assert.equal((await Task.findById(underWay._id)).status, "InProgress");
+  assert.equal(await migrateLegacyTasks(), 0, "a second run finds nothing left to move");
+});
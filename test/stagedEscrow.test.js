@@ -0,0 +1,117 @@
+// test/stagedEscrow.test.js
+//
+// Staged escrow (30:40:30): every approved stage pays its own share, and the final approval pays
+// only what the stages before it didn't. A release never takes more than its share out of escrow,
+// and a stage share is paid once even when its payout is still unclaimed at the final approval.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Task = require("../src/models/Task");
+const { getWallet } = require("../src/wallet/wallet");
+const { ACCOUNTS, postPayoutReleased, trialBalance } = require("../src/ledger/ledger");
+const { model, startSimulator, waitFor, registerUser, postTask, hireDoer, deliver, takePayoutToWallet } = require("./helpers");
+
+let sim;
+before(async () => { sim = await startSimulator(); });
+after(async () => { await sim?.stop(); });
+
+test("30:40:30 pays each stage as it is approved and the rest on final approval", async () => {
+  const creator = await registerUser(sim, { id: 2001, fullName: "Mekdes Alemu" });
+  const doer = await registerUser(sim, { id: 2002, fullName: "Yonas Bekele" });
+
+  const posted = await postTask(sim, creator, { paymentFee: 1000, exchangeStrategy: "30:40:30" });
+  assert.deepEqual(posted.stages.map((s) => s.percent), [30, 40, 30]);
+  const task = await hireDoer(posted, creator, doer);
+
+  // Stages 1 and 2 go through their own "stage delivered" buttons
+  const expected = { 1: 285, 2: 380 };   // 300 − 15 and 400 − 20 commission
+  for (const stageNum of [1, 2]) {
+    await doer.send(`Stage ${stageNum} drafts: https://example.com/stage-${stageNum}.pdf`);
+    await doer.click(`STAGE_DELIVERED_${task._id}_${stageNum}`);
+    await creator.click(`STAGE_APPROVE_${task._id}_${stageNum}`);
+
+    const payout = await takePayoutToWallet(task, doer, `task_payout_${task._id}_s${stageNum}`);
+    assert.equal(payout.stageNum, stageNum);
+    assert.equal(payout.amount, expected[stageNum]);
+
+    const stage = (await Task.findById(task._id)).stages.find((s) => s.stageNum === stageNum);
+    assert.ok(stage.releasedAt, `stage ${stageNum} is released`);
+    assert.equal(stage.status, "paid");
+  }
+
+  // The last stage is delivered with "Completed task sent" and paid by the final payout
+  await deliver(task, doer);
+  await creator.click(`CREATOR_VALID_${task._id}`);
+  const final = await takePayoutToWallet(task, doer, `task_payout_${task._id}`);
+  assert.equal(final.stageNum, null);
+  assert.equal(final.amount, 285);        // the remaining 30%: 300 − 15
+  assert.equal(final.commission, 15);
+
+  const wallet = await waitFor(() => getWallet(doer.doc._id), { what: "the doer's wallet" });
+  assert.equal(wallet.balance, 950);     // 95% of the fee, split over three payouts
+  await waitFor(() => Task.exists({ _id: task._id, status: "Completed" }), { what: "the task to complete" });
+});
+
+test("the final payout takes whatever the stages left, so rounding leaves no cents in escrow", async () => {
+  const creator = await registerUser(sim, { id: 2021, fullName: "Tigist Haile" });
+  const doer = await registerUser(sim, { id: 2022, fullName: "Robel Girma" });
+  const task = await hireDoer(await postTask(sim, creator, { paymentFee: 1000.01, exchangeStrategy: "30:40:30" }), creator, doer);
+
+  for (const stageNum of [1, 2]) {
+    await doer.send(`Stage ${stageNum} drafts: https://example.com/stage-${stageNum}.pdf`);
+    await doer.click(`STAGE_DELIVERED_${task._id}_${stageNum}`);
+    await creator.click(`STAGE_APPROVE_${task._id}_${stageNum}`);
+    await takePayoutToWallet(task, doer, `task_payout_${task._id}_s${stageNum}`);
+  }
+  await deliver(task, doer);
+  await creator.click(`CREATOR_VALID_${task._id}`);
+  await takePayoutToWallet(task, doer, `task_payout_${task._id}`);
+
+  // 300.003 and 400.004 round down to 300 and 400; 30% again would leave 0.01 behind
+  const payouts = await model("TaskPayout").find({ task: task._id }).sort({ stageNum: 1 }).lean();
+  assert.deepEqual(payouts.map((p) => [p.stageNum, p.gross]), [[null, 300.01], [1, 300], [2, 400]]);
+});
+
+test("an approved stage left unclaimed at the final approval is paid once, by the final payout", async () => {
+  const creator = await registerUser(sim, { id: 2011, fullName: "Saron Abebe" });
+  const doer = await registerUser(sim, { id: 2012, fullName: "Henok Tesfaye" });
+  const task = await hireDoer(await postTask(sim, creator, { paymentFee: 1000, exchangeStrategy: "50:50" }), creator, doer);
+
+  // Stage 1 is approved, but the doer doesn't pick where its payout goes yet
+  await doer.send("First half: https://example.com/first-half.pdf");
+  await doer.click(`STAGE_DELIVERED_${task._id}_1`);
+  await creator.click(`STAGE_APPROVE_${task._id}_1`);
+
+  await deliver(task, doer);
+  await creator.click(`CREATOR_VALID_${task._id}`);
+  const stage = (await Task.findById(task._id)).stages.find((s) => s.stageNum === 1);
+  assert.ok(stage.coveredAt, "the final payout took stage 1 over");
+  assert.equal(stage.releasedAt, undefined);
+
+  // Claim both: the stage button left in the chat pays nothing, the final payout pays the whole share
+  await doer.press(`PAYOUT_TO_WALLET_task_payout_${task._id}_s1`);
+  const final = await takePayoutToWallet(task, doer, `task_payout_${task._id}`);
+  assert.equal(final.gross, 1000);
+  assert.equal(final.amount, 950);
+  await doer.press(`PAYOUT_TO_WALLET_task_payout_${task._id}_s1`);
+
+  assert.equal(await model("TaskPayout").countDocuments({ task: task._id, stageNum: { $ne: null } }), 0);
+  assert.equal((await getWallet(doer.doc._id)).balance, 950);
+});
+
+test("a release whose penalty exceeds the share takes only the share out of escrow", async () => {
+  const task = new mongoose.Types.ObjectId();
+  const doer = new mongoose.Types.ObjectId();
+  // 300 share, 15 commission, 650 late penalty: the doer gets 0 and only 285 of the penalty is kept
+  const entry = await postPayoutReleased({
+    reference: `task_payout_${task}_s1`, task, doer, stageNum: 1,
+    gross: 300, amount: 0, commission: 15, latePenalty: 650,
+  });
+
+  const sum = (account, side) => entry.lines.filter((l) => l.account === account).reduce((s, l) => s + l[side], 0);
+  assert.equal(sum(ACCOUNTS.escrow(task), "debit"), 300);
+  assert.equal(sum(ACCOUNTS.revenue, "credit"), 15);
+  assert.equal(sum(ACCOUNTS.penalties, "credit") - sum(ACCOUNTS.penalties, "debit"), 285);
+  assert.equal((await trialBalance()).balanced, true);
+});
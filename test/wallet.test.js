@@ -0,0 +1,101 @@
+// test/wallet.test.js
+//
+// In-bot wallet: funding a task's escrow from the balance (once, even on a double tap), the offer
+// only showing when the balance covers the fee, a tap that no longer fits the balance, and movements
+// a crash left half done.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const Task = require("../src/models/Task");
+const PaymentIntent = require("../src/models/PaymentIntent");
+const WalletTransaction = require("../src/models/WalletTransaction");
+const { ACCOUNTS } = require("../src/ledger/ledger");
+const { creditWallet, debitWallet, getWallet, settlePendingWalletTransactions } = require("../src/wallet/wallet");
+const { startSimulator, waitFor, registerUser, createDraft } = require("./helpers");
+
+let sim;
+before(async () => { sim = await startSimulator(); });
+after(async () => { await sim?.stop(); });
+
+function topUp(user, amount, key) {
+  return creditWallet({ user: user.doc._id, amount, key, kind: "refund", from: ACCOUNTS.unapplied, memo: "Test top-up" });
+}
+
+test("a task's escrow can be paid from the wallet, once", async () => {
+  const creator = await registerUser(sim, { id: 3001, fullName: "Hanna Girma" });
+  await topUp(creator, 1500, "topup:3001");
+
+  const draft = await createDraft(creator, { paymentFee: 1000 });
+  await creator.press("TASK_POST_CONFIRM");
+  await creator.click(`ESCROW_FROM_WALLET_${draft._id}`);
+
+  const intent = await waitFor(
+    () => PaymentIntent.findOne({ draft: draft._id, provider: "wallet", status: "paid", task: { $ne: null } }).lean(),
+    { what: "the wallet-funded task" }
+  );
+  assert.equal(intent.amount, 1000);
+  assert.equal((await Task.findById(intent.task)).status, "Open");
+  assert.equal((await getWallet(creator.doc._id)).balance, 500);
+
+  // The checkout link sent alongside can't be used any more
+  assert.equal(await PaymentIntent.countDocuments({ draft: draft._id, status: "pending" }), 0);
+
+  // A second tap on the same button moves nothing
+  await creator.press(`ESCROW_FROM_WALLET_${draft._id}`);
+  assert.equal((await getWallet(creator.doc._id)).balance, 500);
+  assert.equal(await WalletTransaction.countDocuments({ user: creator.doc._id, kind: "escrow_funding" }), 1);
+});
+
+test("the wallet is only offered when its balance covers the fee", async () => {
+  const creator = await registerUser(sim, { id: 3002, fullName: "Dawit Haile" });
+  await topUp(creator, 200, "topup:3002");
+
+  const draft = await createDraft(creator, { paymentFee: 1000 });
+  await creator.press("TASK_POST_CONFIRM");
+
+  assert.ok(!sim.buttonsIn(creator.id).some((b) => b.callback_data === `ESCROW_FROM_WALLET_${draft._id}`));
+  assert.ok(await PaymentIntent.exists({ draft: draft._id, provider: "chapa_hosted", status: "pending" }));
+});
+
+test("a wallet tap after the balance dropped is refused and posts nothing", async () => {
+  const creator = await registerUser(sim, { id: 3003, fullName: "Liya Mengistu" });
+  await topUp(creator, 1000, "topup:3003");
+
+  const draft = await createDraft(creator, { paymentFee: 1000 });
+  await creator.press("TASK_POST_CONFIRM");
+
+  const withdrawn = await debitWallet({
+    user: creator.doc._id, amount: 600, key: "withdrawal:3003", kind: "withdrawal", to: ACCOUNTS.payable(creator.doc._id),
+  });
+  assert.equal(withdrawn.ok, true);
+
+  await creator.click(`ESCROW_FROM_WALLET_${draft._id}`);
+  assert.equal((await getWallet(creator.doc._id)).balance, 400);
+  assert.equal(await PaymentIntent.countDocuments({ draft: draft._id, provider: "wallet", status: "paid" }), 0);
+  assert.equal(await Task.countDocuments({ creator: creator.doc._id }), 0);
+});
+
+test("a movement interrupted before the balance moved is applied once, or dropped if it was a debit", async () => {
+  const user = await registerUser(sim, { id: 3004, fullName: "Meron Tadesse" });
+  await topUp(user, 300, "topup:3004");
+
+  // A credit whose row was written but whose balance update never ran: the retry finishes it, once
+  await WalletTransaction.create({
+    key: "topup:3004:b", user: user.doc._id, kind: "refund", amount: 200, account: ACCOUNTS.unapplied, status: "pending",
+  });
+  const retried = await topUp(user, 200, "topup:3004:b");
+  assert.equal(retried.ok, true);
+  assert.equal(retried.duplicate, true);
+  assert.equal((await getWallet(user.doc._id)).balance, 500);
+  await topUp(user, 200, "topup:3004:b");
+  assert.equal((await getWallet(user.doc._id)).balance, 500);
+
+  // A stale debit that never touched the balance is dropped by the settle sweep
+  await WalletTransaction.create({
+    key: "withdrawal:3004", user: user.doc._id, kind: "withdrawal", amount: -100,
+    account: ACCOUNTS.payable(user.doc._id), status: "pending", at: new Date(Date.now() - 60 * 60 * 1000),
+  });
+  assert.equal(await settlePendingWalletTransactions(), 1);
+  assert.equal(await WalletTransaction.exists({ key: "withdrawal:3004" }), null);
+  assert.equal((await getWallet(user.doc._id)).balance, 500);
+});
@@ -0,0 +1,63 @@
+// test/webhooks.test.js
+//
+// Chapa webhooks: a callback whose signature doesn't match is stored as "rejected" and never
+// handled, and the same body on the same route again is acked as a duplicate without running twice.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const Task = require("../src/models/Task");
+const PaymentIntent = require("../src/models/PaymentIntent");
+const WebhookEvent = require("../src/models/WebhookEvent");
+const { startSimulator, waitFor, registerUser, postTask } = require("./helpers");
+
+let sim;
+before(async () => { sim = await startSimulator(); });
+after(async () => { await sim?.stop(); });
+
+function postWebhook(route, raw, signature) {
+  const headers = { "content-type": "application/json" };
+  if (signature) headers["x-chapa-signature"] = signature;
+  return fetch(`${sim.baseUrl}${route}`, { method: "POST", headers, body: raw });
+}
+
+const sign = (raw) => crypto.createHmac("sha256", process.env.CHAPA_WEBHOOK_SECRET).update(raw).digest("hex");
+
+test("a payout webhook with a bad signature is rejected and stored, not handled", async () => {
+  const raw = JSON.stringify({ event: "payout.success", reference: "task_payout_forged" });
+
+  const res = await postWebhook("/chapa/payout", raw, "0".repeat(64));
+  assert.equal(res.status, 401);
+  const unsigned = await postWebhook("/chapa/payout", raw, null);
+  assert.equal(unsigned.status, 401);
+
+  const events = await WebhookEvent.find({ route: "/chapa/payout", reference: "task_payout_forged" }).lean();
+  assert.deepEqual(events.map((e) => [e.status, e.signatureValid, e.eventKey]), [
+    ["rejected", false, null],
+    ["rejected", false, null],
+  ]);
+  assert.deepEqual(events.map((e) => e.lastError).sort(), ["bad_signature", "missing_signature"]);
+});
+
+test("a replayed payment callback is acked as a duplicate and posts nothing twice", async () => {
+  const creator = await registerUser(sim, { id: 6001, fullName: "Liya Mekonnen" });
+  const task = await postTask(sim, creator, { paymentFee: 1000 });
+  const intent = await PaymentIntent.findOne({ task: task._id }).lean();
+
+  const first = await waitFor(
+    () => WebhookEvent.findOne({ route: "/chapa/ipn", reference: intent.chapaTxRef, status: "processed" }).lean(),
+    { what: "the checkout callback to be processed" }
+  );
+
+  // Same body again, this time signed as a webhook event: same row, handler not run again
+  const res = await postWebhook("/chapa/ipn", first.rawBody, sign(first.rawBody));
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), "duplicate");
+
+  const stored = await WebhookEvent.findById(first._id).lean();
+  assert.equal(stored.attempts, 1);
+  assert.equal(stored.duplicates, 1);
+  assert.equal(await WebhookEvent.countDocuments({ eventKey: first.eventKey }), 1);
+  assert.equal(await Task.countDocuments({ creator: creator.doc._id }), 1);
+  assert.equal(await PaymentIntent.countDocuments({ task: task._id }), 1);
+});